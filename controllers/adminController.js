@@ -9,11 +9,21 @@ const Marks = require('../models/Marks');
 const Download = require('../models/Download');
 const Notification = require('../models/Notification');
 const Timetable = require('../models/Timetable');
+const FeeLedger = require('../models/FeeLedger');
+const LeaveApplication = require('../models/LeaveApplication');
+const Settings = require('../models/Settings');
+const AuditLog = require('../models/AuditLog');
+const GradingScheme = require('../models/GradingScheme');
+const IssuedDocument = require('../models/IssuedDocument');
 const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
 const sendEmail = require('../utils/sendEmail');
+const SMSService = require('../utils/sendSMS');
+const { getSettings, setCachedSettings, clearSettingsCache } = require('../utils/settings');
+const { issueTokens, revokeUserSessions } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+const gradingEngine = require('../utils/gradingEngine');
 const fs = require('fs');
-const nodemailer = require('nodemailer');
 
 
 // @desc    Get admin dashboard statistics
@@ -105,6 +115,18 @@ exports.getDashboardStats = async (req, res) => {
       }
     ]);
 
+    // Account lockouts: currently locked and locked in the last 7 days
+    const sevenDaysAgo = new Date();
+    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+
+    const [lockedAccounts, recentLocks] = await Promise.all([
+      User.countDocuments({ lockUntil: { $gt: new Date() } }),
+      User.find({ lastLockedAt: { $gte: sevenDaysAgo } })
+        .sort({ lastLockedAt: -1 })
+        .limit(10)
+        .select('username email role lockUntil lockCount lastLockedAt')
+    ]);
+
     res.json({
       success: true,
       data: {
@@ -119,7 +141,11 @@ exports.getDashboardStats = async (req, res) => {
         recentStudents,
         recentNews,
         admissionTrends,
-        courseDistribution
+        courseDistribution,
+        security: {
+          lockedAccounts,
+          recentLocks
+        }
       }
     });
   } catch (error) {
@@ -131,6 +157,11 @@ exports.getDashboardStats = async (req, res) => {
   }
 };
 
+// Whether an active grading scheme exists for a course to use
+const gradingSchemeExists = async (id) => {
+  return mongoose.Types.ObjectId.isValid(id) && Boolean(await GradingScheme.exists({ _id: id, isActive: true }));
+};
+
 // @desc    Add new course
 // @route   POST /api/admin/courses
 // @access  Private (Admin)
@@ -150,9 +181,18 @@ exports.addCourse = async (req, res) => {
       });
     }
 
+    if (courseData.gradingScheme && !(await gradingSchemeExists(courseData.gradingScheme))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grading scheme not found'
+      });
+    }
+
     const course = new Course(courseData);
     await course.save();
 
+    await recordAudit(req, { action: 'create', entity: 'Course', after: course, summary: `Added course ${course.courseCode}` });
+
     res.status(201).json({
       success: true,
       message: 'Course added successfully',
@@ -198,12 +238,22 @@ exports.updateCourse = async (req, res) => {
       }
     }
 
+    if (updates.gradingScheme && !(await gradingSchemeExists(updates.gradingScheme))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grading scheme not found'
+      });
+    }
+
+    const before = course.toObject();
     Object.keys(updates).forEach(key => {
       course[key] = updates[key];
     });
 
     await course.save();
 
+    await recordAudit(req, { action: 'update', entity: 'Course', before, after: course, summary: `Updated course ${course.courseCode}` });
+
     res.json({
       success: true,
       message: 'Course updated successfully',
@@ -245,6 +295,8 @@ exports.deleteCourse = async (req, res) => {
     // Delete the course
     await Course.findByIdAndDelete(id);
 
+    await recordAudit(req, { action: 'delete', entity: 'Course', before: course, summary: `Deleted course ${course.courseCode}` });
+
     res.json({
       success: true,
       message: 'Course deleted successfully. Enrolled students have been updated.'
@@ -372,6 +424,8 @@ exports.uploadGallery = async (req, res) => {
     const galleryItem = new Gallery(galleryData);
     await galleryItem.save();
 
+    await recordAudit(req, { action: 'create', entity: 'Gallery', after: galleryItem, summary: `Uploaded gallery image ${galleryItem.title || ''}`.trim() });
+
     // Build full URLs so frontend can display immediately
     const host = `${req.protocol}://${req.get('host')}`;
     const itemObj = galleryItem.toObject ? galleryItem.toObject() : galleryItem;
@@ -479,12 +533,15 @@ exports.updateGallery = async (req, res) => {
       updates.tags = updates.tags.split(',').map(tag => tag.trim().toLowerCase());
     }
 
+    const before = galleryItem.toObject();
     Object.keys(updates).forEach(key => {
       galleryItem[key] = updates[key];
     });
 
     await galleryItem.save();
 
+    await recordAudit(req, { action: 'update', entity: 'Gallery', before, after: galleryItem, summary: 'Updated gallery item' });
+
     res.json({
       success: true,
       message: 'Gallery item updated successfully',
@@ -514,6 +571,8 @@ exports.deleteGallery = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: 'delete', entity: 'Gallery', before: galleryItem, summary: 'Deleted gallery item' });
+
     // TODO: Delete actual image file from server
 
     res.json({
@@ -595,6 +654,8 @@ exports.addNews = async (req, res) => {
     const news = new News(newsData);
     await news.save();
 
+    await recordAudit(req, { action: 'create', entity: 'News', after: news, summary: `Added news "${news.title}"` });
+
     // Create notification for target audience
     if (news.isPublished) {
       await createNotificationForNews(news);
@@ -706,6 +767,8 @@ exports.addNotification = async (req, res) => {
     const notification = new Notification(payload);
     await notification.save();
 
+    await recordAudit(req, { action: 'create', entity: 'Notification', after: notification, summary: `Created notification "${notification.title}"` });
+
     res.status(201).json({
       success: true,
       message: 'Notification created',
@@ -793,6 +856,7 @@ exports.updateNotification = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Notification not found' });
     }
 
+    const before = notification.toObject();
     Object.keys(req.body).forEach(key => {
       notification[key] = req.body[key];
     });
@@ -805,6 +869,8 @@ exports.updateNotification = async (req, res) => {
 
     await notification.save();
 
+    await recordAudit(req, { action: 'update', entity: 'Notification', before, after: notification, summary: `Updated notification "${notification.title}"` });
+
     res.json({ success: true, message: 'Notification updated', data: notification });
   } catch (error) {
     console.error('Update Notification Error:', error);
@@ -825,6 +891,8 @@ exports.deleteNotification = async (req, res) => {
 
     await notification.remove();
 
+    await recordAudit(req, { action: 'delete', entity: 'Notification', before: notification, summary: `Deleted notification "${notification.title}"` });
+
     res.json({ success: true, message: 'Notification deleted' });
   } catch (error) {
     console.error('Delete Notification Error:', error);
@@ -858,12 +926,15 @@ exports.updateNews = async (req, res) => {
       updates.targetAudience = updates.targetAudience.split(',').map(item => item.trim());
     }
 
+    const before = news.toObject();
     Object.keys(updates).forEach(key => {
       news[key] = updates[key];
     });
 
     await news.save();
 
+    await recordAudit(req, { action: 'update', entity: 'News', before, after: news, summary: `Updated news "${news.title}"` });
+
     res.json({
       success: true,
       message: 'News updated successfully',
@@ -893,6 +964,8 @@ exports.deleteNews = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: 'delete', entity: 'News', before: news, summary: `Deleted news "${news.title}"` });
+
     res.json({
       success: true,
       message: 'News deleted successfully'
@@ -1137,6 +1210,7 @@ exports.addFaculty = async (req, res) => {
       experience,
       contactNumber,
       address,
+      isHod = false,
       isActive = true
     } = req.body;
 
@@ -1189,11 +1263,14 @@ exports.addFaculty = async (req, res) => {
       experience: experience || 0,
       contactNumber: contactNumber || '',
       address: address || '',
+      isHod: isHod === true || isHod === 'true',
       isActive: isActive
     });
 
     await faculty.save();
 
+    await recordAudit(req, { action: 'create', entity: 'Faculty', after: faculty, summary: `Added faculty ${faculty.facultyId}` });
+
     res.status(201).json({
       success: true,
       message: 'Faculty added successfully',
@@ -1209,7 +1286,8 @@ exports.addFaculty = async (req, res) => {
           facultyId: faculty.facultyId,
           fullName: faculty.fullName,
           designation: faculty.designation,
-          department: faculty.department
+          department: faculty.department,
+          isHod: faculty.isHod
         }
       }
     });
@@ -1242,9 +1320,10 @@ exports.updateFaculty = async (req, res) => {
     // Update faculty fields
     const allowedUpdates = [
       'fullName', 'designation', 'department', 'qualification',
-      'experience', 'contactNumber', 'address', 'isActive'
+      'experience', 'contactNumber', 'address', 'isHod', 'isActive'
     ];
 
+    const before = faculty.toObject();
     Object.keys(updates).forEach(key => {
       if (allowedUpdates.includes(key)) {
         faculty[key] = updates[key];
@@ -1261,6 +1340,8 @@ exports.updateFaculty = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: 'update', entity: 'Faculty', before, after: faculty, summary: `Updated faculty ${faculty.facultyId}` });
+
     res.json({
       success: true,
       message: 'Faculty updated successfully',
@@ -1293,10 +1374,13 @@ exports.deleteFaculty = async (req, res) => {
 
     // Delete user account
     await User.findByIdAndDelete(faculty.userId);
+    await revokeUserSessions(req, faculty.userId, 'deleted');
 
     // Delete faculty profile
     await Faculty.findByIdAndDelete(id);
 
+    await recordAudit(req, { action: 'delete', entity: 'Faculty', before: faculty, summary: `Deleted faculty ${faculty.facultyId} and their user account` });
+
     res.json({
       success: true,
       message: 'Faculty deleted successfully'
@@ -1312,75 +1396,23 @@ exports.deleteFaculty = async (req, res) => {
 };
 
 // Helper: Send student credentials email
-const sendStudentCredentials = async ({ studentName, personalEmail, instituteEmail, studentId, password }) => {
-  try {
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
-
-    const mailOptions = {
-      from: `"Nursing Institute" <${process.env.EMAIL_USER}>`,
-      to: personalEmail,
-      subject: 'Welcome to Nursing Institute - Your Login Credentials',
-      html: `
-        <h2>Welcome ${studentName}!</h2>
-        <p>Your admission to Nursing Institute has been processed successfully.</p>
-        <h3>Your Login Credentials:</h3>
-        <ul>
-          <li><strong>Student ID:</strong> ${studentId}</li>
-          <li><strong>Institute Email:</strong> ${instituteEmail}</li>
-          <li><strong>Password:</strong> ${password}</li>
-          <li><strong>Login URL:</strong> ${process.env.FRONTEND_URL || 'http://localhost:3000'}/login</li>
-        </ul>
-        <p><strong>Important:</strong> Change your password after first login.</p>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log('✅ Email sent to:', personalEmail);
-  } catch (error) {
-    console.error('❌ Email sending failed:', error);
-    throw error;
-  }
+const sendStudentCredentials = async ({ studentName, personalEmail, instituteEmail, studentId, password, courseName }) => {
+  await sendEmail({
+    email: personalEmail,
+    template: 'credentials',
+    data: { name: studentName, studentId, username: instituteEmail, password, courseName }
+  });
+  console.log('✅ Email sent to:', personalEmail);
 };
 
 // Helper: Send password reset email
 const sendPasswordResetEmail = async ({ studentName, personalEmail, instituteEmail, newPassword }) => {
-  try {
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
-
-    const mailOptions = {
-      from: `"Nursing Institute" <${process.env.EMAIL_USER}>`,
-      to: personalEmail,
-      subject: 'Password Reset - Nursing Institute',
-      html: `
-        <h2>Hello ${studentName}!</h2>
-        <p>Your password has been reset by the administrator.</p>
-        <h3>Your New Credentials:</h3>
-        <ul>
-          <li><strong>Institute Email:</strong> ${instituteEmail}</li>
-          <li><strong>New Password:</strong> ${newPassword}</li>
-        </ul>
-        <p><strong>Important:</strong> Please change your password after first login.</p>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
-    console.log('✅ Password reset email sent to:', personalEmail);
-  } catch (error) {
-    console.error('❌ Password reset email failed:', error);
-    throw error;
-  }
+  await sendEmail({
+    email: personalEmail,
+    template: 'credentialsReset',
+    data: { name: studentName, username: instituteEmail, password: newPassword }
+  });
+  console.log('✅ Password reset email sent to:', personalEmail);
 };
 
 // Helper: Generate random password
@@ -1581,56 +1613,28 @@ exports.addStudent = async (req, res) => {
     course.seatsFilled = (course.seatsFilled || 0) + 1;
     await course.save({ session });
 
+    // Raise fee invoices from the course installment plan
+    await FeeLedger.generateForStudent(student, course, req.user._id, session);
+
     // Commit transaction
     await session.commitTransaction();
     session.endSession();
 
     console.log('✅ Transaction committed successfully');
 
-    // ✅ Send Welcome Email (async - optional)
-    try {
-      const transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS
-        }
-      });
-
-      const mailOptions = {
-        from: `"Nursing Institute" <${process.env.EMAIL_USER}>`,
-        to: personalEmail,
-        subject: 'Welcome to Nursing Institute - Your Login Credentials',
-        html: `
-          <h2>Welcome ${firstName} ${lastName}!</h2>
-          <p>Your admission to ${course.courseName} has been processed successfully.</p>
-          <h3>Your Login Credentials:</h3>
-          <ul>
-            <li><strong>Student ID:</strong> ${studentId}</li>
-            <li><strong>Username/Email:</strong> ${instituteEmail}</li>
-            <li><strong>Password:</strong> ${password}</li>
-            <li><strong>Login URL:</strong> ${process.env.FRONTEND_URL || 'http://localhost:3000'}/login</li>
-          </ul>
-          <p><strong>Important:</strong></p>
-          <ul>
-            <li>Use Institute Email as username to login</li>
-            <li>Change your password after first login</li>
-            <li>Keep these credentials secure</li>
-          </ul>
-          <p>Best regards,<br>Nursing Institute Administration</p>
-        `
-      };
+    await recordAudit(req, { action: 'create', entity: 'Student', after: student, summary: `Added student ${studentId}` });
 
-      transporter.sendMail(mailOptions, (error, info) => {
-        if (error) {
-          console.log('📧 Email sending failed:', error);
-        } else {
-          console.log('📧 Email sent:', info.response);
-        }
-      });
-    } catch (emailError) {
-      console.log('Email error (non-critical):', emailError.message);
-    }
+    // ✅ Send Welcome Email (async - optional)
+    sendStudentCredentials({
+      studentName: `${firstName} ${lastName}`,
+      personalEmail,
+      instituteEmail,
+      studentId,
+      password,
+      courseName: course.courseName
+    }).catch(emailError => {
+      console.log('📧 Email sending failed:', emailError.message);
+    });
 
     // ✅ Return success response
     res.status(201).json({
@@ -1762,14 +1766,15 @@ exports.firstLoginSetup = async (req, res) => {
         // Get student profile
         const student = await Student.findOne({ userId: user._id });
         
-        // Generate JWT token for immediate login
-        const authToken = user.generateAuthToken();
+        // Start a session for immediate login
+        const { token: authToken, refreshToken } = await issueTokens(user, req);
 
         res.json({
             success: true,
             message: 'Password set successfully. You can now login.',
             data: {
                 token: authToken,
+                refreshToken,
                 user: {
                     _id: user._id,
                     username: user.username,
@@ -2156,6 +2161,8 @@ exports.updateStudent = async (req, res) => {
       'fees'
     ];
 
+    const before = student.toObject();
+
     // Apply updates
     Object.keys(updates).forEach(key => {
       if (allowedUpdates.includes(key)) {
@@ -2170,6 +2177,8 @@ exports.updateStudent = async (req, res) => {
 
     await student.save();
 
+    await recordAudit(req, { action: 'update', entity: 'Student', before, after: student, summary: `Updated student ${student.studentId}` });
+
     res.json({
       success: true,
       message: 'Student updated successfully',
@@ -2203,11 +2212,14 @@ exports.deleteStudent = async (req, res) => {
     // Delete user account
     if (student.userId) {
       await User.findByIdAndDelete(student.userId);
+      await revokeUserSessions(req, student.userId, 'deleted');
     }
 
     // Delete student profile
     await Student.findByIdAndDelete(id);
 
+    await recordAudit(req, { action: 'delete', entity: 'Student', before: student, summary: `Deleted student ${student.studentId} and their user account` });
+
     res.json({
       success: true,
       message: 'Student deleted successfully'
@@ -2240,6 +2252,7 @@ exports.bulkUploadStudents = async (req, res) => {
       failed: 0,
       errors: []
     };
+    const createdIds = [];
 
     // Read CSV
     const csvData = fs.readFileSync(req.file.path, 'utf8');
@@ -2329,6 +2342,11 @@ exports.bulkUploadStudents = async (req, res) => {
         });
 
         await student.save();
+
+        // Raise fee invoices from the course installment plan
+        await FeeLedger.generateForStudent(student, course, req.user._id);
+
+        createdIds.push(student.studentId);
         results.success++;
         results.total++;
 
@@ -2345,6 +2363,15 @@ exports.bulkUploadStudents = async (req, res) => {
     // Clean up file
     fs.unlinkSync(req.file.path);
 
+    if (createdIds.length > 0) {
+      await recordAudit(req, {
+        action: 'bulk-create',
+        entity: 'Student',
+        summary: `Bulk uploaded ${createdIds.length} student(s)`,
+        metadata: { fileName: req.file.originalname, total: results.total, failed: results.failed, studentIds: createdIds }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Bulk upload completed',
@@ -2397,6 +2424,16 @@ exports.resetStudentPassword = async (req, res) => {
     user.password = password;
     await user.save();
 
+    await revokeUserSessions(req, user._id, 'password-changed');
+
+    await recordAudit(req, {
+      action: 'reset-password',
+      entity: 'User',
+      entityId: user._id,
+      summary: `Reset password for student ${student.studentId}`,
+      metadata: { studentId: student.studentId, emailSent: Boolean(sendEmail) }
+    });
+
     // Send email if requested
     if (sendEmail) {
       try {
@@ -2600,10 +2637,21 @@ exports.markAttendance = async (req, res) => {
       errors: []
     };
 
+    // Students on approved leave are recorded as on leave rather than absent
+    const leaveStatus = await LeaveApplication.leaveStatusFor(
+      students.map(s => s.studentId).filter(id => mongoose.Types.ObjectId.isValid(id)),
+      date
+    );
+
     // Process each attendance record
     const attendanceRecords = [];
     for (const studentData of students) {
       try {
+        let status = studentData.status || 'Present';
+        if (status === 'Absent' && leaveStatus.has(String(studentData.studentId))) {
+          status = leaveStatus.get(String(studentData.studentId));
+        }
+
         const attendance = new Attendance({
           student: studentData.studentId,
           date: new Date(date),
@@ -2612,7 +2660,7 @@ exports.markAttendance = async (req, res) => {
           semester: parseInt(semester) || 1,
           session: session || 'Morning',
           type: type || 'Theory',
-          status: studentData.status || 'Present',
+          status,
           hoursAttended: studentData.hoursAttended || 4,
           remarks: studentData.remarks || '',
           recordedBy: req.user._id
@@ -2648,6 +2696,15 @@ exports.markAttendance = async (req, res) => {
       console.error('Emit attendance event error:', err.message);
     }
 
+    if (attendanceRecords.length > 0) {
+      await recordAudit(req, {
+        action: 'bulk-create',
+        entity: 'Attendance',
+        summary: `Marked attendance for ${attendanceRecords.length} student(s) in ${subject}`,
+        metadata: { date, course, subject, semester, session, type, records: attendanceRecords.map(a => String(a._id)) }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Attendance marked successfully',
@@ -2756,6 +2813,7 @@ exports.generateAttendanceReport = async (req, res) => {
           present: 0,
           absent: 0,
           late: 0,
+          leave: 0,
           totalHours: 0
         };
       }
@@ -2766,6 +2824,8 @@ exports.generateAttendanceReport = async (req, res) => {
       if (record.status === 'Present') studentAttendance[studentId].present++;
       else if (record.status === 'Absent') studentAttendance[studentId].absent++;
       else if (record.status === 'Late') studentAttendance[studentId].late++;
+      // Approved leave is reported separately and left out of the percentage
+      else if (['Leave', 'Medical Leave'].includes(record.status)) studentAttendance[studentId].leave++;
 
       studentAttendance[studentId].totalHours += record.hoursAttended || 0;
     });
@@ -2781,6 +2841,7 @@ exports.generateAttendanceReport = async (req, res) => {
         presentDays: data.present,
         absentDays: data.absent,
         lateDays: data.late,
+        leaveDays: data.leave,
         totalDays: totalMarked,
         percentage,
         totalHours: data.totalHours
@@ -2883,6 +2944,12 @@ exports.bulkUploadAttendance = async (req, res) => {
           throw new Error(`Course ${course} not found`);
         }
 
+        let attendanceStatus = status.trim() || 'Present';
+        if (attendanceStatus === 'Absent') {
+          const leaveStatus = await LeaveApplication.leaveStatusFor([student._id], date.trim());
+          attendanceStatus = leaveStatus.get(student._id.toString()) || attendanceStatus;
+        }
+
         const attendance = new Attendance({
           student: student._id,
           date: new Date(date.trim()),
@@ -2891,7 +2958,7 @@ exports.bulkUploadAttendance = async (req, res) => {
           semester: parseInt(semester.trim()) || 1,
           session: session.trim() || 'Morning',
           type: type.trim() || 'Theory',
-          status: status.trim() || 'Present',
+          status: attendanceStatus,
           hoursAttended: parseInt(hoursAttended.trim()) || 4,
           remarks: remarks ? remarks.trim() : '',
           recordedBy: req.user._id
@@ -2914,6 +2981,15 @@ exports.bulkUploadAttendance = async (req, res) => {
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
 
+    if (results.success > 0) {
+      await recordAudit(req, {
+        action: 'bulk-create',
+        entity: 'Attendance',
+        summary: `Bulk uploaded ${results.success} attendance record(s)`,
+        metadata: { fileName: req.file.originalname, total: results.total, failed: results.failed }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Bulk upload completed',
@@ -2952,6 +3028,7 @@ exports.manageMarks = async (req, res) => {
             vivaMax = 50, 
             assignmentMax = 50, 
             marksData,
+            attempt = 1,
             sendSMS = false 
         } = req.body;
 
@@ -2983,6 +3060,9 @@ exports.manageMarks = async (req, res) => {
             });
         }
 
+        const attemptNo = parseInt(attempt) || 1;
+        const scheme = await gradingEngine.resolveScheme(courseDoc);
+
         const results = {
             total: marksData.length,
             success: 0,
@@ -2994,6 +3074,7 @@ exports.manageMarks = async (req, res) => {
         };
 
         const savedMarks = [];
+        const markAudits = [];
         const studentsForSMS = [];
         const affectedStudentIds = new Set();
 
@@ -3023,37 +3104,43 @@ exports.manageMarks = async (req, res) => {
                 const practicalObtained = Number(record.practicalObtained) || 0;
                 const vivaObtained = Number(record.vivaObtained) || 0;
                 const assignmentObtained = Number(record.assignmentObtained) || 0;
-                
-                const totalObtained = theoryObtained + practicalObtained + vivaObtained + assignmentObtained;
-                const totalMax = theoryMax + practicalMax + vivaMax + assignmentMax;
-                const percentage = totalMax > 0 ? (totalObtained / totalMax) * 100 : 0;
-
-                // Determine grade
-                const getGrade = (percent) => {
-                    if (percent >= 90) return 'O';
-                    if (percent >= 80) return 'A+';
-                    if (percent >= 70) return 'A';
-                    if (percent >= 60) return 'B+';
-                    if (percent >= 50) return 'B';
-                    if (percent >= 40) return 'C';
-                    if (percent >= 35) return 'D';
-                    return 'F';
-                };
-
-                const grade = getGrade(percentage);
-                const resultStatus = percentage >= 35 ? 'Pass' : 'Fail';
-
-                // Check if marks already exist for this student+subject+examType
+
+                const { totalMarks, percentage, grade, resultStatus } = gradingEngine.evaluate({
+                    theory: { max: theoryMax, obtained: theoryObtained },
+                    practical: { max: practicalMax, obtained: practicalObtained },
+                    viva: { max: vivaMax, obtained: vivaObtained },
+                    assignment: { max: assignmentMax, obtained: assignmentObtained }
+                }, scheme);
+                const totalObtained = totalMarks.obtained;
+                const totalMax = totalMarks.max;
+
+                // A supplementary attempt replaces a failed earlier attempt
+                const allowed = await Marks.canAttempt({
+                    student: student._id,
+                    subject: subject,
+                    examType: examType,
+                    semester: parseInt(semester),
+                    attempt: attemptNo
+                }, session);
+                if (!allowed) {
+                    throw new Error(`Student ${student.studentId} has no failed attempt ${attemptNo - 1} in this subject`);
+                }
+
+                // Check if marks already exist for this student+subject+examType+attempt
                 const existingMarks = await Marks.findOne({
                     student: student._id,
                     subject: subject,
                     examType: examType,
-                    semester: parseInt(semester)
+                    semester: parseInt(semester),
+                    attempt: attemptNo
                 }).session(session);
 
                 let marks;
+                let before = null;
                 
                 if (existingMarks) {
+                    before = existingMarks.toObject();
+
                     // Update existing marks
                     existingMarks.marks = {
                         theory: { max: theoryMax, obtained: theoryObtained },
@@ -3076,6 +3163,7 @@ exports.manageMarks = async (req, res) => {
                         subject: subject,
                         semester: parseInt(semester),
                         examType: examType,
+                        attempt: attemptNo,
                         examDate: new Date(),
                         marks: {
                             theory: { max: theoryMax, obtained: theoryObtained },
@@ -3094,12 +3182,13 @@ exports.manageMarks = async (req, res) => {
 
                 await marks.save({ session });
                 savedMarks.push(marks);
+                markAudits.push({ before, marks, studentId: student.studentId });
                 results.success++;
                 
                 affectedStudentIds.add(student._id);
 
                 // Prepare for SMS if requested
-                if (sendSMS && (student.fatherMobile || student.contactNumber)) {
+                if (sendSMS && (student.fatherMobile || student.motherMobile || student.guardianMobile)) {
                     studentsForSMS.push({
                         student: student,
                         marks: marks
@@ -3141,6 +3230,16 @@ exports.manageMarks = async (req, res) => {
         await session.commitTransaction();
         session.endSession();
 
+        for (const { before, marks, studentId } of markAudits) {
+            await recordAudit(req, {
+                action: before ? 'update' : 'create',
+                entity: 'Marks',
+                before,
+                after: marks,
+                summary: `${before ? 'Updated' : 'Entered'} ${examType} marks in ${subject} for ${studentId}`
+            });
+        }
+
         // Emit real-time events
         try {
             const io = req.app.get('io');
@@ -3207,21 +3306,56 @@ exports.manageMarks = async (req, res) => {
     }
 };
 
+// Email students whose marks were just published, unless marks alerts are off
+const notifyMarksPublished = async (studentIds, { subject, examType, semester }) => {
+  const settings = await getSettings();
+  if (settings.notification && (settings.notification.emailNotifications === false || settings.notification.marksAlerts === false)) {
+    return 0;
+  }
+
+  const students = await Student.find({ _id: { $in: studentIds } })
+    .select('studentId firstName lastName personalEmail instituteEmail userId')
+    .populate('userId', 'email notificationPreferences');
+
+  let sent = 0;
+  for (const student of students) {
+    const preferences = (student.userId && student.userId.notificationPreferences) || {};
+    const email = student.personalEmail || (student.userId && student.userId.email) || student.instituteEmail;
+    if (preferences.email === false || !email) continue;
+
+    try {
+      await sendEmail({
+        email,
+        template: 'marksPublished',
+        language: preferences.language,
+        data: { name: student.fullName, studentId: student.studentId, subject, examType, semester }
+      });
+      sent++;
+    } catch (error) {
+      console.error(`Marks published email error (${student.studentId}):`, error.message);
+    }
+  }
+  return sent;
+};
+
 // @desc    Publish marks
 // @route   PUT /api/admin/marks/publish
 // @access  Private (Admin)
 exports.publishMarks = async (req, res) => {
   try {
     const { examType, course, semester, subject } = req.body;
+    const filter = {
+      course,
+      semester,
+      subject,
+      examType,
+      isPublished: false
+    };
+
+    const publishing = await Marks.find(filter).select('student').lean();
 
     const updateResult = await Marks.updateMany(
-      {
-        course,
-        semester,
-        subject,
-        examType,
-        isPublished: false
-      },
+      filter,
       {
         $set: {
           isPublished: true,
@@ -3241,6 +3375,19 @@ exports.publishMarks = async (req, res) => {
       console.error('Emit marks published event error:', err.message);
     }
 
+    if (updateResult.modifiedCount > 0) {
+      await recordAudit(req, {
+        action: 'publish',
+        entity: 'Marks',
+        summary: `Published ${updateResult.modifiedCount} ${examType} mark record(s) in ${subject}`,
+        metadata: { course, semester, subject, examType, modifiedCount: updateResult.modifiedCount }
+      });
+
+      // Not awaited so a large class does not hold up the response
+      notifyMarksPublished(publishing.map(marks => marks.student), { subject, examType, semester })
+        .catch(error => console.error('Marks published email error:', error.message));
+    }
+
     res.json({
       success: true,
       message: 'Marks published successfully',
@@ -3257,6 +3404,58 @@ exports.publishMarks = async (req, res) => {
   }
 };
 
+// SGPA (for one semester) or CGPA per student from published marks, with distribution
+const GPA_BANDS = [
+    { label: '9-10', min: 9 },
+    { label: '8-9', min: 8 },
+    { label: '7-8', min: 7 },
+    { label: '6-7', min: 6 },
+    { label: '5-6', min: 5 },
+    { label: 'Below 5', min: 0 }
+];
+
+const getGpaStats = async (match, semester) => {
+    const marks = await Marks.find(match)
+        .select('student course subject semester examType attempt marks resultStatus')
+        .lean();
+
+    const byStudent = new Map();
+    marks.forEach(mark => {
+        const key = mark.student.toString();
+        if (!byStudent.has(key)) byStudent.set(key, []);
+        byStudent.get(key).push(mark);
+    });
+
+    const courseIds = Array.from(new Set(marks.map(mark => mark.course.toString())));
+    const courses = new Map();
+    for (const course of await Course.find({ _id: { $in: courseIds } }).select('subjects gradingScheme')) {
+        courses.set(course._id.toString(), { course, scheme: await gradingEngine.resolveScheme(course) });
+    }
+
+    const values = [];
+    let withBacklogs = 0;
+    byStudent.forEach(records => {
+        const results = gradingEngine.computeResults(records, courses.get(records[0].course.toString()) || {});
+        const entry = semester ? results.semesters.find(item => item.semester === semester) : null;
+        values.push(semester ? (entry ? entry.sgpa : 0) : results.cgpa);
+        if ((semester ? (entry ? entry.backlogs.length : 0) : results.backlogs) > 0) withBacklogs++;
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+        measure: semester ? 'sgpa' : 'cgpa',
+        students: values.length,
+        average: values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0,
+        highest: values.length > 0 ? Math.max(...values) : 0,
+        lowest: values.length > 0 ? Math.min(...values) : 0,
+        withBacklogs,
+        distribution: GPA_BANDS.map((band, index) => ({
+            band: band.label,
+            count: values.filter(value => value >= band.min && (index === 0 || value < GPA_BANDS[index - 1].min)).length
+        }))
+    };
+};
+
 // @desc    Get marks statistics for dashboard
 // @route   GET /api/admin/marks/stats
 // @access  Private (Admin)
@@ -3338,9 +3537,12 @@ exports.getMarksStats = async (req, res) => {
             { $sort: { count: -1 } }
         ]);
 
+        const gpaStats = await getGpaStats({ ...match, isPublished: true }, semester ? parseInt(semester) : null);
+
         res.json({
             success: true,
             data: {
+                gpaStats,
                 overall: stats[0] || {
                     totalRecords: 0,
                     totalStudents: 0,
@@ -3425,6 +3627,7 @@ exports.updateMark = async (req, res) => {
     const mark = await Marks.findById(req.params.id);
     if (!mark) return res.status(404).json({ success: false, message: 'Mark not found' });
 
+    const before = mark.toObject();
     Object.keys(req.body).forEach(key => {
       mark[key] = req.body[key];
     });
@@ -3436,6 +3639,13 @@ exports.updateMark = async (req, res) => {
 
     await mark.save();
 
+    // Mark sheets and transcripts printed from the published figures no longer hold
+    if (before.isPublished) {
+      await IssuedDocument.supersede([before], { revokedBy: req.user._id });
+    }
+
+    await recordAudit(req, { action: 'update', entity: 'Marks', before, after: mark, summary: `Updated ${mark.examType} marks in ${mark.subject}` });
+
     // Emit mark-updated to the student and course room
     try {
       const io = req.app.get('io');
@@ -3464,6 +3674,9 @@ exports.deleteMark = async (req, res) => {
     if (!mark) return res.status(404).json({ success: false, message: 'Mark not found' });
 
     await mark.remove();
+
+    await recordAudit(req, { action: 'delete', entity: 'Marks', before: mark, summary: `Deleted ${mark.examType} marks in ${mark.subject}` });
+
     res.json({ success: true, message: 'Mark deleted' });
   } catch (error) {
     console.error('Delete Mark Error:', error);
@@ -3535,6 +3748,8 @@ exports.uploadStudyMaterial = async (req, res) => {
     const download = new Download(downloadData);
     await download.save();
 
+    await recordAudit(req, { action: 'create', entity: 'Download', after: download, summary: `Uploaded study material "${download.title}"` });
+
     // Emit real-time event to students (and course rooms if specific targets set)
     try {
       const io = req.app.get('io');
@@ -3658,12 +3873,15 @@ exports.updateDownload = async (req, res) => {
       updates.specificTargets = JSON.parse(updates.specificTargets);
     }
 
+    const before = download.toObject();
     Object.keys(updates).forEach(key => {
       download[key] = updates[key];
     });
 
     await download.save();
 
+    await recordAudit(req, { action: 'update', entity: 'Download', before, after: download, summary: `Updated study material "${download.title}"` });
+
     res.json({
       success: true,
       message: 'Download updated successfully',
@@ -3693,6 +3911,8 @@ exports.deleteDownload = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: 'delete', entity: 'Download', before: download, summary: `Deleted study material "${download.title}"` });
+
     // TODO: Delete actual file from server
 
     res.json({
@@ -3741,6 +3961,15 @@ exports.createUserForStudent = async (req, res) => {
 
       student.userId = existingUser._id;
       await student.save();
+
+      await recordAudit(req, {
+        action: 'update',
+        entity: 'Student',
+        entityId: student._id,
+        summary: `Linked existing user ${existingUser.username} to student ${student.studentId}`,
+        metadata: { userId: String(existingUser._id), passwordReset: Boolean(password && password.length >= 6) }
+      });
+
       return res.json({ success: true, message: 'User linked to student', data: { username: existingUser.username, email: existingUser.email, password: password && password.length >= 6 ? password : undefined } });
     }
 
@@ -3759,12 +3988,14 @@ exports.createUserForStudent = async (req, res) => {
     student.userId = user._id;
     await student.save();
 
+    await recordAudit(req, { action: 'create', entity: 'User', after: user, summary: `Created user account for student ${student.studentId}` });
+
     // Optionally send welcome email (best-effort)
     try {
       await sendEmail({
         email: user.email,
-        subject: 'Student Portal Account Created',
-        message: `Your student portal account has been created.\nUsername: ${user.username}\nPassword: ${genPassword}\nPlease login at ${process.env.FRONTEND_URL || 'http://localhost:3000'}/login`,
+        template: 'credentials',
+        data: { name: student.fullName, studentId: student.studentId, username: user.username, password: genPassword }
       });
     } catch (emailErr) {
       console.error('Welcome email failed:', emailErr);
@@ -3792,6 +4023,7 @@ exports.createUsersForMissingStudents = async (req, res) => {
   try {
     const students = await Student.find({ userId: { $exists: false } });
     const results = { total: students.length, created: 0, linked: 0, skipped: 0, errors: [] };
+    const affectedIds = [];
 
     for (const student of students) {
       try {
@@ -3805,6 +4037,7 @@ exports.createUsersForMissingStudents = async (req, res) => {
         if (existingUser) {
           student.userId = existingUser._id;
           await student.save();
+          affectedIds.push(student.studentId);
           results.linked++;
           continue;
         }
@@ -3819,19 +4052,29 @@ exports.createUsersForMissingStudents = async (req, res) => {
         try {
           await sendEmail({
             email: user.email,
-            subject: 'Student Portal Account Created',
-            message: `Your account has been created. Username: ${user.username}\nPassword: ${genPassword}\nPlease login at ${process.env.FRONTEND_URL || 'http://localhost:3000'}/login`
+            template: 'credentials',
+            data: { name: student.fullName, studentId: student.studentId, username: user.username, password: genPassword }
           });
         } catch (e) {
           // ignore email errors
         }
 
+        affectedIds.push(student.studentId);
         results.created++;
       } catch (err) {
         results.errors.push({ studentId: student.studentId, error: err.message });
       }
     }
 
+    if (affectedIds.length > 0) {
+      await recordAudit(req, {
+        action: 'bulk-create',
+        entity: 'User',
+        summary: `Created ${results.created} and linked ${results.linked} student user account(s)`,
+        metadata: { created: results.created, linked: results.linked, skipped: results.skipped, studentIds: affectedIds }
+      });
+    }
+
     res.json({ success: true, message: 'Bulk create complete', data: results });
   } catch (error) {
     console.error('Create Users For Missing Students Error:', error);
@@ -3859,12 +4102,15 @@ exports.resetUserPassword = async (req, res) => {
     user.password = password;
     await user.save();
 
+    await recordAudit(req, { action: 'reset-password', entity: 'User', entityId: user._id, summary: `Reset password for ${user.username}` });
+
     // send optional email
     try {
       await sendEmail({
         email: user.email,
-        subject: 'Password Reset by Admin',
-        message: `Your password has been reset by the administrator. Username: ${user.username}\nIf you did not request this, contact support.`
+        template: 'credentialsReset',
+        language: user.notificationPreferences?.language,
+        data: { name: user.username, username: user.username }
       });
     } catch (e) {
       // ignore
@@ -3935,9 +4181,12 @@ exports.updateUserStatus = async (req, res) => {
       });
     }
 
+    const before = user.toObject();
     user.isActive = isActive;
     await user.save();
 
+    await recordAudit(req, { action: 'status-change', entity: 'User', before, after: user, summary: `${isActive ? 'Activated' : 'Deactivated'} user ${user.username}` });
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -3952,26 +4201,126 @@ exports.updateUserStatus = async (req, res) => {
   }
 };
 
-// @desc    Get system logs
-// @route   GET /api/admin/logs
-// @access  Private (Admin)
-exports.getSystemLogs = async (req, res) => {
+// Build an AuditLog query from the list/export filters
+const auditLogQuery = ({ actor, action, entity, entityId, startDate, endDate, search }) => {
+  const query = {};
+
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      query.actor = actor;
+    } else {
+      query.actorName = { $regex: actor, $options: 'i' };
+    }
+  }
+  if (action) query.action = { $in: String(action).split(',') };
+  if (entity) query.entity = entity;
+  if (entityId) query.entityId = String(entityId);
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  if (search) {
+    query.$or = [
+      { summary: { $regex: search, $options: 'i' } },
+      { actorName: { $regex: search, $options: 'i' } },
+      { 'changes.path': { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return query;
+};
+
+// @desc    Get audit trail of admin changes
+// @route   GET /api/admin/audit-logs
+// @access  Private (Admin, canViewReports)
+exports.getAuditLogs = async (req, res) => {
   try {
-    const { type, startDate, endDate } = req.query;
-    
-    // This is a placeholder - implement actual logging system
+    const { page = 1, limit = 50 } = req.query;
+    const query = auditLogQuery(req.query);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .select('-__v'),
+      AuditLog.countDocuments(query)
+    ]);
+
     res.json({
       success: true,
       data: {
-        logs: [],
-        message: 'Logging system not implemented'
+        logs,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get Audit Logs Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs'
+    });
+  }
+};
+
+// @desc    Export audit trail to CSV
+// @route   GET /api/admin/audit-logs/export
+// @access  Private (Admin, canExportData)
+exports.exportAuditLogs = async (req, res) => {
+  try {
+    const logs = await AuditLog.find(auditLogQuery(req.query))
+      .sort({ createdAt: -1 })
+      .limit(10000)
+      .lean();
+
+    const escape = (field) => {
+      let str = field === undefined || field === null ? '' : String(field);
+      // Keep spreadsheets from running logged values (summaries, user agents) as formulas
+      if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+      if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+        return '"' + str.replace(/"/g, '""') + '"';
       }
+      return str;
+    };
+
+    let csv = 'Date,Actor,Role,Action,Entity,Entity ID,Summary,Changes,IP Address,User Agent\n';
+
+    logs.forEach(log => {
+      const changes = (log.changes || [])
+        .map(change => `${change.path}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`)
+        .join('; ');
+
+      csv += [
+        log.createdAt.toISOString(),
+        log.actorName,
+        log.actorRole,
+        log.action,
+        log.entity,
+        log.entityId,
+        log.summary,
+        changes,
+        log.ip,
+        log.userAgent
+      ].map(escape).join(',') + '\n';
     });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=audit-logs-${new Date().toISOString().split('T')[0]}.csv`);
+    res.send(csv);
   } catch (error) {
-    console.error('Get System Logs Error:', error);
+    console.error('Export Audit Logs Error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch system logs'
+      message: 'Failed to export audit logs'
     });
   }
 };
@@ -4005,67 +4354,11 @@ exports.backupDatabase = async (req, res) => {
 // @access  Private (Admin)
 exports.getSystemSettings = async (req, res) => {
   try {
-    // This is a placeholder - implement actual settings system
+    const settings = await Settings.getSettings();
+
     res.json({
       success: true,
-      data: {
-        general: {
-          instituteName: 'Nursing Institute',
-          instituteAddress: '123 Nursing Street, Medical City',
-          contactEmail: 'admin@nursinginstitute.edu',
-          contactPhone: '+91 9876543210',
-          websiteUrl: 'https://nursinginstitute.edu',
-          timezone: 'Asia/Kolkata',
-          language: 'English',
-          dateFormat: 'DD/MM/YYYY',
-          currency: 'INR',
-          academicYear: new Date().getFullYear(),
-          maxLoginAttempts: 5,
-          sessionTimeout: 30
-        },
-        theme: {
-          primaryColor: '#0d6efd',
-          secondaryColor: '#6c757d',
-          accentColor: '#198754',
-          themeMode: 'light',
-          logoUrl: '/logo.png',
-          faviconUrl: '/favicon.ico',
-          headerColor: '#ffffff',
-          sidebarColor: '#343a40'
-        },
-        notification: {
-          emailNotifications: true,
-          smsNotifications: false,
-          pushNotifications: true,
-          studentAlerts: true,
-          facultyAlerts: true,
-          adminAlerts: true,
-          attendanceAlerts: true,
-          marksAlerts: true,
-          feeAlerts: true,
-          newsAlerts: true
-        },
-        security: {
-          requireStrongPassword: true,
-          passwordExpiryDays: 90,
-          twoFactorAuth: false,
-          ipWhitelist: '',
-          allowedFileTypes: 'pdf,doc,docx,xls,xlsx,jpg,jpeg,png',
-          maxFileSize: 10,
-          sslEnforced: true,
-          cookieSecure: true
-        },
-        backup: {
-          autoBackup: true,
-          backupFrequency: 'daily',
-          backupTime: '02:00',
-          keepBackups: 30,
-          backupLocation: 'local',
-          cloudStorage: false,
-          lastBackup: null,
-          nextBackup: null
-        }
-      }
+      data: settings.toSettingsObject()
     });
   } catch (error) {
     console.error('Get System Settings Error:', error);
@@ -4081,19 +4374,73 @@ exports.getSystemSettings = async (req, res) => {
 // @access  Private (Admin)
 exports.updateSystemSettings = async (req, res) => {
   try {
-    const updates = req.body;
-    
-    // This is a placeholder - implement actual settings update
+    // version and updatedAt come back from GET /settings; version guards against lost updates
+    const { version, updatedAt, ...updates } = req.body || {};
+
+    const settings = await Settings.getSettings();
+    if (version !== undefined && Number(version) !== settings.version) {
+      return res.status(409).json({
+        success: false,
+        message: 'Settings were changed by someone else; reload and try again',
+        data: settings.toSettingsObject()
+      });
+    }
+
+    const readVersion = settings.version;
+    const changes = settings.applyUpdates(updates, req.user._id);
+
+    if (changes.length > 0) {
+      // Only save over the version that was read
+      settings.$where = { version: readVersion };
+      await settings.save();
+      await recordAudit(req, {
+        action: 'update',
+        entity: 'Settings',
+        entityId: settings._id,
+        changes,
+        summary: `Updated system settings to version ${settings.version}`
+      });
+    }
+    setCachedSettings(settings);
+
+    if (changes.length > 0) {
+      try {
+        const io = req.app.get('io');
+        if (io) {
+          io.to('admins').emit('settings:updated', {
+            version: settings.version,
+            changes: changes.map(change => change.path)
+          });
+        }
+      } catch (emitErr) {
+        console.error('Socket emit error (settings:updated):', emitErr);
+      }
+    }
+
     res.json({
       success: true,
-      message: 'System settings updated successfully',
-      data: updates
+      message: changes.length > 0 ? 'System settings updated successfully' : 'No changes to system settings',
+      data: settings.toSettingsObject(),
+      changes
     });
   } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({
+        success: false,
+        message: 'Settings were changed by someone else; reload and try again'
+      });
+    }
     console.error('Update System Settings Error:', error);
-    res.status(500).json({
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid settings',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to update system settings'
+      message: error.statusCode ? error.message : 'Failed to update system settings'
     });
   }
 };
@@ -4103,77 +4450,78 @@ exports.updateSystemSettings = async (req, res) => {
 // @access  Private (Admin)
 exports.resetSystemSettings = async (req, res) => {
   try {
-    // Return default values - implement persistent reset as needed
-    const defaults = {
-      general: {
-        instituteName: 'Nursing Institute',
-        instituteAddress: '123 Nursing Street, Medical City',
-        contactEmail: 'admin@nursinginstitute.edu',
-        contactPhone: '+91 9876543210',
-        websiteUrl: 'https://nursinginstitute.edu',
-        timezone: 'Asia/Kolkata',
-        language: 'English',
-        dateFormat: 'DD/MM/YYYY',
-        currency: 'INR',
-        academicYear: new Date().getFullYear(),
-        maxLoginAttempts: 5,
-        sessionTimeout: 30
-      },
-      theme: {
-        primaryColor: '#0d6efd',
-        secondaryColor: '#6c757d',
-        accentColor: '#198754',
-        themeMode: 'light',
-        logoUrl: '/logo.png',
-        faviconUrl: '/favicon.ico',
-        headerColor: '#ffffff',
-        sidebarColor: '#343a40'
-      },
-      notification: {
-        emailNotifications: true,
-        smsNotifications: false,
-        pushNotifications: true,
-        studentAlerts: true,
-        facultyAlerts: true,
-        adminAlerts: true,
-        attendanceAlerts: true,
-        marksAlerts: true,
-        feeAlerts: true,
-        newsAlerts: true
-      },
-      security: {
-        requireStrongPassword: true,
-        passwordExpiryDays: 90,
-        twoFactorAuth: false,
-        ipWhitelist: '',
-        allowedFileTypes: 'pdf,doc,docx,xls,xlsx,jpg,jpeg,png',
-        maxFileSize: 10,
-        sslEnforced: true,
-        cookieSecure: true
-      },
-      backup: {
-        autoBackup: true,
-        backupFrequency: 'daily',
-        backupTime: '02:00',
-        keepBackups: 30,
-        backupLocation: 'local',
-        cloudStorage: false,
-        lastBackup: null,
-        nextBackup: null
-      }
-    };
+    // Optional list of sections to reset; all sections otherwise. version guards as in updates.
+    const { sections, version } = req.body || {};
+
+    const settings = await Settings.getSettings();
+    if (version !== undefined && Number(version) !== settings.version) {
+      return res.status(409).json({
+        success: false,
+        message: 'Settings were changed by someone else; reload and try again',
+        data: settings.toSettingsObject()
+      });
+    }
+
+    const readVersion = settings.version;
+    const changes = settings.resetToDefaults(sections, req.user._id);
+    // Only save over the version that was read
+    settings.$where = { version: readVersion };
+    await settings.save();
+    setCachedSettings(settings);
+
+    await recordAudit(req, {
+      action: 'reset',
+      entity: 'Settings',
+      entityId: settings._id,
+      changes,
+      summary: `Reset ${sections && sections.length > 0 ? sections.join(', ') : 'all'} settings to defaults`,
+      metadata: { version: settings.version }
+    });
 
-    // TODO: Persist defaults to DB/config if required
     res.json({
       success: true,
       message: 'Settings reset to defaults',
-      data: defaults
+      data: settings.toSettingsObject(),
+      changes
     });
   } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({
+        success: false,
+        message: 'Settings were changed by someone else; reload and try again'
+      });
+    }
     console.error('Reset System Settings Error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to reset system settings'
+    });
+  }
+};
+
+// @desc    Get system settings change history
+// @route   GET /api/admin/settings/history
+// @access  Private (Admin)
+exports.getSettingsHistory = async (req, res) => {
+  try {
+    const settings = await Settings.findOne({ key: 'system' })
+      .select('version history')
+      .populate('history.changedBy', 'username email');
+
+    const history = settings ? [...settings.history].reverse() : [];
+
+    res.json({
+      success: true,
+      data: {
+        version: settings ? settings.version : 1,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get Settings History Error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to reset system settings'
+      message: 'Failed to fetch settings history'
     });
   }
 };
@@ -4183,8 +4531,7 @@ exports.resetSystemSettings = async (req, res) => {
 // @access  Private (Admin)
 exports.clearCache = async (req, res) => {
   try {
-    // Placeholder: clear in-memory caches, temp files, etc.
-    // Implement actual cache clearing for your environment
+    clearSettingsCache();
     res.json({ success: true, message: 'Cache cleared successfully' });
   } catch (error) {
     console.error('Clear Cache Error:', error);
@@ -4192,13 +4539,25 @@ exports.clearCache = async (req, res) => {
   }
 };
 
+// Clash checks can be overridden with force=true (JSON body or multipart field)
+const isForced = (value) => value === true || value === 'true';
+
+const timetableConflictResponse = (res, conflicts) => {
+  return res.status(409).json({
+    success: false,
+    message: 'Timetable entry clashes with existing entries',
+    conflicts
+  });
+};
+
 // @desc    Add new timetable entry
 // @route   POST /api/admin/timetable
 // @access  Private (Admin)
 exports.addTimetable = async (req, res) => {
   try {
+    const { force, ...body } = req.body;
     const timetableData = {
-      ...req.body,
+      ...body,
       createdBy: req.user._id
     };
 
@@ -4222,17 +4581,50 @@ exports.addTimetable = async (req, res) => {
       });
     }
 
+    // Faculty may be given as an id, faculty code or full name
+    const faculty = await Faculty.resolveRef(timetableData.faculty);
+    if (!faculty) {
+      return res.status(400).json({
+        success: false,
+        message: `Faculty ${timetableData.faculty} not found`
+      });
+    }
+    timetableData.faculty = faculty._id;
+
     const timetable = new Timetable(timetableData);
+    await timetable.validate();
+
+    const conflicts = await Timetable.findConflicts(timetable);
+    if (conflicts.length > 0 && !isForced(force)) {
+      return timetableConflictResponse(res, conflicts);
+    }
+
     await timetable.save();
 
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'Timetable',
+      after: timetable,
+      summary: `Added timetable entry ${timetable.subject} on ${timetable.day} ${timetable.startTime}-${timetable.endTime}`,
+      metadata: conflicts.length > 0 ? { forcedConflicts: conflicts.length } : undefined
+    });
+
+    await timetable.populate('faculty', 'fullName facultyId');
+
     res.status(201).json({
       success: true,
       message: 'Timetable entry added successfully',
-      data: timetable
+      data: timetable,
+      warnings: conflicts
     });
   } catch (error) {
     console.error('Add Timetable Error:', error);
-    if (error.code === 11000) {
+    if (error.name === 'ValidationError') {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    } else if (error.code === 11000) {
       res.status(400).json({
         success: false,
         message: 'Timetable entry already exists for this course, semester, day, and time slot'
@@ -4258,8 +4650,17 @@ exports.getAllTimetables = async (req, res) => {
     if (course) query.course = course;
     if (semester) query.semester = parseInt(semester);
     if (day) query.day = day;
-    if (faculty) query.faculty = { $regex: faculty, $options: 'i' };
     if (subject) query.subject = { $regex: subject, $options: 'i' };
+    if (faculty) {
+      const facultyMember = await Faculty.resolveRef(faculty);
+      if (!facultyMember) {
+        return res.json({
+          success: true,
+          data: { timetables: [], total: 0, page: parseInt(page), pages: 0 }
+        });
+      }
+      query.faculty = facultyMember._id;
+    }
 
     const total = await Timetable.countDocuments(query);
     const timetables = await Timetable.find(query)
@@ -4267,6 +4668,7 @@ exports.getAllTimetables = async (req, res) => {
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit))
       .populate('course', 'courseName courseCode')
+      .populate('faculty', 'fullName facultyId')
       .populate('createdBy', 'username');
 
     res.json({
@@ -4287,6 +4689,93 @@ exports.getAllTimetables = async (req, res) => {
   }
 };
 
+// @desc    Get weekly teaching load per faculty member
+// @route   GET /api/admin/timetable/faculty-load
+// @access  Private (Admin)
+exports.getFacultyLoad = async (req, res) => {
+  try {
+    const { course, semester, department } = req.query;
+
+    const query = { isActive: true };
+    if (course) query.course = course;
+    if (semester) query.semester = parseInt(semester);
+
+    const facultyQuery = { isActive: true };
+    if (department) facultyQuery.department = department;
+
+    const [entries, facultyMembers] = await Promise.all([
+      Timetable.find(query).select('faculty course semester subject day startTime endTime type').lean(),
+      Faculty.find(facultyQuery).select('fullName facultyId designation department').lean()
+    ]);
+
+    const entriesByFaculty = {};
+    entries.forEach(entry => {
+      const key = entry.faculty.toString();
+      if (!entriesByFaculty[key]) entriesByFaculty[key] = [];
+      entriesByFaculty[key].push(entry);
+    });
+
+    const load = facultyMembers
+      .map(member => ({
+        faculty: member,
+        ...Timetable.summarizeLoad(entriesByFaculty[member._id.toString()] || [])
+      }))
+      .sort((a, b) => b.totalMinutes - a.totalMinutes);
+
+    res.json({
+      success: true,
+      data: {
+        load,
+        totals: {
+          faculty: load.length,
+          unassigned: load.filter(item => item.totalSessions === 0).length,
+          totalHours: Math.round(load.reduce((sum, item) => sum + item.totalHours, 0) * 100) / 100
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get Faculty Load Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch faculty load'
+    });
+  }
+};
+
+// @desc    Audit active timetable entries for room, faculty and cohort clashes
+// @route   GET /api/admin/timetable/conflicts
+// @access  Private (Admin)
+exports.getTimetableConflicts = async (req, res) => {
+  try {
+    const { course, semester, day, type } = req.query;
+
+    const filter = {};
+    if (course) filter.course = course;
+    if (semester) filter.semester = parseInt(semester);
+    if (day) filter.day = day;
+
+    let conflicts = await Timetable.findAllConflicts(filter);
+    if (type) conflicts = conflicts.filter(conflict => conflict.type === type);
+
+    const summary = { total: conflicts.length, room: 0, faculty: 0, cohort: 0 };
+    conflicts.forEach(conflict => { summary[conflict.type]++; });
+
+    res.json({
+      success: true,
+      data: {
+        conflicts,
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Get Timetable Conflicts Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check timetable conflicts'
+    });
+  }
+};
+
 // @desc    Get single timetable entry
 // @route   GET /api/admin/timetable/:id
 // @access  Private (Admin)
@@ -4294,6 +4783,7 @@ exports.getTimetable = async (req, res) => {
   try {
     const timetable = await Timetable.findById(req.params.id)
       .populate('course', 'courseName courseCode duration')
+      .populate('faculty', 'fullName facultyId department')
       .populate('createdBy', 'username');
 
     if (!timetable) {
@@ -4322,7 +4812,7 @@ exports.getTimetable = async (req, res) => {
 exports.updateTimetable = async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { force, ...updates } = req.body;
 
     const timetable = await Timetable.findById(id);
     if (!timetable) {
@@ -4332,21 +4822,60 @@ exports.updateTimetable = async (req, res) => {
       });
     }
 
+    if (updates.faculty) {
+      const faculty = await Faculty.resolveRef(updates.faculty);
+      if (!faculty) {
+        return res.status(400).json({
+          success: false,
+          message: `Faculty ${updates.faculty} not found`
+        });
+      }
+      updates.faculty = faculty._id;
+    }
+
+    const before = timetable.toObject();
+
     // Apply updates
     Object.keys(updates).forEach(key => {
       timetable[key] = updates[key];
     });
 
+    await timetable.validate();
+
+    const conflicts = timetable.isActive
+      ? await Timetable.findConflicts(timetable, { excludeId: timetable._id })
+      : [];
+    if (conflicts.length > 0 && !isForced(force)) {
+      return timetableConflictResponse(res, conflicts);
+    }
+
     await timetable.save();
 
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'Timetable',
+      before,
+      after: timetable,
+      summary: `Updated timetable entry ${timetable.subject} on ${timetable.day}`,
+      metadata: conflicts.length > 0 ? { forcedConflicts: conflicts.length } : undefined
+    });
+
+    await timetable.populate('faculty', 'fullName facultyId');
+
     res.json({
       success: true,
       message: 'Timetable entry updated successfully',
-      data: timetable
+      data: timetable,
+      warnings: conflicts
     });
   } catch (error) {
     console.error('Update Timetable Error:', error);
-    if (error.code === 11000) {
+    if (error.name === 'ValidationError') {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    } else if (error.code === 11000) {
       res.status(400).json({
         success: false,
         message: 'Timetable entry already exists for this course, semester, day, and time slot'
@@ -4375,6 +4904,8 @@ exports.deleteTimetable = async (req, res) => {
       });
     }
 
+    await recordAudit(req, { action: 'delete', entity: 'Timetable', before: timetable, summary: `Deleted timetable entry ${timetable.subject} on ${timetable.day}` });
+
     res.json({
       success: true,
       message: 'Timetable entry deleted successfully'
@@ -4400,11 +4931,13 @@ exports.bulkUploadTimetable = async (req, res) => {
       });
     }
 
+    const force = isForced(req.body.force);
     const results = {
       total: 0,
       success: 0,
       failed: 0,
-      errors: []
+      errors: [],
+      warnings: []
     };
 
     // Read CSV data
@@ -4431,6 +4964,12 @@ exports.bulkUploadTimetable = async (req, res) => {
           throw new Error(`Course ${courseCode} not found`);
         }
 
+        // Faculty column may hold a faculty code or full name
+        const facultyMember = await Faculty.resolveRef(faculty);
+        if (!facultyMember) {
+          throw new Error(`Faculty ${faculty.trim()} not found`);
+        }
+
         const timetableData = {
           course: course._id,
           semester: parseInt(semester.trim()),
@@ -4439,13 +4978,26 @@ exports.bulkUploadTimetable = async (req, res) => {
           startTime: startTime.trim(),
           endTime: endTime.trim(),
           type: type.trim() || 'Theory',
-          faculty: faculty.trim(),
+          faculty: facultyMember._id,
           room: room.trim(),
           createdBy: req.user._id
         };
 
         const timetable = new Timetable(timetableData);
+        await timetable.validate();
+
+        // Earlier rows are already saved, so clashes within the file are caught too
+        const conflicts = await Timetable.findConflicts(timetable);
+        if (conflicts.length > 0 && !force) {
+          const error = new Error(conflicts.map(conflict => conflict.message).join('; '));
+          error.conflicts = conflicts;
+          throw error;
+        }
+
         await timetable.save();
+        if (conflicts.length > 0) {
+          results.warnings.push({ row: i + 2, conflicts });
+        }
         results.success++;
         results.total++;
 
@@ -4454,7 +5006,8 @@ exports.bulkUploadTimetable = async (req, res) => {
         results.total++;
         results.errors.push({
           row: i + 2,
-          error: error.message
+          error: error.message,
+          ...(error.conflicts && { conflicts: error.conflicts })
         });
       }
     }
@@ -4462,6 +5015,15 @@ exports.bulkUploadTimetable = async (req, res) => {
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
 
+    if (results.success > 0) {
+      await recordAudit(req, {
+        action: 'bulk-create',
+        entity: 'Timetable',
+        summary: `Bulk uploaded ${results.success} timetable entr${results.success === 1 ? 'y' : 'ies'}`,
+        metadata: { fileName: req.file.originalname, total: results.total, failed: results.failed, forced: force }
+      });
+    }
+
     res.json({
       success: true,
       message: 'Bulk upload completed',
@@ -4635,11 +5197,14 @@ exports.updateContactStatus = async (req, res) => {
       });
     }
 
+    const before = contact.toObject();
     contact.status = status || contact.status;
     if (assignedTo) contact.assignedTo = assignedTo;
 
     await contact.save();
 
+    await recordAudit(req, { action: 'status-change', entity: 'Contact', before, after: contact, summary: `Contact from ${contact.name} set to ${contact.status}` });
+
     res.json({
       success: true,
       message: 'Contact status updated successfully',
@@ -4677,6 +5242,14 @@ exports.addContactNote = async (req, res) => {
 
     await contact.save();
 
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'Contact',
+      entityId: contact._id,
+      changes: [{ path: 'notes', from: null, to: note }],
+      summary: `Added note to contact from ${contact.name}`
+    });
+
     res.json({
       success: true,
       message: 'Note added successfully',
@@ -4711,6 +5284,7 @@ exports.replyToContact = async (req, res) => {
     await sendReplyEmail(contact.email, contact.name, contact.subject, replyMessage);
 
     // Update contact record
+    const before = contact.toObject();
     contact.replied = true;
     contact.replyMessage = replyMessage;
     contact.repliedBy = req.user._id;
@@ -4719,6 +5293,8 @@ exports.replyToContact = async (req, res) => {
 
     await contact.save();
 
+    await recordAudit(req, { action: 'update', entity: 'Contact', before, after: contact, summary: `Replied to contact from ${contact.name}` });
+
     res.json({
       success: true,
       message: 'Reply sent successfully',
@@ -4845,39 +5421,12 @@ exports.getContactStats = async (req, res) => {
 // Email sending functions
 const sendReplyEmail = async (to, name, subject, replyMessage) => {
   try {
-    const transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: process.env.EMAIL_PORT === '465',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
+    await sendEmail({
+      email: to,
+      fromName: 'Nursing Institute Support',
+      template: 'contactReply',
+      data: { name, subject, reply: replyMessage }
     });
-
-    const mailOptions = {
-      from: `"Nursing Institute Support" <${process.env.EMAIL_USER}>`,
-      to,
-      subject: `Re: ${subject}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #2c3e50;">Response from Nursing Institute</h2>
-          <p>Dear ${name},</p>
-          <p>Thank you for contacting us. Here is our response to your inquiry:</p>
-          <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #3498db;">
-            ${replyMessage}
-          </div>
-          <p>If you have any further questions, please don't hesitate to contact us again.</p>
-          <p>Best regards,<br>Nursing Institute Support Team</p>
-          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
-          <p style="font-size: 12px; color: #7f8c8d;">
-            This is an automated response. Please do not reply to this email.
-          </p>
-        </div>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
     console.log(`Reply email sent to ${to}`);
   } catch (error) {
     console.error('Reply email error:', error);
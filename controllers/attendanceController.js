@@ -0,0 +1,522 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const Attendance = require('../models/Attendance');
+const Faculty = require('../models/Faculty');
+const User = require('../models/User');
+const { computeEligibility, findShortages, getRequirements } = require('../utils/attendanceEligibility');
+const attendanceAlerts = require('../utils/attendanceAlerts');
+const { recordAudit } = require('../utils/audit');
+
+// @desc    Per-subject exam eligibility for the logged-in student
+// @route   GET /api/student/attendance/eligibility
+// @access  Private (Student)
+exports.getMyEligibility = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const course = await Course.findById(student.courseEnrolled).select('courseName courseCode attendanceRequirements');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found for student'
+      });
+    }
+
+    const eligibility = await computeEligibility({
+      course,
+      semester: student.semester,
+      studentIds: [student._id]
+    });
+    const subjects = eligibility.get(student._id.toString()) || [];
+
+    res.json({
+      success: true,
+      data: {
+        semester: student.semester,
+        requirements: getRequirements(course),
+        eligible: subjects.every(subject => subject.eligible),
+        subjects
+      }
+    });
+  } catch (error) {
+    console.error('Get Attendance Eligibility Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute attendance eligibility'
+    });
+  }
+};
+
+// @desc    Students below the attendance required for exams
+// @route   GET /api/admin/attendance/shortage?course&semester&subject&component&minSessions
+// @access  Private (Admin, canViewReports)
+exports.getShortageReport = async (req, res) => {
+  try {
+    const { course, semester, subject, component, minSessions = 0 } = req.query;
+
+    if (!course || !mongoose.Types.ObjectId.isValid(course)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid course is required'
+      });
+    }
+
+    if (component && !Attendance.COMPONENTS.includes(component)) {
+      return res.status(400).json({
+        success: false,
+        message: `component must be one of: ${Attendance.COMPONENTS.join(', ')}`
+      });
+    }
+
+    const courseDoc = await Course.findById(course).select('courseName courseCode attendanceRequirements');
+    if (!courseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const studentQuery = { courseEnrolled: courseDoc._id, academicStatus: 'Active' };
+    if (semester) studentQuery.semester = parseInt(semester);
+    const students = await Student.find(studentQuery)
+      .select('studentId firstName lastName semester')
+      .sort({ studentId: 1 });
+
+    const report = [];
+    const semesters = Array.from(new Set(students.map(student => student.semester))).sort((a, b) => a - b);
+    for (const studentSemester of semesters) {
+      const classStudents = students.filter(student => student.semester === studentSemester);
+      const eligibility = await computeEligibility({
+        course: courseDoc,
+        semester: studentSemester,
+        studentIds: classStudents.map(student => student._id),
+        subject
+      });
+
+      classStudents.forEach(student => {
+        const shortages = findShortages(eligibility.get(student._id.toString()), {
+          minSessions: parseInt(minSessions) || 0,
+          component
+        });
+        if (shortages.length > 0) {
+          report.push({
+            _id: student._id,
+            studentId: student.studentId,
+            fullName: student.fullName,
+            semester: student.semester,
+            shortages
+          });
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        course: {
+          _id: courseDoc._id,
+          courseName: courseDoc.courseName,
+          courseCode: courseDoc.courseCode
+        },
+        requirements: getRequirements(courseDoc),
+        totalStudents: students.length,
+        studentsShort: report.length,
+        students: report
+      }
+    });
+  } catch (error) {
+    console.error('Attendance Shortage Report Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate attendance shortage report'
+    });
+  }
+};
+
+// @desc    Run the attendance shortage alerts now instead of waiting for the daily job
+// @route   POST /api/admin/attendance/shortage/alerts
+// @access  Private (Admin, canManageAttendance)
+exports.runShortageAlerts = async (req, res) => {
+  try {
+    const { course } = req.body;
+    if (course && !mongoose.Types.ObjectId.isValid(course)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid course'
+      });
+    }
+
+    const result = await attendanceAlerts.runOnce({ course });
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        message: result.skipped
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'other',
+      entity: 'AttendanceAlert',
+      summary: `Ran attendance shortage alerts: ${result.warned} student(s) warned`,
+      metadata: { course, ...result }
+    });
+
+    res.json({
+      success: true,
+      message: `${result.warned} student(s) warned`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Run Attendance Alerts Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run attendance alerts'
+    });
+  }
+};
+
+// Attendance a verifier may act on: everything for admins, records by the department's faculty for a HOD,
+// except attendance the HOD recorded themselves
+const getVerificationScope = async (req) => {
+  if (req.user.role === 'admin') return {};
+  const colleagues = await Faculty.find({ department: req.faculty.department }).select('userId');
+  return {
+    recordedBy: {
+      $in: colleagues
+        .map(faculty => faculty.userId)
+        .filter(userId => userId && userId.toString() !== req.user._id.toString())
+    }
+  };
+};
+
+// Records for one date, as stored by the mark attendance endpoints
+const dayRange = (date) => {
+  const start = new Date(date);
+  if (isNaN(start)) return null;
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { $gte: start, $lt: end };
+};
+
+// Case-insensitive exact match on a subject name
+const subjectMatcher = (subject) => {
+  return { $regex: `^${subject.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' };
+};
+
+// Names of the users who recorded attendance, from their faculty profile where there is one
+const recorderNames = async (userIds) => {
+  const [faculty, users] = await Promise.all([
+    Faculty.find({ userId: { $in: userIds } }).select('userId facultyId fullName department'),
+    User.find({ _id: { $in: userIds } }).select('username role')
+  ]);
+  const names = new Map(users.map(user => [user._id.toString(), { username: user.username, role: user.role }]));
+  faculty.forEach(profile => {
+    names.set(profile.userId.toString(), {
+      ...names.get(profile.userId.toString()),
+      facultyId: profile.facultyId,
+      fullName: profile.fullName,
+      department: profile.department
+    });
+  });
+  return names;
+};
+
+// @desc    Class attendance awaiting verification, one entry per class, date and session
+// @route   GET /api/admin/attendance/verification, GET /api/faculty-portal/attendance/verification
+// @access  Private (Admin with canManageAttendance, or HOD for their department)
+exports.getVerificationQueue = async (req, res) => {
+  try {
+    const { status = 'Pending', course, semester, subject, date, from, to, recordedBy, page = 1, limit = 50 } = req.query;
+
+    if (!['Pending', 'Verified', 'Rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be Pending, Verified or Rejected'
+      });
+    }
+
+    const match = { ...(await getVerificationScope(req)), verificationStatus: status };
+    if (course) {
+      if (!mongoose.Types.ObjectId.isValid(course)) {
+        return res.status(400).json({ success: false, message: 'Invalid course' });
+      }
+      match.course = new mongoose.Types.ObjectId(course);
+    }
+    if (semester) match.semester = parseInt(semester);
+    if (subject) match.subject = subjectMatcher(subject);
+    if (date) {
+      match.date = dayRange(date);
+    } else if (from || to) {
+      match.date = {};
+      if (from) match.date.$gte = new Date(from);
+      if (to) match.date.$lte = new Date(to);
+    }
+    if (recordedBy) {
+      if (!mongoose.Types.ObjectId.isValid(recordedBy)) {
+        return res.status(400).json({ success: false, message: 'Invalid recordedBy' });
+      }
+      // Keep a HOD inside their department
+      match.recordedBy = match.recordedBy
+        ? { $in: match.recordedBy.$in.filter(id => id.toString() === recordedBy) }
+        : new mongoose.Types.ObjectId(recordedBy);
+    }
+
+    const pageSize = parseInt(limit);
+    const [result] = await Attendance.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            course: '$course',
+            semester: '$semester',
+            subject: '$subject',
+            date: '$date',
+            session: '$session',
+            recordedBy: '$recordedBy'
+          },
+          type: { $first: '$type' },
+          students: { $sum: 1 },
+          present: { $sum: { $cond: [{ $in: ['$status', ['Present', 'Late']] }, 1, 0] } },
+          absent: { $sum: { $cond: [{ $eq: ['$status', 'Absent'] }, 1, 0] } },
+          leave: { $sum: { $cond: [{ $in: ['$status', ['Leave', 'Medical Leave']] }, 1, 0] } },
+          recordedAt: { $min: '$createdAt' },
+          verifiedAt: { $max: '$verifiedAt' },
+          verificationRemarks: { $first: '$verificationRemarks' }
+        }
+      },
+      { $sort: { '_id.date': 1, '_id.course': 1, '_id.semester': 1, '_id.subject': 1 } },
+      {
+        $facet: {
+          classes: [{ $skip: (parseInt(page) - 1) * pageSize }, { $limit: pageSize }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const classes = result.classes;
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    const [courses, recorders] = await Promise.all([
+      Course.find({ _id: { $in: classes.map(entry => entry._id.course) } }).select('courseName courseCode'),
+      recorderNames(classes.map(entry => entry._id.recordedBy))
+    ]);
+    const coursesById = new Map(courses.map(courseDoc => [courseDoc._id.toString(), courseDoc]));
+
+    res.json({
+      success: true,
+      data: {
+        classes: classes.map(({ _id, ...stats }) => ({
+          ..._id,
+          course: coursesById.get(_id.course.toString()) || _id.course,
+          recordedBy: { _id: _id.recordedBy, ...recorders.get(_id.recordedBy.toString()) },
+          status,
+          ...stats
+        })),
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Get Attendance Verification Queue Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance verification queue'
+    });
+  }
+};
+
+// @desc    Verify or reject a class's attendance for a date; verified records are locked against edits.
+//          Admins can reopen verified or rejected attendance with status 'Pending'.
+// @route   PUT /api/admin/attendance/verification, PUT /api/faculty-portal/attendance/verification
+// @access  Private (Admin with canManageAttendance, or HOD for their department)
+exports.verifyClassAttendance = async (req, res) => {
+  try {
+    const { course, semester, subject, date, session, status, remarks } = req.body;
+
+    if (!course || !semester || !subject || !date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: course, semester, subject, date'
+      });
+    }
+
+    const allowed = req.user.role === 'admin' ? ['Verified', 'Rejected', 'Pending'] : ['Verified', 'Rejected'];
+    if (!allowed.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${allowed.join(', ')}`
+      });
+    }
+
+    if (status === 'Rejected' && !(remarks && remarks.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remarks are required when rejecting attendance'
+      });
+    }
+
+    const range = dayRange(date);
+    if (!range || !mongoose.Types.ObjectId.isValid(course)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid course or date'
+      });
+    }
+
+    const filter = {
+      ...(await getVerificationScope(req)),
+      course,
+      semester: parseInt(semester),
+      subject: subjectMatcher(subject),
+      date: range,
+      // Reopening applies to decided records, verifying and rejecting to pending ones
+      verificationStatus: status === 'Pending' ? { $in: ['Verified', 'Rejected'] } : 'Pending'
+    };
+    if (session) filter.session = session;
+
+    const recorders = await Attendance.distinct('recordedBy', filter);
+    if (recorders.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: status === 'Pending'
+          ? 'No verified or rejected attendance found for this class and date'
+          : 'No pending attendance found for this class and date'
+      });
+    }
+
+    let update;
+    if (status === 'Pending') {
+      update = { $set: { verificationStatus: 'Pending' }, $unset: { verifiedBy: 1, verifiedAt: 1, verificationRemarks: 1 } };
+    } else {
+      update = { $set: { verificationStatus: status, verifiedBy: req.user._id, verifiedAt: new Date() } };
+      if (remarks && remarks.trim()) {
+        update.$set.verificationRemarks = remarks.trim();
+      } else {
+        update.$unset = { verificationRemarks: 1 };
+      }
+    }
+    const result = await Attendance.updateMany(filter, update);
+
+    const action = status === 'Pending' ? 'Reopened' : status;
+    await recordAudit(req, {
+      action: 'status-change',
+      entity: 'Attendance',
+      summary: `${action} ${result.modifiedCount} attendance record(s) for ${subject} on ${new Date(date).toDateString()}`,
+      metadata: { course, semester, subject, date, session, status, remarks }
+    });
+
+    // Let the faculty who took the attendance know
+    try {
+      const io = req.app.get('io');
+      if (io) {
+        recorders.forEach(userId => {
+          io.to(`user:${userId}`).emit('attendance:verification', {
+            course,
+            semester,
+            subject,
+            date,
+            session,
+            status,
+            remarks
+          });
+        });
+      }
+    } catch (emitErr) {
+      console.error('Socket emit error (attendance:verification):', emitErr);
+    }
+
+    res.json({
+      success: true,
+      message: `${action} ${result.modifiedCount} attendance record(s)`,
+      data: {
+        modifiedCount: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Verify Attendance Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update attendance verification'
+    });
+  }
+};
+
+// @desc    Attendance still to be verified, and rejected attendance to correct, per faculty member
+// @route   GET /api/admin/attendance/verification/by-faculty, GET /api/faculty-portal/attendance/verification/by-faculty
+// @access  Private (Admin with canViewReports, or HOD for their department)
+exports.getPendingVerificationsByFaculty = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const match = {
+      ...(await getVerificationScope(req)),
+      verificationStatus: { $in: ['Pending', 'Rejected'] }
+    };
+    if (from || to) {
+      match.date = {};
+      if (from) match.date.$gte = new Date(from);
+      if (to) match.date.$lte = new Date(to);
+    }
+
+    const rows = await Attendance.aggregate([
+      { $match: match },
+      // One row per class session first, so classes are counted rather than student records
+      {
+        $group: {
+          _id: {
+            recordedBy: '$recordedBy',
+            status: '$verificationStatus',
+            course: '$course',
+            semester: '$semester',
+            subject: '$subject',
+            date: '$date',
+            session: '$session'
+          },
+          records: { $sum: 1 }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.recordedBy',
+          pendingClasses: { $sum: { $cond: [{ $eq: ['$_id.status', 'Pending'] }, 1, 0] } },
+          pendingRecords: { $sum: { $cond: [{ $eq: ['$_id.status', 'Pending'] }, '$records', 0] } },
+          rejectedClasses: { $sum: { $cond: [{ $eq: ['$_id.status', 'Rejected'] }, 1, 0] } },
+          oldestPending: { $min: { $cond: [{ $eq: ['$_id.status', 'Pending'] }, '$_id.date', null] } }
+        }
+      },
+      { $sort: { pendingClasses: -1 } }
+    ]);
+
+    const recorders = await recorderNames(rows.map(row => row._id));
+    const faculty = rows.map(({ _id, ...counts }) => ({
+      recordedBy: { _id, ...recorders.get(_id.toString()) },
+      ...counts
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        faculty,
+        totals: {
+          pendingClasses: faculty.reduce((sum, row) => sum + row.pendingClasses, 0),
+          pendingRecords: faculty.reduce((sum, row) => sum + row.pendingRecords, 0),
+          rejectedClasses: faculty.reduce((sum, row) => sum + row.rejectedClasses, 0)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Pending Verifications By Faculty Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pending verifications'
+    });
+  }
+};
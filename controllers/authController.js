@@ -2,9 +2,24 @@ const User = require('../models/User');
 const Student = require('../models/Student');
 const Faculty = require('../models/Faculty');
 const Admin = require('../models/Admin');
+const Notification = require('../models/Notification');
+const Parent = require('../models/Parent');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const sendEmail = require('../utils/sendEmail');
+const { sendSMS } = require('../utils/sendSMS');
+const { LANGUAGES } = require('../utils/emailTemplates');
+const { getSettings, isTwoFactorRequired } = require('../utils/settings');
+const { generateSecret, verifyTOTP, buildOtpauthUrl } = require('../utils/totp');
+const Session = require('../models/Session');
+const {
+  issueTokens,
+  rotateTokens,
+  disconnectSockets,
+  revokeUserSessions,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../utils/tokens');
  
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -59,8 +74,8 @@ exports.register = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = user.generateAuthToken();
+    // Start a session
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     // Update last login
     await user.updateLastLogin();
@@ -72,6 +87,8 @@ exports.register = async (req, res) => {
       success: true,
       message: 'Registration successful',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         _id: user._id,
         username: user.username,
@@ -108,6 +125,52 @@ exports.register = async (req, res) => {
   }
 };
 
+// Finish a login: clear failed attempts, start a session and send the profile
+const completeLogin = async (req, res, user) => {
+  await user.resetLoginAttempts();
+  await user.updateLastLogin();
+
+  // Start a session
+  const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+
+  // Get profile based on role
+  let profile = null;
+  if (user.role === 'admin') {
+    profile = await Admin.findOne({ userId: user._id });
+  } else if (user.role === 'student') {
+    profile = await Student.findOne({ userId: user._id });
+  } else if (user.role === 'parent') {
+    profile = await Parent.findOne({ userId: user._id })
+      .populate('students.student', 'studentId firstName lastName semester profileImage');
+  }
+
+  // Roles the policy requires to use two-factor must enrol before anything else
+  const settings = await getSettings();
+  const twoFactorEnrolmentRequired = !(user.twoFactor && user.twoFactor.enabled) &&
+    isTwoFactorRequired(settings, user.role);
+
+  console.log(`🎉 Login successful for: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn,
+    twoFactorEnrolmentRequired,
+    user: {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      isActive: user.isActive,
+      profileImage: user.profileImage,
+      twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+      profile: profile
+    }
+  });
+};
+
 // @desc    Login user - SIMPLE WORKING VERSION
 // @route   POST /api/auth/login
 // @access  Public
@@ -152,6 +215,15 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Check if locked after too many failed attempts
+    if (user.isLocked) {
+      const minutesLeft = Math.ceil((user.lockUntil - Date.now()) / 60000);
+      return res.status(423).json({
+        success: false,
+        message: `Account is locked due to too many failed login attempts. Try again in ${minutesLeft} minute(s).`
+      });
+    }
+
     // SIMPLE PASSWORD CHECK - Direct bcrypt
     const bcrypt = require('bcryptjs');
     let isPasswordValid = await bcrypt.compare(password, user.password);
@@ -175,44 +247,50 @@ exports.login = async (req, res) => {
     console.log(`🔐 Password check: ${isPasswordValid ? '✅ VALID' : '❌ INVALID'}`);
 
     if (!isPasswordValid) {
+      const { general } = await getSettings();
+      const lockedUntil = await user.incLoginAttempts({
+        maxAttempts: general.maxLoginAttempts,
+        lockoutMinutes: general.lockoutDuration
+      });
+
+      if (lockedUntil) {
+        console.log(`🔒 Account locked until ${lockedUntil.toISOString()}: ${identifier}`);
+        try {
+          const io = req.app.get('io');
+          if (io) {
+            io.to('admins').emit('account:locked', {
+              userId: user._id,
+              username: user.username,
+              email: user.email,
+              role: user.role,
+              lockUntil: lockedUntil,
+              lockCount: user.lockCount,
+              ip: req.ip
+            });
+          }
+        } catch (emitErr) {
+          console.error('Socket emit error (account:locked):', emitErr);
+        }
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = user.generateAuthToken();
-
-    // Get profile based on role
-    let profile = null;
-    if (user.role === 'admin') {
-      const Admin = require('../models/Admin');
-      profile = await Admin.findOne({ userId: user._id });
-    } else if (user.role === 'student') {
-      const Student = require('../models/Student');
-      profile = await Student.findOne({ userId: user._id });
+    // Password is right; accounts with two-factor enabled need a code next
+    if (user.twoFactor && user.twoFactor.enabled) {
+      console.log(`🔑 Two-factor challenge issued for: ${identifier}`);
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user)
+      });
     }
 
-    // Remove password from response
-    user.password = undefined;
-
-    console.log(`🎉 Login successful for: ${user.email}`);
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        isActive: user.isActive,
-        profileImage: user.profileImage,
-        profile: profile
-      }
-    });
+    await completeLogin(req, res, user);
 
   } catch (error) {
     console.error('💥 Login error:', error);
@@ -237,6 +315,12 @@ exports.getMe = async (req, res) => {
       profile = await Faculty.findOne({ userId: user._id });
     } else if (user.role === 'admin') {
       profile = await Admin.findOne({ userId: user._id });
+    } else if (user.role === 'parent') {
+      profile = await Parent.findOne({ userId: user._id });
+      if (profile) {
+        await profile.syncStudents();
+        await profile.populate('students.student', 'studentId firstName lastName semester');
+      }
     }
 
     res.json({
@@ -308,6 +392,102 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Get the current user's notification preferences
+// @route   GET /api/auth/notification-preferences
+// @access  Private
+exports.getNotificationPreferences = async (req, res) => {
+  try {
+    const preferences = req.user.notificationPreferences || {};
+
+    res.json({
+      success: true,
+      data: {
+        email: preferences.email !== false,
+        sms: preferences.sms !== false,
+        mutedCategories: preferences.mutedCategories || [],
+        language: preferences.language || null,
+        categories: Notification.CATEGORIES,
+        languages: LANGUAGES
+      }
+    });
+  } catch (error) {
+    console.error('Get Notification Preferences Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences'
+    });
+  }
+};
+
+// @desc    Update the current user's notification preferences
+// @route   PUT /api/auth/notification-preferences
+// @access  Private
+exports.updateNotificationPreferences = async (req, res) => {
+  try {
+    const { email, sms, mutedCategories, language } = req.body;
+    const user = req.user;
+
+    if (!user.notificationPreferences) {
+      user.notificationPreferences = {};
+    }
+
+    if (email !== undefined) user.notificationPreferences.email = Boolean(email);
+    if (sms !== undefined) user.notificationPreferences.sms = Boolean(sms);
+
+    if (mutedCategories !== undefined) {
+      if (!Array.isArray(mutedCategories)) {
+        return res.status(400).json({
+          success: false,
+          message: 'mutedCategories must be an array'
+        });
+      }
+      const unknown = mutedCategories.filter(category => !Notification.CATEGORIES.includes(category));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown categor${unknown.length === 1 ? 'y' : 'ies'}: ${unknown.join(', ')}`
+        });
+      }
+      if (mutedCategories.includes('Emergency')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Emergency notifications cannot be muted'
+        });
+      }
+      user.notificationPreferences.mutedCategories = [...new Set(mutedCategories)];
+    }
+
+    if (language !== undefined) {
+      if (language !== null && !LANGUAGES.includes(language)) {
+        return res.status(400).json({
+          success: false,
+          message: `language must be one of: ${LANGUAGES.join(', ')}`
+        });
+      }
+      user.notificationPreferences.language = language || undefined;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: {
+        email: user.notificationPreferences.email,
+        sms: user.notificationPreferences.sms,
+        mutedCategories: user.notificationPreferences.mutedCategories,
+        language: user.notificationPreferences.language || null
+      }
+    });
+  } catch (error) {
+    console.error('Update Notification Preferences Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences'
+    });
+  }
+};
+
 // @desc    Change password
 // @route   PUT /api/auth/change-password
 // @access  Private
@@ -363,6 +543,9 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await revokeUserSessions(req, user._id, 'password-changed', { exceptSessionId: req.authSession._id });
+
     // Send email notification
     try {
       await sendEmail({
@@ -425,22 +608,15 @@ exports.forgotPassword = async (req, res) => {
     // Create reset URL
     const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/reset-password/${resetToken}`;
 
-    // Send email
-    const message = `
-      <h2>Password Reset Request</h2>
-      <p>You are receiving this email because you (or someone else) has requested to reset your password.</p>
-      <p>Please click on the following link to reset your password:</p>
-      <p><a href="${resetUrl}" style="background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a></p>
-      <p>This link will expire in 30 minutes.</p>
-      <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
-      <hr>
-      <p><strong>Note:</strong> For security reasons, please do not share this link with anyone.</p>
-    `;
-
     await sendEmail({
       email: user.email,
-      subject: 'Password Reset Request - Nursing Institute',
-      html: message
+      template: 'passwordReset',
+      language: user.notificationPreferences?.language,
+      data: {
+        name: user.username,
+        resetUrl,
+        expiresInMinutes: 30
+      }
     });
 
     res.json({
@@ -515,6 +691,9 @@ exports.resetPassword = async (req, res) => {
     
     await user.save();
 
+    // Existing sessions may belong to whoever knew the old password
+    await revokeUserSessions(req, user._id, 'password-changed');
+
     // Send confirmation email
     try {
       await sendEmail({
@@ -554,6 +733,9 @@ exports.logout = async (req, res) => {
       }
     }
 
+    await req.authSession.revoke('logout');
+    disconnectSockets(req, `session:${req.authSession._id}`);
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -567,6 +749,121 @@ exports.logout = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const refreshToken = req.body.refreshToken || (req.cookies && req.cookies.refreshToken);
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token required'
+      });
+    }
+
+    const { token, refreshToken: newRefreshToken, expiresIn } = await rotateTokens(refreshToken);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken: newRefreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    console.error('Refresh Token Error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to refresh token'
+    });
+  }
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+    .sort({ lastUsedAt: -1 })
+    .select('userAgent ip createdAt lastUsedAt expiresAt');
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.authSession._id.toString()
+      }))
+    });
+  } catch (error) {
+    console.error('Get Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('user-revoked');
+    disconnectSockets(req, `session:${session._id}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke Session Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+};
+
+// @desc    Log out from every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req, req.user._id, 'logout-all');
+
+    res.json({
+      success: true,
+      message: `Logged out from ${count} session(s)`
+    });
+  } catch (error) {
+    console.error('Logout All Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out from all devices'
+    });
+  }
+};
+
 // @desc    Verify token
 // @route   GET /api/auth/verify-token
 // @access  Private
@@ -584,4 +881,425 @@ exports.verifyToken = async (req, res) => {
       message: 'Token verification failed'
     });
   }
-};
\ No newline at end of file
+};
+// Accept either a current TOTP code or an unused backup code
+const checkSecondFactor = async (user, { code, backupCode }) => {
+  if (code) return user.verifyTwoFactorCode(code);
+  if (backupCode) return user.useBackupCode(backupCode);
+  return false;
+};
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl({ secret, account: user.email || user.username })
+      }
+    });
+  } catch (error) {
+    console.error('Setup Two-Factor Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+};
+
+// @desc    Confirm enrolment with a code and turn two-factor on
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTOTP(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = User.generateBackupCodes();
+
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.backupCodes': hashes,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.lastUsedStep': step
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they will not be shown again.',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('Enable Two-Factor Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+// @desc    Turn two-factor off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    const settings = await getSettings();
+    if (isTwoFactorRequired(settings, req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.backupCodes');
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const passwordValid = password && await user.comparePassword(password);
+    if (!passwordValid || !(await checkSecondFactor(user, { code, backupCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.backupCodes': '',
+        'twoFactor.enabledAt': '',
+        'twoFactor.lastUsedStep': ''
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable Two-Factor Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+// @desc    Complete login with a two-factor code or backup code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and authentication code required'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findOne({ _id: decoded.userId, isActive: true })
+      .select('+twoFactor.secret +twoFactor.backupCodes');
+
+    if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid login challenge'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is locked due to too many failed login attempts'
+      });
+    }
+
+    if (!(await checkSecondFactor(user, { code, backupCode }))) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      const { general } = await getSettings();
+      await user.incLoginAttempts({
+        maxAttempts: general.maxLoginAttempts,
+        lockoutMinutes: general.lockoutDuration
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Verify Two-Factor Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// Create the User and Parent records for a mobile number listed on Student records.
+// Two first requests for the same number can race; the loser reuses what the winner created.
+const createParentAccount = async (mobile) => {
+  let user;
+  try {
+    user = await User.create({
+      username: `parent-${mobile}`,
+      // Parents log in by OTP; the email and password are placeholders that are never used
+      email: `parent-${mobile}@parents.invalid`,
+      password: crypto.randomBytes(24).toString('hex'),
+      role: 'parent',
+      phoneNumber: mobile,
+      notificationPreferences: { email: false }
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    user = await User.findOne({ username: `parent-${mobile}`, role: 'parent' });
+    if (!user) throw error;
+  }
+
+  const parent = new Parent({ userId: user._id, mobileNumber: mobile });
+  await parent.syncStudents();
+  try {
+    await parent.save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const existing = await Parent.findOne({ mobileNumber: mobile });
+    if (!existing) throw error;
+    return existing;
+  }
+  return parent;
+};
+
+const PARENT_OTP_SENT_MESSAGE = 'If this number is registered with a student, a login code has been sent';
+
+const parentOtpText = (code) => `${code} is your Nursing Institute parent portal login code. It is valid for ${Parent.OTP_TTL_MINUTES} minutes. Do not share it with anyone. - Nursing Institute`;
+
+// @desc    Send a login OTP to a parent's mobile number
+// @route   POST /api/auth/parent/otp
+// @access  Public
+exports.requestParentOtp = async (req, res) => {
+  try {
+    const mobile = Parent.normaliseMobile(req.body.mobile);
+    if (!mobile) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid 10-digit mobile number'
+      });
+    }
+
+    let parent = await Parent.findOne({ mobileNumber: mobile });
+    if (!parent) {
+      // Only numbers recorded as a student's father, mother or guardian get an account
+      const wards = await Parent.findWardsByMobile(mobile);
+      if (wards.length === 0) {
+        return res.json({ success: true, message: PARENT_OTP_SENT_MESSAGE });
+      }
+      parent = await createParentAccount(mobile);
+    }
+
+    const user = await User.findById(parent.userId);
+    if (!user || !user.isActive || user.isLocked) {
+      // Same answer as an unknown number, so the response does not reveal account state
+      return res.json({ success: true, message: PARENT_OTP_SENT_MESSAGE });
+    }
+
+    const { otp } = await parent.createOtp();
+
+    // The SMS log keeps the text with the code masked
+    const result = await sendSMS(mobile, parentOtpText(otp), {
+      template: 'OTP',
+      context: { type: 'otp', user: user._id },
+      logMessage: parentOtpText('******')
+    });
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send the login code. Please try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: PARENT_OTP_SENT_MESSAGE,
+      expiresIn: Parent.OTP_TTL_MINUTES * 60
+    });
+  } catch (error) {
+    if (error.statusCode === 429) {
+      return res.status(429).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Request Parent OTP Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send login code'
+    });
+  }
+};
+
+// @desc    Log a parent in with the OTP sent to their mobile number
+// @route   POST /api/auth/parent/verify
+// @access  Public
+exports.verifyParentOtp = async (req, res) => {
+  try {
+    const mobile = Parent.normaliseMobile(req.body.mobile);
+    const { otp } = req.body;
+
+    if (!mobile || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mobile number and login code required'
+      });
+    }
+
+    const parent = await Parent.findOne({ mobileNumber: mobile });
+    const user = parent && await User.findOne({ _id: parent.userId, isActive: true });
+
+    if (!parent || !user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login code'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is locked due to too many failed login attempts'
+      });
+    }
+
+    const valid = await parent.verifyOtp(otp);
+
+    if (!valid) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      const { general } = await getSettings();
+      await user.incLoginAttempts({
+        maxAttempts: general.maxLoginAttempts,
+        lockoutMinutes: general.lockoutDuration
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login code'
+      });
+    }
+
+    // Student records may have changed since the account was created
+    await parent.syncStudents();
+    await parent.save();
+
+    if (parent.students.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'No students are linked to this mobile number. Please contact the office.'
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Verify Parent OTP Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// @desc    Replace backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactor.secret');
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = User.generateBackupCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': hashes } });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated; previous codes no longer work',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('Regenerate Backup Codes Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate backup codes'
+    });
+  }
+};
@@ -0,0 +1,668 @@
+const mongoose = require('mongoose');
+const ClinicalPosting = require('../models/ClinicalPosting');
+const Attendance = require('../models/Attendance');
+const LeaveApplication = require('../models/LeaveApplication');
+const Student = require('../models/Student');
+const Faculty = require('../models/Faculty');
+const Course = require('../models/Course');
+const { planRotation } = require('../utils/rotationPlanner');
+const { recordAudit } = require('../utils/audit');
+
+const POSTING_FIELDS = [
+  'hospital', 'ward', 'subject', 'startDate', 'endDate', 'shift',
+  'hoursPerDay', 'requiredHours', 'group', 'status', 'remarks', 'batchYear'
+];
+
+const postingNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Clinical posting not found'
+  });
+};
+
+// Resolve students given as _ids or student IDs; returns the documents and any not found
+const resolveStudents = async (values = []) => {
+  const ids = values.filter(value => mongoose.Types.ObjectId.isValid(value));
+  const codes = values.filter(value => !mongoose.Types.ObjectId.isValid(value)).map(value => String(value).toUpperCase());
+  const students = await Student.find({ $or: [{ _id: { $in: ids } }, { studentId: { $in: codes } }] })
+    .select('studentId firstName lastName courseEnrolled semester academicStatus');
+
+  const found = new Set(students.flatMap(student => [student._id.toString(), student.studentId]));
+  const missing = values.filter(value => !found.has(String(value)) && !found.has(String(value).toUpperCase()));
+  return { students, missing };
+};
+
+// Students of a posting who are not in its course and semester
+const outsideClass = (students, course, semester) => {
+  return students.filter(student =>
+    String(student.courseEnrolled) !== String(course) || student.semester !== parseInt(semester));
+};
+
+const outsideClassResponse = (res, students) => {
+  return res.status(400).json({
+    success: false,
+    message: `Students not in this course and semester: ${students.map(student => student.studentId).join(', ')}`
+  });
+};
+
+// Supervisor given as Faculty _id, faculty code or name
+const resolveSupervisor = async (value) => {
+  if (!value) return null;
+  const faculty = await Faculty.resolveRef(value);
+  if (!faculty) {
+    const err = new Error(`Supervisor not found: ${value}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return faculty._id;
+};
+
+// Summarise clashes for a response
+const describeConflicts = (conflicts, studentIds = []) => {
+  const wanted = new Set(studentIds.map(String));
+  return {
+    students: conflicts.students.map(posting => ({
+      _id: posting._id,
+      hospital: posting.hospital,
+      ward: posting.ward,
+      group: posting.group,
+      startDate: posting.startDate,
+      endDate: posting.endDate,
+      students: posting.students.filter(id => wanted.has(id.toString()))
+    })),
+    ward: conflicts.ward.map(posting => ({
+      _id: posting._id,
+      hospital: posting.hospital,
+      ward: posting.ward,
+      group: posting.group,
+      shift: posting.shift,
+      startDate: posting.startDate,
+      endDate: posting.endDate
+    }))
+  };
+};
+
+const hasConflicts = (conflicts) => conflicts.students.length > 0 || conflicts.ward.length > 0;
+
+// Respond with a validation or lookup error raised while preparing a posting
+const handleKnownError = (res, error) => {
+  if (error.statusCode || error.name === 'ValidationError' || error.name === 'CastError') {
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+  return false;
+};
+
+// @desc    List clinical postings
+// @route   GET /api/admin/clinical/postings
+// @access  Private (Admin, canManageCourses)
+exports.getPostings = async (req, res) => {
+  try {
+    const { course, semester, batchYear, hospital, ward, status, from, to, studentId, rotation, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (course) query.course = course;
+    if (semester) query.semester = parseInt(semester);
+    if (batchYear) query.batchYear = parseInt(batchYear);
+    if (hospital) query.hospital = hospital;
+    if (ward) query.ward = ward;
+    if (status) query.status = status;
+    if (rotation) query.rotation = rotation;
+    if (from) query.endDate = { $gte: new Date(from) };
+    if (to) query.startDate = { $lte: new Date(to) };
+    if (studentId) {
+      const { students } = await resolveStudents([studentId]);
+      query.students = students.length > 0 ? students[0]._id : null;
+    }
+
+    const total = await ClinicalPosting.countDocuments(query);
+    const postings = await ClinicalPosting.find(query)
+      .populate('course', 'courseName courseCode')
+      .populate('supervisor', 'facultyId fullName')
+      .populate('students', 'studentId firstName lastName')
+      .sort({ startDate: 1, hospital: 1, ward: 1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: {
+        postings,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get Clinical Postings Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch clinical postings'
+    });
+  }
+};
+
+// @desc    Create a clinical posting for a group of students
+// @route   POST /api/admin/clinical/postings
+// @access  Private (Admin, canManageCourses)
+exports.createPosting = async (req, res) => {
+  try {
+    const { course, semester, supervisor, students = [] } = req.body;
+
+    if (!course || !semester || !req.body.hospital || !req.body.ward || !req.body.startDate || !req.body.endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: course, semester, hospital, ward, startDate, endDate'
+      });
+    }
+
+    const resolved = await resolveStudents(students);
+    if (resolved.missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Students not found: ${resolved.missing.join(', ')}`
+      });
+    }
+    const notInClass = outsideClass(resolved.students, course, semester);
+    if (notInClass.length > 0) return outsideClassResponse(res, notInClass);
+
+    const posting = new ClinicalPosting({
+      course,
+      semester: parseInt(semester),
+      supervisor: await resolveSupervisor(supervisor),
+      students: resolved.students.map(student => student._id),
+      createdBy: req.user._id
+    });
+    POSTING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) posting[field] = req.body[field];
+    });
+    await posting.validate();
+
+    const conflicts = await ClinicalPosting.findConflicts(posting);
+    if (hasConflicts(conflicts)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The posting overlaps existing postings',
+        data: { conflicts: describeConflicts(conflicts, posting.students) }
+      });
+    }
+
+    await posting.save();
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'ClinicalPosting',
+      entityId: posting._id,
+      after: posting,
+      summary: `Posted ${posting.students.length} student(s) to ${posting.ward}, ${posting.hospital}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Clinical posting created',
+      data: posting
+    });
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Create Clinical Posting Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create clinical posting'
+    });
+  }
+};
+
+// @desc    Update a clinical posting (dates, ward, supervisor, students, status...)
+// @route   PUT /api/admin/clinical/postings/:id
+// @access  Private (Admin, canManageCourses)
+exports.updatePosting = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return postingNotFound(res);
+    const posting = await ClinicalPosting.findById(req.params.id);
+    if (!posting) return postingNotFound(res);
+
+    const before = posting.toObject();
+    POSTING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) posting[field] = req.body[field];
+    });
+    if (req.body.supervisor !== undefined) {
+      posting.supervisor = await resolveSupervisor(req.body.supervisor);
+    }
+    if (Array.isArray(req.body.students)) {
+      const resolved = await resolveStudents(req.body.students);
+      if (resolved.missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Students not found: ${resolved.missing.join(', ')}`
+        });
+      }
+      const notInClass = outsideClass(resolved.students, posting.course, posting.semester);
+      if (notInClass.length > 0) return outsideClassResponse(res, notInClass);
+      posting.students = resolved.students.map(student => student._id);
+    }
+    await posting.validate();
+
+    if (posting.status !== 'Cancelled') {
+      const conflicts = await ClinicalPosting.findConflicts(posting);
+      if (hasConflicts(conflicts)) {
+        return res.status(409).json({
+          success: false,
+          message: 'The posting overlaps existing postings',
+          data: { conflicts: describeConflicts(conflicts, posting.students) }
+        });
+      }
+    }
+
+    await posting.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'ClinicalPosting',
+      entityId: posting._id,
+      before,
+      after: posting,
+      summary: `Updated clinical posting ${posting.ward}, ${posting.hospital}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Clinical posting updated',
+      data: posting
+    });
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Update Clinical Posting Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update clinical posting'
+    });
+  }
+};
+
+// @desc    Cancel a clinical posting; attendance already recorded is kept
+// @route   DELETE /api/admin/clinical/postings/:id
+// @access  Private (Admin, canManageCourses)
+exports.cancelPosting = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return postingNotFound(res);
+    const posting = await ClinicalPosting.findById(req.params.id);
+    if (!posting) return postingNotFound(res);
+
+    const before = posting.toObject();
+    posting.status = 'Cancelled';
+    await posting.save();
+
+    await recordAudit(req, {
+      action: 'status-change',
+      entity: 'ClinicalPosting',
+      entityId: posting._id,
+      before,
+      after: posting,
+      summary: `Cancelled clinical posting ${posting.ward}, ${posting.hospital}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Clinical posting cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel Clinical Posting Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel clinical posting'
+    });
+  }
+};
+
+// @desc    Plan a rotation of student groups across wards; saves the postings when save is true
+// @route   POST /api/admin/clinical/rotations
+// @access  Private (Admin, canManageCourses)
+exports.planRotation = async (req, res) => {
+  try {
+    const {
+      course, semester, batchYear, wards, startDate, daysPerPosting, groups, periods,
+      shift = 'Morning', hoursPerDay, requiredHours, save = false
+    } = req.body;
+
+    if (!course || !semester || !startDate || !daysPerPosting) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: course, semester, wards, startDate, daysPerPosting'
+      });
+    }
+    if (!Array.isArray(wards) || wards.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'wards must be a non-empty array'
+      });
+    }
+
+    const studentQuery = { courseEnrolled: course, semester: parseInt(semester), academicStatus: 'Active' };
+    if (batchYear) studentQuery.batchYear = parseInt(batchYear);
+    const students = await Student.find(studentQuery)
+      .select('studentId rollNumber firstName lastName')
+      .sort({ rollNumber: 1, studentId: 1 });
+
+    const wardList = await Promise.all(wards.map(async ward => ({
+      ...ward,
+      supervisor: await resolveSupervisor(ward.supervisor)
+    })));
+
+    const planned = planRotation({
+      students: students.map(student => student._id),
+      wards: wardList,
+      startDate,
+      daysPerPosting,
+      groups,
+      periods
+    });
+
+    const rotation = new mongoose.Types.ObjectId();
+    const postings = planned.map(plan => new ClinicalPosting({
+      ...plan,
+      course,
+      semester: parseInt(semester),
+      batchYear: batchYear ? parseInt(batchYear) : undefined,
+      shift,
+      hoursPerDay,
+      requiredHours,
+      rotation,
+      createdBy: req.user._id
+    }));
+    await Promise.all(postings.map(posting => posting.validate()));
+
+    // The plan itself never clashes; check it against postings already in place
+    const conflicts = await Promise.all(postings.map(posting => ClinicalPosting.findConflicts(posting)));
+    const clashing = postings
+      .map((posting, index) => ({ posting, conflicts: conflicts[index] }))
+      .filter(entry => hasConflicts(entry.conflicts));
+
+    const studentsById = new Map(students.map(student => [student._id.toString(), student]));
+    const plan = postings.map(posting => ({
+      ...posting.toObject(),
+      students: posting.students.map(id => {
+        const student = studentsById.get(id.toString());
+        return { _id: id, studentId: student.studentId, fullName: student.fullName };
+      })
+    }));
+
+    if (clashing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${clashing.length} planned posting(s) overlap existing postings`,
+        data: {
+          plan,
+          conflicts: clashing.map(entry => ({
+            group: entry.posting.group,
+            ward: entry.posting.ward,
+            startDate: entry.posting.startDate,
+            ...describeConflicts(entry.conflicts, entry.posting.students)
+          }))
+        }
+      });
+    }
+
+    if (!save) {
+      return res.json({
+        success: true,
+        message: 'Rotation planned (not saved)',
+        data: { plan }
+      });
+    }
+
+    await ClinicalPosting.insertMany(postings);
+
+    await recordAudit(req, {
+      action: 'bulk-create',
+      entity: 'ClinicalPosting',
+      summary: `Planned clinical rotation of ${students.length} student(s) across ${wardList.length} ward(s)`,
+      metadata: { rotation: String(rotation), course, semester, postings: postings.length }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Created ${postings.length} clinical posting(s)`,
+      data: { rotation, plan }
+    });
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+    console.error('Plan Clinical Rotation Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to plan clinical rotation'
+    });
+  }
+};
+
+// @desc    Clinical hours per student against the course's clinicalTraining.totalHours
+// @route   GET /api/admin/clinical/hours?course&semester&batchYear
+// @access  Private (Admin, canViewReports)
+exports.getClinicalHours = async (req, res) => {
+  try {
+    const { course, semester, batchYear } = req.query;
+
+    if (!course || !mongoose.Types.ObjectId.isValid(course)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid course is required'
+      });
+    }
+
+    const courseDoc = await Course.findById(course).select('courseName courseCode clinicalTraining.totalHours');
+    if (!courseDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const studentQuery = { courseEnrolled: course, academicStatus: 'Active' };
+    if (semester) studentQuery.semester = parseInt(semester);
+    if (batchYear) studentQuery.batchYear = parseInt(batchYear);
+    const students = await Student.find(studentQuery)
+      .select('studentId firstName lastName semester')
+      .sort({ studentId: 1 });
+
+    const studentIds = students.map(student => student._id);
+    const [hours, postings] = await Promise.all([
+      ClinicalPosting.hoursByStudent(studentIds),
+      ClinicalPosting.find({ students: { $in: studentIds }, status: { $ne: 'Cancelled' } })
+        .select('hospital ward startDate endDate requiredHours status students')
+        .sort({ startDate: 1 })
+    ]);
+
+    const requiredHours = (courseDoc.clinicalTraining && courseDoc.clinicalTraining.totalHours) || 0;
+    const report = students.map(student => {
+      const key = student._id.toString();
+      const studentHours = hours.get(key) || { total: 0, byPosting: {} };
+      return {
+        _id: student._id,
+        studentId: student.studentId,
+        fullName: student.fullName,
+        semester: student.semester,
+        hours: studentHours.total,
+        requiredHours,
+        remainingHours: Math.max(requiredHours - studentHours.total, 0),
+        percentage: requiredHours > 0 ? Math.round((studentHours.total / requiredHours) * 100) : null,
+        postings: postings
+          .filter(posting => posting.students.some(id => id.toString() === key))
+          .map(posting => ({
+            _id: posting._id,
+            hospital: posting.hospital,
+            ward: posting.ward,
+            startDate: posting.startDate,
+            endDate: posting.endDate,
+            status: posting.status,
+            requiredHours: posting.requiredHours,
+            hours: studentHours.byPosting[posting._id.toString()] || 0
+          }))
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        course: { _id: courseDoc._id, courseName: courseDoc.courseName, courseCode: courseDoc.courseCode },
+        requiredHours,
+        students: report
+      }
+    });
+  } catch (error) {
+    console.error('Get Clinical Hours Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch clinical hours'
+    });
+  }
+};
+
+// @desc    Clinical postings supervised by the logged-in faculty member
+// @route   GET /api/faculty-portal/clinical/postings?status=Active
+// @access  Private (Faculty)
+exports.getSupervisedPostings = async (req, res) => {
+  try {
+    const faculty = await Faculty.findOne({ userId: req.user._id, isActive: true });
+    if (!faculty) {
+      return res.status(404).json({
+        success: false,
+        message: 'Faculty profile not found'
+      });
+    }
+
+    const query = { supervisor: faculty._id, status: { $ne: 'Cancelled' } };
+    if (req.query.status) query.status = req.query.status;
+
+    const postings = await ClinicalPosting.find(query)
+      .populate('course', 'courseName courseCode')
+      .populate('students', 'studentId firstName lastName')
+      .sort({ startDate: -1 })
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: postings
+    });
+  } catch (error) {
+    console.error('Get Supervised Postings Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch clinical postings'
+    });
+  }
+};
+
+// @desc    Record a day's clinical attendance for a supervised posting
+// @route   POST /api/faculty-portal/clinical/postings/:id/attendance
+// @access  Private (Faculty, posting supervisor)
+exports.markPostingAttendance = async (req, res) => {
+  try {
+    const { date, students } = req.body;
+
+    if (!date || !Array.isArray(students)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: date, students array'
+      });
+    }
+
+    const faculty = await Faculty.findOne({ userId: req.user._id, isActive: true });
+    if (!faculty || !mongoose.Types.ObjectId.isValid(req.params.id)) return postingNotFound(res);
+
+    const posting = await ClinicalPosting.findOne({ _id: req.params.id, supervisor: faculty._id, status: { $ne: 'Cancelled' } });
+    if (!posting) return postingNotFound(res);
+
+    const attendanceDate = new Date(date);
+    const day = new Date(Date.UTC(attendanceDate.getUTCFullYear(), attendanceDate.getUTCMonth(), attendanceDate.getUTCDate()));
+    if (isNaN(attendanceDate) || day < posting.startDate || day > posting.endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must fall within the posting'
+      });
+    }
+
+    const posted = new Map();
+    (await Student.find({ _id: { $in: posting.students } }).select('studentId')).forEach(student => {
+      posted.set(student._id.toString(), student);
+      posted.set(student.studentId, student);
+    });
+
+    const postedIds = Array.from(new Set(Array.from(posted.values()))).map(student => student._id);
+    const leaveStatus = await LeaveApplication.leaveStatusFor(postedIds, attendanceDate);
+
+    const results = { total: students.length, success: 0, failed: 0, errors: [] };
+
+    for (const studentData of students) {
+      try {
+        const student = posted.get(String(studentData.studentId));
+        if (!student) {
+          throw new Error(`Student ${studentData.studentId} is not on this posting`);
+        }
+
+        let status = studentData.status || 'Present';
+        if (status === 'Absent' && leaveStatus.has(student._id.toString())) {
+          status = leaveStatus.get(student._id.toString());
+        }
+        const attended = ['Present', 'Late'].includes(status);
+
+        // A verified record is skipped by the filter, so the upsert's insert hits the unique index
+        await Attendance.findOneAndUpdate(
+          {
+            student: student._id,
+            date: attendanceDate,
+            subject: posting.subject,
+            session: posting.shift,
+            verificationStatus: { $ne: 'Verified' }
+          },
+          {
+            $set: {
+              course: posting.course,
+              semester: posting.semester,
+              type: 'Clinical',
+              status,
+              hoursAttended: attended ? (studentData.hoursAttended || posting.hoursPerDay) : 0,
+              remarks: studentData.remarks || '',
+              clinicalPosting: posting._id,
+              recordedBy: req.user._id,
+              verificationStatus: 'Pending'
+            },
+            $unset: { verifiedBy: 1, verifiedAt: 1, verificationRemarks: 1 }
+          },
+          { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        ).catch(error => {
+          if (error.code === 11000) {
+            throw new Error(`Attendance for ${student.studentId} has been verified and is locked`);
+          }
+          throw error;
+        });
+        results.success++;
+      } catch (error) {
+        results.failed++;
+        results.errors.push({
+          studentId: studentData.studentId,
+          error: error.message
+        });
+      }
+    }
+
+    if (posting.status === 'Planned') {
+      posting.status = 'Active';
+      await posting.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Clinical attendance recorded',
+      data: results
+    });
+  } catch (error) {
+    console.error('Mark Posting Attendance Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record clinical attendance'
+    });
+  }
+};
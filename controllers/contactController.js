@@ -1,5 +1,5 @@
 const Contact = require('../models/Contact');
-const nodemailer = require('nodemailer');
+const sendEmail = require('../utils/sendEmail');
 const validator = require('validator');
 
 
@@ -591,19 +591,8 @@ exports.getContactStats = async (req, res) => {
 // Email sending functions
 const sendConfirmationEmail = async (to, name, subject) => {
   try {
-    const transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: process.env.EMAIL_PORT === '465',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
-
-    const mailOptions = {
-      from: `"Nursing Institute" <${process.env.EMAIL_USER}>`,
-      to,
+    await sendEmail({
+      email: to,
       subject: 'Thank you for contacting us',
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -619,9 +608,7 @@ const sendConfirmationEmail = async (to, name, subject) => {
           <p>Best regards,<br>Nursing Institute Team</p>
         </div>
       `
-    };
-
-    await transporter.sendMail(mailOptions);
+    });
     console.log(`Confirmation email sent to ${to}`);
   } catch (error) {
     console.error('Confirmation email error:', error);
@@ -630,19 +617,10 @@ const sendConfirmationEmail = async (to, name, subject) => {
 
 const sendAdminNotification = async (fromEmail, fromName, subject, message, contactId) => {
   try {
-    const transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: process.env.EMAIL_PORT === '465',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
-
-    const mailOptions = {
-      from: `"Website Contact" <${process.env.EMAIL_USER}>`,
-      to: process.env.ADMIN_EMAIL || 'admin@institute.edu',
+    await sendEmail({
+      email: process.env.ADMIN_EMAIL || 'admin@institute.edu',
+      fromName: 'Website Contact',
+      replyTo: fromEmail,
       subject: `New Contact Form: ${subject}`,
       html: `
         <div style="font-family: Arial, sans-serif;">
@@ -659,9 +637,7 @@ const sendAdminNotification = async (fromEmail, fromName, subject, message, cont
           </p>
         </div>
       `
-    };
-
-    await transporter.sendMail(mailOptions);
+    });
     console.log(`Admin notification sent for contact ${contactId}`);
   } catch (error) {
     console.error('Admin notification error:', error);
@@ -670,39 +646,12 @@ const sendAdminNotification = async (fromEmail, fromName, subject, message, cont
 
 const sendReplyEmail = async (to, name, subject, replyMessage) => {
   try {
-    const transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: process.env.EMAIL_PORT === '465',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
+    await sendEmail({
+      email: to,
+      fromName: 'Nursing Institute Support',
+      template: 'contactReply',
+      data: { name, subject, reply: replyMessage }
     });
-
-    const mailOptions = {
-      from: `"Nursing Institute Support" <${process.env.EMAIL_USER}>`,
-      to,
-      subject: `Re: ${subject}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #2c3e50;">Response from Nursing Institute</h2>
-          <p>Dear ${name},</p>
-          <p>Thank you for contacting us. Here is our response to your inquiry:</p>
-          <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #3498db;">
-            ${replyMessage}
-          </div>
-          <p>If you have any further questions, please don't hesitate to contact us again.</p>
-          <p>Best regards,<br>Nursing Institute Support Team</p>
-          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
-          <p style="font-size: 12px; color: #7f8c8d;">
-            This is an automated response. Please do not reply to this email.
-          </p>
-        </div>
-      `
-    };
-
-    await transporter.sendMail(mailOptions);
     console.log(`Reply email sent to ${to}`);
   } catch (error) {
     console.error('Reply email error:', error);
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const IssuedDocument = require('../models/IssuedDocument');
+const { generateBonafide, generateCompletionCertificate } = require('../utils/certificates');
+const { recordAudit } = require('../utils/audit');
+
+// Bonafide certificates a student may issue themselves in any 24 hours
+const SELF_BONAFIDE_DAILY_LIMIT = parseInt(process.env.BONAFIDE_DAILY_LIMIT, 10) || 3;
+
+const sendPdf = (res, buffer, fileName, code) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('X-Verification-Code', code);
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.send(buffer);
+};
+
+const findStudent = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Student.findById(id).populate('courseEnrolled', 'courseName courseCode');
+};
+
+const studentNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Student not found'
+  });
+};
+
+// @desc    Download a bonafide certificate for a student
+// @route   GET /api/admin/students/:id/bonafide?purpose=
+// @access  Private (Admin, canManageStudents)
+exports.getBonafideCertificate = async (req, res) => {
+  try {
+    const student = await findStudent(req.params.id);
+    if (!student) return studentNotFound(res);
+
+    const purpose = req.query.purpose ? String(req.query.purpose).trim().slice(0, 200) : undefined;
+    const { buffer, verification } = await generateBonafide(student, { purpose, issuedBy: req.user._id });
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'IssuedDocument',
+      entityId: student._id,
+      summary: `Issued bonafide certificate for ${student.studentId}`,
+      metadata: { type: 'bonafide', purpose, code: verification.code }
+    });
+
+    sendPdf(res, buffer, `bonafide_${student.studentId}.pdf`, verification.code);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get Bonafide Certificate Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate bonafide certificate'
+    });
+  }
+};
+
+// @desc    Download a course completion certificate for a student who has completed the course
+// @route   GET /api/admin/students/:id/completion-certificate
+// @access  Private (Admin, canManageStudents)
+exports.getCompletionCertificate = async (req, res) => {
+  try {
+    const student = await findStudent(req.params.id);
+    if (!student) return studentNotFound(res);
+
+    const { buffer, verification } = await generateCompletionCertificate(student, { issuedBy: req.user._id });
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'IssuedDocument',
+      entityId: student._id,
+      summary: `Issued course completion certificate for ${student.studentId}`,
+      metadata: { type: 'course-completion', code: verification.code }
+    });
+
+    sendPdf(res, buffer, `completion_${student.studentId}.pdf`, verification.code);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get Completion Certificate Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate course completion certificate'
+    });
+  }
+};
+
+// @desc    Download the logged-in student's bonafide certificate. Certificates for a stated
+//          purpose are issued by the office through the admin route.
+// @route   GET /api/student/certificates/bonafide
+// @access  Private (Student)
+exports.getMyBonafideCertificate = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id })
+      .populate('courseEnrolled', 'courseName courseCode');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const issuedToday = await IssuedDocument.countDocuments({
+      student: student._id,
+      type: 'bonafide',
+      issuedBy: req.user._id,
+      issuedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    });
+    if (issuedToday >= SELF_BONAFIDE_DAILY_LIMIT) {
+      return res.status(429).json({
+        success: false,
+        message: `At most ${SELF_BONAFIDE_DAILY_LIMIT} bonafide certificates can be downloaded in 24 hours`
+      });
+    }
+
+    const { buffer, verification } = await generateBonafide(student, { issuedBy: req.user._id });
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'IssuedDocument',
+      entityId: student._id,
+      summary: `Student ${student.studentId} issued their own bonafide certificate`,
+      metadata: { type: 'bonafide', code: verification.code }
+    });
+
+    sendPdf(res, buffer, `bonafide_${student.studentId}.pdf`, verification.code);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get My Bonafide Certificate Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate bonafide certificate'
+    });
+  }
+};
+
+// @desc    List issued documents
+// @route   GET /api/admin/documents?type=&status=valid|revoked&student=&search=&page=&limit=
+// @access  Private (Admin, canManageStudents)
+exports.getIssuedDocuments = async (req, res) => {
+  try {
+    const { type, status, student, search, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (status === 'valid') query.isRevoked = false;
+    if (status === 'revoked') query.isRevoked = true;
+    if (student && mongoose.Types.ObjectId.isValid(student)) query.student = student;
+    if (search) {
+      query.$or = [
+        { code: String(search).trim().toUpperCase() },
+        { holderName: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const [documents, total] = await Promise.all([
+      IssuedDocument.find(query)
+        .populate('student', 'studentId rollNumber')
+        .populate('issuedBy', 'username')
+        .populate('revokedBy', 'username')
+        .sort({ issuedAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      IssuedDocument.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        documents,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get Issued Documents Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch issued documents'
+    });
+  }
+};
+
+// @desc    Revoke an issued document; public verification then reports it as revoked
+// @route   PUT /api/admin/documents/:id/revoke
+// @access  Private (Admin, canManageStudents)
+exports.revokeDocument = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to revoke a document'
+      });
+    }
+
+    const document = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await IssuedDocument.findById(req.params.id)
+      : null;
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+    if (document.isRevoked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Document is already revoked'
+      });
+    }
+
+    document.revoke(req.user._id, String(reason).trim());
+    await document.save();
+
+    await recordAudit(req, {
+      action: 'status-change',
+      entity: 'IssuedDocument',
+      entityId: document._id,
+      before: { isRevoked: false },
+      after: { isRevoked: true, revocationReason: document.revocationReason },
+      summary: `Revoked ${IssuedDocument.TYPE_LABELS[document.type]} ${document.code} of ${document.holderName}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Document revoked',
+      data: document
+    });
+  } catch (error) {
+    console.error('Revoke Document Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke document'
+    });
+  }
+};
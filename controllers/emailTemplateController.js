@@ -0,0 +1,72 @@
+const { renderTemplate, listTemplates, getSampleData, normaliseLanguage, LANGUAGES } = require('../utils/emailTemplates');
+
+// @desc    List registered email templates
+// @route   GET /api/admin/email-templates
+// @access  Private (Admin, canManageSettings)
+exports.getEmailTemplates = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        templates: listTemplates(),
+        languages: LANGUAGES
+      }
+    });
+  } catch (error) {
+    console.error('Get Email Templates Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email templates'
+    });
+  }
+};
+
+// @desc    Render an email template with sample (or supplied) data
+// @route   GET|POST /api/admin/email-templates/:name/preview?language=ta&format=html|text
+// @access  Private (Admin, canManageSettings)
+exports.previewEmailTemplate = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const sample = getSampleData(name);
+    if (!sample) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown email template: ${name}`
+      });
+    }
+
+    const language = req.query.language || (req.body && req.body.language);
+    if (language && !normaliseLanguage(language)) {
+      return res.status(400).json({
+        success: false,
+        message: `language must be one of: ${LANGUAGES.join(', ')}`
+      });
+    }
+
+    const data = { ...sample, ...((req.body && req.body.data) || {}) };
+    const rendered = await renderTemplate(name, data, { language });
+
+    // Browsers can open the HTML or text version directly
+    if (req.query.format === 'html') {
+      res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src * data:");
+      return res.type('html').send(rendered.html);
+    }
+    if (req.query.format === 'text') {
+      return res.type('text').send(rendered.text);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        template: name,
+        ...rendered
+      }
+    });
+  } catch (error) {
+    console.error('Preview Email Template Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render email template'
+    });
+  }
+};
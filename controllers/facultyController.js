@@ -1,6 +1,7 @@
 const Faculty = require('../models/Faculty');
 const User = require('../models/User');
 const Course = require('../models/Course');
+const Timetable = require('../models/Timetable');
 
 // @desc    Get all faculty
 // @route   GET /api/faculty
@@ -321,58 +322,7 @@ exports.getFacultySchedule = async (req, res) => {
       });
     }
 
-    // Get courses taught by this faculty
-    const courses = await Course.find({
-      'subjects.faculty': faculty._id,
-      isActive: true
-    })
-    .select('courseName courseCode subjects semester')
-    .populate('subjects.faculty', 'fullName');
-
-    // Create teaching schedule
-    const teachingSchedule = [];
-    const daySchedule = {
-      Monday: [],
-      Tuesday: [],
-      Wednesday: [],
-      Thursday: [],
-      Friday: [],
-      Saturday: []
-    };
-
-    courses.forEach(course => {
-      course.subjects.forEach(subject => {
-        if (subject.faculty && subject.faculty._id.toString() === faculty._id.toString()) {
-          // Create a sample schedule (in real app, this would come from a separate schedule model)
-          const scheduleEntry = {
-            course: course.courseName,
-            subject: subject.subjectName,
-            semester: subject.semester,
-            day: getRandomDay(),
-            time: getRandomTime(),
-            room: `Room ${Math.floor(Math.random() * 50) + 101}`,
-            type: subject.credits > 2 ? 'Theory' : 'Practical',
-            hours: subject.credits
-          };
-
-          teachingSchedule.push(scheduleEntry);
-          
-          // Add to day schedule
-          if (daySchedule[scheduleEntry.day]) {
-            daySchedule[scheduleEntry.day].push(scheduleEntry);
-          }
-        }
-      });
-    });
-
-    // Sort day schedule by time
-    Object.keys(daySchedule).forEach(day => {
-      daySchedule[day].sort((a, b) => {
-        const timeA = convertTimeToMinutes(a.time);
-        const timeB = convertTimeToMinutes(b.time);
-        return timeA - timeB;
-      });
-    });
+    const { teachingSchedule, daySchedule, load } = await Timetable.getFacultySchedule(faculty._id);
 
     res.json({
       success: true,
@@ -385,8 +335,9 @@ exports.getFacultySchedule = async (req, res) => {
         },
         teachingSchedule,
         daySchedule,
-        totalSubjects: teachingSchedule.length,
-        totalHours: teachingSchedule.reduce((sum, entry) => sum + entry.hours, 0)
+        weeklyLoad: load,
+        totalSubjects: load.subjects,
+        totalHours: load.totalHours
       }
     });
   } catch (error) {
@@ -398,30 +349,6 @@ exports.getFacultySchedule = async (req, res) => {
   }
 };
 
-// Helper functions for schedule generation
-const getRandomDay = () => {
-  const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  return days[Math.floor(Math.random() * days.length)];
-};
-
-const getRandomTime = () => {
-  const hours = [9, 10, 11, 12, 14, 15, 16];
-  const hour = hours[Math.floor(Math.random() * hours.length)];
-  const minute = Math.random() > 0.5 ? '00' : '30';
-  const period = hour < 12 ? 'AM' : 'PM';
-  const displayHour = hour > 12 ? hour - 12 : hour;
-  return `${displayHour}:${minute} ${period}`;
-};
-
-const convertTimeToMinutes = (timeStr) => {
-  const [time, period] = timeStr.split(' ');
-  const [hours, minutes] = time.split(':').map(Number);
-  let totalMinutes = hours * 60 + minutes;
-  if (period === 'PM' && hours !== 12) totalMinutes += 12 * 60;
-  if (period === 'AM' && hours === 12) totalMinutes -= 12 * 60;
-  return totalMinutes;
-};
-
 // @desc    Get faculty statistics
 // @route   GET /api/faculty/stats
 // @access  Public
@@ -0,0 +1,893 @@
+const Faculty = require('../models/Faculty');
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const Marks = require('../models/Marks');
+const Course = require('../models/Course');
+const Timetable = require('../models/Timetable');
+const LeaveApplication = require('../models/LeaveApplication');
+const AttendanceSession = require('../models/AttendanceSession');
+const { resolveScheme } = require('../utils/gradingEngine');
+const { recordAudit } = require('../utils/audit');
+
+// Load the logged-in faculty member's profile
+const getFacultyProfile = (req) => {
+  return Faculty.findOne({ userId: req.user._id, isActive: true });
+};
+
+// Find the subjectsHandling entry for a course/semester/subject, if the faculty member teaches it
+const findAssignment = (faculty, course, semester, subject) => {
+  if (!course || !semester || !subject) return null;
+  return faculty.subjectsHandling.find(assignment =>
+    assignment.course &&
+    assignment.course.toString() === course.toString() &&
+    assignment.semester === parseInt(semester) &&
+    (assignment.subjectName || '').trim().toLowerCase() === subject.trim().toLowerCase()
+  ) || null;
+};
+
+// Case-insensitive exact match on a subject name
+const subjectMatcher = (subject) => {
+  return { $regex: `^${subject.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' };
+};
+
+const notAssigned = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'You are not assigned to this course, semester and subject'
+  });
+};
+
+const facultyNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Faculty profile not found'
+  });
+};
+
+// Active students of a course/semester, keyed by both _id and studentId
+const getClassStudents = async (course, semester) => {
+  const students = await Student.find({
+    courseEnrolled: course,
+    semester: parseInt(semester),
+    academicStatus: 'Active'
+  }).sort({ studentId: 1 });
+
+  const lookup = new Map();
+  students.forEach(student => {
+    lookup.set(student._id.toString(), student);
+    lookup.set(student.studentId, student);
+  });
+
+  return { students, lookup };
+};
+
+// @desc    Get faculty portal dashboard
+// @route   GET /api/faculty-portal/dashboard
+// @access  Private (Faculty)
+exports.getDashboard = async (req, res) => {
+  try {
+    const faculty = await getFacultyProfile(req)
+      .populate('subjectsHandling.course', 'courseName courseCode');
+
+    if (!faculty) return facultyNotFound(res);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const tomorrow = new Date(today);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    const [attendanceToday, unpublishedMarks] = await Promise.all([
+      Attendance.countDocuments({
+        recordedBy: req.user._id,
+        date: { $gte: today, $lt: tomorrow }
+      }),
+      Marks.countDocuments({
+        enteredBy: req.user._id,
+        isPublished: false
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        faculty: {
+          _id: faculty._id,
+          facultyId: faculty.facultyId,
+          fullName: faculty.fullName,
+          designation: faculty.designation,
+          department: faculty.department
+        },
+        subjectsHandling: faculty.subjectsHandling,
+        stats: {
+          totalSubjects: faculty.subjectsHandling.length,
+          attendanceRecordsToday: attendanceToday,
+          unpublishedMarks
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Faculty Dashboard Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch faculty dashboard'
+    });
+  }
+};
+
+// @desc    Get subjects handled by the faculty member
+// @route   GET /api/faculty-portal/subjects
+// @access  Private (Faculty)
+exports.getSubjects = async (req, res) => {
+  try {
+    const faculty = await getFacultyProfile(req)
+      .populate('subjectsHandling.course', 'courseName courseCode');
+
+    if (!faculty) return facultyNotFound(res);
+
+    const subjects = await Promise.all(
+      faculty.subjectsHandling.map(async assignment => {
+        const studentCount = assignment.course
+          ? await Student.countDocuments({
+            courseEnrolled: assignment.course._id,
+            semester: assignment.semester,
+            academicStatus: 'Active'
+          })
+          : 0;
+
+        return {
+          _id: assignment._id,
+          subjectName: assignment.subjectName,
+          course: assignment.course,
+          semester: assignment.semester,
+          studentCount
+        };
+      })
+    );
+
+    res.json({
+      success: true,
+      data: subjects
+    });
+  } catch (error) {
+    console.error('Get Faculty Subjects Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subjects'
+    });
+  }
+};
+
+// @desc    Get students for one of the faculty member's subjects
+// @route   GET /api/faculty-portal/students
+// @access  Private (Faculty)
+exports.getSubjectStudents = async (req, res) => {
+  try {
+    const { course, semester, subject } = req.query;
+
+    const faculty = await getFacultyProfile(req);
+    if (!faculty) return facultyNotFound(res);
+
+    if (!findAssignment(faculty, course, semester, subject)) return notAssigned(res);
+
+    const students = await Student.find({
+      courseEnrolled: course,
+      semester: parseInt(semester),
+      academicStatus: 'Active'
+    })
+    .sort({ studentId: 1 })
+    .select('studentId rollNumber firstName lastName semester');
+
+    res.json({
+      success: true,
+      data: students
+    });
+  } catch (error) {
+    console.error('Get Subject Students Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch students'
+    });
+  }
+};
+
+// @desc    Get the logged-in faculty member's weekly timetable
+// @route   GET /api/faculty-portal/schedule
+// @access  Private (Faculty)
+exports.getSchedule = async (req, res) => {
+  try {
+    const faculty = await getFacultyProfile(req);
+    if (!faculty) return facultyNotFound(res);
+
+    const { teachingSchedule, daySchedule, load } = await Timetable.getFacultySchedule(faculty._id);
+
+    res.json({
+      success: true,
+      data: {
+        teachingSchedule,
+        daySchedule,
+        weeklyLoad: load
+      }
+    });
+  } catch (error) {
+    console.error('Get Faculty Portal Schedule Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch schedule'
+    });
+  }
+};
+
+// @desc    Mark attendance for an assigned subject
+// @route   POST /api/faculty-portal/attendance
+// @access  Private (Faculty)
+exports.markAttendance = async (req, res) => {
+  try {
+    const { date, course, subject, semester, session, type, students } = req.body;
+
+    if (!date || !course || !semester || !subject || !Array.isArray(students)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: date, course, semester, subject, students array'
+      });
+    }
+
+    const faculty = await getFacultyProfile(req);
+    if (!faculty) return facultyNotFound(res);
+
+    const assignment = findAssignment(faculty, course, semester, subject);
+    if (!assignment) return notAssigned(res);
+    // Records are keyed on the assigned subject name, not on the request's spelling of it
+    const subjectName = assignment.subjectName.trim();
+
+    const { lookup } = await getClassStudents(course, semester);
+
+    const results = {
+      total: students.length,
+      success: 0,
+      failed: 0,
+      errors: []
+    };
+
+    const attendanceDate = new Date(date);
+    const sessionName = session || 'Morning';
+
+    const classIds = students.map(s => lookup.get(String(s.studentId))).filter(Boolean).map(student => student._id);
+
+    // Students on approved leave are recorded as on leave rather than absent
+    const leaveStatus = await LeaveApplication.leaveStatusFor(classIds, attendanceDate);
+
+    const attendanceAudits = [];
+
+    for (const studentData of students) {
+      try {
+        const student = lookup.get(String(studentData.studentId));
+        if (!student) {
+          throw new Error(`Student ${studentData.studentId} is not in this class`);
+        }
+
+        let status = studentData.status || 'Present';
+        if (status === 'Absent' && leaveStatus.has(student._id.toString())) {
+          status = leaveStatus.get(student._id.toString());
+        }
+
+        // Upsert so the faculty member can correct a session they already marked
+        const key = {
+          student: student._id,
+          date: attendanceDate,
+          subject: subjectName,
+          session: sessionName
+        };
+        // Verified sessions are locked until an admin reopens them. The upsert skips a verified
+        // record, so its insert collides with the unique index instead of overwriting it.
+        const before = await Attendance.findOneAndUpdate(
+          { ...key, verificationStatus: { $ne: 'Verified' } },
+          {
+            $set: {
+              course,
+              semester: parseInt(semester),
+              type: type || 'Theory',
+              status,
+              hoursAttended: studentData.hoursAttended || 4,
+              remarks: studentData.remarks || '',
+              recordedBy: req.user._id,
+              // A corrected session goes back into the verification queue
+              verificationStatus: 'Pending'
+            },
+            $unset: { verifiedBy: 1, verifiedAt: 1, verificationRemarks: 1 }
+          },
+          { upsert: true, new: false, runValidators: true, setDefaultsOnInsert: true }
+        ).catch(async error => {
+          if (error.code !== 11000) throw error;
+          if (await Attendance.exists({ ...key, verificationStatus: 'Verified' })) {
+            throw new Error(`Attendance for ${student.studentId} has been verified and is locked`);
+          }
+          // Another request inserted the same record first
+          throw new Error(`Attendance for ${student.studentId} was being marked at the same time; please retry`);
+        });
+        attendanceAudits.push({ before, after: await Attendance.findOne(key), studentId: student.studentId });
+
+        results.success++;
+      } catch (error) {
+        results.failed++;
+        results.errors.push({
+          studentId: studentData.studentId,
+          error: error.message
+        });
+      }
+    }
+
+    for (const { before, after, studentId } of attendanceAudits) {
+      await recordAudit(req, {
+        action: before ? 'update' : 'create',
+        entity: 'Attendance',
+        before,
+        after,
+        summary: `${before ? 'Updated' : 'Marked'} ${subjectName} attendance on ${attendanceDate.toISOString().slice(0, 10)} for ${studentId}`
+      });
+    }
+
+    // Emit real-time events
+    try {
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`course:${course}`).emit('attendance:marked', {
+          date,
+          subject: subjectName,
+          semester,
+          course,
+          type,
+          session: sessionName,
+          count: results.success
+        });
+      }
+    } catch (err) {
+      console.error('Emit attendance event error:', err.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Attendance marked successfully',
+      data: results
+    });
+  } catch (error) {
+    console.error('Faculty Mark Attendance Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark attendance'
+    });
+  }
+};
+
+// @desc    Get attendance for an assigned subject
+// @route   GET /api/faculty-portal/attendance
+// @access  Private (Faculty)
+exports.getAttendance = async (req, res) => {
+  try {
+    const { course, semester, subject, date, page = 1, limit = 100 } = req.query;
+
+    const faculty = await getFacultyProfile(req);
+    if (!faculty) return facultyNotFound(res);
+
+    if (!findAssignment(faculty, course, semester, subject)) return notAssigned(res);
+
+    const query = {
+      course,
+      semester: parseInt(semester),
+      subject: subjectMatcher(subject)
+    };
+
+    if (date) {
+      const startDate = new Date(date);
+      const endDate = new Date(date);
+      endDate.setDate(endDate.getDate() + 1);
+      query.date = { $gte: startDate, $lt: endDate };
+    }
+
+    const total = await Attendance.countDocuments(query);
+    const attendance = await Attendance.find(query)
+      .populate('student', 'studentId firstName lastName')
+      .sort({ date: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: {
+        attendance,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Faculty Get Attendance Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance records'
+    });
+  }
+};
+
+// @desc    Enter marks for an assigned subject
+// @route   POST /api/faculty-portal/marks
+// @access  Private (Faculty)
+exports.enterMarks = async (req, res) => {
+  try {
+    const {
+      examType,
+      course,
+      semester,
+      subject,
+      theoryMax = 100,
+      practicalMax = 100,
+      vivaMax = 50,
+      assignmentMax = 50,
+      marksData,
+      attempt = 1
+    } = req.body;
+
+    if (!examType || !course || !semester || !subject || !Array.isArray(marksData)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields'
+      });
+    }
+
+    const maxima = {
+      theory: Number(theoryMax),
+      practical: Number(practicalMax),
+      viva: Number(vivaMax),
+      assignment: Number(assignmentMax)
+    };
+    const invalidMax = Object.keys(maxima).find(key => !Number.isFinite(maxima[key]) || maxima[key] < 0);
+    if (invalidMax) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidMax}Max must be a number of 0 or more`
+      });
+    }
+
+    const faculty = await getFacultyProfile(req);
+    if (!faculty) return facultyNotFound(res);
+
+    if (!findAssignment(faculty, course, semester, subject)) return notAssigned(res);
+
+    const { lookup } = await getClassStudents(course, semester);
+    const scheme = await resolveScheme(await Course.findById(course).select('gradingScheme'));
+
+    const results = {
+      total: marksData.length,
+      success: 0,
+      failed: 0,
+      errors: []
+    };
+    const markAudits = [];
+
+    for (const record of marksData) {
+      try {
+        const student = lookup.get(String(record.studentId));
+        if (!student) {
+          throw new Error(`Student ${record.studentId} is not in this class`);
+        }
+
+        // Blank components count as 0; anything else must lie within the component maximum
+        const obtained = {};
+        Object.keys(maxima).forEach(component => {
+          const raw = record[`${component}Obtained`];
+          const value = raw === undefined || raw === null || raw === '' ? 0 : Number(raw);
+          if (!Number.isFinite(value) || value < 0 || value > maxima[component]) {
+            throw new Error(`${component} marks for ${record.studentId} must be between 0 and ${maxima[component]}`);
+          }
+          obtained[component] = value;
+        });
+
+        const key = {
+          student: student._id,
+          subject,
+          examType,
+          semester: parseInt(semester),
+          attempt: parseInt(attempt) || 1
+        };
+        if (!(await Marks.canAttempt(key))) {
+          throw new Error(`Student ${student.studentId} has no failed attempt ${key.attempt - 1} in this subject`);
+        }
+
+        let marks = await Marks.findOne(key);
+
+        if (marks && marks.isPublished) {
+          throw new Error(`Marks for ${student.studentId} are already published`);
+        }
+        const before = marks ? marks.toObject() : null;
+
+        if (!marks) {
+          marks = new Marks({
+            student: student._id,
+            course,
+            subject,
+            semester: parseInt(semester),
+            examType,
+            attempt: key.attempt,
+            enteredBy: req.user._id,
+            isPublished: false
+          });
+        }
+
+        marks.marks = {
+          theory: { max: maxima.theory, obtained: obtained.theory },
+          practical: { max: maxima.practical, obtained: obtained.practical },
+          viva: { max: maxima.viva, obtained: obtained.viva },
+          assignment: { max: maxima.assignment, obtained: obtained.assignment }
+        };
+        marks.recalculate(scheme);
+        marks.examDate = new Date();
+        marks.remarks = record.remarks || marks.remarks;
+
+        await marks.save();
+        markAudits.push({ before, marks, studentId: student.studentId });
+        results.success++;
+      } catch (error) {
+        results.failed++;
+        results.errors.push({
+          studentId: record.studentId,
+          error: error.message
+        });
+      }
+    }
+
+    for (const { before, marks, studentId } of markAudits) {
+      await recordAudit(req, {
+        action: before ? 'update' : 'create',
+        entity: 'Marks',
+        before,
+        after: marks,
+        summary: `${before ? 'Updated' : 'Entered'} ${examType} marks in ${subject} for ${studentId}`
+      });
+    }
+
+    // Notify admins that marks are awaiting publication
+    try {
+      const io = req.app.get('io');
+      if (io) {
+        io.to('admins').emit('marks:bulkAdded', {
+          course,
+          subject,
+          examType,
+          total: results.total,
+          success: results.success,
+          failed: results.failed,
+          enteredBy: faculty.fullName
+        });
+      }
+    } catch (err) {
+      console.error('Emit marks event error:', err.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Marks recorded successfully',
+      data: results
+    });
+  } catch (error) {
+    console.error('Faculty Enter Marks Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record marks'
+    });
+  }
+};
+
+// @desc    Get marks for an assigned subject
+// @route   GET /api/faculty-portal/marks
+// @access  Private (Faculty)
+exports.getMarks = async (req, res) => {
+  try {
+    const { course, semester, subject, examType } = req.query;
+
+    const faculty = await getFacultyProfile(req);
+    if (!faculty) return facultyNotFound(res);
+
+    if (!findAssignment(faculty, course, semester, subject)) return notAssigned(res);
+
+    const query = {
+      course,
+      semester: parseInt(semester),
+      subject: subjectMatcher(subject)
+    };
+    if (examType) query.examType = examType;
+
+    const marks = await Marks.find(query)
+      .sort({ examType: 1 })
+      .populate('student', 'studentId firstName lastName')
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: marks
+    });
+  } catch (error) {
+    console.error('Faculty Get Marks Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch marks'
+    });
+  }
+};
+
+// Longest a QR check-in session can stay open
+const MAX_SESSION_MINUTES = 240;
+
+// Load one of the faculty member's own check-in sessions
+const findOwnSession = (req, withSecret = false) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) return null;
+  const query = AttendanceSession.findOne({ _id: req.params.id, owner: req.user._id });
+  return withSecret ? query.select('+secret') : query;
+};
+
+const sessionNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Check-in session not found'
+  });
+};
+
+// @desc    Open a QR check-in session for an assigned subject, today
+// @route   POST /api/faculty-portal/attendance/sessions
+// @access  Private (Faculty)
+exports.openAttendanceSession = async (req, res) => {
+  try {
+    const { course, semester, subject, type, session, durationMinutes = 15, lateAfterMinutes } = req.body;
+
+    if (!course || !semester || !subject) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: course, semester, subject'
+      });
+    }
+
+    const minutes = parseInt(durationMinutes);
+    if (!(minutes > 0 && minutes <= MAX_SESSION_MINUTES)) {
+      return res.status(400).json({
+        success: false,
+        message: `durationMinutes must be between 1 and ${MAX_SESSION_MINUTES}`
+      });
+    }
+
+    const faculty = await getFacultyProfile(req);
+    if (!faculty) return facultyNotFound(res);
+
+    const assignment = findAssignment(faculty, course, semester, subject);
+    if (!assignment) return notAssigned(res);
+
+    const date = AttendanceSession.classDate();
+    const sessionName = session || 'Morning';
+
+    const existing = await AttendanceSession.findOne({
+      course,
+      semester: parseInt(semester),
+      subject: subjectMatcher(subject),
+      date,
+      session: sessionName,
+      status: 'open',
+      expiresAt: { $gt: new Date() }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A check-in session is already open for this class',
+        data: { sessionId: existing._id }
+      });
+    }
+
+    const attendanceSession = new AttendanceSession({
+      owner: req.user._id,
+      course,
+      semester: parseInt(semester),
+      // Use the subject name as assigned so records match the faculty portal's own marking
+      subject: assignment.subjectName.trim(),
+      type: type || 'Theory',
+      session: sessionName,
+      date,
+      lateAfterMinutes: lateAfterMinutes !== undefined && lateAfterMinutes !== '' ? parseInt(lateAfterMinutes) : undefined,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    });
+    await attendanceSession.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Check-in session opened',
+      data: {
+        session: attendanceSession,
+        ...attendanceSession.currentToken()
+      }
+    });
+  } catch (error) {
+    console.error('Open Attendance Session Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open check-in session'
+    });
+  }
+};
+
+// @desc    List the faculty member's check-in sessions
+// @route   GET /api/faculty-portal/attendance/sessions?status=open
+// @access  Private (Faculty)
+exports.getAttendanceSessions = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { owner: req.user._id };
+    if (status) query.status = status;
+
+    const total = await AttendanceSession.countDocuments(query);
+    const sessions = await AttendanceSession.find(query)
+      .populate('course', 'courseName courseCode')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .select('-checkIns -__v');
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get Attendance Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch check-in sessions'
+    });
+  }
+};
+
+// @desc    Get a check-in session with the students checked in so far
+// @route   GET /api/faculty-portal/attendance/sessions/:id
+// @access  Private (Faculty)
+exports.getAttendanceSession = async (req, res) => {
+  try {
+    const attendanceSession = await findOwnSession(req);
+    if (!attendanceSession) return sessionNotFound(res);
+
+    await attendanceSession.populate([
+      { path: 'course', select: 'courseName courseCode' },
+      { path: 'checkIns.student', select: 'studentId firstName lastName' }
+    ]);
+
+    const classSize = await Student.countDocuments({
+      courseEnrolled: attendanceSession.course._id,
+      semester: attendanceSession.semester,
+      academicStatus: 'Active'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        session: attendanceSession,
+        checkedIn: attendanceSession.checkIns.length,
+        classSize
+      }
+    });
+  } catch (error) {
+    console.error('Get Attendance Session Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch check-in session'
+    });
+  }
+};
+
+// @desc    Current QR token for an open session; poll before expiresAt to rotate the code
+// @route   GET /api/faculty-portal/attendance/sessions/:id/token
+// @access  Private (Faculty)
+exports.getAttendanceSessionToken = async (req, res) => {
+  try {
+    const attendanceSession = await findOwnSession(req, true);
+    if (!attendanceSession) return sessionNotFound(res);
+
+    if (!attendanceSession.isOpen) {
+      return res.status(410).json({
+        success: false,
+        message: 'This check-in session is closed'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...attendanceSession.currentToken(),
+        checkedIn: attendanceSession.checkIns.length,
+        sessionExpiresAt: attendanceSession.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get Attendance Session Token Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch check-in code'
+    });
+  }
+};
+
+// @desc    Close a check-in session; students who did not check in are marked Absent
+//          (or on leave) unless attendance was already recorded for them. Pass markAbsent: false to skip.
+// @route   PUT /api/faculty-portal/attendance/sessions/:id/close
+// @access  Private (Faculty)
+exports.closeAttendanceSession = async (req, res) => {
+  try {
+    const { markAbsent = true } = req.body;
+
+    const attendanceSession = await findOwnSession(req);
+    if (!attendanceSession) return sessionNotFound(res);
+
+    if (attendanceSession.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This check-in session is already closed'
+      });
+    }
+
+    attendanceSession.status = 'closed';
+    attendanceSession.closedAt = new Date();
+
+    if (markAbsent !== false && markAbsent !== 'false') {
+      const { students } = await getClassStudents(attendanceSession.course, attendanceSession.semester);
+      const checkedIn = new Set(attendanceSession.checkIns.map(checkIn => checkIn.student.toString()));
+      const missing = students.filter(student => !checkedIn.has(student._id.toString()));
+      const leaveStatus = await LeaveApplication.leaveStatusFor(missing.map(student => student._id), attendanceSession.date);
+
+      if (missing.length > 0) {
+        // Insert only, so attendance the faculty member already entered by hand is kept
+        const result = await Attendance.bulkWrite(missing.map(student => ({
+          updateOne: {
+            filter: attendanceSession.attendanceKey(student._id),
+            update: {
+              $setOnInsert: attendanceSession.attendanceFields(leaveStatus.get(student._id.toString()) || 'Absent')
+            },
+            upsert: true
+          }
+        })));
+        attendanceSession.absentMarked = result.upsertedCount || 0;
+      }
+    }
+
+    await attendanceSession.save();
+
+    try {
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`course:${attendanceSession.course}`).emit('attendance:marked', {
+          date: attendanceSession.date,
+          subject: attendanceSession.subject,
+          semester: attendanceSession.semester,
+          course: attendanceSession.course,
+          type: attendanceSession.type,
+          session: attendanceSession.session,
+          count: attendanceSession.checkIns.length + attendanceSession.absentMarked
+        });
+      }
+    } catch (err) {
+      console.error('Emit attendance event error:', err.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Check-in session closed',
+      data: {
+        checkedIn: attendanceSession.checkIns.length,
+        absentMarked: attendanceSession.absentMarked
+      }
+    });
+  } catch (error) {
+    console.error('Close Attendance Session Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close check-in session'
+    });
+  }
+};
@@ -0,0 +1,469 @@
+const FeeLedger = require('../models/FeeLedger');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/audit');
+const { getSettings } = require('../utils/settings');
+const sendEmail = require('../utils/sendEmail');
+
+// Find a student by Mongo _id or by student ID (e.g. GNM2025001)
+const findStudent = async (idOrCode) => {
+  if (mongoose.Types.ObjectId.isValid(idOrCode)) {
+    const student = await Student.findById(idOrCode);
+    if (student) return student;
+  }
+  return Student.findOne({ studentId: String(idOrCode).toUpperCase() });
+};
+
+// Load a student's ledger, creating it from the course fee structure if missing
+const loadLedger = async (student, userId) => {
+  let ledger = await FeeLedger.findOne({ student: student._id });
+  if (!ledger) {
+    const course = await Course.findById(student.courseEnrolled);
+    if (!course) return null;
+    ledger = await FeeLedger.generateForStudent(student, course, userId);
+  }
+  return ledger;
+};
+
+// Notify the student's dashboard that their ledger changed
+const emitLedgerUpdate = (req, student, ledger) => {
+  try {
+    const io = req.app.get('io');
+    if (io && student.userId) {
+      io.to(`user:${student.userId}`).emit('fees:updated', {
+        balance: ledger.summary.balance,
+        status: ledger.status
+      });
+    }
+  } catch (err) {
+    console.error('Emit fees event error:', err.message);
+  }
+};
+
+// Shared handler for payment/concession/fine/refund entries
+const addLedgerEntry = (method, successMessage) => async (req, res) => {
+  try {
+    const student = await findStudent(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const ledger = await loadLedger(student, req.user._id);
+    if (!ledger) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found for student'
+      });
+    }
+
+    const transaction = ledger[method](req.body, req.user._id);
+    await ledger.save();
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'FeeLedger',
+      entityId: ledger._id,
+      summary: `${successMessage.replace(/ successfully$/, '')} for ${student.studentId}`,
+      metadata: { method, transaction: transaction.toObject(), balance: ledger.summary.balance }
+    });
+
+    emitLedgerUpdate(req, student, ledger);
+
+    res.status(201).json({
+      success: true,
+      message: successMessage,
+      data: {
+        transaction,
+        summary: ledger.summary,
+        status: ledger.status
+      }
+    });
+  } catch (error) {
+    console.error(`Fee ${method} Error:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update fee ledger'
+    });
+  }
+};
+
+// @desc    Get fee ledgers with dues summary
+// @route   GET /api/admin/fees
+// @access  Private (Admin)
+exports.getFeeLedgers = async (req, res) => {
+  try {
+    const { course, status, search, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+
+    if (course) query.course = course;
+    if (status === 'clear') query['summary.balance'] = { $lte: 0 };
+    if (status === 'due') query['summary.balance'] = { $gt: 0 };
+    if (status === 'overdue') query['summary.overdue'] = { $gt: 0 };
+
+    if (search) {
+      const students = await Student.find({
+        $or: [
+          { studentId: { $regex: search, $options: 'i' } },
+          { firstName: { $regex: search, $options: 'i' } },
+          { lastName: { $regex: search, $options: 'i' } }
+        ]
+      }).select('_id');
+      query.student = { $in: students.map(s => s._id) };
+    }
+
+    const [ledgers, total, totals] = await Promise.all([
+      FeeLedger.find(query)
+        .sort({ 'summary.overdue': -1, 'summary.balance': -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .populate('student', 'studentId firstName lastName mobileNumber semester')
+        .populate('course', 'courseName courseCode')
+        .select('-transactions -__v'),
+      FeeLedger.countDocuments(query),
+      FeeLedger.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: null,
+            totalAmount: { $sum: '$summary.totalAmount' },
+            totalFine: { $sum: '$summary.totalFine' },
+            totalConcession: { $sum: '$summary.totalConcession' },
+            totalPaid: { $sum: '$summary.totalPaid' },
+            totalRefunded: { $sum: '$summary.totalRefunded' },
+            balance: { $sum: '$summary.balance' },
+            overdue: { $sum: '$summary.overdue' }
+          }
+        }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ledgers,
+        summary: totals[0] || null,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get Fee Ledgers Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fee ledgers'
+    });
+  }
+};
+
+// @desc    Generate fee ledgers from course installment plans
+// @route   POST /api/admin/fees/generate
+// @access  Private (Admin)
+exports.generateFeeLedgers = async (req, res) => {
+  try {
+    const { studentId, course } = req.body;
+
+    if (!studentId && !course) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a studentId or a course'
+      });
+    }
+
+    let students = [];
+    if (studentId) {
+      const student = await findStudent(studentId);
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student not found'
+        });
+      }
+      students = [student];
+    } else {
+      students = await Student.find({ courseEnrolled: course, academicStatus: 'Active' });
+    }
+
+    const results = {
+      total: students.length,
+      created: 0,
+      existing: 0,
+      failed: 0,
+      errors: []
+    };
+
+    for (const student of students) {
+      try {
+        const exists = await FeeLedger.exists({ student: student._id });
+        if (exists) {
+          results.existing++;
+          continue;
+        }
+
+        const courseDoc = await Course.findById(student.courseEnrolled);
+        if (!courseDoc) throw new Error('Course not found');
+
+        await FeeLedger.generateForStudent(student, courseDoc, req.user._id);
+        results.created++;
+      } catch (error) {
+        results.failed++;
+        results.errors.push({
+          studentId: student.studentId,
+          error: error.message
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Fee ledgers generated',
+      data: results
+    });
+  } catch (error) {
+    console.error('Generate Fee Ledgers Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate fee ledgers'
+    });
+  }
+};
+
+// @desc    Get a student's fee ledger
+// @route   GET /api/admin/fees/:studentId
+// @access  Private (Admin)
+exports.getStudentLedger = async (req, res) => {
+  try {
+    const student = await findStudent(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const ledger = await loadLedger(student, req.user._id);
+    if (!ledger) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found for student'
+      });
+    }
+
+    await ledger.populate([
+      { path: 'student', select: 'studentId firstName lastName mobileNumber semester academicStatus' },
+      { path: 'course', select: 'courseName courseCode feesStructure' },
+      { path: 'transactions.recordedBy', select: 'username' }
+    ]);
+
+    res.json({
+      success: true,
+      data: ledger
+    });
+  } catch (error) {
+    console.error('Get Student Ledger Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fee ledger'
+    });
+  }
+};
+
+// @desc    Record a fee payment
+// @route   POST /api/admin/fees/:studentId/payments
+// @access  Private (Admin)
+exports.recordPayment = addLedgerEntry('recordPayment', 'Payment recorded successfully');
+
+// @desc    Grant a fee concession
+// @route   POST /api/admin/fees/:studentId/concessions
+// @access  Private (Admin)
+exports.addConcession = addLedgerEntry('addConcession', 'Concession applied successfully');
+
+// @desc    Levy a fine
+// @route   POST /api/admin/fees/:studentId/fines
+// @access  Private (Admin)
+exports.addFine = addLedgerEntry('addFine', 'Fine added successfully');
+
+// @desc    Record a refund
+// @route   POST /api/admin/fees/:studentId/refunds
+// @access  Private (Admin)
+exports.recordRefund = addLedgerEntry('recordRefund', 'Refund recorded successfully');
+
+// @desc    Apply late fines to all overdue installments
+// @route   POST /api/admin/fees/late-fines
+// @access  Private (Admin)
+exports.applyLateFines = async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const asOf = req.body.asOf ? new Date(req.body.asOf) : new Date();
+
+    if (!amount || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A positive fine amount is required'
+      });
+    }
+
+    const result = await FeeLedger.applyLateFines({ amount, asOf, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: `Late fines applied to ${result.finesApplied} installment(s)`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Apply Late Fines Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply late fines'
+    });
+  }
+};
+
+// @desc    Email fee reminders to students with dues
+// @route   POST /api/admin/fees/reminders
+// @access  Private (Admin)
+exports.sendFeeReminders = async (req, res) => {
+  try {
+    const { studentIds, overdueOnly = true } = req.body;
+    const now = new Date();
+
+    const query = overdueOnly ? { 'summary.overdue': { $gt: 0 } } : { 'summary.balance': { $gt: 0 } };
+    if (Array.isArray(studentIds) && studentIds.length > 0) {
+      const students = await Promise.all(studentIds.map(findStudent));
+      query.student = { $in: students.filter(Boolean).map(student => student._id) };
+    }
+
+    const [ledgers, settings] = await Promise.all([
+      FeeLedger.find(query)
+        .select('-transactions')
+        .populate({
+          path: 'student',
+          select: 'studentId firstName lastName personalEmail instituteEmail userId',
+          populate: { path: 'userId', select: 'email notificationPreferences' }
+        }),
+      getSettings()
+    ]);
+
+    const results = { total: ledgers.length, sent: 0, skipped: 0, failed: 0, errors: [] };
+
+    for (const ledger of ledgers) {
+      const { student } = ledger;
+      const user = student && student.userId;
+      const preferences = (user && user.notificationPreferences) || {};
+      const email = student && (student.personalEmail || (user && user.email) || student.instituteEmail);
+
+      if (!email || preferences.email === false) {
+        results.skipped++;
+        continue;
+      }
+
+      const invoices = ledger.invoices
+        .filter(invoice => invoice.balance > 0 && (!overdueOnly || (invoice.dueDate && invoice.dueDate < now)))
+        .map(invoice => ({
+          label: invoice.label || `Installment ${invoice.installmentNo}`,
+          dueDate: invoice.dueDate,
+          balance: invoice.balance
+        }));
+
+      try {
+        await sendEmail({
+          email,
+          template: 'feeReminder',
+          language: preferences.language,
+          data: {
+            name: student.fullName,
+            studentId: student.studentId,
+            currency: settings.general?.currency || 'INR',
+            balance: ledger.summary.balance,
+            overdue: ledger.summary.overdue,
+            invoices
+          }
+        });
+        results.sent++;
+      } catch (error) {
+        results.failed++;
+        results.errors.push({ studentId: student.studentId, error: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Sent ${results.sent} fee reminder(s)`,
+      data: results
+    });
+  } catch (error) {
+    console.error('Send Fee Reminders Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send fee reminders'
+    });
+  }
+};
+
+// @desc    Get logged-in student's fee ledger
+// @route   GET /api/student/fees
+// @access  Private (Student)
+exports.getMyFees = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id });
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const ledger = await loadLedger(student, req.user._id);
+    if (!ledger) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee details not available'
+      });
+    }
+
+    await ledger.populate('course', 'courseName courseCode');
+
+    const nextDue = ledger.getOpenInvoices()[0] || null;
+
+    res.json({
+      success: true,
+      data: {
+        course: ledger.course,
+        invoices: ledger.invoices,
+        transactions: ledger.transactions
+          .map(t => ({
+            _id: t._id,
+            type: t.type,
+            amount: t.amount,
+            allocations: t.allocations,
+            mode: t.mode,
+            receiptNumber: t.receiptNumber,
+            referenceNo: t.referenceNo,
+            remarks: t.remarks,
+            date: t.date
+          }))
+          .sort((a, b) => b.date - a.date),
+        summary: ledger.summary,
+        status: ledger.status,
+        nextDue,
+        student: {
+          name: student.fullName,
+          studentId: student.studentId,
+          semester: student.semester
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get My Fees Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fee details'
+    });
+  }
+};
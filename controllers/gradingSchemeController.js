@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const GradingScheme = require('../models/GradingScheme');
+const Course = require('../models/Course');
+const Marks = require('../models/Marks');
+const IssuedDocument = require('../models/IssuedDocument');
+const { resolveScheme, DEFAULT_SCHEME } = require('../utils/gradingEngine');
+const { recordAudit } = require('../utils/audit');
+
+const SCHEME_FIELDS = ['name', 'description', 'grades', 'passPercentage', 'componentMinimums', 'isDefault', 'isActive'];
+
+const schemeNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Grading scheme not found'
+  });
+};
+
+// Respond with a validation or duplicate-name error; false for anything else
+const handleSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+    return true;
+  }
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: 'A grading scheme with this name already exists'
+    });
+    return true;
+  }
+  return false;
+};
+
+// @desc    List grading schemes with the courses using each
+// @route   GET /api/admin/grading-schemes
+// @access  Private (Admin, canManageMarks)
+exports.getSchemes = async (req, res) => {
+  try {
+    const [schemes, courses] = await Promise.all([
+      GradingScheme.find().sort({ isDefault: -1, name: 1 }).select('-__v'),
+      Course.find({ gradingScheme: { $ne: null } }).select('courseCode courseName gradingScheme')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        schemes: schemes.map(scheme => ({
+          ...scheme.toObject(),
+          courses: courses
+            .filter(course => course.gradingScheme.toString() === scheme._id.toString())
+            .map(course => ({ _id: course._id, courseCode: course.courseCode, courseName: course.courseName }))
+        })),
+        // Applies when no scheme is marked default and a course has none
+        builtIn: DEFAULT_SCHEME
+      }
+    });
+  } catch (error) {
+    console.error('Get Grading Schemes Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch grading schemes'
+    });
+  }
+};
+
+// @desc    Create a grading scheme
+// @route   POST /api/admin/grading-schemes
+// @access  Private (Admin, canManageMarks)
+exports.createScheme = async (req, res) => {
+  try {
+    const scheme = new GradingScheme({ createdBy: req.user._id });
+    SCHEME_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) scheme[field] = req.body[field];
+    });
+    await scheme.save();
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'GradingScheme',
+      entityId: scheme._id,
+      after: scheme,
+      summary: `Created grading scheme ${scheme.name}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Grading scheme created',
+      data: scheme
+    });
+  } catch (error) {
+    if (handleSaveError(res, error)) return;
+    console.error('Create Grading Scheme Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create grading scheme'
+    });
+  }
+};
+
+// @desc    Update a grading scheme. Stored marks keep their results until recomputed.
+// @route   PUT /api/admin/grading-schemes/:id
+// @access  Private (Admin, canManageMarks)
+exports.updateScheme = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return schemeNotFound(res);
+    const scheme = await GradingScheme.findById(req.params.id);
+    if (!scheme) return schemeNotFound(res);
+
+    const before = scheme.toObject();
+    SCHEME_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) scheme[field] = req.body[field];
+    });
+    await scheme.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'GradingScheme',
+      entityId: scheme._id,
+      before,
+      after: scheme,
+      summary: `Updated grading scheme ${scheme.name}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Grading scheme updated',
+      data: scheme
+    });
+  } catch (error) {
+    if (handleSaveError(res, error)) return;
+    console.error('Update Grading Scheme Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update grading scheme'
+    });
+  }
+};
+
+// @desc    Delete a grading scheme that no course uses
+// @route   DELETE /api/admin/grading-schemes/:id
+// @access  Private (Admin, canManageMarks)
+exports.deleteScheme = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return schemeNotFound(res);
+    const scheme = await GradingScheme.findById(req.params.id);
+    if (!scheme) return schemeNotFound(res);
+
+    const inUse = await Course.countDocuments({ gradingScheme: scheme._id });
+    if (inUse > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `The scheme is used by ${inUse} course(s); assign them another scheme first`
+      });
+    }
+
+    await scheme.deleteOne();
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'GradingScheme',
+      entityId: scheme._id,
+      before: scheme,
+      summary: `Deleted grading scheme ${scheme.name}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Grading scheme deleted'
+    });
+  } catch (error) {
+    console.error('Delete Grading Scheme Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete grading scheme'
+    });
+  }
+};
+
+// @desc    Recompute grades and results of a course's marks with its current scheme
+// @route   POST /api/admin/courses/:id/marks/recompute
+// @access  Private (Admin, canManageMarks)
+exports.recomputeCourseMarks = async (req, res) => {
+  try {
+    const { semester, includePublished = false } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+    const course = await Course.findById(req.params.id).select('courseCode gradingScheme');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const scheme = await resolveScheme(course);
+    const query = { course: course._id, resultStatus: { $nin: ['Absent', 'Pending'] } };
+    if (semester) query.semester = parseInt(semester);
+    // Published results only change when asked to
+    if (!includePublished) query.isPublished = false;
+
+    const marks = await Marks.find(query);
+    let changed = 0;
+    const republished = [];
+    for (const mark of marks) {
+      const previous = `${mark.grade}:${mark.resultStatus}`;
+      mark.recalculate(scheme);
+      if (`${mark.grade}:${mark.resultStatus}` !== previous) {
+        await mark.save();
+        changed++;
+        if (mark.isPublished) republished.push(mark);
+      }
+    }
+
+    // Documents printed from the old published grades no longer hold
+    const superseded = await IssuedDocument.supersede(republished, { revokedBy: req.user._id });
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'Marks',
+      summary: `Recomputed ${changed} of ${marks.length} mark record(s) in ${course.courseCode} with scheme ${scheme.name}`,
+      metadata: { course: course._id, semester, includePublished: Boolean(includePublished), scheme: scheme.name, superseded }
+    });
+
+    res.json({
+      success: true,
+      message: `Recomputed ${marks.length} mark record(s)`,
+      data: {
+        scheme: scheme.name,
+        checked: marks.length,
+        changed,
+        superseded
+      }
+    });
+  } catch (error) {
+    console.error('Recompute Course Marks Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to recompute marks'
+    });
+  }
+};
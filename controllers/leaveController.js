@@ -0,0 +1,447 @@
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const LeaveApplication = require('../models/LeaveApplication');
+const Student = require('../models/Student');
+const Faculty = require('../models/Faculty');
+const { recordAudit } = require('../utils/audit');
+
+// Longest single application, in days
+const MAX_LEAVE_DAYS = parseInt(process.env.MAX_LEAVE_DAYS, 10) || 30;
+
+// Remove an uploaded certificate when the application is not saved
+const discardUpload = (file) => {
+  if (file) {
+    fs.unlink(file.path, err => {
+      if (err) console.error('Discard leave certificate error:', err.message);
+    });
+  }
+};
+
+// Course/semester filter for the applications a reviewer may see; null if none
+const getReviewScope = async (req) => {
+  if (req.user.role === 'admin') return {};
+
+  const faculty = await Faculty.findOne({ userId: req.user._id, isActive: true });
+  if (!faculty || faculty.subjectsHandling.length === 0) return null;
+
+  return {
+    $or: faculty.subjectsHandling
+      .filter(assignment => assignment.course)
+      .map(assignment => ({ course: assignment.course, semester: assignment.semester }))
+  };
+};
+
+// Load an application the reviewer is allowed to act on
+const findReviewableLeave = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  const scope = await getReviewScope(req);
+  if (!scope) return null;
+  return LeaveApplication.findOne({ _id: req.params.id, ...scope });
+};
+
+const leaveNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Leave application not found'
+  });
+};
+
+// Tell the student their application was decided
+const emitLeaveReviewed = (req, student, leave) => {
+  try {
+    const io = req.app.get('io');
+    if (io && student && student.userId) {
+      io.to(`user:${student.userId}`).emit('leave:reviewed', {
+        leaveId: leave._id,
+        status: leave.status,
+        fromDate: leave.fromDate,
+        toDate: leave.toDate,
+        reviewRemarks: leave.reviewRemarks
+      });
+    }
+  } catch (emitErr) {
+    console.error('Socket emit error (leave:reviewed):', emitErr);
+  }
+};
+
+// @desc    Apply for leave
+// @route   POST /api/student/leave (multipart, optional medicalCertificate file)
+// @access  Private (Student)
+exports.applyLeave = async (req, res) => {
+  try {
+    const { fromDate, toDate, reason, leaveType } = req.body;
+
+    if (!fromDate || !toDate || !reason) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'fromDate, toDate and reason are required'
+      });
+    }
+
+    if (leaveType && !LeaveApplication.LEAVE_TYPES.includes(leaveType)) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: `leaveType must be one of: ${LeaveApplication.LEAVE_TYPES.join(', ')}`
+      });
+    }
+
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      discardUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const leave = new LeaveApplication({
+      student: student._id,
+      course: student.courseEnrolled,
+      semester: student.semester,
+      leaveType: leaveType || (req.file ? 'Medical Leave' : 'Leave'),
+      fromDate: new Date(fromDate),
+      toDate: new Date(toDate),
+      reason,
+      appliedBy: req.user._id
+    });
+
+    if (req.file) {
+      leave.medicalCertificate = {
+        fileName: req.file.originalname,
+        filePath: `/uploads/certificates/${req.file.filename}`,
+        fileType: req.file.mimetype,
+        fileSize: req.file.size
+      };
+    }
+
+    await leave.validate();
+
+    if (leave.days > MAX_LEAVE_DAYS) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: `A single application can cover at most ${MAX_LEAVE_DAYS} days`
+      });
+    }
+
+    if (await leave.overlapsExisting()) {
+      discardUpload(req.file);
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a pending or approved leave for these dates'
+      });
+    }
+
+    await leave.save();
+
+    try {
+      const io = req.app.get('io');
+      if (io) {
+        const payload = {
+          leaveId: leave._id,
+          studentId: student.studentId,
+          course: leave.course,
+          semester: leave.semester,
+          fromDate: leave.fromDate,
+          toDate: leave.toDate
+        };
+        io.to('admins').emit('leave:applied', payload);
+        io.to('faculty').emit('leave:applied', payload);
+      }
+    } catch (emitErr) {
+      console.error('Socket emit error (leave:applied):', emitErr);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave application submitted',
+      data: leave
+    });
+  } catch (error) {
+    discardUpload(req.file);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Apply Leave Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit leave application'
+    });
+  }
+};
+
+// @desc    Get the student's leave applications
+// @route   GET /api/student/leave?status=Pending
+// @access  Private (Student)
+exports.getMyLeaves = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const query = { student: student._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const leaves = await LeaveApplication.find(query)
+      .populate('reviewedBy', 'username')
+      .sort({ fromDate: -1 })
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: leaves
+    });
+  } catch (error) {
+    console.error('Get My Leaves Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch leave applications'
+    });
+  }
+};
+
+// @desc    Withdraw a pending leave application
+// @route   PUT /api/student/leave/:id/cancel
+// @access  Private (Student)
+exports.cancelLeave = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student || !mongoose.Types.ObjectId.isValid(req.params.id)) return leaveNotFound(res);
+
+    const existing = await LeaveApplication.findOne({ _id: req.params.id, student: student._id });
+    if (!existing) return leaveNotFound(res);
+
+    // Claim on the pending status so a review landing at the same time cannot be overwritten
+    const leave = await LeaveApplication.findOneAndUpdate(
+      { _id: existing._id, status: 'Pending' },
+      { $set: { status: 'Cancelled' } },
+      { new: true }
+    );
+    if (!leave) {
+      const current = await LeaveApplication.findById(existing._id).select('status');
+      return res.status(400).json({
+        success: false,
+        message: `Only pending applications can be cancelled (this one is ${current ? current.status : existing.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Leave application cancelled',
+      data: leave
+    });
+  } catch (error) {
+    console.error('Cancel Leave Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel leave application'
+    });
+  }
+};
+
+// @desc    Leave applications awaiting (or past) review
+// @route   GET /api/admin/leave, GET /api/faculty-portal/leave
+// @access  Private (Admin with canManageAttendance, or Faculty for the classes they teach)
+exports.getLeaveQueue = async (req, res) => {
+  try {
+    const { status = 'Pending', course, semester, studentId, page = 1, limit = 50 } = req.query;
+
+    const scope = await getReviewScope(req);
+    if (!scope) {
+      return res.json({
+        success: true,
+        data: { leaves: [], total: 0, page: 1, pages: 0 }
+      });
+    }
+
+    const query = { ...scope };
+    if (status !== 'all') query.status = status;
+    if (course) query.course = course;
+    if (semester) query.semester = parseInt(semester);
+    if (studentId) {
+      const student = await Student.findOne({ studentId: String(studentId).toUpperCase() }).select('_id');
+      query.student = student ? student._id : null;
+    }
+
+    const total = await LeaveApplication.countDocuments(query);
+    const leaves = await LeaveApplication.find(query)
+      .populate('student', 'studentId firstName lastName semester')
+      .populate('course', 'courseName courseCode')
+      .populate('reviewedBy', 'username')
+      .sort({ fromDate: 1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: {
+        leaves,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get Leave Queue Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch leave applications'
+    });
+  }
+};
+
+// @desc    Approve or reject a leave application; approval marks the days as leave in Attendance
+// @route   PUT /api/admin/leave/:id/review, PUT /api/faculty-portal/leave/:id/review
+// @access  Private (Admin with canManageAttendance, or Faculty for the classes they teach)
+exports.reviewLeave = async (req, res) => {
+  try {
+    const { status, remarks } = req.body;
+
+    if (!['Approved', 'Rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be Approved or Rejected'
+      });
+    }
+
+    const existing = await findReviewableLeave(req);
+    if (!existing) return leaveNotFound(res);
+
+    if (existing.status !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This application has already been ${existing.status.toLowerCase()}`
+      });
+    }
+
+    const before = existing.toObject();
+
+    // Claim the review on the pending status first; only the request that wins it touches attendance
+    const leave = await LeaveApplication.findOneAndUpdate(
+      { _id: existing._id, status: 'Pending' },
+      {
+        $set: {
+          status,
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          reviewRemarks: remarks
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!leave) {
+      return res.status(409).json({
+        success: false,
+        message: 'This application was reviewed or cancelled by another request'
+      });
+    }
+
+    if (status === 'Approved') {
+      await leave.applyToAttendance();
+      await leave.save();
+    }
+
+    const student = await Student.findById(leave.student).select('studentId userId');
+
+    await recordAudit(req, {
+      action: 'status-change',
+      entity: 'LeaveApplication',
+      entityId: leave._id,
+      before,
+      after: leave,
+      summary: `${status} ${leave.leaveType.toLowerCase()} for ${student ? student.studentId : leave.student} (${leave.days} day(s))`,
+      metadata: { attendanceUpdated: leave.attendanceUpdated }
+    });
+
+    emitLeaveReviewed(req, student, leave);
+
+    if (status === 'Approved' && leave.attendanceUpdated > 0) {
+      try {
+        const io = req.app.get('io');
+        if (io) {
+          io.to(`course:${leave.course}`).emit('attendance:changed', {
+            course: leave.course,
+            semester: leave.semester,
+            studentId: student ? student.studentId : undefined
+          });
+        }
+      } catch (emitErr) {
+        console.error('Socket emit error (attendance:changed):', emitErr);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Leave application ${status.toLowerCase()}`,
+      data: leave
+    });
+  } catch (error) {
+    console.error('Review Leave Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review leave application'
+    });
+  }
+};
+
+// @desc    Download the medical certificate attached to an application
+// @route   GET /api/student/leave/:id/certificate, GET /api/admin/leave/:id/certificate,
+//          GET /api/faculty-portal/leave/:id/certificate
+// @access  Private (the applying student, or a reviewer)
+exports.getCertificate = async (req, res) => {
+  try {
+    let leave = null;
+    if (req.user.role === 'student') {
+      const student = await Student.findOne({ userId: req.user._id }).select('_id');
+      if (student && mongoose.Types.ObjectId.isValid(req.params.id)) {
+        leave = await LeaveApplication.findOne({ _id: req.params.id, student: student._id });
+      }
+    } else {
+      leave = await findReviewableLeave(req);
+    }
+
+    if (!leave || !leave.medicalCertificate || !leave.medicalCertificate.filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    const filePath = path.join(__dirname, '..', leave.medicalCertificate.filePath);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found on server'
+      });
+    }
+
+    res.download(filePath, leave.medicalCertificate.fileName, (err) => {
+      if (err) {
+        console.error('Certificate Download Error:', err);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            message: 'Failed to download certificate'
+          });
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get Leave Certificate Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download certificate'
+    });
+  }
+};
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const { generateMarkSheet, generateTranscript, generateBatch } = require('../utils/markSheets');
+const { recordAudit } = require('../utils/audit');
+
+// Students per batch request; larger classes are split by roll number range
+const BATCH_LIMIT = parseInt(process.env.MARKSHEET_BATCH_LIMIT, 10) || 100;
+
+const sendPdf = (res, buffer, fileName, code) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  if (code) res.setHeader('X-Verification-Code', code);
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.send(buffer);
+};
+
+const findStudent = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Student.findById(id).populate('courseEnrolled', 'courseName courseCode');
+};
+
+// @desc    Download a student's semester mark sheet as PDF
+// @route   GET /api/admin/students/:id/marksheet?semester=N
+// @access  Private (Admin, canManageMarks)
+exports.getStudentMarkSheet = async (req, res) => {
+  try {
+    const { semester } = req.query;
+    if (!semester) {
+      return res.status(400).json({
+        success: false,
+        message: 'Semester is required'
+      });
+    }
+
+    const student = await findStudent(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const { buffer, verification } = await generateMarkSheet(student, semester, { issuedBy: req.user._id });
+
+    await recordAudit(req, {
+      action: 'other',
+      entity: 'Marks',
+      entityId: student._id,
+      summary: `Issued semester ${parseInt(semester)} mark sheet for ${student.studentId}`,
+      metadata: { type: 'marksheet', semester: parseInt(semester), code: verification.code }
+    });
+
+    sendPdf(res, buffer, `marksheet_${student.studentId}_sem${parseInt(semester)}.pdf`, verification.code);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get Student Mark Sheet Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate mark sheet'
+    });
+  }
+};
+
+// @desc    Download a student's consolidated transcript as PDF
+// @route   GET /api/admin/students/:id/transcript
+// @access  Private (Admin, canManageMarks)
+exports.getStudentTranscript = async (req, res) => {
+  try {
+    const student = await findStudent(req.params.id);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const { buffer, verification } = await generateTranscript(student, { issuedBy: req.user._id });
+
+    await recordAudit(req, {
+      action: 'other',
+      entity: 'Marks',
+      entityId: student._id,
+      summary: `Issued transcript for ${student.studentId}`,
+      metadata: { type: 'transcript', code: verification.code }
+    });
+
+    sendPdf(res, buffer, `transcript_${student.studentId}.pdf`, verification.code);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get Student Transcript Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate transcript'
+    });
+  }
+};
+
+// @desc    Generate mark sheets or transcripts for a whole course/batch as one PDF
+// @route   POST /api/admin/marks/documents
+// @access  Private (Admin, canManageMarks)
+exports.generateBatchDocuments = async (req, res) => {
+  try {
+    const { course: courseId, batchYear, semester, type = 'marksheet', fromRollNumber, toRollNumber } = req.body;
+
+    if (!['marksheet', 'transcript'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type must be marksheet or transcript'
+      });
+    }
+    if (type === 'marksheet' && !semester) {
+      return res.status(400).json({
+        success: false,
+        message: 'Semester is required for mark sheets'
+      });
+    }
+    if (!courseId || !mongoose.Types.ObjectId.isValid(courseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid course is required'
+      });
+    }
+
+    const course = await Course.findById(courseId).select('courseCode');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const query = { courseEnrolled: course._id, isActive: true };
+    if (batchYear) query.batchYear = parseInt(batchYear);
+    if (fromRollNumber || toRollNumber) {
+      query.rollNumber = {};
+      if (fromRollNumber) query.rollNumber.$gte = String(fromRollNumber).trim();
+      if (toRollNumber) query.rollNumber.$lte = String(toRollNumber).trim();
+    }
+
+    // Roll numbers compare numerically (2 before 10) in both the range and the sort
+    const rollNumberOrder = { locale: 'en', numericOrdering: true };
+
+    const total = await Student.countDocuments(query).collation(rollNumberOrder);
+    if (total > BATCH_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `${total} students match; at most ${BATCH_LIMIT} can be generated at once. Narrow the selection with batchYear or fromRollNumber/toRollNumber.`
+      });
+    }
+
+    const students = await Student.find(query)
+      .populate('courseEnrolled', 'courseName courseCode')
+      .collation(rollNumberOrder)
+      .sort({ rollNumber: 1 });
+
+    const { buffer, issued, skipped } = await generateBatch(students, { type, semester, issuedBy: req.user._id });
+    if (!buffer) {
+      return res.status(404).json({
+        success: false,
+        message: 'No student in this selection has published results'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'bulk-create',
+      entity: 'Marks',
+      summary: `Issued ${issued.length} ${type === 'marksheet' ? `semester ${parseInt(semester)} mark sheet(s)` : 'transcript(s)'} for ${course.courseCode}`,
+      metadata: {
+        type,
+        course: course._id,
+        batchYear,
+        semester,
+        fromRollNumber,
+        toRollNumber,
+        issued: issued.map(item => ({ student: item.student._id, code: item.verification.code })),
+        skipped
+      }
+    });
+
+    const suffix = type === 'marksheet' ? `_sem${parseInt(semester)}` : '';
+    res.setHeader('X-Documents-Issued', issued.length);
+    res.setHeader('X-Documents-Skipped', skipped.length);
+    sendPdf(res, buffer, `${type}s_${course.courseCode}${batchYear ? `_${parseInt(batchYear)}` : ''}${suffix}.pdf`);
+  } catch (error) {
+    console.error('Generate Batch Documents Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate documents'
+    });
+  }
+};
@@ -1,7 +1,6 @@
 const Notification = require('../models/Notification');
-const User = require('../models/User');
-const Student = require('../models/Student');
 const Course = require('../models/Course');
+const { dispatchNotification, processChannelDeliveries, MAX_ATTEMPTS } = require('../utils/notificationScheduler');
 
 // @desc    Create new notification
 // @route   POST /api/admin/notifications
@@ -20,8 +19,8 @@ exports.createNotification = async (req, res) => {
             sendMethod = ['dashboard'],
             actionUrl,
             actionText,
-            scheduleAt,
-            expiryDate
+            scheduledAt,
+            expiresAt
         } = req.body;
 
         // Validate required fields
@@ -32,128 +31,71 @@ exports.createNotification = async (req, res) => {
             });
         }
 
-        // Determine receivers based on target type
-        let receivers = [];
-
-        switch (targetType) {
-            case 'all':
-                // Get all active users
-                const allUsers = await User.find({ isActive: true })
-                    .select('_id');
-                receivers = allUsers.map(user => ({
-                    user: user._id,
-                    read: false
-                }));
-                break;
-
-            case 'students':
-                // Get all students
-                const students = await Student.find({ academicStatus: 'Active' })
-                    .populate('userId', '_id');
-                receivers = students.map(student => ({
-                    user: student.userId._id,
-                    read: false
-                }));
-                break;
-
-            case 'course':
-                // Get students of specific courses
-                const courseStudents = await Student.find({
-                    courseEnrolled: { $in: targetIds },
-                    academicStatus: 'Active'
-                }).populate('userId', '_id');
-                
-                receivers = courseStudents.map(student => ({
-                    user: student.userId._id,
-                    read: false
-                }));
-                break;
-
-            case 'batch':
-                // Get students of specific batch years
-                const batchStudents = await Student.find({
-                    batchYear: { $in: targetIds },
-                    academicStatus: 'Active'
-                }).populate('userId', '_id');
-                
-                receivers = batchStudents.map(student => ({
-                    user: student.userId._id,
-                    read: false
-                }));
-                break;
-
-            case 'individual':
-                // Specific users
-                receivers = targetIds.map(userId => ({
-                    user: userId,
-                    read: false
-                }));
-                break;
-
-            default:
-                receivers = [];
+        const sendAt = scheduledAt ? new Date(scheduledAt) : null;
+        const expireAt = expiresAt ? new Date(expiresAt) : null;
+
+        if ((sendAt && isNaN(sendAt)) || (expireAt && isNaN(expireAt))) {
+            return res.status(400).json({
+                success: false,
+                message: 'scheduledAt and expiresAt must be valid dates'
+            });
         }
 
-        // Create notification
-        const notification = new Notification({
+        if (sendAt && expireAt && expireAt <= sendAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'expiresAt must be after scheduledAt'
+            });
+        }
+
+        // Receivers are resolved by the dispatcher at send time
+        let notification = new Notification({
             title,
             message,
             type,
             category,
             priority,
             sender: req.user._id,
-            receivers,
+            receivers: [],
             targetType,
-            targetIds: targetIds.length > 0 ? targetIds : undefined,
+            targetIds: targetType !== 'batch' && targetIds.length > 0 ? targetIds : undefined,
+            targetBatches: targetType === 'batch' ? targetIds : undefined,
             targetModel: targetType !== 'individual' ? targetModel : null,
             sendMethod,
             actionUrl,
             actionText,
-            scheduleAt: scheduleAt ? new Date(scheduleAt) : null,
-            expiryDate: expiryDate ? new Date(expiryDate) : null,
+            scheduledAt: sendAt,
+            expiresAt: expireAt,
             isActive: true
         });
+        notification.queueDelivery(sendAt);
 
         await notification.save();
 
-        // Update metadata
-        notification.metadata.sentCount = receivers.length;
-        await notification.save();
+        // Send straight away unless scheduled for later
+        if (!sendAt || sendAt <= new Date()) {
+            notification = await dispatchNotification(req.app, notification._id) || notification;
+        }
 
-        // Populate sender info
         await notification.populate('sender', 'username email');
 
-        // Emit real-time notification events
-        const io = req.app.get('io');
-        if (io) {
-            // Emit to all receivers
-            receivers.forEach(receiver => {
-                io.to(`user:${receiver.user}`).emit('notification:created', {
-                    notification: {
-                        _id: notification._id,
-                        title: notification.title,
-                        message: notification.message,
-                        type: notification.type,
-                        category: notification.category,
-                        priority: notification.priority,
-                        createdAt: notification.createdAt,
-                        sender: notification.sender
+        try {
+            const io = req.app.get('io');
+            if (io) {
+                io.to('admins').emit('notification:created', {
+                    notification: notification,
+                    stats: {
+                        totalReceivers: notification.receivers.length
                     }
                 });
-            });
-
-            // Also emit to admin room for admin dashboard updates
-            io.to('admins').emit('notification:created', {
-                notification: notification,
-                stats: {
-                    totalReceivers: receivers.length
-                }
-            });
+            }
+        } catch (emitErr) {
+            console.error('Socket emit error (notification:created):', emitErr);
         }
 
         res.status(201).json({
             success: true,
-            message: 'Notification created successfully',
+            message: notification.delivery.state === 'sent' ? 'Notification created successfully' : 'Notification scheduled successfully',
             data: notification
         });
 
@@ -195,9 +137,11 @@ exports.getAllNotifications = async (req, res) => {
         if (status === 'active') {
             query.isActive = true;
         } else if (status === 'expired') {
-            query.expiryDate = { $lt: new Date() };
+            query.expiresAt = { $lt: new Date() };
         } else if (status === 'scheduled') {
-            query.scheduleAt = { $gt: new Date() };
+            query['delivery.state'] = { $in: ['pending', 'processing'] };
+        } else if (status === 'failed') {
+            query['delivery.state'] = 'failed';
         }
 
         if (startDate && endDate) {
@@ -214,7 +158,7 @@ exports.getAllNotifications = async (req, res) => {
                 .limit(parseInt(limit))
                 .populate('sender', 'username email')
                 .populate('targetIds', 'courseName fullName')
-                .select('-__v'),
+                .select('-__v -deliveries'),
             Notification.countDocuments(query)
         ]);
 
@@ -282,6 +226,7 @@ exports.getNotificationById = async (req, res) => {
             .populate('sender', 'username email')
             .populate('targetIds', 'courseName fullName username')
             .populate('receivers.user', 'username email')
+            .populate('deliveries.user', 'username')
             .select('-__v');
 
         if (!notification) {
@@ -299,6 +244,12 @@ exports.getNotificationById = async (req, res) => {
             success: true,
             data: {
                 notification,
+                delivery: {
+                    status: notification.status,
+                    ...(notification.delivery ? notification.delivery.toObject() : {}),
+                    maxAttempts: MAX_ATTEMPTS,
+                    channels: notification.deliverySummary()
+                },
                 stats: {
                     totalReceivers: notification.receivers.length,
                     readCount,
@@ -337,7 +288,7 @@ exports.updateNotification = async (req, res) => {
         // Only allow certain fields to be updated
         const allowedUpdates = [
             'title', 'message', 'type', 'category', 'priority',
-            'actionUrl', 'actionText', 'expiryDate', 'isActive'
+            'actionUrl', 'actionText', 'expiresAt', 'isActive'
         ];
 
         Object.keys(updates).forEach(key => {
@@ -346,6 +297,19 @@ exports.updateNotification = async (req, res) => {
             }
         });
 
+        // A queued notification can be rescheduled until it is sent
+        if (updates.scheduledAt !== undefined) {
+            const state = notification.delivery && notification.delivery.state;
+            if (state !== 'pending' && state !== 'failed') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Only notifications that have not been sent can be rescheduled'
+                });
+            }
+            notification.scheduledAt = updates.scheduledAt ? new Date(updates.scheduledAt) : null;
+            notification.queueDelivery(notification.scheduledAt);
+        }
+
         await notification.save();
 
         res.json({
@@ -407,21 +371,45 @@ exports.sendNotificationNow = async (req, res) => {
             });
         }
 
-        // Update sentAt to now
-        notification.sentAt = new Date();
-        await notification.save();
+        if (!notification.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Inactive notifications cannot be sent'
+            });
+        }
+
+        // Re-queue for now; resending re-resolves receivers but keeps their read state.
+        // Only the delivery state is written so an email/SMS run in progress is not overwritten.
+        const queued = await Notification.updateOne(
+            { _id: notification._id, isActive: true, 'delivery.state': { $ne: 'processing' } },
+            {
+                $set: { 'delivery.state': 'pending', 'delivery.attempts': 0, 'delivery.nextAttemptAt': new Date() },
+                $unset: { sentAt: '', 'delivery.lockedUntil': '', 'delivery.lastError': '' }
+            }
+        );
+        if (queued.matchedCount === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Notification is already being sent'
+            });
+        }
 
-        // TODO: Send push notifications/emails if configured
-        // if (notification.sendMethod.includes('email')) {
-        //     await sendEmailNotification(notification);
-        // }
-        // if (notification.sendMethod.includes('sms')) {
-        //     await sendSmsNotification(notification);
-        // }
+        const sent = await dispatchNotification(req.app, notification._id);
+        if (!sent || sent.delivery.state !== 'sent') {
+            return res.status(502).json({
+                success: false,
+                message: 'Notification could not be sent; it will be retried',
+                data: sent ? sent.delivery : notification.delivery
+            });
+        }
 
         res.json({
             success: true,
-            message: 'Notification sent successfully'
+            message: 'Notification sent successfully',
+            data: {
+                sentAt: sent.sentAt,
+                totalReceivers: sent.receivers.length
+            }
         });
 
     } catch (error) {
@@ -433,6 +421,76 @@ exports.sendNotificationNow = async (req, res) => {
     }
 };
 
+// @desc    Retry failed email/SMS deliveries
+// @route   POST /api/admin/notifications/:id/deliveries/retry
+// @access  Private (Admin)
+exports.retryFailedDeliveries = async (req, res) => {
+    try {
+        const { channel } = req.body;
+
+        const notification = await Notification.findById(req.params.id);
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Inactive notifications cannot be retried'
+            });
+        }
+
+        const retried = notification.deliveries.filter(delivery =>
+            delivery.status === 'failed' && (!channel || delivery.channel === channel)
+        ).length;
+
+        if (retried === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No failed deliveries to retry'
+            });
+        }
+
+        const failed = { 'retry.status': 'failed' };
+        if (channel) failed['retry.channel'] = channel;
+
+        // Update only the failed entries so results written by a delivery run in progress are kept
+        await Notification.updateOne(
+            { _id: notification._id },
+            {
+                $set: {
+                    'deliveries.$[retry].status': 'pending',
+                    'deliveries.$[retry].attempts': 0,
+                    'deliveries.$[retry].nextAttemptAt': new Date()
+                }
+            },
+            { arrayFilters: [failed] }
+        );
+
+        const updated = await Notification.findById(notification._id);
+
+        processChannelDeliveries(req.app).catch(error => {
+            console.error('Notification channel delivery error:', error.message);
+        });
+
+        res.json({
+            success: true,
+            message: `${retried} deliver${retried === 1 ? 'y' : 'ies'} queued for retry`,
+            data: updated.deliverySummary()
+        });
+
+    } catch (error) {
+        console.error('Retry Deliveries Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry deliveries'
+        });
+    }
+};
+
 // @desc    Get notification statistics
 // @route   GET /api/admin/notifications/stats
 // @access  Private (Admin)
@@ -452,20 +510,22 @@ exports.getNotificationStats = async (req, res) => {
                                 scheduled: {
                                     $sum: {
                                         $cond: [
-                                            { $and: [
-                                                { $ne: ['$scheduleAt', null] },
-                                                { $gt: ['$scheduleAt', new Date()] }
-                                            ]},
+                                            { $in: ['$delivery.state', ['pending', 'processing']] },
                                             1, 0
                                         ]
                                     }
                                 },
+                                failed: {
+                                    $sum: {
+                                        $cond: [{ $eq: ['$delivery.state', 'failed'] }, 1, 0]
+                                    }
+                                },
                                 expired: {
                                     $sum: {
                                         $cond: [
                                             { $and: [
-                                                { $ne: ['$expiryDate', null] },
-                                                { $lt: ['$expiryDate', new Date()] }
+                                                { $ne: [{ $ifNull: ['$expiresAt', null] }, null] },
+                                                { $lt: ['$expiresAt', new Date()] }
                                             ]},
                                             1, 0
                                         ]
@@ -0,0 +1,487 @@
+const Parent = require('../models/Parent');
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const Marks = require('../models/Marks');
+const FeeLedger = require('../models/FeeLedger');
+const Notification = require('../models/Notification');
+const mongoose = require('mongoose');
+
+const WARD_FIELDS = 'studentId firstName lastName courseEnrolled semester batchYear profileImage userId';
+
+// Load the logged-in parent's profile once per request, with links following the
+// students' current parent mobile numbers
+const loadParent = async (req) => {
+  if (req.parentProfile === undefined) {
+    const parent = await Parent.findOne({ userId: req.user._id });
+    if (parent) await parent.syncStudents();
+    req.parentProfile = parent;
+  }
+  return req.parentProfile;
+};
+
+// Resolve :studentId (Mongo _id or student ID) to one of the parent's wards, or send 404
+const findWard = async (req, res) => {
+  const parent = await loadParent(req);
+  const { studentId } = req.params;
+
+  const fields = `${WARD_FIELDS} ${Parent.WARD_MOBILE_FIELDS}`;
+  const student = mongoose.Types.ObjectId.isValid(studentId)
+    ? await Student.findById(studentId).select(fields)
+    : await Student.findOne({ studentId: String(studentId).toUpperCase() }).select(fields);
+
+  // Students not linked to this parent look the same as missing ones
+  if (!parent || !student || !parent.hasStudent(student)) {
+    res.status(404).json({
+      success: false,
+      message: 'Student not found'
+    });
+    return null;
+  }
+  return student;
+};
+
+const attendanceStats = (records) => {
+  const stats = {
+    total: records.length,
+    present: records.filter(a => a.status === 'Present').length,
+    absent: records.filter(a => a.status === 'Absent').length,
+    late: records.filter(a => a.status === 'Late').length,
+    leave: records.filter(a => ['Leave', 'Medical Leave'].includes(a.status)).length
+  };
+  stats.percentage = stats.total > 0 ? ((stats.present + stats.late) / stats.total) * 100 : 0;
+  return stats;
+};
+
+const wardSummary = (student) => ({
+  _id: student._id,
+  name: student.fullName,
+  studentId: student.studentId,
+  course: student.courseEnrolled,
+  semester: student.semester
+});
+
+// @desc    Get parent dashboard with a summary per ward
+// @route   GET /api/parent/dashboard
+// @access  Private (Parent)
+exports.getDashboard = async (req, res) => {
+  try {
+    const parent = await loadParent(req);
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent profile not found'
+      });
+    }
+
+    await parent.populate({
+      path: 'students.student',
+      select: WARD_FIELDS,
+      populate: { path: 'courseEnrolled', select: 'courseName courseCode' }
+    });
+
+    const wards = await Promise.all(parent.students
+      .filter(link => link.student)
+      .map(async ({ student, relation }) => {
+        const [attendance, marks, ledger, unreadNotifications] = await Promise.all([
+          Attendance.find({ student: student._id }).select('status').lean(),
+          Marks.find({ student: student._id, isPublished: true })
+            .sort({ publishedDate: -1 })
+            .limit(5)
+            .select('subject examType semester totalMarks percentage grade resultStatus publishedDate'),
+          FeeLedger.findOne({ student: student._id }).select('summary invoices'),
+          student.userId
+            ? Notification.countDocuments({ receivers: { $elemMatch: { user: student.userId, read: false } }, isActive: true })
+            : 0
+        ]);
+
+        return {
+          student: wardSummary(student),
+          relation,
+          attendance: attendanceStats(attendance),
+          recentMarks: marks,
+          fees: ledger ? {
+            summary: ledger.summary,
+            status: ledger.status,
+            nextDue: ledger.getOpenInvoices()[0] || null
+          } : null,
+          unreadNotifications
+        };
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        parent: {
+          name: parent.name,
+          mobileNumber: parent.mobileNumber
+        },
+        wards
+      }
+    });
+  } catch (error) {
+    console.error('Parent Dashboard Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dashboard data'
+    });
+  }
+};
+
+// @desc    List the parent's wards
+// @route   GET /api/parent/students
+// @access  Private (Parent)
+exports.getStudents = async (req, res) => {
+  try {
+    const parent = await loadParent(req);
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent profile not found'
+      });
+    }
+
+    await parent.populate({
+      path: 'students.student',
+      select: WARD_FIELDS,
+      populate: { path: 'courseEnrolled', select: 'courseName courseCode' }
+    });
+
+    res.json({
+      success: true,
+      data: parent.students
+        .filter(link => link.student)
+        .map(({ student, relation }) => ({ ...wardSummary(student), relation }))
+    });
+  } catch (error) {
+    console.error('Get Parent Students Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch students'
+    });
+  }
+};
+
+// @desc    Get a ward's attendance
+// @route   GET /api/parent/students/:studentId/attendance
+// @access  Private (Parent)
+exports.getStudentAttendance = async (req, res) => {
+  try {
+    const student = await findWard(req, res);
+    if (!student) return;
+
+    const { month, year, subject } = req.query;
+    const query = { student: student._id };
+
+    if (month && year) {
+      query.date = { $gte: new Date(year, month - 1, 1), $lte: new Date(year, month, 0) };
+    }
+    if (subject) {
+      query.subject = subject;
+    }
+
+    const attendance = await Attendance.find(query)
+      .sort({ date: -1 })
+      .select('date subject semester session type status remarks');
+
+    res.json({
+      success: true,
+      data: {
+        attendance,
+        stats: attendanceStats(attendance),
+        student: wardSummary(student)
+      }
+    });
+  } catch (error) {
+    console.error('Get Parent Attendance Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance data'
+    });
+  }
+};
+
+// @desc    Get a ward's published marks
+// @route   GET /api/parent/students/:studentId/marks
+// @access  Private (Parent)
+exports.getStudentMarks = async (req, res) => {
+  try {
+    const student = await findWard(req, res);
+    if (!student) return;
+
+    const { semester, examType } = req.query;
+    // Parents only see marks once they are published
+    const query = { student: student._id, isPublished: true };
+    if (semester) query.semester = parseInt(semester);
+    if (examType) query.examType = examType;
+
+    const marks = await Marks.find(query)
+      .sort({ semester: -1, examDate: -1 })
+      .populate('course', 'courseName')
+      .select('-__v -enteredBy -verifiedBy');
+
+    res.json({
+      success: true,
+      data: {
+        marks,
+        student: wardSummary(student)
+      }
+    });
+  } catch (error) {
+    console.error('Get Parent Marks Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch marks data'
+    });
+  }
+};
+
+// @desc    Get a ward's fee dues
+// @route   GET /api/parent/students/:studentId/fees
+// @access  Private (Parent)
+exports.getStudentFees = async (req, res) => {
+  try {
+    const student = await findWard(req, res);
+    if (!student) return;
+
+    const ledger = await FeeLedger.findOne({ student: student._id })
+      .populate('course', 'courseName courseCode');
+
+    if (!ledger) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee details not available'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        course: ledger.course,
+        invoices: ledger.invoices,
+        payments: ledger.transactions
+          .filter(t => t.type === 'Payment')
+          .map(t => ({ amount: t.amount, mode: t.mode, receiptNumber: t.receiptNumber, date: t.date }))
+          .sort((a, b) => b.date - a.date),
+        summary: ledger.summary,
+        status: ledger.status,
+        nextDue: ledger.getOpenInvoices()[0] || null,
+        student: wardSummary(student)
+      }
+    });
+  } catch (error) {
+    console.error('Get Parent Fees Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fee details'
+    });
+  }
+};
+
+// @desc    Get notifications sent to the parent or their wards
+// @route   GET /api/parent/notifications
+// @access  Private (Parent)
+exports.getNotifications = async (req, res) => {
+  try {
+    const parent = await loadParent(req);
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent profile not found'
+      });
+    }
+
+    const { studentId, category, page = 1, limit = 20 } = req.query;
+
+    let wards = await Student.find({ _id: { $in: parent.students.map(link => link.student) } })
+      .select('studentId firstName lastName userId');
+    if (studentId) {
+      wards = wards.filter(ward => ward.studentId === String(studentId).toUpperCase() || ward._id.toString() === studentId);
+    }
+
+    const userIds = [
+      ...(studentId ? [] : [req.user._id]),
+      ...wards.map(ward => ward.userId).filter(Boolean)
+    ];
+
+    const query = { 'receivers.user': { $in: userIds }, isActive: true };
+    if (category) query.category = category;
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(query)
+        .sort({ sentAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .populate('sender', 'username')
+        .select('title message type category priority attachments actionUrl actionText sentAt createdAt expiresAt receivers.user'),
+      Notification.countDocuments(query)
+    ]);
+
+    // Say which ward each notification was for instead of exposing the receiver list
+    const wardByUser = new Map(wards.filter(ward => ward.userId).map(ward => [ward.userId.toString(), ward]));
+    const data = notifications.map(notification => {
+      const { receivers, ...rest } = notification.toObject({ virtuals: false });
+      const forStudents = receivers
+        .map(receiver => wardByUser.get(receiver.user.toString()))
+        .filter(Boolean)
+        .map(ward => ({ _id: ward._id, studentId: ward.studentId, name: ward.fullName }));
+      return { ...rest, forStudents };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        notifications: data,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get Parent Notifications Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
+};
+
+// @desc    List parent accounts
+// @route   GET /api/admin/parents
+// @access  Private (Admin)
+exports.getParents = async (req, res) => {
+  try {
+    const { search, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (search) {
+      const students = await Student.find({
+        $or: [
+          { studentId: { $regex: search, $options: 'i' } },
+          { firstName: { $regex: search, $options: 'i' } }
+        ]
+      }).select('_id');
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { 'students.student': { $in: students.map(s => s._id) } }
+      ];
+      const digits = search.replace(/\D/g, '');
+      if (digits) query.$or.push({ mobileNumber: { $regex: digits } });
+    }
+
+    const [parents, total] = await Promise.all([
+      Parent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .populate('userId', 'isActive lastLogin')
+        .populate('students.student', 'studentId firstName lastName semester'),
+      Parent.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        parents,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get Parents Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch parents'
+    });
+  }
+};
+
+// @desc    Link a student to a parent by hand
+// @route   POST /api/admin/parents/:id/students
+// @access  Private (Admin)
+exports.linkStudent = async (req, res) => {
+  try {
+    const { studentId, relation = 'guardian' } = req.body;
+
+    if (!Parent.RELATIONS.includes(relation)) {
+      return res.status(400).json({
+        success: false,
+        message: `relation must be one of: ${Parent.RELATIONS.join(', ')}`
+      });
+    }
+
+    const [parent, student] = await Promise.all([
+      Parent.findById(req.params.id),
+      mongoose.Types.ObjectId.isValid(studentId)
+        ? Student.findById(studentId)
+        : Student.findOne({ studentId: String(studentId || '').toUpperCase() })
+    ]);
+
+    if (!parent || !student) {
+      return res.status(404).json({
+        success: false,
+        message: !parent ? 'Parent not found' : 'Student not found'
+      });
+    }
+
+    parent.students = parent.students.filter(link => link.student.toString() !== student._id.toString());
+    parent.students.push({ student: student._id, relation, source: 'admin' });
+    await parent.save();
+
+    res.json({
+      success: true,
+      message: `${student.studentId} linked to ${parent.mobileNumber}`,
+      data: parent
+    });
+  } catch (error) {
+    console.error('Link Parent Student Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link student'
+    });
+  }
+};
+
+// @desc    Remove a hand-made student link from a parent
+// @route   DELETE /api/admin/parents/:id/students/:studentId
+// @access  Private (Admin)
+exports.unlinkStudent = async (req, res) => {
+  try {
+    const parent = await Parent.findById(req.params.id);
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent not found'
+      });
+    }
+
+    const link = parent.students.find(l => l.student.toString() === req.params.studentId);
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not linked to this parent'
+      });
+    }
+    if (link.source === 'mobile') {
+      return res.status(400).json({
+        success: false,
+        message: 'This link comes from the parent mobile number on the student record; change the student record instead'
+      });
+    }
+
+    parent.students = parent.students.filter(l => l !== link);
+    await parent.save();
+
+    res.json({
+      success: true,
+      message: 'Student unlinked',
+      data: parent
+    });
+  } catch (error) {
+    console.error('Unlink Parent Student Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink student'
+    });
+  }
+};
@@ -3,6 +3,8 @@ const Gallery = require('../models/Gallery');
 const News = require('../models/News');
 const Faculty = require('../models/Faculty');
 const Event = require('../models/Event');
+const IssuedDocument = require('../models/IssuedDocument');
+const { isSignedCode } = require('../utils/documentVerification');
 
 // @desc    Get homepage data
 // @route   GET /api/public/home
@@ -895,3 +897,30 @@ exports.getPublicEvents = async (req, res) => {
     res.status(500).json({ success: false, message: 'Failed to fetch events' });
   }
 };
+
+// @desc    Verify a document by the code printed on it; shows only the holder's name, document type, issue date and status
+// @route   GET /api/public/verify/:code
+// @access  Public
+exports.verifyDocument = async (req, res) => {
+  try {
+    const code = String(req.params.code || '').trim().toUpperCase();
+    const notFound = () => res.status(404).json({
+      success: false,
+      message: 'No document was issued with this verification code'
+    });
+
+    // Codes not signed by the institute are rejected without a lookup
+    if (!isSignedCode(code)) return notFound();
+
+    const document = await IssuedDocument.findOne({ code });
+    if (!document) return notFound();
+
+    res.json({
+      success: true,
+      data: document.toPublic()
+    });
+  } catch (error) {
+    console.error('Verify Document Error:', error);
+    res.status(500).json({ success: false, message: 'Failed to verify document' });
+  }
+};
@@ -0,0 +1,534 @@
+const mongoose = require('mongoose');
+const Marks = require('../models/Marks');
+const Student = require('../models/Student');
+const Course = require('../models/Course');
+const FeeLedger = require('../models/FeeLedger');
+const Notification = require('../models/Notification');
+const IssuedDocument = require('../models/IssuedDocument');
+const { recordAudit } = require('../utils/audit');
+const { resolveScheme } = require('../utils/gradingEngine');
+
+const STATUS_TITLES = {
+  Pending: 'Revaluation request received',
+  Approved: 'Revaluation request approved',
+  Rejected: 'Revaluation request rejected',
+  Completed: 'Revaluation result published'
+};
+
+const marksNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Marks not found'
+  });
+};
+
+// Fee invoice of a revaluation request, or null if no fee was charged
+const findFeeInvoice = (ledger, marks) => {
+  if (!ledger || !marks.revaluation.fee || !marks.revaluation.fee.installmentNo) return null;
+  return ledger.invoices.find(inv => inv.installmentNo === marks.revaluation.fee.installmentNo) || null;
+};
+
+const feeSettled = (invoice) => !invoice || ['Paid', 'Waived'].includes(invoice.status);
+
+// Notify the student of a change in their revaluation request
+const notifyStudent = async (req, student, marks, message) => {
+  try {
+    if (!student.userId) return;
+    const notification = new Notification({
+      title: STATUS_TITLES[marks.revaluationStatus],
+      message,
+      type: marks.revaluationStatus === 'Rejected' ? 'warning' : 'info',
+      category: 'Result',
+      sender: req.user._id,
+      targetType: 'individual',
+      targetIds: [student.userId],
+      targetModel: 'User',
+      sendMethod: ['dashboard', 'email'],
+      actionUrl: '/student/marks'
+    });
+    notification.queueDelivery();
+    await notification.save();
+  } catch (error) {
+    console.error('Revaluation notification error:', error.message);
+  }
+
+  try {
+    const io = req.app.get('io');
+    if (io && student.userId) {
+      io.to(`user:${student.userId}`).emit('revaluation:updated', {
+        marksId: marks._id,
+        subject: marks.subject,
+        examType: marks.examType,
+        status: marks.revaluationStatus,
+        remarks: marks.revaluation.remarks
+      });
+    }
+  } catch (emitErr) {
+    console.error('Socket emit error (revaluation:updated):', emitErr);
+  }
+};
+
+// Revaluation details shown to students and the exam cell
+const describe = (marks, invoice) => ({
+  _id: marks._id,
+  student: marks.student,
+  course: marks.course,
+  subject: marks.subject,
+  semester: marks.semester,
+  examType: marks.examType,
+  marks: marks.marks,
+  totalMarks: marks.totalMarks,
+  percentage: marks.percentage,
+  grade: marks.grade,
+  resultStatus: marks.resultStatus,
+  revaluationStatus: marks.revaluationStatus,
+  revaluationMarks: marks.revaluationMarks,
+  revaluation: marks.revaluation,
+  fee: invoice ? {
+    amount: invoice.amount,
+    installmentNo: invoice.installmentNo,
+    status: invoice.status,
+    balance: invoice.balance
+  } : null
+});
+
+// @desc    Request revaluation of published marks
+// @route   POST /api/student/marks/:id/revaluation
+// @access  Private (Student)
+exports.requestRevaluation = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return marksNotFound(res);
+    const marks = await Marks.findOne({ _id: req.params.id, student: student._id, isPublished: true });
+    if (!marks) return marksNotFound(res);
+
+    if (marks.revaluationStatus !== 'Not Requested') {
+      return res.status(409).json({
+        success: false,
+        message: `Revaluation has already been requested for these marks (${marks.revaluationStatus})`
+      });
+    }
+
+    const deadline = marks.revaluationDeadline();
+    if (!deadline || deadline < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `Revaluation can only be requested within ${Marks.REVALUATION_WINDOW_DAYS} days of publication`
+      });
+    }
+
+    const course = Marks.REVALUATION_FEE > 0 ? await Course.findById(student.courseEnrolled) : null;
+    if (Marks.REVALUATION_FEE > 0 && !course) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course not found for fee ledger'
+      });
+    }
+
+    // Claim the request before charging, so two concurrent requests cannot both add the fee
+    const claimed = await Marks.findOneAndUpdate(
+      { _id: marks._id, student: student._id, isPublished: true, revaluationStatus: 'Not Requested' },
+      {
+        $set: {
+          revaluationRequested: true,
+          revaluationStatus: 'Pending',
+          'revaluation.requestedAt': new Date(),
+          'revaluation.reason': req.body.reason
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Revaluation has already been requested for these marks'
+      });
+    }
+
+    let invoice = null;
+    if (course) {
+      try {
+        const ledger = await FeeLedger.generateForStudent(student, course, req.user._id);
+        invoice = ledger.addCharge({
+          label: `Revaluation fee - ${claimed.subject} (${claimed.examType})`,
+          amount: Marks.REVALUATION_FEE
+        });
+        await ledger.save();
+      } catch (error) {
+        // Release the claim so the student can ask again
+        await Marks.updateOne(
+          { _id: claimed._id, revaluationStatus: 'Pending' },
+          {
+            $set: { revaluationRequested: false, revaluationStatus: 'Not Requested' },
+            $unset: { 'revaluation.requestedAt': 1, 'revaluation.reason': 1 }
+          }
+        );
+        throw error;
+      }
+
+      claimed.revaluation.fee = { amount: invoice.amount, installmentNo: invoice.installmentNo };
+      await Marks.updateOne({ _id: claimed._id }, { $set: { 'revaluation.fee': claimed.revaluation.fee } });
+    }
+
+    await notifyStudent(req, student, claimed, invoice
+      ? `Your revaluation request for ${claimed.subject} (${claimed.examType}) has been received. Please pay the revaluation fee of ${invoice.amount} so that it can be taken up.`
+      : `Your revaluation request for ${claimed.subject} (${claimed.examType}) has been received and will be reviewed by the exam cell.`);
+
+    try {
+      const io = req.app.get('io');
+      if (io) {
+        io.to('admins').emit('revaluation:requested', {
+          marksId: claimed._id,
+          studentId: student.studentId,
+          course: claimed.course,
+          semester: claimed.semester,
+          subject: claimed.subject,
+          examType: claimed.examType
+        });
+      }
+    } catch (emitErr) {
+      console.error('Socket emit error (revaluation:requested):', emitErr);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Revaluation requested',
+      data: describe(claimed, invoice)
+    });
+  } catch (error) {
+    if (error.statusCode || error.name === 'ValidationError') {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Request Revaluation Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request revaluation'
+    });
+  }
+};
+
+// @desc    Get the logged-in student's revaluation requests
+// @route   GET /api/student/revaluation
+// @access  Private (Student)
+exports.getMyRevaluations = async (req, res) => {
+  try {
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    const [marks, ledger] = await Promise.all([
+      Marks.find({ student: student._id, revaluationStatus: { $ne: 'Not Requested' } })
+        .sort({ 'revaluation.requestedAt': -1 })
+        .select('-__v'),
+      FeeLedger.findOne({ student: student._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        windowDays: Marks.REVALUATION_WINDOW_DAYS,
+        fee: Marks.REVALUATION_FEE,
+        requests: marks.map(mark => describe(mark, findFeeInvoice(ledger, mark)))
+      }
+    });
+  } catch (error) {
+    console.error('Get My Revaluations Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revaluation requests'
+    });
+  }
+};
+
+// @desc    Revaluation queue for the exam cell
+// @route   GET /api/admin/marks/revaluation?status=Pending&course&semester&subject
+// @access  Private (Admin, canManageMarks)
+exports.getRevaluationQueue = async (req, res) => {
+  try {
+    const { status = 'Pending', course, semester, subject, page = 1, limit = 50 } = req.query;
+
+    const query = { revaluationStatus: status };
+    if (course) query.course = course;
+    if (semester) query.semester = parseInt(semester);
+    if (subject) query.subject = subject;
+
+    const total = await Marks.countDocuments(query);
+    const marks = await Marks.find(query)
+      .populate('student', 'studentId firstName lastName')
+      .populate('course', 'courseName courseCode')
+      .sort({ 'revaluation.requestedAt': 1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .select('-__v');
+
+    const ledgers = await FeeLedger.find({ student: { $in: marks.map(mark => mark.student && mark.student._id) } });
+    const ledgerByStudent = new Map(ledgers.map(ledger => [ledger.student.toString(), ledger]));
+
+    res.json({
+      success: true,
+      data: {
+        requests: marks.map(mark => {
+          const ledger = mark.student ? ledgerByStudent.get(mark.student._id.toString()) : null;
+          return describe(mark, findFeeInvoice(ledger, mark));
+        }),
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get Revaluation Queue Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revaluation queue'
+    });
+  }
+};
+
+// @desc    Approve or reject a pending revaluation request
+// @route   PUT /api/admin/marks/:id/revaluation
+// @access  Private (Admin, canManageMarks)
+exports.reviewRevaluation = async (req, res) => {
+  try {
+    const { status, remarks } = req.body;
+
+    if (!['Approved', 'Rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be Approved or Rejected'
+      });
+    }
+    if (status === 'Rejected' && !remarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remarks are required when rejecting a request'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return marksNotFound(res);
+    const marks = await Marks.findById(req.params.id);
+    if (!marks) return marksNotFound(res);
+
+    if (marks.revaluationStatus !== 'Pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Only pending requests can be reviewed (this one is ${marks.revaluationStatus})`
+      });
+    }
+
+    const student = await Student.findById(marks.student).select('studentId userId');
+    const ledger = marks.revaluation.fee && marks.revaluation.fee.installmentNo
+      ? await FeeLedger.findOne({ student: marks.student })
+      : null;
+    const invoice = findFeeInvoice(ledger, marks);
+
+    if (status === 'Approved' && !feeSettled(invoice)) {
+      return res.status(400).json({
+        success: false,
+        message: `The revaluation fee has not been paid (balance ${invoice.balance})`
+      });
+    }
+
+    // Claim the review before touching the ledger, so two reviewers cannot both act on it
+    const before = marks.toObject();
+    const reviewed = await Marks.findOneAndUpdate(
+      { _id: marks._id, revaluationStatus: 'Pending' },
+      {
+        $set: {
+          revaluationStatus: status,
+          'revaluation.reviewedBy': req.user._id,
+          'revaluation.reviewedAt': new Date(),
+          'revaluation.remarks': remarks
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!reviewed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request was reviewed by another request'
+      });
+    }
+
+    // A rejected request is not charged; waive what is still unpaid
+    if (status === 'Rejected' && invoice && invoice.balance > 0) {
+      try {
+        ledger.addConcession({
+          amount: invoice.balance,
+          installmentNo: invoice.installmentNo,
+          remarks: 'Revaluation request rejected'
+        }, req.user._id);
+        await ledger.save();
+      } catch (error) {
+        // Release the claim so the request can be reviewed again
+        await Marks.updateOne(
+          { _id: reviewed._id, revaluationStatus: status },
+          {
+            $set: { revaluationStatus: 'Pending' },
+            $unset: { 'revaluation.reviewedBy': 1, 'revaluation.reviewedAt': 1, 'revaluation.remarks': 1 }
+          }
+        );
+        throw error;
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'status-change',
+      entity: 'Marks',
+      entityId: reviewed._id,
+      before,
+      after: reviewed,
+      summary: `${status} revaluation of ${reviewed.subject} (${reviewed.examType}) for ${student ? student.studentId : reviewed.student}`
+    });
+
+    if (student) {
+      await notifyStudent(req, student, reviewed, status === 'Approved'
+        ? `Your revaluation request for ${reviewed.subject} (${reviewed.examType}) has been approved. You will be notified when the result is ready.`
+        : `Your revaluation request for ${reviewed.subject} (${reviewed.examType}) has been rejected: ${remarks}`);
+    }
+
+    res.json({
+      success: true,
+      message: `Revaluation request ${status.toLowerCase()}`,
+      data: describe(reviewed, invoice)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Review Revaluation Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review revaluation request'
+    });
+  }
+};
+
+// @desc    Enter revised marks for an approved request; total, grade and result are recomputed
+// @route   PUT /api/admin/marks/:id/revaluation/result
+// @access  Private (Admin, canManageMarks)
+exports.completeRevaluation = async (req, res) => {
+  try {
+    const revised = {};
+    Marks.REVALUATION_COMPONENTS.forEach(key => {
+      if (req.body[key] !== undefined) revised[key] = req.body[key];
+    });
+
+    if (Object.keys(revised).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Revised marks are required for at least one of: ${Marks.REVALUATION_COMPONENTS.join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return marksNotFound(res);
+    const marks = await Marks.findById(req.params.id);
+    if (!marks) return marksNotFound(res);
+
+    if (marks.revaluationStatus !== 'Approved') {
+      return res.status(409).json({
+        success: false,
+        message: `Revised marks can only be entered for approved requests (this one is ${marks.revaluationStatus})`
+      });
+    }
+
+    const before = marks.toObject();
+    const scheme = await resolveScheme(await Course.findById(marks.course).select('gradingScheme'));
+    // Computed in memory only; nothing is written until the completion is claimed below
+    const changed = marks.applyRevaluation(revised, scheme);
+    marks.revaluationStatus = 'Completed';
+    marks.revaluation.completedBy = req.user._id;
+    marks.revaluation.completedAt = new Date();
+    if (req.body.remarks) marks.revaluation.remarks = req.body.remarks;
+
+    const claim = {
+      revaluationStatus: 'Completed',
+      'revaluation.completedBy': marks.revaluation.completedBy,
+      'revaluation.completedAt': marks.revaluation.completedAt
+    };
+    const claimed = await Marks.updateOne({ _id: marks._id, revaluationStatus: 'Approved' }, { $set: claim });
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This revaluation was completed by another request'
+      });
+    }
+
+    try {
+      await marks.save();
+    } catch (error) {
+      // Release the claim so the revised marks can be entered again
+      await Marks.updateOne(
+        { _id: marks._id, revaluationStatus: 'Completed' },
+        {
+          $set: { revaluationStatus: 'Approved' },
+          $unset: { 'revaluation.completedBy': 1, 'revaluation.completedAt': 1 }
+        }
+      );
+      throw error;
+    }
+
+    if (changed.length > 0) {
+      await IssuedDocument.supersede([marks], { revokedBy: req.user._id });
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'Marks',
+      entityId: marks._id,
+      before,
+      after: marks,
+      summary: `Revaluation of ${marks.subject} (${marks.examType}): ${changed.length > 0 ? `revised ${changed.join(', ')}` : 'no change'}`
+    });
+
+    const student = await Student.findById(marks.student).select('studentId userId');
+    if (student) {
+      const original = marks.revaluation.original;
+      await notifyStudent(req, student, marks, changed.length > 0
+        ? `Revaluation of ${marks.subject} (${marks.examType}) is complete. Your total changed from ${original.totalObtained} to ${marks.totalMarks.obtained} (grade ${original.grade} to ${marks.grade}, ${marks.resultStatus}).`
+        : `Revaluation of ${marks.subject} (${marks.examType}) is complete. Your marks are unchanged at ${marks.totalMarks.obtained} (grade ${marks.grade}).`);
+
+      try {
+        const io = req.app.get('io');
+        if (io && student.userId) io.to(`user:${student.userId}`).emit('marks:updated', marks);
+      } catch (emitErr) {
+        console.error('Socket emit error (marks:updated):', emitErr);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Revaluation completed',
+      data: describe(marks, null)
+    });
+  } catch (error) {
+    if (error.statusCode || error.name === 'ValidationError') {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Complete Revaluation Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete revaluation'
+    });
+  }
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const SmsLog = require('../models/SmsLog');
+const { getProvider } = require('../utils/smsProviders');
+
+// Constant-time comparison for the delivery report token
+const tokenMatches = (given, expected) => {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// @desc    Get SMS log with delivery status per message
+// @route   GET /api/admin/sms-logs
+// @access  Private (Admin, canViewReports)
+exports.getSmsLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, to, provider, type, startDate, endDate } = req.query;
+    const query = {};
+
+    if (status) query.status = { $in: String(status).split(',') };
+    if (to) query.to = String(to).replace(/\D/g, '').slice(-10);
+    if (provider) query.provider = provider;
+    if (type) query['context.type'] = type;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const [logs, total, byStatus] = await Promise.all([
+      SmsLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .select('-__v'),
+      SmsLog.countDocuments(query),
+      SmsLog.aggregate([
+        { $match: query },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        summary: byStatus.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }), {})
+      }
+    });
+  } catch (error) {
+    console.error('Get SMS Logs Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SMS logs'
+    });
+  }
+};
+
+// @desc    Receive delivery reports from an SMS provider
+// @route   POST /api/sms/dlr/:provider
+// @access  Public (provider callback, secured by SMS_DLR_TOKEN)
+exports.handleDeliveryReport = async (req, res) => {
+  try {
+    // Without a token anyone could mark messages delivered, so refuse reports until one is set
+    if (!process.env.SMS_DLR_TOKEN) {
+      return res.status(503).json({
+        success: false,
+        message: 'Delivery reports are not configured'
+      });
+    }
+
+    if (!tokenMatches(req.query.token || req.headers['x-dlr-token'], process.env.SMS_DLR_TOKEN)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid delivery report token'
+      });
+    }
+
+    const provider = getProvider(req.params.provider);
+    let reports;
+    try {
+      reports = provider.parseDeliveryReport({ ...req.query, ...req.body });
+    } catch (parseError) {
+      console.error('SMS Delivery Report Parse Error:', parseError.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid delivery report'
+      });
+    }
+
+    let updated = 0;
+    for (const report of reports) {
+      if (!report.messageId || !report.status) continue;
+
+      const log = await SmsLog.findOne({ provider: provider.name, providerMessageId: String(report.messageId) });
+      if (!log) continue;
+
+      if (log.applyDeliveryReport(report)) updated++;
+      await log.save();
+    }
+
+    res.json({
+      success: true,
+      data: { received: reports.length, updated }
+    });
+  } catch (error) {
+    console.error('SMS Delivery Report Error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to process delivery report'
+    });
+  }
+};
@@ -4,6 +4,17 @@ const Marks = require('../models/Marks');
 const Download = require('../models/Download');
 const Notification = require('../models/Notification');
 const Timetable = require('../models/Timetable');
+const AttendanceSession = require('../models/AttendanceSession');
+const IssuedDocument = require('../models/IssuedDocument');
+const ClinicalPosting = require('../models/ClinicalPosting');
+const Course = require('../models/Course');
+const { getStudentResults } = require('../utils/gradingEngine');
+const { generateMarkSheet, generateTranscript } = require('../utils/markSheets');
+const { readDeviceId } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+
+// Mark sheets or transcripts (each) a student may issue themselves in any 24 hours
+const SELF_RESULT_DOCUMENT_DAILY_LIMIT = parseInt(process.env.RESULT_DOCUMENT_DAILY_LIMIT, 10) || 3;
 
 // @desc    Get student dashboard data
 // @route   GET /api/student/dashboard
@@ -192,6 +203,158 @@ exports.getAttendance = async (req, res) => {
   }
 };
 
+// @desc    Check in to a lecture or clinical session by scanning its QR code
+// @route   POST /api/student/attendance/check-in
+// @access  Private (Student)
+exports.checkIn = async (req, res) => {
+  try {
+    const { token } = req.body;
+    // The device comes from the login session, not the request, so it cannot be changed per check-in
+    const { deviceId } = req.authSession;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'token is required'
+      });
+    }
+
+    if (!deviceId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please log in again on this device to check in'
+      });
+    }
+
+    // The session must be used from the device it was issued to (its httpOnly device cookie)
+    if (readDeviceId(req) !== deviceId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Check in from the device you logged in on'
+      });
+    }
+
+    const parsed = AttendanceSession.parseToken(token);
+    const attendanceSession = parsed
+      ? await AttendanceSession.findById(parsed.sessionId).select('+secret')
+      : null;
+    if (!attendanceSession) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid check-in code'
+      });
+    }
+
+    if (!attendanceSession.isOpen) {
+      return res.status(410).json({
+        success: false,
+        message: 'This check-in session is closed'
+      });
+    }
+
+    if (!attendanceSession.verifyToken(token)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This code has expired. Scan the code currently on screen.'
+      });
+    }
+
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student profile not found'
+      });
+    }
+
+    if (student.academicStatus !== 'Active' ||
+      String(student.courseEnrolled) !== String(attendanceSession.course) ||
+      student.semester !== attendanceSession.semester) {
+      return res.status(403).json({
+        success: false,
+        message: 'This session is not for your class'
+      });
+    }
+
+    const existing = await Attendance.findOne(attendanceSession.attendanceKey(student._id)).select('verificationStatus');
+    if (existing && existing.verificationStatus === 'Verified') {
+      return res.status(409).json({
+        success: false,
+        message: 'Attendance for this session has already been verified'
+      });
+    }
+
+    const late = attendanceSession.lateAfterMinutes !== undefined && attendanceSession.lateAfterMinutes !== null &&
+      Date.now() - attendanceSession.createdAt.getTime() > attendanceSession.lateAfterMinutes * 60 * 1000;
+    const status = late ? 'Late' : 'Present';
+
+    const updated = await attendanceSession.addCheckIn({ student: student._id, deviceId, status, ip: req.ip });
+    if (!updated) {
+      const alreadyIn = attendanceSession.checkIns.some(checkIn => checkIn.student.toString() === student._id.toString()) ||
+        await AttendanceSession.exists({ _id: attendanceSession._id, 'checkIns.student': student._id });
+      return res.status(alreadyIn ? 409 : 429).json({
+        success: false,
+        message: alreadyIn
+          ? 'You have already checked in to this session'
+          : 'This device has already been used to check in to this session'
+      });
+    }
+
+    // A record verified since the check above stays as it is; the upsert then hits the unique key
+    try {
+      await Attendance.findOneAndUpdate(
+        { ...attendanceSession.attendanceKey(student._id), verificationStatus: { $ne: 'Verified' } },
+        {
+          $set: { ...attendanceSession.attendanceFields(status), verificationStatus: 'Pending' },
+          $unset: { verifiedBy: 1, verifiedAt: 1, verificationRemarks: 1 }
+        },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'Attendance for this session has already been verified'
+      });
+    }
+
+    try {
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`user:${attendanceSession.owner}`).emit('attendance:checkin', {
+          sessionId: attendanceSession._id,
+          student: {
+            _id: student._id,
+            studentId: student.studentId,
+            name: student.fullName
+          },
+          status,
+          checkedIn: updated.checkIns.length
+        });
+      }
+    } catch (emitErr) {
+      console.error('Socket emit error (attendance:checkin):', emitErr);
+    }
+
+    res.json({
+      success: true,
+      message: `Checked in to ${attendanceSession.subject}`,
+      data: {
+        subject: attendanceSession.subject,
+        session: attendanceSession.session,
+        date: attendanceSession.date,
+        status
+      }
+    });
+  } catch (error) {
+    console.error('Attendance Check-in Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in'
+    });
+  }
+};
+
 // @desc    Get student marks
 // @route   GET /api/student/marks
 // @access  Private (Student)
@@ -249,6 +412,9 @@ exports.getMarks = async (req, res) => {
       }
     });
 
+    // Credit-weighted results from published marks
+    const results = await getStudentResults(student);
+
     // Calculate percentages
     Object.keys(semesterStats).forEach(sem => {
       const stats = semesterStats[sem];
@@ -256,6 +422,8 @@ exports.getMarks = async (req, res) => {
         (stats.obtainedMarks / stats.totalMarks) * 100 : 0;
       stats.passPercentage = stats.totalSubjects > 0 ?
         (stats.passedSubjects / stats.totalSubjects) * 100 : 0;
+      const semesterResult = results.semesters.find(item => item.semester === parseInt(sem));
+      stats.sgpa = semesterResult ? semesterResult.sgpa : null;
     });
 
     res.json({
@@ -263,12 +431,13 @@ exports.getMarks = async (req, res) => {
       data: {
         marks,
         semesterStats,
+        results,
         student: {
           name: student.fullName,
           studentId: student.studentId,
           course: student.courseEnrolled,
           currentSemester: student.semester,
-          cgpa: student.cgpa
+          cgpa: results.cgpa
         }
       }
     });
@@ -281,7 +450,7 @@ exports.getMarks = async (req, res) => {
   }
 };
 
-// @desc    Download student marks as CSV
+// @desc    Download student marks as CSV, or as a PDF mark sheet (?format=pdf&semester=N) or transcript (?format=pdf)
 // @route   GET /api/student/marks/download
 // @access  Private (Student)
 exports.downloadMarks = async (req, res) => {
@@ -297,6 +466,43 @@ exports.downloadMarks = async (req, res) => {
       });
     }
 
+    if (format === 'pdf') {
+      const type = semester ? 'marksheet' : 'transcript';
+      const issuedToday = await IssuedDocument.countDocuments({
+        student: student._id,
+        type,
+        issuedBy: req.user._id,
+        issuedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+      });
+      if (issuedToday >= SELF_RESULT_DOCUMENT_DAILY_LIMIT) {
+        return res.status(429).json({
+          success: false,
+          message: `At most ${SELF_RESULT_DOCUMENT_DAILY_LIMIT} ${semester ? 'mark sheets' : 'transcripts'} can be downloaded in 24 hours`
+        });
+      }
+
+      const { buffer, verification } = semester
+        ? await generateMarkSheet(student, semester, { issuedBy: req.user._id })
+        : await generateTranscript(student, { issuedBy: req.user._id });
+      const fileName = semester
+        ? `marksheet_${student.studentId}_sem${parseInt(semester)}.pdf`
+        : `transcript_${student.studentId}.pdf`;
+
+      await recordAudit(req, {
+        action: 'create',
+        entity: 'IssuedDocument',
+        entityId: student._id,
+        summary: `Student ${student.studentId} issued their own ${semester ? `semester ${parseInt(semester)} mark sheet` : 'transcript'}`,
+        metadata: { type, code: verification.code }
+      });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('X-Verification-Code', verification.code);
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      return res.send(buffer);
+    }
+
     // Build query
     const query = { student: student._id };
 
@@ -375,6 +581,12 @@ exports.downloadMarks = async (req, res) => {
     res.send(csvContent);
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Download Marks Error:', error);
     res.status(500).json({
       success: false,
@@ -625,7 +837,7 @@ exports.getNotifications = async (req, res) => {
     const notifications = await Notification.find(query)
       .sort({ sentAt: -1 })
       .populate('sender', 'username')
-      .select('-__v');
+      .select('-__v -deliveries');
 
     // Mark as read if specified
     if (req.query.markRead === 'true') {
@@ -723,10 +935,23 @@ exports.getClinicalSchedule = async (req, res) => {
       };
     }
 
-    const schedule = await Attendance.find(query)
-      .sort({ date: 1 })
-      .populate('recordedBy', 'username')
-      .select('-__v');
+    const [schedule, postings, hours, course] = await Promise.all([
+      Attendance.find(query)
+        .sort({ date: 1 })
+        .populate('recordedBy', 'username')
+        .select('-__v'),
+      ClinicalPosting.find({
+        students: student._id,
+        status: { $ne: 'Cancelled' },
+        startDate: { $lte: query.date.$lte },
+        endDate: { $gte: query.date.$gte }
+      })
+        .populate('supervisor', 'fullName designation')
+        .sort({ startDate: 1 })
+        .select('hospital ward subject supervisor startDate endDate shift hoursPerDay requiredHours group status'),
+      ClinicalPosting.hoursByStudent([student._id]),
+      Course.findById(student.courseEnrolled).select('clinicalTraining.totalHours')
+    ]);
 
     // Group by week
     const weeklySchedule = schedule.reduce((acc, posting) => {
@@ -751,6 +976,11 @@ exports.getClinicalSchedule = async (req, res) => {
       data: {
         schedule,
         weeklySchedule,
+        postings,
+        clinicalHours: {
+          completed: (hours.get(student._id.toString()) || { total: 0 }).total,
+          required: (course && course.clinicalTraining && course.clinicalTraining.totalHours) || 0
+        },
         student: {
           name: student.fullName,
           studentId: student.studentId,
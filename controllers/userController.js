@@ -4,6 +4,8 @@ const Faculty = require('../models/Faculty');
 const Admin = require('../models/Admin');
 const Course = require('../models/Course');
 const bcrypt = require('bcryptjs');
+const { revokeUserSessions } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
 
 // @desc    Get all users with profiles
 // @route   GET /api/admin/users
@@ -23,6 +25,8 @@ exports.getAllUsers = async (req, res) => {
       query.isActive = true;
     } else if (status === 'inactive') {
       query.isActive = false;
+    } else if (status === 'locked') {
+      query.lockUntil = { $gt: new Date() };
     }
     
     if (search) {
@@ -272,6 +276,7 @@ exports.createUser = async (req, res) => {
         contactNumber: contactNumber || '',
         designation: designation || 'Administrator',
         department: department || 'Administration',
+        permissions: Admin.defaultPermissionsFor(designation || 'Administrator'),
         dateOfJoining: new Date()
       });
       
@@ -282,6 +287,14 @@ exports.createUser = async (req, res) => {
     await session.commitTransaction();
     session.endSession();
     
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'User',
+      after: user,
+      summary: `Created ${role} account ${username}`,
+      metadata: profile ? { profileModel: profile.constructor.modelName, profileId: String(profile._id) } : undefined
+    });
+    
     // Prepare response
     const userResponse = user.toObject();
     delete userResponse.password;
@@ -338,6 +351,10 @@ exports.updateUser = async (req, res) => {
       });
     }
     
+    const before = user.toObject();
+    const ProfileModel = { student: Student, faculty: Faculty, admin: Admin }[user.role];
+    const profileBefore = ProfileModel ? await ProfileModel.findOne({ userId: id }) : null;
+    
     // Update user fields
     const allowedUserUpdates = ['username', 'email', 'isActive'];
     Object.keys(updates).forEach(key => {
@@ -346,7 +363,12 @@ exports.updateUser = async (req, res) => {
       }
     });
     
+    const deactivated = user.isModified('isActive') && !user.isActive;
     await user.save();
+
+    if (deactivated) {
+      await revokeUserSessions(req, user._id, 'deactivated');
+    }
     
     // Update profile based on role
     if (user.role === 'student') {
@@ -392,6 +414,18 @@ exports.updateUser = async (req, res) => {
         { new: true, runValidators: true }
       );
     }
+
+    await recordAudit(req, { action: 'update', entity: 'User', before, after: user, summary: `Updated user ${user.username}` });
+    if (profileBefore) {
+      const profileAfter = await ProfileModel.findById(profileBefore._id);
+      await recordAudit(req, {
+        action: 'update',
+        entity: ProfileModel.modelName,
+        before: profileBefore,
+        after: profileAfter,
+        summary: `Updated ${user.role} profile of ${user.username}`
+      });
+    }
     
     res.json({
       success: true,
@@ -454,6 +488,10 @@ exports.deleteUser = async (req, res) => {
     // Commit transaction
     await session.commitTransaction();
     session.endSession();
+
+    await revokeUserSessions(req, id, 'deleted');
+
+    await recordAudit(req, { action: 'delete', entity: 'User', before: user, summary: `Deleted ${user.role} account ${user.username} and its profile` });
     
     res.json({
       success: true,
@@ -490,6 +528,18 @@ exports.toggleUserActive = async (req, res) => {
     
     user.isActive = !user.isActive;
     await user.save();
+
+    await recordAudit(req, {
+      action: 'status-change',
+      entity: 'User',
+      entityId: user._id,
+      changes: [{ path: 'isActive', from: !user.isActive, to: user.isActive }],
+      summary: `${user.isActive ? 'Activated' : 'Deactivated'} user ${user.username}`
+    });
+
+    if (!user.isActive) {
+      await revokeUserSessions(req, user._id, 'deactivated');
+    }
     
     // Also update profile active status for faculty/admin
     if (user.role === 'faculty') {
@@ -514,6 +564,186 @@ exports.toggleUserActive = async (req, res) => {
   }
 };
 
+// @desc    Unlock a user account locked by failed logins
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private (Admin)
+exports.unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasLocked = user.isLocked;
+    await user.resetLoginAttempts();
+
+    await recordAudit(req, {
+      action: 'unlock',
+      entity: 'User',
+      entityId: user._id,
+      summary: `${wasLocked ? 'Unlocked' : 'Cleared failed logins for'} user ${user.username}`,
+      metadata: { wasLocked }
+    });
+
+    try {
+      const io = req.app.get('io');
+      if (io) {
+        io.to('admins').emit('account:unlocked', {
+          userId: user._id,
+          username: user.username,
+          unlockedBy: req.user._id
+        });
+      }
+    } catch (emitErr) {
+      console.error('Socket emit error (account:unlocked):', emitErr);
+    }
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'User account unlocked successfully' : 'User account was not locked; failed attempts cleared',
+      data: { isLocked: false, loginAttempts: 0 }
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user'
+    });
+  }
+};
+
+// @desc    Reset a user's two-factor authentication (lost device)
+// @route   POST /api/admin/users/:id/reset-2fa
+// @access  Private (Admin)
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': '',
+        'twoFactor.pendingSecret': '',
+        'twoFactor.backupCodes': '',
+        'twoFactor.enabledAt': '',
+        'twoFactor.lastUsedStep': ''
+      }
+    });
+
+    // Anyone holding the lost device must not keep a session either
+    await revokeUserSessions(req, user._id, 'admin');
+
+    await recordAudit(req, { action: 'reset', entity: 'User', entityId: user._id, summary: `Reset two-factor authentication for ${user.username}` });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset. The user must enrol again at next login if required.'
+    });
+
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication'
+    });
+  }
+};
+
+// @desc    Update an admin's permissions
+// @route   PUT /api/admin/users/:id/permissions
+// @access  Private (Admin, canManageUsers)
+exports.updateAdminPermissions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { permissions, applyDesignationDefaults = false } = req.body;
+
+    if (id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own permissions'
+      });
+    }
+
+    const admin = await Admin.findOne({ userId: id });
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin profile not found'
+      });
+    }
+
+    let updates = {};
+    if (applyDesignationDefaults) {
+      updates = Admin.defaultPermissionsFor(admin.designation);
+    }
+
+    if (permissions) {
+      const unknown = Object.keys(permissions).filter(key => !Admin.PERMISSIONS.includes(key));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown permission(s): ${unknown.join(', ')}`
+        });
+      }
+      Object.keys(permissions).forEach(key => {
+        updates[key] = Boolean(permissions[key]);
+      });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide permissions or applyDesignationDefaults'
+      });
+    }
+
+    const before = admin.toObject();
+    Object.keys(updates).forEach(key => {
+      admin.permissions[key] = updates[key];
+    });
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'permission-change',
+      entity: 'Admin',
+      before,
+      after: admin,
+      summary: `Updated permissions of admin ${admin.employeeId || admin.fullName}`,
+      metadata: { applyDesignationDefaults: Boolean(applyDesignationDefaults) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Permissions updated successfully',
+      data: {
+        designation: admin.designation,
+        permissions: admin.permissions
+      }
+    });
+
+  } catch (error) {
+    console.error('Update admin permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update permissions'
+    });
+  }
+};
+
 // @desc    Reset user password
 // @route   POST /api/admin/users/:id/reset-password
 // @access  Private (Admin)
@@ -544,6 +774,10 @@ exports.resetUserPassword = async (req, res) => {
     // Update password
     user.password = hashedPassword;
     await user.save();
+
+    await revokeUserSessions(req, user._id, 'password-changed');
+
+    await recordAudit(req, { action: 'reset-password', entity: 'User', entityId: user._id, summary: `Reset password for ${user.username}` });
     
     // TODO: Send email notification
     if (sendEmail) {
@@ -1,5 +1,18 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Faculty = require('../models/Faculty');
+const { verifyAccessToken } = require('../utils/tokens');
+const { getSettings, isTwoFactorRequired } = require('../utils/settings');
+
+// Routes a user who still has to enrol in two-factor authentication may use
+const TWO_FACTOR_ENROLMENT_ROUTES = [
+  '/api/auth/me',
+  '/api/auth/logout',
+  '/api/auth/logout-all',
+  '/api/auth/sessions',
+  '/api/auth/2fa/setup',
+  '/api/auth/2fa/enable'
+];
 
 const auth = async (req, res, next) => {
   try {
@@ -22,11 +35,23 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findOne({ 
-      _id: decoded.userId,
-      isActive: true 
-    }).select('-password');
+    const decoded = verifyAccessToken(token);
+
+    // Tokens must belong to a live session so logout and revocation take effect
+    if (!decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session token required. Please log in again.'
+      });
+    }
+
+    const [user, session] = await Promise.all([
+      User.findOne({ 
+        _id: decoded.userId,
+        isActive: true 
+      }).select('-password'),
+      Session.findActive(decoded.sid, decoded.userId)
+    ]);
 
     if (!user) {
       return res.status(401).json({ 
@@ -35,8 +60,29 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    // Enforce the two-factor policy for roles that require it
+    if (!(user.twoFactor && user.twoFactor.enabled)) {
+      const settings = await getSettings();
+      const path = req.originalUrl.split('?')[0].replace(/\/$/, '');
+      if (isTwoFactorRequired(settings, user.role) && !TWO_FACTOR_ENROLMENT_ROUTES.includes(path)) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_ENROLMENT_REQUIRED',
+          message: 'Two-factor authentication must be set up before continuing'
+        });
+      }
+    }
+
     req.user = user;
     req.token = token;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Auth Middleware Error:', error.message);
@@ -92,6 +138,41 @@ const isFaculty = (req, res, next) => {
   next();
 };
 
+const isParent = (req, res, next) => {
+  if (req.user.role !== 'parent') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Parent access only.'
+    });
+  }
+  next();
+};
+
+// Faculty marked as head of department; the profile is kept on req.faculty
+const isHod = async (req, res, next) => {
+  try {
+    const faculty = req.user.role === 'faculty'
+      ? await Faculty.findOne({ userId: req.user._id, isActive: true, isHod: true })
+      : null;
+
+    if (!faculty) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Head of department access only.'
+      });
+    }
+
+    req.faculty = faculty;
+    next();
+  } catch (error) {
+    console.error('HOD Check Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Permission check failed'
+    });
+  }
+};
+
 const isAdminOrFaculty = (req, res, next) => {
   if (req.user.role !== 'admin' && req.user.role !== 'faculty') {
     return res.status(403).json({
@@ -102,4 +183,4 @@ const isAdminOrFaculty = (req, res, next) => {
   next();
 };
 
-module.exports = { auth, isAdmin, isStudent, isFaculty, isAdminOrFaculty };
\ No newline at end of file
+module.exports = { auth, isAdmin, isStudent, isFaculty, isParent, isHod, isAdminOrFaculty };
\ No newline at end of file
@@ -1,55 +1,58 @@
-const rolePermissions = {
-  admin: {
-    canManageUsers: true,
-    canManageCourses: true,
-    canManageContent: true,
-    canManageGallery: true,
-    canManageNews: true,
-    canManageStudents: true,
-    canViewAnalytics: true,
-    canExportData: true
-  },
-  faculty: {
-    canManageUsers: false,
-    canManageCourses: false,
-    canManageContent: true,
-    canManageGallery: false,
-    canManageNews: false,
-    canManageStudents: true,
-    canViewAnalytics: true,
-    canExportData: false
-  },
-  student: {
-    canManageUsers: false,
-    canManageCourses: false,
-    canManageContent: false,
-    canManageGallery: false,
-    canManageNews: false,
-    canManageStudents: false,
-    canViewAnalytics: false,
-    canExportData: false
+const Admin = require('../models/Admin');
+
+// Load the logged-in admin's profile once per request
+const loadAdminProfile = async (req) => {
+  if (req.adminProfile === undefined) {
+    req.adminProfile = await Admin.findOne({ userId: req.user._id });
   }
+  return req.adminProfile;
 };
 
-const checkPermission = (permission) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
+// Require the logged-in admin to hold every listed Admin.permissions flag.
+// Use after auth/isAdmin.
+const checkPermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Admin privileges required.'
+        });
+      }
+
+      const admin = await loadAdminProfile(req);
+      if (!admin || !admin.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: 'Admin profile not found or inactive'
+        });
+      }
+
+      const missing = permissions.filter(permission => !admin.hasPermission(permission));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions',
+          required: missing
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission Check Error:', error);
+      res.status(500).json({
         success: false,
-        message: 'Authentication required'
+        message: 'Permission check failed'
       });
     }
-
-    const role = req.user.role;
-    if (rolePermissions[role] && rolePermissions[role][permission]) {
-      return next();
-    }
-
-    return res.status(403).json({
-      success: false,
-      message: 'Insufficient permissions'
-    });
   };
 };
 
-module.exports = { checkPermission, rolePermissions };
\ No newline at end of file
+module.exports = { checkPermission, loadAdminProfile };
@@ -1,9 +1,10 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { getSettings } = require('../utils/settings');
 
 // Ensure upload directories exist
-const uploadDirs = ['uploads', 'uploads/documents', 'uploads/gallery', 'uploads/profile'];
+const uploadDirs = ['uploads', 'uploads/documents', 'uploads/gallery', 'uploads/profile', 'uploads/certificates'];
 uploadDirs.forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
@@ -18,6 +19,7 @@ const storage = multer.diskStorage({
     else if (file.fieldname === 'image') folder = 'uploads/gallery/';
     else if (file.fieldname === 'document') folder = 'uploads/documents/';
     else if (file.fieldname === 'syllabus') folder = 'uploads/syllabus/';
+    else if (file.fieldname === 'medicalCertificate') folder = 'uploads/certificates/';
     
     cb(null, folder);
   },
@@ -27,33 +29,73 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = {
-    'image/jpeg': true,
-    'image/jpg': true,
-    'image/png': true,
-    'image/gif': true,
-    'application/pdf': true,
-    'application/msword': true,
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': true,
-    'application/vnd.ms-excel': true,
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': true
-  };
-
-  if (allowedTypes[file.mimetype]) {
+// MIME types accepted for each extension that can be enabled in settings
+const mimeTypesByExtension = {
+  jpg: ['image/jpeg', 'image/jpg'],
+  jpeg: ['image/jpeg', 'image/jpg'],
+  png: ['image/png'],
+  gif: ['image/gif'],
+  webp: ['image/webp'],
+  pdf: ['application/pdf'],
+  doc: ['application/msword'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  xls: ['application/vnd.ms-excel'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  ppt: ['application/vnd.ms-powerpoint'],
+  pptx: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  // Browsers on Windows often report CSV files as Excel or plain text
+  csv: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'],
+  txt: ['text/plain'],
+  zip: ['application/zip', 'application/x-zip-compressed']
+};
+
+const parseFileTypes = (value) => {
+  return String(value || '')
+    .split(',')
+    .map(type => type.trim().toLowerCase().replace(/^\./, ''))
+    .filter(Boolean);
+};
+
+// File filter driven by security.allowedFileTypes. Extensions without known MIME types
+// (html, svg, ...) are never accepted, whatever the settings say.
+const createFileFilter = (allowedTypes) => (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase().replace(/^\./, '');
+  const mimeTypes = mimeTypesByExtension[extension];
+
+  if (allowedTypes.includes(extension) && mimeTypes && mimeTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only images and documents are allowed.'), false);
+    const err = new Error(`Invalid file type. Allowed types: ${allowedTypes.join(', ')}`);
+    err.statusCode = 400;
+    cb(err, false);
   }
 };
 
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  }
-});
+// Build a multer instance from the current security settings
+const createUpload = (security) => {
+  return multer({
+    storage: storage,
+    fileFilter: createFileFilter(parseFileTypes(security.allowedFileTypes).filter(type => mimeTypesByExtension[type])),
+    limits: {
+      fileSize: (security.maxFileSize || 10) * 1024 * 1024
+    }
+  });
+};
+
+// Same interface as a multer instance, but resolves limits per request
+const withSettings = (method, ...args) => (req, res, next) => {
+  getSettings().then(
+    settings => createUpload(settings.security)[method](...args)(req, res, next),
+    next
+  );
+};
+
+const upload = {
+  single: (fieldName) => withSettings('single', fieldName),
+  array: (fieldName, maxCount) => withSettings('array', fieldName, maxCount),
+  fields: (fields) => withSettings('fields', fields),
+  any: () => withSettings('any'),
+  none: () => withSettings('none')
+};
 
-module.exports = upload;
\ No newline at end of file
+module.exports = upload;
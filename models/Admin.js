@@ -116,6 +116,8 @@ const adminSchema = new mongoose.Schema({
     canManageDownloads: { type: Boolean, default: true },
     canManagePlacements: { type: Boolean, default: true },
     canManageWebsite: { type: Boolean, default: true },
+    canManageFees: { type: Boolean, default: true },
+    canManageSettings: { type: Boolean, default: true },
     canViewReports: { type: Boolean, default: true },
     canExportData: { type: Boolean, default: true }
   },
@@ -187,6 +189,42 @@ adminSchema.methods.hasPermission = function(permission) {
   return this.permissions[permission] === true;
 };
 
+const PERMISSIONS = [
+  'canManageUsers', 'canManageStudents', 'canManageFaculty', 'canManageCourses',
+  'canManageContent', 'canManageGallery', 'canManageNews', 'canManageAttendance',
+  'canManageMarks', 'canManageDownloads', 'canManagePlacements', 'canManageWebsite',
+  'canManageFees', 'canManageSettings', 'canViewReports', 'canExportData'
+];
+
+// Permissions granted by each designation; anything not listed is denied
+const designationPermissions = {
+  'Principal': PERMISSIONS,
+  'Vice Principal': PERMISSIONS.filter(permission => permission !== 'canManageSettings'),
+  'Administrator': PERMISSIONS,
+  'IT Administrator': PERMISSIONS,
+  'Registrar': [
+    'canManageUsers', 'canManageStudents', 'canManageFaculty', 'canManageCourses',
+    'canManageAttendance', 'canViewReports', 'canExportData'
+  ],
+  'Accountant': ['canManageFees', 'canViewReports', 'canExportData'],
+  'Librarian': ['canManageDownloads', 'canManageContent'],
+  'Placement Officer': ['canManagePlacements', 'canManageNews', 'canViewReports'],
+  'Examination Officer': ['canManageMarks', 'canManageAttendance', 'canViewReports', 'canExportData'],
+  'Admission Officer': ['canManageStudents', 'canManageCourses', 'canViewReports', 'canExportData'],
+  'Other': ['canViewReports']
+};
+
+adminSchema.statics.PERMISSIONS = PERMISSIONS;
+
+// Default permission flags for a designation
+adminSchema.statics.defaultPermissionsFor = function(designation) {
+  const granted = designationPermissions[designation] || designationPermissions.Other;
+  return PERMISSIONS.reduce((permissions, permission) => {
+    permissions[permission] = granted.includes(permission);
+    return permissions;
+  }, {});
+};
+
 // Indexes for faster queries
 adminSchema.index({ employeeId: 1 });
 adminSchema.index({ designation: 1 });
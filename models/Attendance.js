@@ -66,6 +66,14 @@ const attendanceSchema = new mongoose.Schema({
     enum: ['Pending', 'Verified', 'Rejected'],
     default: 'Pending'
   },
+  verifiedAt: Date,
+  // Why the record was rejected, for the faculty member to correct
+  verificationRemarks: String,
+  // Clinical posting the session belongs to, for Clinical attendance
+  clinicalPosting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClinicalPosting'
+  },
   isHoliday: {
     type: Boolean,
     default: false
@@ -84,6 +92,52 @@ attendanceSchema.index({ semester: 1 });
 attendanceSchema.index({ status: 1 });
 attendanceSchema.index({ recordedBy: 1 });
 attendanceSchema.index({ date: -1 });
+attendanceSchema.index({ verificationStatus: 1, recordedBy: 1 });
+attendanceSchema.index({ clinicalPosting: 1 });
+
+// Session types grouped into the components attendance requirements are set for
+const COMPONENT_BY_TYPE = {
+  Theory: 'theory',
+  Tutorial: 'theory',
+  Practical: 'practical',
+  Lab: 'practical',
+  Clinical: 'clinical'
+};
+
+attendanceSchema.statics.COMPONENTS = ['theory', 'practical', 'clinical'];
+attendanceSchema.statics.COMPONENT_BY_TYPE = COMPONENT_BY_TYPE;
+
+/**
+ * Sessions held and attended per student, subject and session type.
+ * Holidays and approved leave are not counted as sessions held.
+ * @param {Object} match - Attendance filter, e.g. { course, semester }
+ * @returns {Promise<Array<{student, subject, type, total, attended, leave}>>}
+ */
+attendanceSchema.statics.summarise = async function(match) {
+  const rows = await this.aggregate([
+    { $match: { ...match, isHoliday: { $ne: true }, status: { $ne: 'Holiday' } } },
+    {
+      $group: {
+        // Subjects are typed by hand, so group them case-insensitively
+        _id: { student: '$student', subject: { $toLower: { $trim: { input: '$subject' } } }, type: '$type' },
+        subject: { $first: '$subject' },
+        total: { $sum: { $cond: [{ $in: ['$status', ['Leave', 'Medical Leave']] }, 0, 1] } },
+        attended: { $sum: { $cond: [{ $in: ['$status', ['Present', 'Late']] }, 1, 0] } },
+        leave: { $sum: { $cond: [{ $in: ['$status', ['Leave', 'Medical Leave']] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return rows.map(row => ({
+    student: row._id.student,
+    subject: row.subject.trim(),
+    subjectKey: row._id.subject,
+    type: row._id.type,
+    total: row.total,
+    attended: row.attended,
+    leave: row.leave
+  }));
+};
 
 // Calculate attendance percentage
 attendanceSchema.statics.calculatePercentage = async function(studentId, subject, semester) {
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One open shortage per student, semester, subject and component; removed once attendance recovers
+const attendanceAlertSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  semester: {
+    type: Number,
+    required: true
+  },
+  // Lower-cased subject name, as grouped by Attendance.summarise
+  subjectKey: {
+    type: String,
+    required: true
+  },
+  subject: String,
+  component: {
+    type: String,
+    enum: ['theory', 'practical', 'clinical'],
+    required: true
+  },
+  percentage: Number,
+  required: Number,
+  notifiedAt: Date,
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  // Parent mobile numbers texted directly (parents without a portal account)
+  smsSentTo: [String]
+}, {
+  timestamps: true
+});
+
+// Indexes
+attendanceAlertSchema.index({ student: 1, semester: 1, subjectKey: 1, component: 1 }, { unique: true });
+attendanceAlertSchema.index({ course: 1, semester: 1 });
+
+module.exports = mongoose.model('AttendanceAlert', attendanceAlertSchema);
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long each QR token is shown before it rotates; the previous token is still accepted
+const TOKEN_SECONDS = parseInt(process.env.CHECKIN_TOKEN_SECONDS, 10) || 20;
+// Students who may check in from one device in a session
+const MAX_STUDENTS_PER_DEVICE = parseInt(process.env.CHECKIN_MAX_STUDENTS_PER_DEVICE, 10) || 1;
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex').slice(0, 16);
+
+// Today's date as stored by the mark attendance endpoints (a YYYY-MM-DD date at UTC midnight)
+const classDate = (value = new Date()) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+};
+
+const checkInSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Present', 'Late'],
+    default: 'Present'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  ip: String
+}, { _id: false });
+
+const attendanceSessionSchema = new mongoose.Schema({
+  // Faculty user who opened the session; written to Attendance.recordedBy
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  semester: {
+    type: Number,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['Theory', 'Practical', 'Clinical', 'Tutorial', 'Lab'],
+    default: 'Theory'
+  },
+  session: {
+    type: String,
+    enum: ['Morning', 'Afternoon', 'Full Day'],
+    default: 'Morning'
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  secret: {
+    type: String,
+    select: false
+  },
+  tokenSeconds: {
+    type: Number,
+    default: TOKEN_SECONDS
+  },
+  // Check-ins this many minutes after opening are recorded as Late
+  lateAfterMinutes: {
+    type: Number,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  closedAt: Date,
+  checkIns: [checkInSchema],
+  // Students recorded Absent (or on leave) when the session was closed
+  absentMarked: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+attendanceSessionSchema.statics.TOKEN_SECONDS = TOKEN_SECONDS;
+attendanceSessionSchema.statics.MAX_STUDENTS_PER_DEVICE = MAX_STUDENTS_PER_DEVICE;
+attendanceSessionSchema.statics.classDate = classDate;
+
+attendanceSessionSchema.pre('validate', function(next) {
+  if (!this.secret) this.secret = crypto.randomBytes(32).toString('hex');
+  next();
+});
+
+/**
+ * Split a QR token into its parts
+ * @param {string} token - "<sessionId>.<step>.<signature>"
+ * @returns {({sessionId: string, step: number, signature: string}|null)}
+ */
+attendanceSessionSchema.statics.parseToken = function(token) {
+  const match = /^([0-9a-f]{24})\.(\d+)\.([0-9a-f]{16})$/.exec(String(token || '').trim());
+  if (!match) return null;
+  return { sessionId: match[1], step: parseInt(match[2], 10), signature: match[3] };
+};
+
+// Whether check-ins are still accepted
+attendanceSessionSchema.virtual('isOpen').get(function() {
+  return this.status === 'open' && this.expiresAt > new Date();
+});
+
+/**
+ * Token to show as a QR code right now. Requires the document to be loaded with +secret.
+ * @returns {{token: string, expiresAt: Date}}
+ */
+attendanceSessionSchema.methods.currentToken = function() {
+  const step = Math.floor(Date.now() / (this.tokenSeconds * 1000));
+  return {
+    token: `${this._id}.${step}.${sign(this.secret, `${this._id}.${step}`)}`,
+    expiresAt: new Date((step + 1) * this.tokenSeconds * 1000)
+  };
+};
+
+/**
+ * Check a scanned token: it must be for this session and from the current or previous step,
+ * so a photo of the code stops working within two rotations. Requires +secret.
+ * @param {string} token
+ * @returns {boolean}
+ */
+attendanceSessionSchema.methods.verifyToken = function(token) {
+  const parsed = this.constructor.parseToken(token);
+  if (!parsed || parsed.sessionId !== this._id.toString()) return false;
+
+  const step = Math.floor(Date.now() / (this.tokenSeconds * 1000));
+  if (parsed.step !== step && parsed.step !== step - 1) return false;
+
+  const expected = Buffer.from(sign(this.secret, `${this._id}.${parsed.step}`));
+  const given = Buffer.from(parsed.signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Atomically add a check-in, unless the student already checked in or the device
+ * has reached MAX_STUDENTS_PER_DEVICE for this session
+ * @returns {Promise<Object|null>} - The updated session, or null if refused
+ */
+attendanceSessionSchema.methods.addCheckIn = function({ student, deviceId, status, ip }) {
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: 'open',
+      expiresAt: { $gt: new Date() },
+      'checkIns.student': { $ne: student },
+      $expr: {
+        $lt: [
+          { $size: { $filter: { input: '$checkIns', cond: { $eq: ['$$this.deviceId', deviceId] } } } },
+          MAX_STUDENTS_PER_DEVICE
+        ]
+      }
+    },
+    { $push: { checkIns: { student, deviceId, status, ip, at: new Date() } } },
+    { new: true }
+  );
+};
+
+// Attendance record key for a student in this session
+attendanceSessionSchema.methods.attendanceKey = function(student) {
+  return { student, date: this.date, subject: this.subject, session: this.session };
+};
+
+// Values written to Attendance for a student with the given status
+attendanceSessionSchema.methods.attendanceFields = function(status) {
+  const hours = this.session === 'Full Day' ? 8 : 4;
+  return {
+    course: this.course,
+    semester: this.semester,
+    type: this.type,
+    status,
+    hoursAttended: ['Present', 'Late'].includes(status) ? hours : 0,
+    remarks: ['Present', 'Late'].includes(status) ? 'QR check-in' : '',
+    recordedBy: this.owner
+  };
+};
+
+attendanceSessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+// Indexes
+attendanceSessionSchema.index({ owner: 1, createdAt: -1 });
+attendanceSessionSchema.index({ course: 1, semester: 1, subject: 1, date: 1, session: 1, status: 1 });
+
+module.exports = mongoose.model('AttendanceSession', attendanceSessionSchema);
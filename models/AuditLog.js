@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Copied at write time so the log still reads correctly if the user is later deleted
+  actorName: String,
+  actorRole: String,
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete', 'bulk-create', 'publish', 'reset', 'reset-password', 'status-change', 'permission-change', 'unlock', 'other']
+  },
+  entity: {
+    type: String,
+    required: true
+  },
+  entityId: String,
+  summary: String,
+  changes: [{
+    _id: false,
+    path: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Snapshot of a deleted or created record (sensitive fields removed)
+  snapshot: mongoose.Schema.Types.Mixed,
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  method: String,
+  path: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Audit entries are append-only
+const immutable = function(next) {
+  const err = new Error('Audit log entries cannot be modified');
+  err.statusCode = 403;
+  next(err);
+};
+auditLogSchema.pre('updateOne', immutable);
+auditLogSchema.pre('updateMany', immutable);
+auditLogSchema.pre('findOneAndUpdate', immutable);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+
+// Indexes
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['Planned', 'Active', 'Completed', 'Cancelled'];
+
+const clinicalPostingSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  semester: {
+    type: Number,
+    required: true
+  },
+  batchYear: Number,
+  hospital: {
+    type: String,
+    required: [true, 'Hospital is required'],
+    trim: true
+  },
+  ward: {
+    type: String,
+    required: [true, 'Ward is required'],
+    trim: true
+  },
+  // Recorded as Attendance.subject for the posting's clinical attendance
+  subject: {
+    type: String,
+    trim: true
+  },
+  supervisor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Faculty'
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  shift: {
+    type: String,
+    enum: ['Morning', 'Afternoon', 'Full Day'],
+    default: 'Morning'
+  },
+  hoursPerDay: {
+    type: Number,
+    min: 1,
+    max: 8,
+    default: 6
+  },
+  requiredHours: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Student group label within a rotation, e.g. "A"
+  group: String,
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  // Postings created together by the rotation planner
+  rotation: mongoose.Schema.Types.ObjectId,
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'Planned'
+  },
+  remarks: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+clinicalPostingSchema.statics.STATUSES = STATUSES;
+
+clinicalPostingSchema.pre('validate', function(next) {
+  if (!this.subject) this.subject = `Clinical - ${this.ward}`;
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'endDate must be on or after startDate');
+  }
+  next();
+});
+
+// Postings overlapping a date range, ignoring cancelled ones
+const overlapping = (startDate, endDate, excludeId) => {
+  const filter = {
+    status: { $ne: 'Cancelled' },
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return filter;
+};
+
+/**
+ * Postings that would clash with a new or changed one: any of its students already
+ * posted in the period, or the same ward already taken on the same shift
+ * @param {Object} posting - { hospital, ward, shift, startDate, endDate, students, _id? }
+ * @returns {Promise<{students: Array, ward: Array}>} - Clashing postings
+ */
+clinicalPostingSchema.statics.findConflicts = async function(posting) {
+  const base = overlapping(posting.startDate, posting.endDate, posting._id);
+  const shifts = posting.shift === 'Full Day' ? ['Morning', 'Afternoon', 'Full Day'] : [posting.shift, 'Full Day'];
+
+  const [students, ward] = await Promise.all([
+    (posting.students || []).length > 0
+      ? this.find({ ...base, students: { $in: posting.students } }).select('hospital ward group startDate endDate students')
+      : [],
+    this.find({
+      ...base,
+      hospital: posting.hospital,
+      ward: posting.ward,
+      shift: { $in: shifts }
+    }).select('hospital ward group startDate endDate shift')
+  ]);
+
+  return { students, ward };
+};
+
+/**
+ * Clinical hours attended (Present or Late Clinical attendance), in total and per posting
+ * @param {Array} studentIds - Student _ids
+ * @returns {Promise<Map<string, {total: number, byPosting: Object}>>}
+ */
+clinicalPostingSchema.statics.hoursByStudent = async function(studentIds) {
+  const Attendance = mongoose.model('Attendance');
+  const rows = await Attendance.aggregate([
+    {
+      $match: {
+        student: { $in: studentIds },
+        type: 'Clinical',
+        status: { $in: ['Present', 'Late'] }
+      }
+    },
+    {
+      $group: {
+        _id: { student: '$student', posting: '$clinicalPosting' },
+        hours: { $sum: '$hoursAttended' }
+      }
+    }
+  ]);
+
+  const hours = new Map();
+  rows.forEach(row => {
+    const key = row._id.student.toString();
+    if (!hours.has(key)) hours.set(key, { total: 0, byPosting: {} });
+    const entry = hours.get(key);
+    entry.total += row.hours;
+    if (row._id.posting) entry.byPosting[row._id.posting.toString()] = row.hours;
+  });
+  return hours;
+};
+
+// Indexes
+clinicalPostingSchema.index({ course: 1, semester: 1, startDate: 1 });
+clinicalPostingSchema.index({ students: 1, startDate: 1 });
+clinicalPostingSchema.index({ hospital: 1, ward: 1, startDate: 1 });
+clinicalPostingSchema.index({ supervisor: 1, status: 1 });
+clinicalPostingSchema.index({ rotation: 1 });
+
+module.exports = mongoose.model('ClinicalPosting', clinicalPostingSchema);
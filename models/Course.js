@@ -46,6 +46,17 @@ const courseSchema = new mongoose.Schema({
     totalHours: Number,
     requirements: [String]
   },
+  // Minimum attendance (%) per subject to be eligible for exams
+  attendanceRequirements: {
+    theory: { type: Number, min: 0, max: 100, default: 80 },
+    practical: { type: Number, min: 0, max: 100, default: 80 },
+    clinical: { type: Number, min: 0, max: 100, default: 90 }
+  },
+  // Grade cut-offs and pass criteria; the default scheme applies when unset
+  gradingScheme: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradingScheme'
+  },
  feesStructure: {
   tuitionFee: Number,
   hostelFee: Number,
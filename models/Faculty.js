@@ -28,6 +28,11 @@ const facultySchema = new mongoose.Schema({
     required: true,
     enum: ['Medical-Surgical Nursing', 'Pediatric Nursing', 'Psychiatric Nursing', 'Community Health Nursing', 'Obstetric Nursing', 'Anatomy', 'Physiology', 'Pharmacology', 'Nutrition', 'Administration']
   },
+  // Head of department; verifies attendance recorded by the department's faculty
+  isHod: {
+    type: Boolean,
+    default: false
+  },
   qualification: [{
     degree: String,
     specialization: String,
@@ -87,4 +92,27 @@ const facultySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Resolve a faculty reference given as an ObjectId, faculty code or full name
+facultySchema.statics.resolveRef = async function(value) {
+  if (!value) return null;
+  if (value._id) return this.findById(value._id);
+
+  const text = String(value).trim();
+  if (!text) return null;
+
+  if (/^[0-9a-fA-F]{24}$/.test(text)) {
+    const byId = await this.findById(text);
+    if (byId) return byId;
+  }
+
+  const byCode = await this.findOne({ facultyId: text.toUpperCase() });
+  if (byCode) return byCode;
+
+  const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return this.findOne({ fullName: { $regex: `^${escaped}$`, $options: 'i' } });
+};
+
+// Indexes
+facultySchema.index({ department: 1, isHod: 1 });
+
 module.exports = mongoose.model('Faculty', facultySchema);
\ No newline at end of file
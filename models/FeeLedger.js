@@ -0,0 +1,522 @@
+const mongoose = require('mongoose');
+const FeeReceipt = require('./FeeReceipt');
+
+const invoiceSchema = new mongoose.Schema({
+  installmentNo: {
+    type: Number,
+    required: true
+  },
+  label: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  dueDate: Date,
+  paid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  concession: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  fine: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lateFineApplied: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['Unpaid', 'Partially Paid', 'Paid', 'Waived'],
+    default: 'Unpaid'
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for outstanding amount on the invoice
+invoiceSchema.virtual('balance').get(function() {
+  return Math.max(0, (this.amount || 0) + (this.fine || 0) - (this.concession || 0) - (this.paid || 0));
+});
+
+const transactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Payment', 'Concession', 'Fine', 'Refund'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  allocations: [{
+    installmentNo: Number,
+    amount: Number
+  }],
+  mode: {
+    type: String,
+    enum: ['Cash', 'UPI', 'Card', 'Bank Transfer', 'Cheque', 'DD', 'Online', 'Adjustment'],
+    default: 'Cash'
+  },
+  referenceNo: String,
+  receiptNumber: String,
+  remarks: String,
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const feeLedgerSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true,
+    unique: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  invoices: [invoiceSchema],
+  transactions: [transactionSchema],
+  summary: {
+    totalAmount: { type: Number, default: 0 },
+    totalFine: { type: Number, default: 0 },
+    totalConcession: { type: Number, default: 0 },
+    totalPaid: { type: Number, default: 0 },
+    totalRefunded: { type: Number, default: 0 },
+    balance: { type: Number, default: 0 },
+    overdue: { type: Number, default: 0 }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for ledger status
+feeLedgerSchema.virtual('status').get(function() {
+  if (!this.summary || this.summary.balance <= 0) return 'Clear';
+  if (this.summary.overdue > 0) return 'Overdue';
+  return 'Due';
+});
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const ledgerError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Mode and date of a payment or refund, checked before the ledger is touched
+const entryDetails = ({ mode, date }, defaultMode) => {
+  const modes = transactionSchema.path('mode').enumValues;
+  if (mode && !modes.includes(mode)) {
+    throw ledgerError(`mode must be one of: ${modes.join(', ')}`);
+  }
+
+  const entryDate = date ? new Date(date) : new Date();
+  if (isNaN(entryDate.getTime())) throw ledgerError('date must be a valid date');
+
+  return { mode: mode || defaultMode, date: entryDate };
+};
+
+const generateReceiptNumber = () => {
+  return `RCP${Date.now()}${Math.floor(Math.random() * 100).toString().padStart(2, '0')}`;
+};
+
+// Recalculate invoice statuses and ledger summary
+feeLedgerSchema.methods.recalculate = function(asOf = new Date()) {
+  const summary = {
+    totalAmount: 0,
+    totalFine: 0,
+    totalConcession: 0,
+    totalPaid: 0,
+    totalRefunded: 0,
+    balance: 0,
+    overdue: 0
+  };
+
+  this.invoices.forEach(invoice => {
+    const payable = roundAmount(invoice.amount + invoice.fine - invoice.concession);
+    const balance = roundAmount(Math.max(0, payable - invoice.paid));
+
+    if (payable <= 0 && invoice.amount > 0) invoice.status = 'Waived';
+    else if (balance <= 0) invoice.status = 'Paid';
+    else if (invoice.paid > 0) invoice.status = 'Partially Paid';
+    else invoice.status = 'Unpaid';
+
+    summary.totalAmount += invoice.amount;
+    summary.totalFine += invoice.fine;
+    summary.totalConcession += invoice.concession;
+    summary.totalPaid += invoice.paid;
+    summary.balance += balance;
+
+    if (balance > 0 && invoice.dueDate && invoice.dueDate < asOf) {
+      summary.overdue += balance;
+    }
+  });
+
+  summary.totalRefunded = this.transactions
+    .filter(t => t.type === 'Refund')
+    .reduce((sum, t) => sum + t.amount, 0);
+
+  Object.keys(summary).forEach(key => {
+    summary[key] = roundAmount(summary[key]);
+  });
+
+  this.summary = summary;
+  return summary;
+};
+
+// Find an invoice by installment number
+feeLedgerSchema.methods.getInvoice = function(installmentNo) {
+  const invoice = this.invoices.find(inv => inv.installmentNo === parseInt(installmentNo));
+  if (!invoice) {
+    throw ledgerError(`Installment ${installmentNo} not found in ledger`);
+  }
+  return invoice;
+};
+
+// Invoices with an outstanding balance, oldest due first
+feeLedgerSchema.methods.getOpenInvoices = function() {
+  return this.invoices
+    .filter(inv => inv.balance > 0)
+    .sort((a, b) => (a.dueDate || 0) - (b.dueDate || 0) || a.installmentNo - b.installmentNo);
+};
+
+// Record a payment, allocating it to one installment or oldest dues first
+feeLedgerSchema.methods.recordPayment = function({ amount, installmentNo, mode, referenceNo, remarks, date }, userId) {
+  amount = roundAmount(amount);
+  if (amount <= 0) throw ledgerError('Payment amount must be greater than zero');
+  const details = entryDetails({ mode, date }, 'Cash');
+
+  const targets = installmentNo ? [this.getInvoice(installmentNo)] : this.getOpenInvoices();
+  const outstanding = roundAmount(targets.reduce((sum, inv) => sum + inv.balance, 0));
+
+  if (amount > outstanding) {
+    throw ledgerError(`Payment of ${amount} exceeds outstanding balance of ${outstanding}`);
+  }
+
+  let remaining = amount;
+  const allocations = [];
+
+  for (const invoice of targets) {
+    if (remaining <= 0) break;
+    const share = roundAmount(Math.min(invoice.balance, remaining));
+    if (share <= 0) continue;
+    invoice.paid = roundAmount(invoice.paid + share);
+    remaining = roundAmount(remaining - share);
+    allocations.push({ installmentNo: invoice.installmentNo, amount: share });
+  }
+
+  this.transactions.push({
+    type: 'Payment',
+    amount,
+    allocations,
+    mode: details.mode,
+    referenceNo,
+    receiptNumber: generateReceiptNumber(),
+    remarks,
+    date: details.date,
+    recordedBy: userId
+  });
+
+  this.recalculate();
+  return this.transactions[this.transactions.length - 1];
+};
+
+// Grant a concession against one installment or oldest dues first
+feeLedgerSchema.methods.addConcession = function({ amount, installmentNo, remarks }, userId) {
+  amount = roundAmount(amount);
+  if (amount <= 0) throw ledgerError('Concession amount must be greater than zero');
+
+  const targets = installmentNo ? [this.getInvoice(installmentNo)] : this.getOpenInvoices();
+  const outstanding = roundAmount(targets.reduce((sum, inv) => sum + inv.balance, 0));
+
+  if (amount > outstanding) {
+    throw ledgerError(`Concession of ${amount} exceeds outstanding balance of ${outstanding}`);
+  }
+
+  let remaining = amount;
+  const allocations = [];
+
+  for (const invoice of targets) {
+    if (remaining <= 0) break;
+    const share = roundAmount(Math.min(invoice.balance, remaining));
+    if (share <= 0) continue;
+    invoice.concession = roundAmount(invoice.concession + share);
+    remaining = roundAmount(remaining - share);
+    allocations.push({ installmentNo: invoice.installmentNo, amount: share });
+  }
+
+  this.transactions.push({
+    type: 'Concession',
+    amount,
+    allocations,
+    mode: 'Adjustment',
+    remarks,
+    recordedBy: userId
+  });
+
+  this.recalculate();
+  return this.transactions[this.transactions.length - 1];
+};
+
+// Levy a fine on an installment (defaults to the oldest open installment)
+feeLedgerSchema.methods.addFine = function({ amount, installmentNo, remarks, isLateFine = false }, userId) {
+  amount = roundAmount(amount);
+  if (amount <= 0) throw ledgerError('Fine amount must be greater than zero');
+
+  const invoice = installmentNo ? this.getInvoice(installmentNo) : this.getOpenInvoices()[0];
+  if (!invoice) throw ledgerError('No open installment to levy a fine on');
+
+  invoice.fine = roundAmount(invoice.fine + amount);
+  if (isLateFine) invoice.lateFineApplied = true;
+
+  this.transactions.push({
+    type: 'Fine',
+    amount,
+    allocations: [{ installmentNo: invoice.installmentNo, amount }],
+    mode: 'Adjustment',
+    remarks: remarks || (isLateFine ? 'Late payment fine' : undefined),
+    recordedBy: userId
+  });
+
+  this.recalculate();
+  return this.transactions[this.transactions.length - 1];
+};
+
+// Refund paid money, reversing allocations from the latest installments first
+feeLedgerSchema.methods.recordRefund = function({ amount, installmentNo, mode, referenceNo, remarks, date }, userId) {
+  amount = roundAmount(amount);
+  if (amount <= 0) throw ledgerError('Refund amount must be greater than zero');
+  const details = entryDetails({ mode, date }, 'Bank Transfer');
+
+  const targets = installmentNo
+    ? [this.getInvoice(installmentNo)]
+    : [...this.invoices].filter(inv => inv.paid > 0).sort((a, b) => b.installmentNo - a.installmentNo);
+  const refundable = roundAmount(targets.reduce((sum, inv) => sum + inv.paid, 0));
+
+  if (amount > refundable) {
+    throw ledgerError(`Refund of ${amount} exceeds refundable amount of ${refundable}`);
+  }
+
+  let remaining = amount;
+  const allocations = [];
+
+  for (const invoice of targets) {
+    if (remaining <= 0) break;
+    const share = roundAmount(Math.min(invoice.paid, remaining));
+    if (share <= 0) continue;
+    invoice.paid = roundAmount(invoice.paid - share);
+    remaining = roundAmount(remaining - share);
+    allocations.push({ installmentNo: invoice.installmentNo, amount: share });
+  }
+
+  this.transactions.push({
+    type: 'Refund',
+    amount,
+    allocations,
+    mode: details.mode,
+    referenceNo,
+    receiptNumber: generateReceiptNumber(),
+    remarks,
+    date: details.date,
+    recordedBy: userId
+  });
+
+  this.recalculate();
+  return this.transactions[this.transactions.length - 1];
+};
+
+// Add a one-off charge (e.g. a revaluation fee) as a new installment due now
+feeLedgerSchema.methods.addCharge = function({ label, amount, dueDate }) {
+  amount = roundAmount(amount);
+  if (amount <= 0) throw ledgerError('Charge amount must be greater than zero');
+
+  const installmentNo = this.invoices.reduce((max, inv) => Math.max(max, inv.installmentNo), 0) + 1;
+  this.invoices.push({
+    installmentNo,
+    label,
+    amount,
+    dueDate: dueDate || new Date()
+  });
+
+  this.recalculate();
+  return this.getInvoice(installmentNo);
+};
+
+// Build invoices from a course's installment plan.
+// Installments without a due date fall due every six months from the start date.
+feeLedgerSchema.statics.buildInvoices = function(course, startDate = new Date()) {
+  const fees = course.feesStructure || {};
+  const plan = (fees.installmentPlan || []).filter(item => item.amount > 0);
+
+  const dueDateFor = (index) => {
+    const due = new Date(startDate);
+    due.setMonth(due.getMonth() + index * 6);
+    return due;
+  };
+
+  if (plan.length > 0) {
+    return plan
+      .sort((a, b) => (a.installmentNo || 0) - (b.installmentNo || 0))
+      .map((item, index) => ({
+        installmentNo: item.installmentNo || index + 1,
+        label: item.label || `Installment ${item.installmentNo || index + 1}`,
+        amount: roundAmount(item.amount),
+        dueDate: item.dueDate || dueDateFor(index)
+      }));
+  }
+
+  const total = fees.totalFee || [
+    fees.tuitionFee, fees.hostelFee, fees.libraryFee,
+    fees.labFee, fees.examFee, fees.otherCharges
+  ].reduce((sum, fee) => sum + (fee || 0), 0);
+
+  if (!total) return [];
+
+  return [{
+    installmentNo: 1,
+    label: 'Full Course Fee',
+    amount: roundAmount(total),
+    dueDate: dueDateFor(0)
+  }];
+};
+
+// Create the ledger for a student from their course fee structure (no-op if it exists).
+// An upsert, so concurrent callers end up with the same ledger.
+feeLedgerSchema.statics.generateForStudent = async function(student, course, userId, session = null) {
+  const draft = new this({
+    student: student._id,
+    course: course._id,
+    invoices: this.buildInvoices(course, student.admissionDate || new Date()),
+    createdBy: userId
+  });
+  draft.recalculate();
+
+  const { _id, student: studentId, ...fields } = draft.toObject({ virtuals: false });
+  const upsert = () => this.findOneAndUpdate(
+    { student: student._id },
+    { $setOnInsert: fields },
+    { upsert: true, new: true, session, setDefaultsOnInsert: false }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Two upserts can both miss and one then hits the unique student index; the ledger now exists
+    if (error.code === 11000) return upsert();
+    throw error;
+  }
+};
+
+// Levy a one-time late fine on every overdue installment that has not been fined yet
+feeLedgerSchema.statics.applyLateFines = async function({ amount, asOf = new Date(), userId }) {
+  const ledgers = await this.find({
+    invoices: {
+      $elemMatch: {
+        dueDate: { $lt: asOf },
+        status: { $in: ['Unpaid', 'Partially Paid'] },
+        lateFineApplied: false
+      }
+    }
+  });
+
+  let finesApplied = 0;
+
+  for (const ledger of ledgers) {
+    const overdue = ledger.invoices.filter(inv =>
+      inv.dueDate && inv.dueDate < asOf && inv.balance > 0 && !inv.lateFineApplied
+    );
+
+    overdue.forEach(invoice => {
+      ledger.addFine({ amount, installmentNo: invoice.installmentNo, isLateFine: true }, userId);
+      finesApplied++;
+    });
+
+    if (overdue.length > 0) {
+      await ledger.save();
+    }
+  }
+
+  return { ledgersAffected: ledgers.length, finesApplied };
+};
+
+feeLedgerSchema.pre('save', function(next) {
+  this.recalculate();
+  next();
+});
+
+// Register new receipt numbers before the ledger is written; a collision gets a fresh number
+feeLedgerSchema.pre('save', async function() {
+  const receipts = this.transactions.filter(transaction => transaction.isNew && transaction.receiptNumber);
+  // Receipts registered by this save, removed again if the ledger write fails
+  this.$locals.registeredReceipts = [];
+
+  for (const transaction of receipts) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const [receipt] = await FeeReceipt.create([{
+          receiptNumber: transaction.receiptNumber,
+          ledger: this._id,
+          student: this.student,
+          transaction: transaction._id,
+          type: transaction.type,
+          amount: transaction.amount,
+          date: transaction.date
+        }], { session: this.$session() });
+        this.$locals.registeredReceipts.push(receipt._id);
+        break;
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= 5) throw error;
+        transaction.receiptNumber = generateReceiptNumber();
+      }
+    }
+  }
+});
+
+// A failed ledger write must not leave its receipts behind. Inside a transaction the abort
+// already discards them.
+feeLedgerSchema.post('save', function(error, doc, next) {
+  const registered = this.$locals.registeredReceipts || [];
+  if (registered.length === 0 || this.$session()) return next(error);
+
+  FeeReceipt.deleteMany({ _id: { $in: registered } }).then(
+    () => next(error),
+    cleanupError => {
+      console.error('Fee receipt cleanup error:', cleanupError.message);
+      next(error);
+    }
+  );
+});
+
+// Indexes
+feeLedgerSchema.index({ course: 1 });
+feeLedgerSchema.index({ 'summary.balance': 1 });
+feeLedgerSchema.index({ 'invoices.dueDate': 1 });
+
+module.exports = mongoose.model('FeeLedger', feeLedgerSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Register of issued receipt numbers; the unique index catches collisions that an
+// index on FeeLedger.transactions cannot (concessions and fines have no receipt)
+const feeReceiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeLedger',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['Payment', 'Refund'],
+    required: true
+  },
+  amount: Number,
+  date: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+feeReceiptSchema.index({ student: 1, date: -1 });
+
+module.exports = mongoose.model('FeeReceipt', feeReceiptSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Grade letters a scheme may use; they must be valid Marks grades
+const GRADES = ['O', 'A+', 'A', 'B+', 'B', 'C', 'D', 'F'];
+const COMPONENTS = ['theory', 'practical', 'viva', 'assignment'];
+
+const percent = { type: Number, min: 0, max: 100 };
+
+const gradeBandSchema = new mongoose.Schema({
+  grade: {
+    type: String,
+    enum: GRADES,
+    required: true
+  },
+  // Lowest percentage that earns this grade
+  minPercentage: { ...percent, required: true },
+  points: {
+    type: Number,
+    min: 0,
+    max: 10,
+    required: true
+  }
+}, { _id: false });
+
+const gradingSchemeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Scheme name is required'],
+    trim: true,
+    unique: true
+  },
+  description: String,
+  grades: {
+    type: [gradeBandSchema],
+    validate: {
+      validator: function(bands) {
+        return bands.length > 0;
+      },
+      message: 'At least one grade is required'
+    }
+  },
+  // Minimum overall percentage to pass
+  passPercentage: { ...percent, default: 35 },
+  // Minimum percentage of each component's maximum to pass; 0 means no separate minimum
+  componentMinimums: {
+    theory: { ...percent, default: 0 },
+    practical: { ...percent, default: 0 },
+    viva: { ...percent, default: 0 },
+    assignment: { ...percent, default: 0 }
+  },
+  // Used for courses without a scheme of their own
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+gradingSchemeSchema.statics.GRADES = GRADES;
+gradingSchemeSchema.statics.COMPONENTS = COMPONENTS;
+
+gradingSchemeSchema.pre('validate', function(next) {
+  this.grades.sort((a, b) => b.minPercentage - a.minPercentage);
+
+  const letters = this.grades.map(band => band.grade);
+  if (new Set(letters).size !== letters.length) {
+    this.invalidate('grades', 'Each grade can appear only once');
+  }
+  const cutoffs = this.grades.map(band => band.minPercentage);
+  if (new Set(cutoffs).size !== cutoffs.length) {
+    this.invalidate('grades', 'Each grade needs a different minimum percentage');
+  }
+  if (this.grades.length > 0 && this.grades[this.grades.length - 1].minPercentage !== 0) {
+    this.invalidate('grades', 'The lowest grade must start at 0%');
+  }
+  next();
+});
+
+// Only one scheme is the default
+gradingSchemeSchema.post('save', async function(doc) {
+  if (doc.isDefault) {
+    await doc.constructor.updateMany({ _id: { $ne: doc._id }, isDefault: true }, { $set: { isDefault: false } });
+  }
+});
+
+// Indexes
+gradingSchemeSchema.index({ isDefault: 1 });
+
+module.exports = mongoose.model('GradingScheme', gradingSchemeSchema);
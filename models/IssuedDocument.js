@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+// Documents that carry a verification code, with the name shown on public verification
+const TYPE_LABELS = {
+  marksheet: 'Statement of Marks',
+  transcript: 'Consolidated Transcript',
+  bonafide: 'Bonafide Certificate',
+  'course-completion': 'Course Completion Certificate'
+};
+
+const issuedDocumentSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(TYPE_LABELS),
+    required: true
+  },
+  // Title printed on the document, e.g. "Statement of Marks - Semester 3"
+  title: String,
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  // Name as printed, kept in case the student record changes later
+  holderName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Semester, purpose and similar details; never shown publicly
+  metadata: mongoose.Schema.Types.Mixed,
+  isRevoked: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: String
+}, {
+  timestamps: true
+});
+
+issuedDocumentSchema.statics.TYPE_LABELS = TYPE_LABELS;
+
+/**
+ * Register documents that were just generated
+ * @param {Array} issues - [{ student, type, title, verification: { code, issuedAt }, issuedBy, metadata }]
+ */
+issuedDocumentSchema.statics.record = function(issues) {
+  return this.insertMany(issues.map(({ student, type, title, verification, issuedBy, metadata }) => ({
+    code: verification.code,
+    type,
+    title,
+    student: student._id,
+    holderName: student.fullName || `${student.firstName || ''} ${student.lastName || ''}`.trim(),
+    issuedAt: verification.issuedAt,
+    issuedBy,
+    metadata
+  })));
+};
+
+/**
+ * Revoke mark sheets and transcripts that show published marks which have since changed,
+ * so public verification no longer vouches for the old figures
+ * @param {Array<{student: Object|string, semester: number}>} changes - Student and semester of each changed result
+ * @param {Object} [options] - { revokedBy: User id, reason }
+ * @returns {Promise<number>} - Number of documents revoked
+ */
+issuedDocumentSchema.statics.supersede = async function(changes, { revokedBy, reason = 'Superseded by revised marks' } = {}) {
+  if (changes.length === 0) return 0;
+
+  const students = [...new Set(changes.map(change => String(change.student._id || change.student)))];
+  const result = await this.updateMany(
+    {
+      isRevoked: false,
+      $or: [
+        ...changes.map(change => ({
+          type: 'marksheet',
+          student: change.student._id || change.student,
+          'metadata.semester': change.semester
+        })),
+        { type: 'transcript', student: { $in: students } }
+      ]
+    },
+    { $set: { isRevoked: true, revokedAt: new Date(), revokedBy, revocationReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+issuedDocumentSchema.methods.revoke = function(userId, reason) {
+  this.isRevoked = true;
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  this.revocationReason = reason;
+};
+
+// What anyone holding the code may see
+issuedDocumentSchema.methods.toPublic = function() {
+  return {
+    code: this.code,
+    status: this.isRevoked ? 'revoked' : 'valid',
+    documentType: TYPE_LABELS[this.type],
+    holderName: this.holderName,
+    issuedAt: this.issuedAt,
+    revokedAt: this.isRevoked ? this.revokedAt : undefined
+  };
+};
+
+// Indexes
+issuedDocumentSchema.index({ student: 1, issuedAt: -1 });
+issuedDocumentSchema.index({ type: 1, isRevoked: 1 });
+
+module.exports = mongoose.model('IssuedDocument', issuedDocumentSchema);
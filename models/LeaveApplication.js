@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+// Leave types match the Attendance statuses they are recorded as
+const LEAVE_TYPES = ['Leave', 'Medical Leave'];
+const STATUSES = ['Pending', 'Approved', 'Rejected', 'Cancelled'];
+
+// Midnight at the start of a date
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const leaveApplicationSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  semester: {
+    type: Number,
+    required: true
+  },
+  leaveType: {
+    type: String,
+    enum: LEAVE_TYPES,
+    default: 'Leave'
+  },
+  fromDate: {
+    type: Date,
+    required: true
+  },
+  toDate: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: 1000
+  },
+  medicalCertificate: {
+    fileName: String,
+    filePath: String,
+    fileType: String,
+    fileSize: Number
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'Pending'
+  },
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewRemarks: {
+    type: String,
+    trim: true
+  },
+  // Attendance records switched to the leave status on approval
+  attendanceUpdated: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+leaveApplicationSchema.statics.LEAVE_TYPES = LEAVE_TYPES;
+leaveApplicationSchema.statics.STATUSES = STATUSES;
+
+leaveApplicationSchema.pre('validate', function(next) {
+  if (this.fromDate) this.fromDate = startOfDay(this.fromDate);
+  if (this.toDate) this.toDate = startOfDay(this.toDate);
+  if (this.fromDate && this.toDate && this.toDate < this.fromDate) {
+    this.invalidate('toDate', 'toDate must be on or after fromDate');
+  }
+  next();
+});
+
+// Number of calendar days covered
+leaveApplicationSchema.virtual('days').get(function() {
+  if (!this.fromDate || !this.toDate) return 0;
+  return Math.round((startOfDay(this.toDate) - startOfDay(this.fromDate)) / (24 * 60 * 60 * 1000)) + 1;
+});
+
+/**
+ * Whether another pending or approved application overlaps this one's dates
+ * @returns {Promise<boolean>}
+ */
+leaveApplicationSchema.methods.overlapsExisting = async function() {
+  const existing = await this.constructor.exists({
+    _id: { $ne: this._id },
+    student: this.student,
+    status: { $in: ['Pending', 'Approved'] },
+    fromDate: { $lte: this.toDate },
+    toDate: { $gte: this.fromDate }
+  });
+  return Boolean(existing);
+};
+
+/**
+ * Mark the covered days as leave in Attendance. Only Absent records that have not been
+ * verified change; days not yet marked pick up the leave when attendance is taken (see leaveStatusFor).
+ * @returns {Promise<number>} - Attendance records updated
+ */
+leaveApplicationSchema.methods.applyToAttendance = async function() {
+  const Attendance = mongoose.model('Attendance');
+  const endDate = new Date(this.toDate);
+  endDate.setDate(endDate.getDate() + 1);
+
+  const result = await Attendance.updateMany(
+    {
+      student: this.student,
+      date: { $gte: this.fromDate, $lt: endDate },
+      status: 'Absent',
+      isHoliday: false,
+      // Verified attendance is locked
+      verificationStatus: { $ne: 'Verified' }
+    },
+    {
+      $set: {
+        status: this.leaveType,
+        remarks: `Approved leave: ${this.reason}`.slice(0, 500)
+      }
+    }
+  );
+
+  this.attendanceUpdated = result.modifiedCount || 0;
+  return this.attendanceUpdated;
+};
+
+/**
+ * Leave status to record for students on approved leave on a date
+ * @param {Array} studentIds - Student _ids
+ * @param {Date|string} date
+ * @returns {Promise<Map<string, string>>} - Student _id => 'Leave' | 'Medical Leave'
+ */
+leaveApplicationSchema.statics.leaveStatusFor = async function(studentIds, date) {
+  const day = startOfDay(date);
+  const leaves = await this.find({
+    student: { $in: studentIds },
+    status: 'Approved',
+    fromDate: { $lte: day },
+    toDate: { $gte: day }
+  }).select('student leaveType');
+
+  return new Map(leaves.map(leave => [leave.student.toString(), leave.leaveType]));
+};
+
+leaveApplicationSchema.set('toJSON', { virtuals: true });
+
+// Indexes
+leaveApplicationSchema.index({ student: 1, fromDate: -1 });
+leaveApplicationSchema.index({ status: 1, course: 1, semester: 1 });
+
+module.exports = mongoose.model('LeaveApplication', leaveApplicationSchema);
@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const gradingEngine = require('../utils/gradingEngine');
+
+// Days after publication during which a student can ask for revaluation
+const REVALUATION_WINDOW_DAYS = parseInt(process.env.REVALUATION_WINDOW_DAYS, 10) || 15;
+// Fee per revaluation request, added to the student's fee ledger; 0 for none
+const REVALUATION_FEE = parseFloat(process.env.REVALUATION_FEE) || 0;
+// Components that can be revised on revaluation
+const REVALUATION_COMPONENTS = ['theory', 'practical', 'viva'];
 
 const marksSchema = new mongoose.Schema({
   student: {
@@ -28,6 +36,12 @@ const marksSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // 1 for the regular exam; supplementary attempts count up from 2
+  attempt: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
   marks: {
     theory: {
       max: {
@@ -105,15 +119,7 @@ const marksSchema = new mongoose.Schema({
     type: String,
     enum: ['O', 'A+', 'A', 'B+', 'B', 'C', 'D', 'F', 'Absent', 'Withheld'],
     default: function() {
-      const percent = this.percentage;
-      if (percent >= 90) return 'O';
-      if (percent >= 80) return 'A+';
-      if (percent >= 70) return 'A';
-      if (percent >= 60) return 'B+';
-      if (percent >= 50) return 'B';
-      if (percent >= 40) return 'C';
-      if (percent >= 35) return 'D';
-      return 'F';
+      return gradingEngine.gradeFor(this.percentage).grade;
     }
   },
   resultStatus: {
@@ -150,6 +156,43 @@ const marksSchema = new mongoose.Schema({
     theory: Number,
     practical: Number,
     viva: Number
+  },
+  revaluation: {
+    requestedAt: Date,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    // Fee invoice added to the student's ledger, if a fee applies
+    fee: {
+      amount: Number,
+      installmentNo: Number
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    remarks: {
+      type: String,
+      trim: true
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedAt: Date,
+    // Result before the revised marks were applied
+    original: {
+      theory: Number,
+      practical: Number,
+      viva: Number,
+      totalObtained: Number,
+      percentage: Number,
+      grade: String,
+      resultStatus: String
+    }
   }
 }, {
   timestamps: true,
@@ -158,7 +201,7 @@ const marksSchema = new mongoose.Schema({
 });
 
 // Compound index
-marksSchema.index({ student: 1, subject: 1, semester: 1, examType: 1 }, { unique: true });
+marksSchema.index({ student: 1, subject: 1, semester: 1, examType: 1, attempt: 1 }, { unique: true });
 
 // Indexes
 marksSchema.index({ course: 1 });
@@ -166,31 +209,97 @@ marksSchema.index({ semester: 1 });
 marksSchema.index({ examType: 1 });
 marksSchema.index({ resultStatus: 1 });
 marksSchema.index({ grade: 1 });
+marksSchema.index({ revaluationStatus: 1, course: 1, semester: 1 });
 
-// Calculate GPA
-marksSchema.statics.calculateGPA = async function(studentId, semester) {
-  const marks = await this.find({
-    student: studentId,
-    semester: semester,
-    resultStatus: 'Pass'
-  });
+marksSchema.statics.REVALUATION_WINDOW_DAYS = REVALUATION_WINDOW_DAYS;
+marksSchema.statics.REVALUATION_FEE = REVALUATION_FEE;
+marksSchema.statics.REVALUATION_COMPONENTS = REVALUATION_COMPONENTS;
 
-  if (marks.length === 0) return 0;
+// Grade for a percentage
+marksSchema.statics.getGrade = function(percent) {
+  return gradingEngine.gradeFor(percent).grade;
+};
+
+// Recompute total, percentage, grade and result from the component marks
+// (scheme: the course's grading scheme, see gradingEngine.resolveScheme)
+marksSchema.methods.recalculate = function(scheme) {
+  const result = gradingEngine.evaluate(this.marks, scheme);
+  this.totalMarks = result.totalMarks;
+  this.percentage = result.percentage;
+  this.grade = result.grade;
+  this.resultStatus = result.resultStatus;
+};
 
-  const gradePoints = {
-    'O': 10, 'A+': 9, 'A': 8, 'B+': 7, 'B': 6, 'C': 5, 'D': 4, 'F': 0
+// Last day a revaluation can be requested, or null while unpublished
+marksSchema.methods.revaluationDeadline = function() {
+  if (!this.isPublished || !this.publishedDate) return null;
+  const deadline = new Date(this.publishedDate);
+  deadline.setDate(deadline.getDate() + REVALUATION_WINDOW_DAYS);
+  return deadline;
+};
+
+/**
+ * Apply revised component marks, keeping the original result in revaluation.original.
+ * Components not given keep their marks.
+ * @param {Object} revised - { theory?, practical?, viva? }
+ * @param {Object} [scheme] - The course's grading scheme
+ * @returns {string[]} - Components whose marks changed
+ */
+marksSchema.methods.applyRevaluation = function(revised, scheme) {
+  const changed = [];
+  const original = {
+    totalObtained: this.totalMarks.obtained,
+    percentage: this.percentage,
+    grade: this.grade,
+    resultStatus: this.resultStatus
   };
 
-  let totalPoints = 0;
-  let totalCredits = 0;
+  REVALUATION_COMPONENTS.forEach(key => {
+    original[key] = this.marks[key].obtained;
+    if (revised[key] === undefined || revised[key] === null || revised[key] === '') return;
 
-  // Assuming each subject has 4 credits
-  marks.forEach(mark => {
-    totalPoints += gradePoints[mark.grade] * 4;
-    totalCredits += 4;
+    const value = Number(revised[key]);
+    if (isNaN(value) || value < 0 || value > this.marks[key].max) {
+      const err = new Error(`${key} marks must be between 0 and ${this.marks[key].max}`);
+      err.statusCode = 400;
+      throw err;
+    }
+    if (value !== this.marks[key].obtained) changed.push(key);
+    this.revaluationMarks[key] = value;
+    this.marks[key].obtained = value;
   });
 
-  return totalCredits > 0 ? totalPoints / totalCredits : 0;
+  this.revaluation.original = original;
+  this.recalculate(scheme);
+  return changed;
+};
+
+/**
+ * Whether a supplementary attempt may be entered: the attempt before it must exist and have failed
+ * @param {Object} key - { student, subject, semester, examType, attempt }
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<boolean>}
+ */
+marksSchema.statics.canAttempt = async function({ student, subject, semester, examType, attempt }, session = null) {
+  if (attempt <= 1) return true;
+  const previous = await this.findOne({
+    student,
+    subject,
+    semester,
+    examType,
+    attempt: attempt - 1
+  }).session(session).select('resultStatus');
+  return Boolean(previous) && ['Fail', 'Absent', 'Supplementary'].includes(previous.resultStatus);
+};
+
+// SGPA for a semester, weighted by the course's subject credits (see utils/gradingEngine)
+marksSchema.statics.calculateGPA = async function(studentId, semester) {
+  const student = await mongoose.model('Student').findById(studentId).select('courseEnrolled');
+  if (!student) return 0;
+
+  const results = await gradingEngine.getStudentResults(student);
+  const entry = results.semesters.find(item => item.semester === parseInt(semester));
+  return entry ? entry.sgpa : 0;
 };
 
 module.exports = mongoose.model('Marks', marksSchema);
\ No newline at end of file
@@ -1,5 +1,39 @@
 const mongoose = require('mongoose');
 
+const CATEGORIES = ['Academic', 'Administrative', 'Event', 'Exam', 'Result', 'Placement', 'Fee', 'Holiday', 'Emergency', 'General'];
+// Channels delivered per receiver; dashboard and push go out over Socket.IO
+const EXTERNAL_CHANNELS = ['email', 'sms'];
+
+const channelDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: EXTERNAL_CHANNELS,
+    required: true
+  },
+  // Email address or mobile number used
+  address: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  sentAt: Date,
+  providerMessageId: String,
+  // Failure message, or why the delivery was skipped
+  error: String
+}, { _id: false });
+
 const notificationSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -17,7 +51,7 @@ const notificationSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: ['Academic', 'Administrative', 'Event', 'Exam', 'Result', 'Placement', 'Fee', 'Holiday', 'Emergency', 'General'],
+    enum: CATEGORIES,
     default: 'General'
   },
   priority: {
@@ -43,7 +77,7 @@ const notificationSchema = new mongoose.Schema({
   }],
   targetType: {
     type: String,
-    enum: ['individual', 'role', 'course', 'batch', 'all'],
+    enum: ['individual', 'role', 'students', 'course', 'batch', 'all'],
     default: 'all'
   },
   targetIds: [{
@@ -54,6 +88,8 @@ const notificationSchema = new mongoose.Schema({
     type: String,
     enum: ['User', 'Course', 'Student', null]
   },
+  // Batch years for targetType 'batch' (targetIds only holds ObjectIds)
+  targetBatches: [Number],
   attachments: [{
     fileName: String,
     fileUrl: String,
@@ -67,11 +103,30 @@ const notificationSchema = new mongoose.Schema({
     default: ['dashboard']
   },
   scheduledAt: Date,
+  // Cleared for queued notifications and set again by the dispatcher on delivery
   sentAt: {
     type: Date,
     default: Date.now
   },
   expiresAt: Date,
+  // Dispatcher state; notifications without it predate the dispatcher and were sent on creation
+  delivery: {
+    state: {
+      type: String,
+      enum: ['pending', 'processing', 'sent', 'failed', 'expired']
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: Date,
+    lastAttemptAt: Date,
+    lockedUntil: Date,
+    lastError: String,
+    // Held while the email/SMS deliveries below are being worked on
+    channelsLockedUntil: Date
+  },
+  deliveries: [channelDeliverySchema],
   isActive: {
     type: Boolean,
     default: true
@@ -110,6 +165,13 @@ const notificationSchema = new mongoose.Schema({
 
 // Virtual for notification status
 notificationSchema.virtual('status').get(function() {
+  const state = this.delivery && this.delivery.state;
+  if (state === 'failed') {
+    return 'failed';
+  }
+  if ((state === 'pending' || state === 'processing') && (!this.expiresAt || this.expiresAt >= new Date())) {
+    return 'scheduled';
+  }
   if (this.scheduledAt && this.scheduledAt > new Date()) {
     return 'scheduled';
   }
@@ -119,6 +181,83 @@ notificationSchema.virtual('status').get(function() {
   return 'active';
 });
 
+// Student filters for a target type; targetIds hold course ids or batch years
+const studentFilter = (targetType, targetIds) => {
+  switch (targetType) {
+    case 'students':
+      return { academicStatus: 'Active' };
+    case 'course':
+      return { courseEnrolled: { $in: targetIds }, academicStatus: 'Active' };
+    case 'batch':
+      return { batchYear: { $in: targetIds }, academicStatus: 'Active' };
+    default:
+      return null;
+  }
+};
+
+// Work out who receives a notification. Run at send time so users who
+// joined or left between scheduling and sending are handled.
+notificationSchema.statics.resolveReceivers = async function(targetType, targetIds = []) {
+  const User = mongoose.model('User');
+  const Student = mongoose.model('Student');
+
+  let userIds = [];
+
+  if (targetType === 'all') {
+    const users = await User.find({ isActive: true }).select('_id');
+    userIds = users.map(user => user._id);
+  } else if (targetType === 'individual') {
+    userIds = targetIds;
+  } else {
+    const filter = studentFilter(targetType, targetIds);
+    if (filter) {
+      const students = await Student.find(filter).select('userId');
+      userIds = students.filter(student => student.userId).map(student => student.userId);
+    }
+  }
+
+  // One entry per user
+  const seen = new Set();
+  return userIds
+    .filter(id => {
+      const key = id.toString();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(user => ({ user, read: false }));
+};
+
+notificationSchema.statics.CATEGORIES = CATEGORIES;
+notificationSchema.statics.EXTERNAL_CHANNELS = EXTERNAL_CHANNELS;
+
+// Counts of email/SMS deliveries by channel and status
+notificationSchema.methods.deliverySummary = function() {
+  const summary = {};
+  (this.sendMethod || []).filter(channel => EXTERNAL_CHANNELS.includes(channel)).forEach(channel => {
+    summary[channel] = { pending: 0, sent: 0, failed: 0, skipped: 0 };
+  });
+  (this.deliveries || []).forEach(delivery => {
+    if (!summary[delivery.channel]) {
+      summary[delivery.channel] = { pending: 0, sent: 0, failed: 0, skipped: 0 };
+    }
+    summary[delivery.channel][delivery.status] += 1;
+  });
+  return summary;
+};
+
+// Queue for the dispatcher, to be sent at `at` (now if omitted); an email/SMS run in
+// progress keeps its lock
+notificationSchema.methods.queueDelivery = function(at) {
+  this.sentAt = undefined;
+  this.delivery = {
+    state: 'pending',
+    attempts: 0,
+    nextAttemptAt: at || new Date(),
+    channelsLockedUntil: this.delivery ? this.delivery.channelsLockedUntil : undefined
+  };
+};
+
 // Mark as read for a user
 notificationSchema.methods.markAsRead = async function(userId) {
   const receiver = this.receivers.find(r => r.user.toString() === userId.toString());
@@ -149,5 +288,7 @@ notificationSchema.index({ category: 1 });
 notificationSchema.index({ sentAt: -1 });
 notificationSchema.index({ scheduledAt: 1 });
 notificationSchema.index({ expiresAt: 1 });
+notificationSchema.index({ 'delivery.state': 1, 'delivery.nextAttemptAt': 1 });
+notificationSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
 
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
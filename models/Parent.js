@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Student = require('./Student');
+
+const RELATIONS = ['father', 'mother', 'guardian'];
+// Student fields holding each relation's mobile number
+const MOBILE_FIELDS = {
+  father: 'fatherMobile',
+  mother: 'motherMobile',
+  guardian: 'guardianMobile'
+};
+const NAME_FIELDS = {
+  father: 'fatherName',
+  mother: 'motherName',
+  guardian: 'guardianName'
+};
+
+const OTP_TTL_MINUTES = parseInt(process.env.PARENT_OTP_TTL_MINUTES, 10) || 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+
+const hashOtp = (otp) => crypto.createHash('sha256').update(String(otp)).digest('hex');
+
+// Last 10 digits of a mobile number, or null
+const normaliseMobile = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+const parentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  mobileNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number']
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Wards; 'mobile' links follow the Student parent mobile fields, 'admin' links are set by hand
+  students: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true
+    },
+    relation: {
+      type: String,
+      enum: RELATIONS,
+      default: 'guardian'
+    },
+    source: {
+      type: String,
+      enum: ['mobile', 'admin'],
+      default: 'mobile'
+    }
+  }],
+  otp: {
+    hash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastSentAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+parentSchema.statics.RELATIONS = RELATIONS;
+parentSchema.statics.normaliseMobile = normaliseMobile;
+parentSchema.statics.OTP_TTL_MINUTES = OTP_TTL_MINUTES;
+// Student fields hasStudent() needs loaded
+parentSchema.statics.WARD_MOBILE_FIELDS = Object.values(MOBILE_FIELDS).join(' ');
+
+/**
+ * Students listing a mobile number as father, mother or guardian
+ * @param {string} mobile - 10-digit mobile number
+ * @returns {Promise<Array<{student: Object, relation: string, name: string}>>}
+ */
+parentSchema.statics.findWardsByMobile = async function(mobile) {
+  // Numbers are stored as typed, so also match common +91/0 prefixes
+  const variants = [mobile, `91${mobile}`, `+91${mobile}`, `0${mobile}`, `+91 ${mobile}`];
+  const students = await Student.find({
+    $or: RELATIONS.map(relation => ({ [MOBILE_FIELDS[relation]]: { $in: variants } }))
+  }).select('studentId firstName lastName fatherName motherName guardianName fatherMobile motherMobile guardianMobile');
+
+  return students.map(student => {
+    const relation = RELATIONS.find(r => normaliseMobile(student[MOBILE_FIELDS[r]]) === mobile);
+    return { student, relation, name: student[NAME_FIELDS[relation]] };
+  });
+};
+
+/**
+ * Refresh mobile-number links from the Student records; admin links are kept
+ * @returns {Promise<Array>} - Wards found by mobile number
+ */
+parentSchema.methods.syncStudents = async function() {
+  const wards = await this.constructor.findWardsByMobile(this.mobileNumber);
+  const manual = this.students.filter(link => link.source === 'admin');
+  const manualIds = new Set(manual.map(link => link.student.toString()));
+
+  this.students = [
+    ...manual,
+    ...wards
+      .filter(ward => !manualIds.has(ward.student._id.toString()))
+      .map(ward => ({ student: ward.student._id, relation: ward.relation, source: 'mobile' }))
+  ];
+  if (!this.name) {
+    this.name = (wards.find(ward => ward.name) || {}).name;
+  }
+  return wards;
+};
+
+/**
+ * Whether the parent may see a student. Mobile links are checked against the student's
+ * current numbers, so a number removed from the Student record stops access straight away.
+ * @param {Object} student - Student document with WARD_MOBILE_FIELDS loaded
+ * @returns {boolean}
+ */
+parentSchema.methods.hasStudent = function(student) {
+  const link = this.students.find(l => l.student.toString() === student._id.toString());
+  if (!link) return false;
+  if (link.source === 'admin') return true;
+  return RELATIONS.some(relation => normaliseMobile(student[MOBILE_FIELDS[relation]]) === this.mobileNumber);
+};
+
+/**
+ * Generate a login OTP, storing only its hash. The resend wait is checked in the same
+ * update that stores the code, so concurrent requests cannot both send one.
+ * @returns {Promise<{otp: string, expiresAt: Date}>} - Throws with statusCode 429 if asked again too soon
+ */
+parentSchema.methods.createOtp = async function() {
+  const now = new Date();
+  const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
+
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $or: [
+        { 'otp.lastSentAt': null },
+        { 'otp.lastSentAt': { $lte: new Date(now.getTime() - OTP_RESEND_SECONDS * 1000) } }
+      ]
+    },
+    { $set: { otp: { hash: hashOtp(otp), expiresAt, attempts: 0, lastSentAt: now } } },
+    { new: true }
+  );
+  if (!updated) {
+    const err = new Error(`Please wait ${OTP_RESEND_SECONDS} seconds before requesting another code`);
+    err.statusCode = 429;
+    throw err;
+  }
+
+  return { otp, expiresAt };
+};
+
+/**
+ * Check a login OTP. Each guess is counted atomically before it is compared, a matching
+ * code is used up, and too many wrong guesses void it.
+ * @param {string} otp
+ * @returns {Promise<boolean>}
+ */
+parentSchema.methods.verifyOtp = async function(otp) {
+  const Parent = this.constructor;
+
+  const current = await Parent.findOneAndUpdate(
+    {
+      _id: this._id,
+      'otp.hash': { $type: 'string' },
+      'otp.expiresAt': { $gt: new Date() },
+      'otp.attempts': { $lt: OTP_MAX_ATTEMPTS }
+    },
+    { $inc: { 'otp.attempts': 1 } },
+    { new: true }
+  ).select('+otp.hash');
+  if (!current) return false;
+
+  const { hash, attempts } = current.otp;
+  const given = Buffer.from(hashOtp(String(otp || '').trim()));
+  const expected = Buffer.from(hash);
+  const matches = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+
+  if (matches || attempts >= OTP_MAX_ATTEMPTS) {
+    // Conditional on the hash so a code can only be used once
+    const cleared = await Parent.updateOne(
+      { _id: this._id, 'otp.hash': hash },
+      { $unset: { 'otp.hash': '', 'otp.expiresAt': '' }, $set: { 'otp.attempts': 0 } }
+    );
+    return matches && cleared.modifiedCount === 1;
+  }
+  return false;
+};
+
+// Indexes
+parentSchema.index({ 'students.student': 1 });
+
+module.exports = mongoose.model('Parent', parentSchema);
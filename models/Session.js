@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Rotated refresh token hashes kept per session for reuse detection
+const MAX_ROTATED_HASHES = 20;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  rotatedHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ip: String,
+  // Issued at login; QR check-in counts students per device with it
+  deviceId: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'user-revoked', 'password-changed', 'deactivated', 'deleted', 'token-reuse', 'admin']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for usable sessions
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Replace the refresh token hash of an active session, remembering the old one. The swap
+// is conditional on the old hash, so only one of two concurrent refreshes gets through;
+// resolves to null for the other.
+sessionSchema.statics.rotate = function(tokenHash, newTokenHash, expiresAt) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: newTokenHash, lastUsedAt: now, expiresAt },
+      $push: { rotatedHashes: { $each: [tokenHash], $slice: -MAX_ROTATED_HASHES } }
+    },
+    { new: true }
+  );
+};
+
+sessionSchema.methods.revoke = async function(reason) {
+  if (this.revokedAt) return this;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+  return this;
+};
+
+// Active session for an access token's sid claim
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Revoke every active session of a user, optionally keeping one; returns the revoked ids
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, { exceptSessionId } = {}) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const sessions = await this.find(query).select('_id');
+  if (sessions.length === 0) return [];
+
+  const ids = sessions.map(session => session._id);
+  await this.updateMany(
+    { _id: { $in: ids } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return ids;
+};
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ rotatedHashes: 1 });
+// Drop sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+
+const SECTIONS = ['general', 'theme', 'notification', 'security', 'backup'];
+const MAX_HISTORY = 50;
+
+const hexColor = {
+  validator: function(v) {
+    return !v || /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(v);
+  },
+  message: props => `${props.value} is not a valid hex colour`
+};
+
+const timeOfDay = {
+  validator: function(v) {
+    return !v || /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
+  },
+  message: 'Time must be in HH:MM format'
+};
+
+const generalSchema = new mongoose.Schema({
+  instituteName: { type: String, trim: true, required: true, maxlength: 200 },
+  instituteAddress: { type: String, trim: true, maxlength: 500 },
+  contactEmail: { type: String, trim: true, lowercase: true, match: [/^\S+@\S+\.\S+$/, 'Contact email is invalid'] },
+  contactPhone: { type: String, trim: true },
+  websiteUrl: { type: String, trim: true },
+  timezone: { type: String, default: 'Asia/Kolkata' },
+  language: { type: String, enum: ['English', 'Tamil'], default: 'English' },
+  dateFormat: { type: String, enum: ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'], default: 'DD/MM/YYYY' },
+  currency: { type: String, uppercase: true, minlength: 3, maxlength: 3, default: 'INR' },
+  academicYear: { type: Number, min: 2000, max: 2100 },
+  maxLoginAttempts: { type: Number, min: 1, max: 20, default: 5 },
+  lockoutDuration: { type: Number, min: 1, max: 1440, default: 30 }, // minutes
+  sessionTimeout: { type: Number, min: 5, max: 1440, default: 30 } // minutes
+}, { _id: false });
+
+const themeSchema = new mongoose.Schema({
+  primaryColor: { type: String, validate: hexColor, default: '#0d6efd' },
+  secondaryColor: { type: String, validate: hexColor, default: '#6c757d' },
+  accentColor: { type: String, validate: hexColor, default: '#198754' },
+  themeMode: { type: String, enum: ['light', 'dark', 'auto'], default: 'light' },
+  logoUrl: { type: String, default: '/logo.png' },
+  faviconUrl: { type: String, default: '/favicon.ico' },
+  headerColor: { type: String, validate: hexColor, default: '#ffffff' },
+  sidebarColor: { type: String, validate: hexColor, default: '#343a40' }
+}, { _id: false });
+
+const notificationSchema = new mongoose.Schema({
+  emailNotifications: { type: Boolean, default: true },
+  smsNotifications: { type: Boolean, default: false },
+  pushNotifications: { type: Boolean, default: true },
+  studentAlerts: { type: Boolean, default: true },
+  facultyAlerts: { type: Boolean, default: true },
+  adminAlerts: { type: Boolean, default: true },
+  attendanceAlerts: { type: Boolean, default: true },
+  marksAlerts: { type: Boolean, default: true },
+  feeAlerts: { type: Boolean, default: true },
+  newsAlerts: { type: Boolean, default: true }
+}, { _id: false });
+
+const securitySchema = new mongoose.Schema({
+  // When on, the roles below must enrol in two-factor authentication
+  twoFactorAuth: { type: Boolean, default: false },
+  twoFactorRequiredRoles: {
+    type: [{ type: String, enum: ['admin', 'faculty', 'student'] }],
+    default: ['admin']
+  },
+  allowedFileTypes: {
+    type: String,
+    default: 'pdf,doc,docx,xls,xlsx,csv,jpg,jpeg,png,gif',
+    validate: {
+      validator: function(v) {
+        return /^\s*[a-z0-9]+(\s*,\s*[a-z0-9]+)*\s*$/i.test(v);
+      },
+      message: 'Allowed file types must be a comma-separated list of extensions'
+    }
+  },
+  maxFileSize: { type: Number, min: 1, max: 100, default: 10 } // MB
+}, { _id: false });
+
+const backupSchema = new mongoose.Schema({
+  autoBackup: { type: Boolean, default: true },
+  backupFrequency: { type: String, enum: ['hourly', 'daily', 'weekly', 'monthly'], default: 'daily' },
+  backupTime: { type: String, validate: timeOfDay, default: '02:00' },
+  keepBackups: { type: Number, min: 1, max: 365, default: 30 },
+  backupLocation: { type: String, enum: ['local', 'cloud'], default: 'local' },
+  cloudStorage: { type: Boolean, default: false },
+  lastBackup: { type: Date, default: null },
+  nextBackup: { type: Date, default: null }
+}, { _id: false });
+
+const historySchema = new mongoose.Schema({
+  version: Number,
+  action: {
+    type: String,
+    enum: ['update', 'reset'],
+    default: 'update'
+  },
+  changes: [{
+    _id: false,
+    path: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const settingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'system',
+    unique: true
+  },
+  general: { type: generalSchema, default: () => ({}) },
+  theme: { type: themeSchema, default: () => ({}) },
+  notification: { type: notificationSchema, default: () => ({}) },
+  security: { type: securitySchema, default: () => ({}) },
+  backup: { type: backupSchema, default: () => ({}) },
+  version: {
+    type: Number,
+    default: 1
+  },
+  history: [historySchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const sectionSchemas = {
+  general: generalSchema,
+  theme: themeSchema,
+  notification: notificationSchema,
+  security: securitySchema,
+  backup: backupSchema
+};
+
+// Default values for every section
+settingsSchema.statics.getDefaults = function() {
+  return {
+    general: {
+      instituteName: 'Nursing Institute',
+      instituteAddress: '123 Nursing Street, Medical City',
+      contactEmail: 'admin@nursinginstitute.edu',
+      contactPhone: '+91 9876543210',
+      websiteUrl: 'https://nursinginstitute.edu',
+      timezone: 'Asia/Kolkata',
+      language: 'English',
+      dateFormat: 'DD/MM/YYYY',
+      currency: 'INR',
+      academicYear: new Date().getFullYear(),
+      maxLoginAttempts: 5,
+      lockoutDuration: 30,
+      sessionTimeout: 30
+    },
+    theme: {},
+    notification: {},
+    security: {},
+    backup: {}
+  };
+};
+
+settingsSchema.statics.SECTIONS = SECTIONS;
+
+// Load the settings document, creating it with defaults on first use
+settingsSchema.statics.getSettings = async function() {
+  let settings = await this.findOne({ key: 'system' });
+  if (!settings) {
+    try {
+      settings = await this.create({ key: 'system', ...this.getDefaults() });
+    } catch (error) {
+      // Another request created it first
+      if (error.code !== 11000) throw error;
+      settings = await this.findOne({ key: 'system' });
+    }
+  }
+  return settings;
+};
+
+const isSame = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return a && b ? new Date(a).getTime() === new Date(b).getTime() : a === b;
+  }
+  return a === b;
+};
+
+// Copy arrays so history keeps the old value rather than a live reference
+const plain = (value) => (Array.isArray(value) ? [...value] : value);
+
+// Record a history entry and keep only the most recent MAX_HISTORY
+settingsSchema.methods.recordHistory = function(action, changes, userId) {
+  this.version += 1;
+  this.updatedBy = userId;
+  this.history.push({
+    version: this.version,
+    action,
+    changes,
+    changedBy: userId,
+    changedAt: new Date()
+  });
+  if (this.history.length > MAX_HISTORY) {
+    this.history.splice(0, this.history.length - MAX_HISTORY);
+  }
+};
+
+// Apply a partial update of one or more sections and return the list of changes
+settingsSchema.methods.applyUpdates = function(updates, userId) {
+  if (!updates || typeof updates !== 'object') {
+    const err = new Error('Settings update must be an object');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const unknownSections = Object.keys(updates).filter(section => !SECTIONS.includes(section));
+  if (unknownSections.length > 0) {
+    const err = new Error(`Unknown settings section(s): ${unknownSections.join(', ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const changes = [];
+
+  SECTIONS.forEach(section => {
+    const values = updates[section];
+    if (values === undefined) return;
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      const err = new Error(`Settings section ${section} must be an object`);
+      err.statusCode = 400;
+      throw err;
+    }
+
+    Object.keys(values).forEach(field => {
+      if (!sectionSchemas[section].path(field)) {
+        const err = new Error(`Unknown setting: ${section}.${field}`);
+        err.statusCode = 400;
+        throw err;
+      }
+
+      const from = plain(this[section][field]);
+      this[section][field] = values[field];
+      const to = plain(this[section][field]);
+
+      if (!isSame(from, to)) {
+        changes.push({ path: `${section}.${field}`, from, to });
+      }
+    });
+  });
+
+  if (changes.length > 0) {
+    this.recordHistory('update', changes, userId);
+  }
+
+  return changes;
+};
+
+// Reset the given sections (or all) to defaults and return the list of changes
+settingsSchema.methods.resetToDefaults = function(sections, userId) {
+  const targets = sections && sections.length > 0 ? sections : SECTIONS;
+  const unknownSections = targets.filter(section => !SECTIONS.includes(section));
+  if (unknownSections.length > 0) {
+    const err = new Error(`Unknown settings section(s): ${unknownSections.join(', ')}`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const defaults = this.constructor.getDefaults();
+  const changes = [];
+
+  targets.forEach(section => {
+    const before = this[section] ? this[section].toObject() : {};
+    this[section] = defaults[section];
+    const after = this[section].toObject();
+
+    Object.keys(after).forEach(field => {
+      if (!isSame(before[field], after[field])) {
+        changes.push({ path: `${section}.${field}`, from: before[field], to: after[field] });
+      }
+    });
+  });
+
+  this.recordHistory('reset', changes, userId);
+
+  return changes;
+};
+
+// Plain object of the current values, without history
+settingsSchema.methods.toSettingsObject = function() {
+  const data = { version: this.version, updatedAt: this.updatedAt };
+  SECTIONS.forEach(section => {
+    data[section] = this[section] ? this[section].toObject() : {};
+  });
+  return data;
+};
+
+module.exports = mongoose.model('Settings', settingsSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['queued', 'sent', 'delivered', 'failed', 'undelivered'];
+
+const smsLogSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Key into the DLT template registry and the registered DLT template ID
+  template: String,
+  templateId: String,
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'queued'
+  },
+  providerMessageId: String,
+  error: String,
+  sentAt: Date,
+  deliveredAt: Date,
+  // Delivery reports received from the provider
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    description: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // What the message was about, e.g. { type: 'marks', student }
+  context: {
+    type: {
+      type: String
+    },
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification'
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student'
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+smsLogSchema.statics.STATUSES = STATUSES;
+
+// Apply a delivery report; reports for a message already delivered or failed are only recorded
+smsLogSchema.methods.applyDeliveryReport = function({ status, description, at }) {
+  this.statusHistory.push({ status, description, at: at || new Date() });
+
+  if (this.status === 'delivered' || this.status === 'undelivered') {
+    return false;
+  }
+
+  this.status = status;
+  if (status === 'delivered') {
+    this.deliveredAt = at || new Date();
+  } else if (description) {
+    this.error = description;
+  }
+  return true;
+};
+
+// Indexes
+smsLogSchema.index({ providerMessageId: 1 });
+smsLogSchema.index({ to: 1, createdAt: -1 });
+smsLogSchema.index({ status: 1, createdAt: -1 });
+smsLogSchema.index({ 'context.type': 1 });
+
+module.exports = mongoose.model('SmsLog', smsLogSchema);
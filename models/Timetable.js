@@ -47,7 +47,8 @@ const timetableSchema = new mongoose.Schema({
     default: 'Theory'
   },
   faculty: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Faculty',
     required: true
   },
   room: {
@@ -64,15 +65,203 @@ const timetableSchema = new mongoose.Schema({
     required: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Convert an HH:MM string to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '0:0').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+// End time must fall after start time
+timetableSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && toMinutes(this.endTime) <= toMinutes(this.startTime)) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+  next();
+});
+
+// Virtual for slot length in minutes
+timetableSchema.virtual('durationMinutes').get(function() {
+  return Math.max(0, toMinutes(this.endTime) - toMinutes(this.startTime));
 });
 
+timetableSchema.statics.WEEK_DAYS = WEEK_DAYS;
+timetableSchema.statics.toMinutes = toMinutes;
+
+// Sort entries by weekday, then start time
+timetableSchema.statics.sortEntries = function(entries) {
+  return [...entries].sort((a, b) =>
+    WEEK_DAYS.indexOf(a.day) - WEEK_DAYS.indexOf(b.day) ||
+    toMinutes(a.startTime) - toMinutes(b.startTime)
+  );
+};
+
+// Weekly teaching load totals for a set of timetable entries
+timetableSchema.statics.summarizeLoad = function(entries) {
+  const load = {
+    totalSessions: entries.length,
+    totalMinutes: 0,
+    totalHours: 0,
+    byType: {},
+    byDay: {},
+    subjects: 0
+  };
+  const subjects = new Set();
+
+  entries.forEach(entry => {
+    const minutes = Math.max(0, toMinutes(entry.endTime) - toMinutes(entry.startTime));
+    load.totalMinutes += minutes;
+    load.byType[entry.type] = (load.byType[entry.type] || 0) + minutes / 60;
+    load.byDay[entry.day] = (load.byDay[entry.day] || 0) + minutes / 60;
+    subjects.add(`${entry.course && entry.course._id ? entry.course._id : entry.course}:${entry.semester}:${entry.subject}`);
+  });
+
+  load.totalHours = Math.round((load.totalMinutes / 60) * 100) / 100;
+  load.subjects = subjects.size;
+  return load;
+};
+
+// Two slots overlap when each starts before the other ends
+const overlaps = (a, b) => {
+  return a.day === b.day &&
+    toMinutes(a.startTime) < toMinutes(b.endTime) &&
+    toMinutes(b.startTime) < toMinutes(a.endTime);
+};
+
+const sameId = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+const sameRoom = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Clash types between two overlapping slots: shared room, shared faculty, or same course/semester cohort
+const clashTypes = (a, b) => {
+  const types = [];
+  if (sameRoom(a.room, b.room)) types.push('room');
+  if (sameId(a.faculty, b.faculty)) types.push('faculty');
+  if (sameId(a.course, b.course) && Number(a.semester) === Number(b.semester)) types.push('cohort');
+  return types;
+};
+
+const clashMessages = {
+  room: 'Room is already booked',
+  faculty: 'Faculty member is already teaching',
+  cohort: 'Course and semester already have a class'
+};
+
+timetableSchema.statics.overlaps = overlaps;
+
+// Find active entries that clash with the given slot
+timetableSchema.statics.findConflicts = async function(entry, { excludeId } = {}) {
+  const query = {
+    day: entry.day,
+    isActive: true,
+    $or: [
+      { faculty: entry.faculty },
+      { course: entry.course, semester: entry.semester }
+    ]
+  };
+  if (entry.room) {
+    const room = String(entry.room).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.$or.push({ room: { $regex: `^\\s*${room}\\s*$`, $options: 'i' } });
+  }
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const candidates = await this.find(query)
+    .populate('course', 'courseName courseCode')
+    .populate('faculty', 'fullName facultyId')
+    .lean();
+
+  const conflicts = [];
+  candidates
+    .filter(other => overlaps(entry, other))
+    .forEach(other => {
+      clashTypes(entry, other).forEach(type => {
+        conflicts.push({
+          type,
+          message: `${clashMessages[type]} on ${other.day} ${other.startTime}-${other.endTime}`,
+          entry: other
+        });
+      });
+    });
+
+  return conflicts;
+};
+
+// Scan active entries for every clashing pair
+timetableSchema.statics.findAllConflicts = async function(filter = {}) {
+  const entries = await this.find({ ...filter, isActive: true })
+    .populate('course', 'courseName courseCode')
+    .populate('faculty', 'fullName facultyId')
+    .lean();
+
+  const byDay = {};
+  entries.forEach(entry => {
+    if (!byDay[entry.day]) byDay[entry.day] = [];
+    byDay[entry.day].push(entry);
+  });
+
+  const conflicts = [];
+  Object.values(byDay).forEach(dayEntries => {
+    for (let i = 0; i < dayEntries.length; i++) {
+      for (let j = i + 1; j < dayEntries.length; j++) {
+        const a = dayEntries[i];
+        const b = dayEntries[j];
+        if (!overlaps(a, b)) continue;
+        clashTypes(a, b).forEach(type => {
+          conflicts.push({ type, day: a.day, message: clashMessages[type], entries: [a, b] });
+        });
+      }
+    }
+  });
+
+  return conflicts;
+};
+
+// Weekly schedule for a faculty member, grouped by day with load totals
+timetableSchema.statics.getFacultySchedule = async function(facultyId) {
+  const entries = await this.find({ faculty: facultyId, isActive: true })
+    .populate('course', 'courseName courseCode')
+    .lean();
+
+  const teachingSchedule = this.sortEntries(entries).map(entry => ({
+    _id: entry._id,
+    course: entry.course ? entry.course.courseName : null,
+    courseCode: entry.course ? entry.course.courseCode : null,
+    courseId: entry.course ? entry.course._id : null,
+    subject: entry.subject,
+    semester: entry.semester,
+    day: entry.day,
+    startTime: entry.startTime,
+    endTime: entry.endTime,
+    time: `${entry.startTime} - ${entry.endTime}`,
+    room: entry.room,
+    type: entry.type,
+    hours: Math.round((Math.max(0, toMinutes(entry.endTime) - toMinutes(entry.startTime)) / 60) * 100) / 100
+  }));
+
+  const daySchedule = {};
+  WEEK_DAYS.forEach(day => { daySchedule[day] = []; });
+  teachingSchedule.forEach(entry => daySchedule[entry.day].push(entry));
+
+  return {
+    teachingSchedule,
+    daySchedule,
+    load: this.summarizeLoad(entries)
+  };
+};
+
 // Compound index for unique timetable entries
 timetableSchema.index({ course: 1, semester: 1, day: 1, startTime: 1, endTime: 1 }, { unique: true });
 
 // Indexes for faster queries
 timetableSchema.index({ course: 1, semester: 1 });
 timetableSchema.index({ day: 1 });
+timetableSchema.index({ faculty: 1 });
 timetableSchema.index({ isActive: 1 });
 
 module.exports = mongoose.model('Timetable', timetableSchema);
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { signAccessToken, hashToken } = require('../utils/tokens');
+const { verifyTOTP } = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -33,7 +35,7 @@ const userSchema = new mongoose.Schema({
     },
   role: {
     type: String,
-    enum: ['admin', 'student', 'faculty'],
+    enum: ['admin', 'student', 'faculty', 'parent'],
     default: 'student'
   },
   isActive: {
@@ -50,11 +52,170 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  lockUntil: Date
+  lockUntil: Date,
+  // Number of consecutive lockouts; each one doubles the lock duration
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lastLockedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 TOTP secret; pendingSecret holds a secret until enrolment is confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    enabledAt: Date,
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: Number
+  },
+  // Channels the user accepts notifications on; the dashboard is always on
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: true
+    },
+    // Notification categories the user does not want on email/SMS
+    mutedCategories: [String],
+    // Email language; unset means the institute default from system settings
+    language: {
+      type: String,
+      enum: ['en', 'ta']
+    }
+  }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Longest lock applied, however many times the account has been locked
+const MAX_LOCK_MINUTES = 24 * 60;
+
+// Virtual for current lock state
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Record a failed login; locks the account once maxAttempts is reached.
+// Returns the lock expiry when this attempt triggered a lock, otherwise null.
+// Both steps are single atomic updates, so parallel wrong guesses each count.
+userSchema.methods.incLoginAttempts = async function({ maxAttempts = 5, lockoutMinutes = 30 } = {}) {
+  const now = new Date();
+  // A lock that has expired starts a fresh count
+  const lockExpired = { $and: [{ $ne: [{ $ifNull: ['$lockUntil', null] }, null] }, { $lte: ['$lockUntil', now] }] };
+
+  const counted = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    [{
+      $set: {
+        loginAttempts: { $cond: [lockExpired, 1, { $add: [{ $ifNull: ['$loginAttempts', 0] }, 1] }] },
+        lockUntil: { $cond: [lockExpired, null, '$lockUntil'] }
+      }
+    }],
+    { new: true }
+  ).select('loginAttempts lockUntil lockCount lastLockedAt');
+  if (!counted) return null;
+
+  let result = counted;
+  let lockedUntil = null;
+
+  if (counted.loginAttempts >= maxAttempts) {
+    // Only the request that still sees the full count applies the lock
+    const lockCount = { $ifNull: ['$lockCount', 0] };
+    const locked = await this.constructor.findOneAndUpdate(
+      { _id: this._id, loginAttempts: { $gte: maxAttempts } },
+      [{
+        $set: {
+          loginAttempts: 0,
+          lockUntil: {
+            $add: [now, { $min: [MAX_LOCK_MINUTES * 60 * 1000, { $multiply: [lockoutMinutes * 60 * 1000, { $pow: [2, lockCount] }] }] }]
+          },
+          lockCount: { $add: [lockCount, 1] },
+          lastLockedAt: now
+        }
+      }],
+      { new: true }
+    ).select('loginAttempts lockUntil lockCount lastLockedAt');
+
+    if (locked) {
+      result = locked;
+      lockedUntil = locked.lockUntil;
+    }
+  }
+
+  this.loginAttempts = result.loginAttempts;
+  this.lockUntil = result.lockUntil;
+  this.lockCount = result.lockCount;
+  this.lastLockedAt = result.lastLockedAt;
+
+  return lockedUntil;
+};
+
+// Clear failed attempts and any lock (successful login or admin unlock)
+userSchema.methods.resetLoginAttempts = async function() {
+  const update = { loginAttempts: 0, lockUntil: null, lockCount: 0 };
+  await this.constructor.updateOne({ _id: this._id }, { $set: update });
+  Object.assign(this, update);
+};
+
+// Check a TOTP code against the enrolled secret (load with +twoFactor.secret)
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactor || !this.twoFactor.secret) return false;
+
+  const step = verifyTOTP(this.twoFactor.secret, code);
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  await this.constructor.updateOne({ _id: this._id }, { $set: { 'twoFactor.lastUsedStep': step } });
+  return true;
+};
+
+// Consume a backup code (load with +twoFactor.backupCodes)
+userSchema.methods.useBackupCode = async function(code) {
+  const hash = hashToken(String(code || '').replace(/[\s-]/g, '').toUpperCase());
+  const codes = (this.twoFactor && this.twoFactor.backupCodes) || [];
+  if (!codes.includes(hash)) return false;
+
+  this.twoFactor.backupCodes = codes.filter(item => item !== hash);
+  await this.constructor.updateOne({ _id: this._id }, { $pull: { 'twoFactor.backupCodes': hash } });
+  return true;
+};
+
+// New set of one-time backup codes; store the hashes, show the codes once
+userSchema.statics.generateBackupCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => crypto.randomBytes(5).toString('hex').toUpperCase());
+  return {
+    codes: codes.map(code => `${code.slice(0, 5)}-${code.slice(5)}`),
+    hashes: codes.map(code => hashToken(code))
+  };
+};
+
+// Stamp the last successful login
+userSchema.methods.updateLastLogin = async function() {
+  this.lastLogin = new Date();
+  await this.constructor.updateOne({ _id: this._id }, { $set: { lastLogin: this.lastLogin } });
+};
+
 // SIMPLIFIED password comparison
 userSchema.methods.comparePassword = async function(candidatePassword) {
   try {
@@ -74,19 +235,9 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
-// SIMPLIFIED token generation
-userSchema.methods.generateAuthToken = function() {
-  return jwt.sign(
-    { 
-      userId: this._id, 
-      role: this.role,
-      username: this.username
-    },
-    process.env.JWT_SECRET || 'nursing_institute_secret_key',
-    { 
-      expiresIn: '30d'
-    }
-  );
+// Access token bound to a server-side session (see utils/tokens.issueTokens)
+userSchema.methods.generateAuthToken = function(sessionId) {
+  return signAccessToken(this, sessionId);
 };
 
 // Remove all pre-save hooks temporarily
@@ -109,4 +260,7 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+userSchema.index({ lockUntil: 1 });
+userSchema.index({ lastLockedAt: -1 });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
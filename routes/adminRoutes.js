@@ -6,52 +6,78 @@ const { auth, isAdmin } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 const contactController = require('../controllers/contactController');
 const notificationController = require('../controllers/notificationController');
+const feeController = require('../controllers/feeController');
+const smsController = require('../controllers/smsController');
+const emailTemplateController = require('../controllers/emailTemplateController');
+const parentController = require('../controllers/parentController');
+const leaveController = require('../controllers/leaveController');
+const attendanceController = require('../controllers/attendanceController');
+const clinicalController = require('../controllers/clinicalController');
+const revaluationController = require('../controllers/revaluationController');
+const gradingSchemeController = require('../controllers/gradingSchemeController');
+const markSheetController = require('../controllers/markSheetController');
+const documentController = require('../controllers/documentController');
+const { checkPermission } = require('../middleware/roleCheck');
 // Apply auth and admin middleware to all routes
 router.use(auth, isAdmin);
 
+// Each group below also checks the admin's own Admin.permissions flags;
+// shared lookups (course, student and faculty lists) stay open to every admin.
+
 // Dashboard
 router.get('/dashboard/stats', adminController.getDashboardStats);
 
 // Course Management
-router.post('/courses', adminController.addCourse);
+router.post('/courses', checkPermission('canManageCourses'), adminController.addCourse);
 router.get('/courses', adminController.getAllCourses);
 router.get('/courses/:id', adminController.getCourseDetails);
-router.put('/courses/:id', adminController.updateCourse);
-router.delete('/courses/:id', adminController.deleteCourse);
+router.put('/courses/:id', checkPermission('canManageCourses'), adminController.updateCourse);
+router.delete('/courses/:id', checkPermission('canManageCourses'), adminController.deleteCourse);
+router.post('/courses/:id/marks/recompute', checkPermission('canManageMarks'), gradingSchemeController.recomputeCourseMarks);
+
+// Grading Schemes
+router.get('/grading-schemes', checkPermission('canManageMarks'), gradingSchemeController.getSchemes);
+router.post('/grading-schemes', checkPermission('canManageMarks'), gradingSchemeController.createScheme);
+router.put('/grading-schemes/:id', checkPermission('canManageMarks'), gradingSchemeController.updateScheme);
+router.delete('/grading-schemes/:id', checkPermission('canManageMarks'), gradingSchemeController.deleteScheme);
 
 // Gallery Management
-router.post('/gallery', upload.single('image'), adminController.uploadGallery);
-router.get('/gallery', adminController.getAllGallery);
-router.put('/gallery/:id', adminController.updateGallery);
-router.delete('/gallery/:id', adminController.deleteGallery);
+router.post('/gallery', checkPermission('canManageGallery'), upload.single('image'), adminController.uploadGallery);
+router.get('/gallery', checkPermission('canManageGallery'), adminController.getAllGallery);
+router.put('/gallery/:id', checkPermission('canManageGallery'), adminController.updateGallery);
+router.delete('/gallery/:id', checkPermission('canManageGallery'), adminController.deleteGallery);
 
 // User Management Routes
-router.get('/users', userController.getAllUsers);
-router.get('/users/:id', userController.getUserById);
-router.post('/users', userController.createUser);
-router.put('/users/:id', userController.updateUser);
-router.delete('/users/:id', userController.deleteUser);
-router.post('/users/:id/reset-password', userController.resetUserPassword);
-router.patch('/users/:id/toggle-active', userController.toggleUserActive);
+router.get('/users', checkPermission('canManageUsers'), userController.getAllUsers);
+router.get('/users/:id', checkPermission('canManageUsers'), userController.getUserById);
+router.post('/users', checkPermission('canManageUsers'), userController.createUser);
+router.put('/users/:id', checkPermission('canManageUsers'), userController.updateUser);
+router.delete('/users/:id', checkPermission('canManageUsers'), userController.deleteUser);
+router.post('/users/:id/reset-password', checkPermission('canManageUsers'), userController.resetUserPassword);
+router.patch('/users/:id/toggle-active', checkPermission('canManageUsers'), userController.toggleUserActive);
+router.post('/users/:id/unlock', checkPermission('canManageUsers'), userController.unlockUser);
+router.post('/users/:id/reset-2fa', checkPermission('canManageUsers'), userController.resetTwoFactor);
+router.put('/users/:id/permissions', checkPermission('canManageUsers'), userController.updateAdminPermissions);
 
 // News Management
-router.post('/news', upload.array('attachments', 5), adminController.addNews);
-router.get('/news', adminController.getAllNews);
-router.put('/news/:id', adminController.updateNews);
-router.delete('/news/:id', adminController.deleteNews);
+router.post('/news', checkPermission('canManageNews'), upload.array('attachments', 5), adminController.addNews);
+router.get('/news', checkPermission('canManageNews'), adminController.getAllNews);
+router.put('/news/:id', checkPermission('canManageNews'), adminController.updateNews);
+router.delete('/news/:id', checkPermission('canManageNews'), adminController.deleteNews);
 
 
 // Notifications Management
-router.post('/notifications', notificationController.createNotification);
-router.get('/notifications', notificationController.getAllNotifications);
-router.get('/notifications/:id', notificationController.getNotificationById);
-router.put('/notifications/:id', notificationController.updateNotification);
-router.delete('/notifications/:id', notificationController.deleteNotification);
-router.post('/notifications/:id/send', notificationController.sendNotificationNow);
-router.get('/notifications/stats', notificationController.getNotificationStats);
+router.post('/notifications', checkPermission('canManageContent'), notificationController.createNotification);
+router.get('/notifications', checkPermission('canManageContent'), notificationController.getAllNotifications);
+router.get('/notifications/stats', checkPermission('canManageContent'), notificationController.getNotificationStats);
+router.get('/notifications/:id', checkPermission('canManageContent'), notificationController.getNotificationById);
+router.put('/notifications/:id', checkPermission('canManageContent'), notificationController.updateNotification);
+router.delete('/notifications/:id', checkPermission('canManageContent'), notificationController.deleteNotification);
+router.post('/notifications/:id/send', checkPermission('canManageContent'), notificationController.sendNotificationNow);
+router.post('/notifications/:id/deliveries/retry', checkPermission('canManageContent'), notificationController.retryFailedDeliveries);
 
 // ✅ **CRITICAL - Student Management Routes MUST be added:**
-router.post('/students', adminController.addStudent);  
+router.post('/students', checkPermission('canManageStudents'), adminController.addStudent);  
 router.get('/students', adminController.getAllStudents);
 
 // ✅ **Essential Validation Routes:**
@@ -59,72 +85,134 @@ router.get('/students/check-email', adminController.checkEmail);
 router.get('/students/check-mobile', adminController.checkMobile);
 router.get('/students/count', adminController.getStudentCount);
 
-router.get('/students/stats', adminController.getStudentStats);
-router.get('/students/:id', adminController.getStudentDetails);
+router.get('/students/stats', checkPermission('canViewReports'), adminController.getStudentStats);
+router.get('/students/export', checkPermission('canExportData'), adminController.exportStudents);
 // Parameterized routes after specific ones
 router.get('/students/:id', adminController.getStudentDetails);
-router.put('/students/:id', adminController.updateStudent);
-router.delete('/students/:id', adminController.deleteStudent);
+router.get('/students/:id/marksheet', checkPermission('canManageMarks'), markSheetController.getStudentMarkSheet);
+router.get('/students/:id/transcript', checkPermission('canManageMarks'), markSheetController.getStudentTranscript);
+router.get('/students/:id/bonafide', checkPermission('canManageStudents'), documentController.getBonafideCertificate);
+router.get('/students/:id/completion-certificate', checkPermission('canManageStudents'), documentController.getCompletionCertificate);
+
+// Issued documents (verification codes)
+router.get('/documents', checkPermission('canManageStudents'), documentController.getIssuedDocuments);
+router.put('/documents/:id/revoke', checkPermission('canManageStudents'), documentController.revokeDocument);
+router.put('/students/:id', checkPermission('canManageStudents'), adminController.updateStudent);
+router.delete('/students/:id', checkPermission('canManageStudents'), adminController.deleteStudent);
 
 // ✅ **Add these as well:**
-router.post('/students/bulk-upload', upload.single('file'), adminController.bulkUploadStudents);
-router.post('/students/:id/reset-password', adminController.resetStudentPassword);
+router.post('/students/bulk-upload', checkPermission('canManageStudents'), upload.single('file'), adminController.bulkUploadStudents);
+router.post('/students/:id/reset-password', checkPermission('canManageStudents'), adminController.resetStudentPassword);
 // Student User Management
-router.post('/students/:id/create-user', adminController.createUserForStudent);
-router.post('/students/create-missing-users', adminController.createUsersForMissingStudents);
+router.post('/students/:id/create-user', checkPermission('canManageStudents'), adminController.createUserForStudent);
+router.post('/students/create-missing-users', checkPermission('canManageStudents'), adminController.createUsersForMissingStudents);
 
 
 
 // ✅ **ADD FACULTY ROUTES:**
-router.post('/faculty', adminController.addFaculty);
+router.post('/faculty', checkPermission('canManageFaculty'), adminController.addFaculty);
 router.get('/faculty', adminController.getAllFaculty);
 router.get('/faculty/:id', adminController.getFacultyById);
-router.put('/faculty/:id', adminController.updateFaculty);
-router.delete('/faculty/:id', adminController.deleteFaculty);
+router.put('/faculty/:id', checkPermission('canManageFaculty'), adminController.updateFaculty);
+router.delete('/faculty/:id', checkPermission('canManageFaculty'), adminController.deleteFaculty);
 
 // Attendance Management
-router.post('/attendance', adminController.markAttendance);
-router.get('/attendance', adminController.getAttendance);
-router.get('/attendance/report', adminController.generateAttendanceReport);
-router.post('/attendance/bulk', upload.single('file'), adminController.bulkUploadAttendance);
+router.post('/attendance', checkPermission('canManageAttendance'), adminController.markAttendance);
+router.get('/attendance', checkPermission('canManageAttendance'), adminController.getAttendance);
+router.get('/attendance/report', checkPermission('canViewReports'), adminController.generateAttendanceReport);
+router.get('/attendance/shortage', checkPermission('canViewReports'), attendanceController.getShortageReport);
+router.post('/attendance/shortage/alerts', checkPermission('canManageAttendance'), attendanceController.runShortageAlerts);
+router.get('/attendance/verification', checkPermission('canManageAttendance'), attendanceController.getVerificationQueue);
+router.put('/attendance/verification', checkPermission('canManageAttendance'), attendanceController.verifyClassAttendance);
+router.get('/attendance/verification/by-faculty', checkPermission('canViewReports'), attendanceController.getPendingVerificationsByFaculty);
+router.post('/attendance/bulk', checkPermission('canManageAttendance'), upload.single('file'), adminController.bulkUploadAttendance);
+
+// Leave Applications
+router.get('/leave', checkPermission('canManageAttendance'), leaveController.getLeaveQueue);
+router.put('/leave/:id/review', checkPermission('canManageAttendance'), leaveController.reviewLeave);
+router.get('/leave/:id/certificate', checkPermission('canManageAttendance'), leaveController.getCertificate);
+
+// Clinical Postings
+router.get('/clinical/postings', checkPermission('canManageCourses'), clinicalController.getPostings);
+router.post('/clinical/postings', checkPermission('canManageCourses'), clinicalController.createPosting);
+router.put('/clinical/postings/:id', checkPermission('canManageCourses'), clinicalController.updatePosting);
+router.delete('/clinical/postings/:id', checkPermission('canManageCourses'), clinicalController.cancelPosting);
+router.post('/clinical/rotations', checkPermission('canManageCourses'), clinicalController.planRotation);
+router.get('/clinical/hours', checkPermission('canViewReports'), clinicalController.getClinicalHours);
 
 // Marks Management
-router.post('/marks', adminController.manageMarks);
-router.get('/marks', adminController.getAllMarks);
-router.get('/marks/stats', adminController.getMarksStats);
-router.put('/marks/publish', adminController.publishMarks);
+router.post('/marks', checkPermission('canManageMarks'), adminController.manageMarks);
+router.get('/marks', checkPermission('canManageMarks'), adminController.getAllMarks);
+router.get('/marks/stats', checkPermission('canViewReports'), adminController.getMarksStats);
+router.put('/marks/publish', checkPermission('canManageMarks'), adminController.publishMarks);
+router.get('/marks/revaluation', checkPermission('canManageMarks'), revaluationController.getRevaluationQueue);
+router.post('/marks/documents', checkPermission('canManageMarks'), markSheetController.generateBatchDocuments);
+router.put('/marks/:id/revaluation', checkPermission('canManageMarks'), revaluationController.reviewRevaluation);
+router.put('/marks/:id/revaluation/result', checkPermission('canManageMarks'), revaluationController.completeRevaluation);
 // Parameterized routes after specific ones
-router.get('/marks/:id', adminController.getMark);
-router.put('/marks/:id', adminController.updateMark);
-router.delete('/marks/:id', adminController.deleteMark);
+router.get('/marks/:id', checkPermission('canManageMarks'), adminController.getMark);
+router.put('/marks/:id', checkPermission('canManageMarks'), adminController.updateMark);
+router.delete('/marks/:id', checkPermission('canManageMarks'), adminController.deleteMark);
+
+// Parent Accounts
+router.get('/parents', checkPermission('canManageStudents'), parentController.getParents);
+router.post('/parents/:id/students', checkPermission('canManageStudents'), parentController.linkStudent);
+router.delete('/parents/:id/students/:studentId', checkPermission('canManageStudents'), parentController.unlinkStudent);
+
+// Fee Management
+router.get('/fees', checkPermission('canManageFees'), feeController.getFeeLedgers);
+router.post('/fees/generate', checkPermission('canManageFees'), feeController.generateFeeLedgers);
+router.post('/fees/late-fines', checkPermission('canManageFees'), feeController.applyLateFines);
+router.post('/fees/reminders', checkPermission('canManageFees'), feeController.sendFeeReminders);
+// Parameterized routes after specific ones
+router.get('/fees/:studentId', checkPermission('canManageFees'), feeController.getStudentLedger);
+router.post('/fees/:studentId/payments', checkPermission('canManageFees'), feeController.recordPayment);
+router.post('/fees/:studentId/concessions', checkPermission('canManageFees'), feeController.addConcession);
+router.post('/fees/:studentId/fines', checkPermission('canManageFees'), feeController.addFine);
+router.post('/fees/:studentId/refunds', checkPermission('canManageFees'), feeController.recordRefund);
 
 
 // Content Management
-router.post('/downloads', upload.single('file'), adminController.uploadStudyMaterial);
-router.get('/downloads', adminController.getAllDownloads);
-router.put('/downloads/:id', adminController.updateDownload);
-router.delete('/downloads/:id', adminController.deleteDownload);
+router.post('/downloads', checkPermission('canManageDownloads'), upload.single('file'), adminController.uploadStudyMaterial);
+router.get('/downloads', checkPermission('canManageDownloads'), adminController.getAllDownloads);
+router.put('/downloads/:id', checkPermission('canManageDownloads'), adminController.updateDownload);
+router.delete('/downloads/:id', checkPermission('canManageDownloads'), adminController.deleteDownload);
 
 // Timetable Management
-router.post('/timetable', adminController.addTimetable);
+router.post('/timetable', checkPermission('canManageCourses'), adminController.addTimetable);
 router.get('/timetable', adminController.getAllTimetables);
+router.get('/timetable/faculty-load', checkPermission('canViewReports'), adminController.getFacultyLoad);
+router.get('/timetable/conflicts', checkPermission('canViewReports'), adminController.getTimetableConflicts);
 router.get('/timetable/:id', adminController.getTimetable);
-router.put('/timetable/:id', adminController.updateTimetable);
-router.delete('/timetable/:id', adminController.deleteTimetable);
-router.post('/timetable/bulk-upload', upload.single('file'), adminController.bulkUploadTimetable);
+router.put('/timetable/:id', checkPermission('canManageCourses'), adminController.updateTimetable);
+router.delete('/timetable/:id', checkPermission('canManageCourses'), adminController.deleteTimetable);
+router.post('/timetable/bulk-upload', checkPermission('canManageCourses'), upload.single('file'), adminController.bulkUploadTimetable);
 
 // Settings Management
-router.get('/settings', adminController.getSystemSettings);
-router.put('/settings', adminController.updateSystemSettings);
-router.post('/settings/reset', adminController.resetSystemSettings);
-router.post('/clear-cache', adminController.clearCache);
-router.get('/system-check', adminController.systemCheck);
+router.get('/settings', checkPermission('canManageSettings'), adminController.getSystemSettings);
+router.put('/settings', checkPermission('canManageSettings'), adminController.updateSystemSettings);
+router.post('/settings/reset', checkPermission('canManageSettings'), adminController.resetSystemSettings);
+router.get('/settings/history', checkPermission('canManageSettings'), adminController.getSettingsHistory);
+router.post('/clear-cache', checkPermission('canManageSettings'), adminController.clearCache);
+router.get('/system-check', checkPermission('canManageSettings'), adminController.systemCheck);
+
+// Email Templates
+router.get('/email-templates', checkPermission('canManageSettings'), emailTemplateController.getEmailTemplates);
+router.get('/email-templates/:name/preview', checkPermission('canManageSettings'), emailTemplateController.previewEmailTemplate);
+router.post('/email-templates/:name/preview', checkPermission('canManageSettings'), emailTemplateController.previewEmailTemplate);
+
+// Audit Trail
+router.get('/audit-logs', checkPermission('canViewReports'), adminController.getAuditLogs);
+router.get('/audit-logs/export', checkPermission('canViewReports', 'canExportData'), adminController.exportAuditLogs);
+
+// SMS Log
+router.get('/sms-logs', checkPermission('canViewReports'), smsController.getSmsLogs);
 
 // Add these lines in admin routes:
-router.get('/contacts', contactController.getAllContacts);
-router.get('/contacts/stats', contactController.getContactStats);
-router.get('/contacts/:id', contactController.getContactById);
-router.put('/contacts/:id/status', contactController.updateContactStatus);
-router.post('/contacts/:id/notes', contactController.addContactNote);
-router.post('/contacts/:id/reply', contactController.replyToContact);
+router.get('/contacts', checkPermission('canManageWebsite'), contactController.getAllContacts);
+router.get('/contacts/stats', checkPermission('canManageWebsite'), contactController.getContactStats);
+router.get('/contacts/:id', checkPermission('canManageWebsite'), contactController.getContactById);
+router.put('/contacts/:id/status', checkPermission('canManageWebsite'), contactController.updateContactStatus);
+router.post('/contacts/:id/notes', checkPermission('canManageWebsite'), contactController.addContactNote);
+router.post('/contacts/:id/reply', checkPermission('canManageWebsite'), contactController.replyToContact);
 module.exports = router; 
\ No newline at end of file
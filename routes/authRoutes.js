@@ -8,11 +8,24 @@ router.post('/register', authController.register);
 router.post('/login', authController.login);
 router.post('/forgot-password', authController.forgotPassword);
 router.put('/reset-password/:token', authController.resetPassword);
+router.post('/refresh', authController.refreshToken);
+router.post('/2fa/verify', authController.verifyTwoFactor);
+router.post('/parent/otp', authController.requestParentOtp);
+router.post('/parent/verify', authController.verifyParentOtp);
 
 // Protected routes
 router.get('/me', auth, authController.getMe);
 router.put('/profile', auth, authController.updateProfile);
 router.put('/change-password', auth, authController.changePassword);
 router.post('/logout', auth, authController.logout);
+router.post('/logout-all', auth, authController.logoutAll);
+router.get('/sessions', auth, authController.getSessions);
+router.delete('/sessions/:id', auth, authController.revokeSession);
+router.get('/notification-preferences', auth, authController.getNotificationPreferences);
+router.put('/notification-preferences', auth, authController.updateNotificationPreferences);
+router.post('/2fa/setup', auth, authController.setupTwoFactor);
+router.post('/2fa/enable', auth, authController.enableTwoFactor);
+router.post('/2fa/disable', auth, authController.disableTwoFactor);
+router.post('/2fa/backup-codes', auth, authController.regenerateBackupCodes);
 router.post('/first-login/:token', authController.firstLoginSetup);
 module.exports = router;
\ No newline at end of file
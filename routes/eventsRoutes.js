@@ -2,11 +2,12 @@ const express = require('express');
 const router = express.Router();
 const eventsController = require('../controllers/eventsController');
 const { auth, isAdmin } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/roleCheck');
 
 // Admin routes
-router.get('/', auth, isAdmin, eventsController.getAllAdminEvents);
-router.post('/', auth, isAdmin, eventsController.createEvent);
-router.put('/:id', auth, isAdmin, eventsController.updateEvent);
-router.delete('/:id', auth, isAdmin, eventsController.deleteEvent);
+router.get('/', auth, isAdmin, checkPermission('canManageContent'), eventsController.getAllAdminEvents);
+router.post('/', auth, isAdmin, checkPermission('canManageContent'), eventsController.createEvent);
+router.put('/:id', auth, isAdmin, checkPermission('canManageContent'), eventsController.updateEvent);
+router.delete('/:id', auth, isAdmin, checkPermission('canManageContent'), eventsController.deleteEvent);
 
 module.exports = router;
@@ -1,24 +1,51 @@
 const express = require('express');
 const router = express.Router();
-const publicController = require('../controllers/publicController');
-const { auth } = require('../middleware/auth');
-
-// Public routes (no authentication required)
-router.get('/home', publicController.getHomeData);
-router.get('/courses', publicController.getAllCourses);
-router.get('/courses/:id', publicController.getCourseDetails);
-router.get('/gallery', publicController.getGallery);
-router.get('/gallery/:id', publicController.getGalleryItem);
-router.get('/news', publicController.getAllNews);
-router.get('/news/:slug', publicController.getNewsDetails);
-router.get('/faculty', publicController.getFaculty);
-router.get('/faculty/:id', publicController.getFacultyDetails);
-router.post('/contact', publicController.submitContactForm);
-router.get('/about', publicController.getAboutInfo);
-router.get('/search', publicController.search);
-
-// Routes requiring authentication
-router.post('/gallery/:id/like', auth, publicController.likeGalleryItem);
-router.post('/gallery/:id/comments', auth, publicController.addComment);
-
-module.exports = router;
\ No newline at end of file
+const facultyPortalController = require('../controllers/facultyPortalController');
+const leaveController = require('../controllers/leaveController');
+const attendanceController = require('../controllers/attendanceController');
+const clinicalController = require('../controllers/clinicalController');
+const { auth, isFaculty, isHod } = require('../middleware/auth');
+
+// Apply auth and faculty middleware to all routes
+router.use(auth, isFaculty);
+
+// Dashboard
+router.get('/dashboard', facultyPortalController.getDashboard);
+
+// Subjects handled and their students
+router.get('/subjects', facultyPortalController.getSubjects);
+router.get('/students', facultyPortalController.getSubjectStudents);
+
+// Weekly timetable
+router.get('/schedule', facultyPortalController.getSchedule);
+
+// Attendance (own course/semester/subject only)
+router.post('/attendance', facultyPortalController.markAttendance);
+router.get('/attendance', facultyPortalController.getAttendance);
+
+// QR check-in sessions
+router.post('/attendance/sessions', facultyPortalController.openAttendanceSession);
+router.get('/attendance/sessions', facultyPortalController.getAttendanceSessions);
+router.get('/attendance/sessions/:id', facultyPortalController.getAttendanceSession);
+router.get('/attendance/sessions/:id/token', facultyPortalController.getAttendanceSessionToken);
+router.put('/attendance/sessions/:id/close', facultyPortalController.closeAttendanceSession);
+
+// Attendance verification (heads of department, for their department's faculty)
+router.get('/attendance/verification', isHod, attendanceController.getVerificationQueue);
+router.put('/attendance/verification', isHod, attendanceController.verifyClassAttendance);
+router.get('/attendance/verification/by-faculty', isHod, attendanceController.getPendingVerificationsByFaculty);
+
+// Clinical postings the faculty member supervises
+router.get('/clinical/postings', clinicalController.getSupervisedPostings);
+router.post('/clinical/postings/:id/attendance', clinicalController.markPostingAttendance);
+
+// Marks (own course/semester/subject only)
+router.post('/marks', facultyPortalController.enterMarks);
+router.get('/marks', facultyPortalController.getMarks);
+
+// Leave applications from students in the faculty member's classes
+router.get('/leave', leaveController.getLeaveQueue);
+router.put('/leave/:id/review', leaveController.reviewLeave);
+router.get('/leave/:id/certificate', leaveController.getCertificate);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const parentController = require('../controllers/parentController');
+const { auth, isParent } = require('../middleware/auth');
+
+// Apply auth and parent middleware to all routes; everything here is read-only
+router.use(auth, isParent);
+
+// Dashboard
+router.get('/dashboard', parentController.getDashboard);
+
+// Wards and their records (linked students only)
+router.get('/students', parentController.getStudents);
+router.get('/students/:studentId/attendance', parentController.getStudentAttendance);
+router.get('/students/:studentId/marks', parentController.getStudentMarks);
+router.get('/students/:studentId/fees', parentController.getStudentFees);
+
+// Notifications sent to the parent or their wards
+router.get('/notifications', parentController.getNotifications);
+
+module.exports = router;
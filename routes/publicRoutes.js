@@ -16,7 +16,8 @@ const {
   getPublicEvents,
   submitContactForm,
   getAboutInfo,
-  search
+  search,
+  verifyDocument
 } = require('../controllers/publicController');
 
 // Public routes (no authentication required)
@@ -33,6 +34,7 @@ router.get('/events', getPublicEvents);
 router.post('/contact', submitContactForm);
 router.get('/about', getAboutInfo);
 router.get('/search', search);
+router.get('/verify/:code', verifyDocument);
 
 // Routes requiring authentication
 router.post('/gallery/:id/like', auth, likeGalleryItem);
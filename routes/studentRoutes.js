@@ -3,6 +3,12 @@ const router = express.Router();
 const studentController = require('../controllers/studentController');
 const { auth, isStudent } = require('../middleware/auth');
 const notificationController = require('../controllers/notificationController');
+const feeController = require('../controllers/feeController');
+const leaveController = require('../controllers/leaveController');
+const revaluationController = require('../controllers/revaluationController');
+const attendanceController = require('../controllers/attendanceController');
+const documentController = require('../controllers/documentController');
+const upload = require('../middleware/upload');
 // Apply auth and student middleware to all routes
 router.use(auth, isStudent);
 
@@ -15,11 +21,25 @@ router.put('/profile', studentController.updateProfile);
 
 // Academic
 router.get('/attendance', studentController.getAttendance);
+router.get('/attendance/eligibility', attendanceController.getMyEligibility);
+router.post('/attendance/check-in', studentController.checkIn);
 router.get('/marks', studentController.getMarks);
 router.get('/marks/download', studentController.downloadMarks);
+router.post('/marks/:id/revaluation', revaluationController.requestRevaluation);
+router.get('/revaluation', revaluationController.getMyRevaluations);
+router.get('/certificates/bonafide', documentController.getMyBonafideCertificate);
 router.get('/timetable', studentController.getTimetable);
 router.get('/clinical-schedule', studentController.getClinicalSchedule);
 
+// Fees
+router.get('/fees', feeController.getMyFees);
+
+// Leave
+router.post('/leave', upload.single('medicalCertificate'), leaveController.applyLeave);
+router.get('/leave', leaveController.getMyLeaves);
+router.put('/leave/:id/cancel', leaveController.cancelLeave);
+router.get('/leave/:id/certificate', leaveController.getCertificate);
+
 // Downloads
 router.get('/downloads', studentController.getDownloads);
 router.post('/downloads/:id/record', studentController.recordDownload);
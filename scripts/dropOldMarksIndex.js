@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Marks = require('../models/Marks');
+
+const OLD_INDEX = 'student_1_subject_1_semester_1_examType_1';
+
+// The marks unique index now includes attempt; the old one rejects supplementary attempts
+const dropOldMarksIndex = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to database');
+
+    const indexes = await Marks.collection.indexes();
+    if (indexes.some(index => index.name === OLD_INDEX)) {
+      console.log(`Found old ${OLD_INDEX} index, dropping it...`);
+      await Marks.collection.dropIndex(OLD_INDEX);
+      console.log(`✅ Successfully dropped ${OLD_INDEX} index`);
+    } else {
+      console.log(`No ${OLD_INDEX} index found`);
+    }
+
+    // Build the index that includes attempt if the server has not created it yet
+    await Marks.syncIndexes();
+
+    const remainingIndexes = await Marks.collection.indexes();
+    console.log('Remaining indexes:', remainingIndexes.map(idx => idx.name));
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error updating marks indexes:', error);
+    process.exit(1);
+  }
+};
+
+dropOldMarksIndex();
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Faculty = require('../models/Faculty');
+
+// Converts free-text Timetable.faculty values (names or faculty codes) into Faculty references
+const migrateTimetableFaculty = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to database');
+
+    const collection = mongoose.connection.db.collection('timetables');
+
+    // Only entries still holding a string need converting
+    const entries = await collection.find({ faculty: { $type: 'string' } }).toArray();
+    console.log(`Found ${entries.length} timetable entries with free-text faculty`);
+
+    const resolved = new Map();
+    const unresolved = [];
+    let updated = 0;
+
+    for (const entry of entries) {
+      const value = entry.faculty.trim();
+
+      if (!resolved.has(value)) {
+        const faculty = await Faculty.resolveRef(value);
+        resolved.set(value, faculty ? faculty._id : null);
+      }
+
+      const facultyId = resolved.get(value);
+      if (!facultyId) {
+        unresolved.push({ id: entry._id.toString(), faculty: value, subject: entry.subject, day: entry.day });
+        continue;
+      }
+
+      await collection.updateOne({ _id: entry._id }, { $set: { faculty: facultyId } });
+      updated++;
+    }
+
+    console.log(`✅ Updated ${updated} timetable entries`);
+
+    if (unresolved.length > 0) {
+      console.log(`⚠️  ${unresolved.length} entries could not be matched to a faculty member:`);
+      console.table(unresolved);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating timetable faculty:', error);
+    process.exit(1);
+  }
+};
+
+migrateTimetableFaculty();
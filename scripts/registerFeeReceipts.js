@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const FeeLedger = require('../models/FeeLedger');
+const FeeReceipt = require('../models/FeeReceipt');
+
+// Adds receipts recorded before the FeeReceipt register existed, and reports duplicate numbers
+const registerFeeReceipts = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to database');
+
+    await FeeReceipt.syncIndexes();
+
+    const ledgers = await FeeLedger.find({ 'transactions.receiptNumber': { $exists: true } })
+      .select('student transactions')
+      .lean();
+
+    let registered = 0;
+    const duplicates = [];
+
+    for (const ledger of ledgers) {
+      for (const transaction of ledger.transactions.filter(t => t.receiptNumber)) {
+        const exists = await FeeReceipt.findOne({ receiptNumber: transaction.receiptNumber });
+        if (exists) {
+          if (exists.transaction.toString() !== transaction._id.toString()) {
+            duplicates.push({ receiptNumber: transaction.receiptNumber, ledger: ledger._id.toString() });
+          }
+          continue;
+        }
+
+        await FeeReceipt.create({
+          receiptNumber: transaction.receiptNumber,
+          ledger: ledger._id,
+          student: ledger.student,
+          transaction: transaction._id,
+          type: transaction.type,
+          amount: transaction.amount,
+          date: transaction.date
+        });
+        registered++;
+      }
+    }
+
+    console.log(`✅ Registered ${registered} receipts`);
+
+    if (duplicates.length > 0) {
+      console.log(`⚠️  ${duplicates.length} receipt numbers are used by more than one transaction:`);
+      console.table(duplicates);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error registering fee receipts:', error);
+    process.exit(1);
+  }
+};
+
+registerFeeReceipts();
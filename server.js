@@ -13,8 +13,13 @@ const morgan = require('morgan');
 const fs = require('fs');
 const bcrypt = require('bcryptjs');
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
 const User = require('./models/User');
+const Session = require('./models/Session');
+const { issueTokens, verifyAccessToken } = require('./utils/tokens');
+const { getSettings } = require('./utils/settings');
+const notificationScheduler = require('./utils/notificationScheduler');
+const attendanceAlerts = require('./utils/attendanceAlerts');
+const { closeTransporter: closeEmailTransporter } = require('./utils/sendEmail');
 const Student = require('./models/Student');
 
 // Load environment variables
@@ -33,13 +38,22 @@ const newsController = require('./controllers/newsController');
 const placementController = require('./controllers/placementController');
 const eventsController = require('./controllers/eventsController');
 const userController = require('./controllers/userController');
+const feeController = require('./controllers/feeController');
+const smsController = require('./controllers/smsController');
+const leaveController = require('./controllers/leaveController');
+const revaluationController = require('./controllers/revaluationController');
+const attendanceController = require('./controllers/attendanceController');
+const documentController = require('./controllers/documentController');
 
 // Import routes
 const adminRoutes = require('./routes/adminRoutes');
+const facultyRoutes = require('./routes/facultyRoutes');
+const parentRoutes = require('./routes/parentRoutes');
 
 // Import middleware
 const { auth, isAdmin, isStudent, isFaculty } = require('./middleware/auth');
 const upload = require('./middleware/upload');
+const { checkPermission } = require('./middleware/roleCheck');
 
 const app = express(); 
 
@@ -76,6 +90,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Cache-Control'] ,
+  exposedHeaders: ['Content-Disposition', 'X-Verification-Code', 'X-Documents-Issued', 'X-Documents-Skipped'],
   optionsSuccessStatus: 204
 }));
 
@@ -94,6 +109,24 @@ const limiter = rateLimit({
 });
 app.use('/api', limiter);
 
+// Parent OTP requests send SMS, so keep them well below the general limit
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many login code requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Public document verification is unauthenticated, so cap lookups per IP
+const verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: 'Too many verification requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Body parser
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -129,6 +162,11 @@ if (process.env.NODE_ENV === 'development') {
 // ====================
 // STATIC FILES
 // ====================
+// Medical certificates are only served through the leave endpoints, never as static files
+app.use('/uploads/certificates', (req, res) => {
+  res.status(404).json({ success: false, message: 'Not found' });
+});
+
 // Serve uploads with permissive headers to allow cross-origin image loading from the frontend
 app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
   setHeaders: (res, filePath) => {
@@ -176,7 +214,8 @@ const uploadDirs = [
   'uploads/profile', 
   'uploads/news',
   'uploads/syllabus',
-  'uploads/timetable'
+  'uploads/timetable',
+  'uploads/certificates'
 ];
 
 uploadDirs.forEach(dir => {
@@ -292,6 +331,26 @@ app.post('/api/auth/fix-admin', async (req, res) => {
   }
 });
 
+// The emergency endpoints below check passwords too, so wrong guesses count towards the lockout
+const isLockedOut = (user) => Boolean(user.lockUntil && user.lockUntil > Date.now());
+
+const recordFailedLogin = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+  const { general } = await getSettings();
+  return user.incLoginAttempts({
+    maxAttempts: general.maxLoginAttempts,
+    lockoutMinutes: general.lockoutDuration
+  });
+};
+
+const lockedResponse = (res) => {
+  return res.status(423).json({
+    success: false,
+    message: 'Account is locked due to too many failed login attempts'
+  });
+};
+
 // Test login endpoint
 app.post('/api/auth/test-login', async (req, res) => {
   try {
@@ -311,8 +370,11 @@ app.post('/api/auth/test-login', async (req, res) => {
     
     console.log('User found:', user.email);
     console.log('Password hash:', user.password.substring(0, 30) + '...');
+
+    if (isLockedOut(user)) return lockedResponse(res);
     
     const passwordValid = await bcrypt.compare(password, user.password);
+    if (!passwordValid) await recordFailedLogin(user._id);
     
     res.json({
       success: true,
@@ -351,28 +413,34 @@ app.post('/api/auth/direct-login', async (req, res) => {
         message: 'User not found'
       });
     }
+
+    // Respect account lockout from failed logins
+    if (isLockedOut(user)) return lockedResponse(res);
+
+    // Two-factor accounts must go through /api/auth/login
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is enabled for this account. Use the standard login.'
+      });
+    }
     
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     
     if (!isPasswordValid) {
+      const lockedUntil = await recordFailedLogin(user._id);
+      if (lockedUntil) return lockedResponse(res);
       return res.status(401).json({
         success: false,
         message: 'Invalid password'
       });
     }
+
+    await User.updateOne({ _id: user._id }, { $set: { loginAttempts: 0, lockUntil: null, lockCount: 0 } });
     
-    // Create token
-    const jwt = require('jsonwebtoken');
-    const token = jwt.sign(
-      { 
-        userId: user._id, 
-        role: user.role,
-        email: user.email 
-      },
-      process.env.JWT_SECRET || 'nursing_institute_secret_key',
-      { expiresIn: '30d' }
-    );
+    // Start a session
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
     
     // Get admin profile if exists
     let profile = null;
@@ -386,6 +454,8 @@ app.post('/api/auth/direct-login', async (req, res) => {
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         _id: user._id,
         username: user.username,
@@ -499,6 +569,19 @@ app.get('/api/auth/me', auth, authController.getMe);
 app.put('/api/auth/profile', auth, authController.updateProfile);
 app.put('/api/auth/change-password', auth, authController.changePassword);
 app.post('/api/auth/logout', auth, authController.logout);
+app.post('/api/auth/refresh', authController.refreshToken);
+app.post('/api/auth/logout-all', auth, authController.logoutAll);
+app.get('/api/auth/sessions', auth, authController.getSessions);
+app.delete('/api/auth/sessions/:id', auth, authController.revokeSession);
+app.get('/api/auth/notification-preferences', auth, authController.getNotificationPreferences);
+app.put('/api/auth/notification-preferences', auth, authController.updateNotificationPreferences);
+app.post('/api/auth/2fa/verify', authController.verifyTwoFactor);
+app.post('/api/auth/parent/otp', otpLimiter, authController.requestParentOtp);
+app.post('/api/auth/parent/verify', otpLimiter, authController.verifyParentOtp);
+app.post('/api/auth/2fa/setup', auth, authController.setupTwoFactor);
+app.post('/api/auth/2fa/enable', auth, authController.enableTwoFactor);
+app.post('/api/auth/2fa/disable', auth, authController.disableTwoFactor);
+app.post('/api/auth/2fa/backup-codes', auth, authController.regenerateBackupCodes);
 
 // ================
 // ADMIN ROUTES
@@ -507,25 +590,25 @@ app.post('/api/auth/logout', auth, authController.logout);
 app.use('/api/admin', adminRoutes);
 
 app.get('/api/admin/dashboard/stats', auth, isAdmin, adminController.getDashboardStats);
-app.post('/api/admin/courses', auth, isAdmin, adminController.addCourse);
+app.post('/api/admin/courses', auth, isAdmin, checkPermission('canManageCourses'), adminController.addCourse);
 app.get('/api/admin/courses', auth, isAdmin, adminController.getAllCourses);
 app.get('/api/admin/courses/:id', auth, isAdmin, adminController.getCourseDetails);
-app.put('/api/admin/courses/:id', auth, isAdmin, adminController.updateCourse);
-app.delete('/api/admin/courses/:id', auth, isAdmin, adminController.deleteCourse);
-app.post('/api/admin/gallery', auth, isAdmin, upload.single('image'), adminController.uploadGallery);
-app.get('/api/admin/gallery', auth, isAdmin, adminController.getAllGallery);
-app.put('/api/admin/gallery/:id', auth, isAdmin, adminController.updateGallery);
-app.delete('/api/admin/gallery/:id', auth, isAdmin, adminController.deleteGallery);
-app.post('/api/admin/news', auth, isAdmin, upload.array('attachments', 5), adminController.addNews);
-app.get('/api/admin/news', auth, isAdmin, adminController.getAllNews);
-app.put('/api/admin/news/:id', auth, isAdmin, adminController.updateNews);
-app.delete('/api/admin/news/:id', auth, isAdmin, adminController.deleteNews);
+app.put('/api/admin/courses/:id', auth, isAdmin, checkPermission('canManageCourses'), adminController.updateCourse);
+app.delete('/api/admin/courses/:id', auth, isAdmin, checkPermission('canManageCourses'), adminController.deleteCourse);
+app.post('/api/admin/gallery', auth, isAdmin, checkPermission('canManageGallery'), upload.single('image'), adminController.uploadGallery);
+app.get('/api/admin/gallery', auth, isAdmin, checkPermission('canManageGallery'), adminController.getAllGallery);
+app.put('/api/admin/gallery/:id', auth, isAdmin, checkPermission('canManageGallery'), adminController.updateGallery);
+app.delete('/api/admin/gallery/:id', auth, isAdmin, checkPermission('canManageGallery'), adminController.deleteGallery);
+app.post('/api/admin/news', auth, isAdmin, checkPermission('canManageNews'), upload.array('attachments', 5), adminController.addNews);
+app.get('/api/admin/news', auth, isAdmin, checkPermission('canManageNews'), adminController.getAllNews);
+app.put('/api/admin/news/:id', auth, isAdmin, checkPermission('canManageNews'), adminController.updateNews);
+app.delete('/api/admin/news/:id', auth, isAdmin, checkPermission('canManageNews'), adminController.deleteNews);
 // Event routes (Admin)
-app.get('/api/admin/events', auth, isAdmin, eventsController.getAllAdminEvents);
-app.post('/api/admin/events', auth, isAdmin, eventsController.createEvent);
-app.put('/api/admin/events/:id', auth, isAdmin, eventsController.updateEvent);
-app.delete('/api/admin/events/:id', auth, isAdmin, eventsController.deleteEvent);
-app.post('/api/admin/students', auth, isAdmin, adminController.addStudent);
+app.get('/api/admin/events', auth, isAdmin, checkPermission('canManageContent'), eventsController.getAllAdminEvents);
+app.post('/api/admin/events', auth, isAdmin, checkPermission('canManageContent'), eventsController.createEvent);
+app.put('/api/admin/events/:id', auth, isAdmin, checkPermission('canManageContent'), eventsController.updateEvent);
+app.delete('/api/admin/events/:id', auth, isAdmin, checkPermission('canManageContent'), eventsController.deleteEvent);
+app.post('/api/admin/students', auth, isAdmin, checkPermission('canManageStudents'), adminController.addStudent);
 app.get('/api/admin/students', auth, isAdmin, adminController.getAllStudents);
 
 // Essential validation routes (must come before parameterized routes)
@@ -535,18 +618,26 @@ app.get('/api/admin/students/count', auth, isAdmin, adminController.getStudentCo
 
 // Parameterized routes after specific ones
 app.get('/api/admin/students/:id', auth, isAdmin, adminController.getStudentDetails);
-app.put('/api/admin/students/:id', auth, isAdmin, adminController.updateStudent);
-app.delete('/api/admin/students/:id', auth, isAdmin, adminController.deleteStudent);
-app.post('/api/admin/students/bulk-upload', auth, isAdmin, upload.single('file'), adminController.bulkUploadStudents);
-app.post('/api/admin/attendance', auth, isAdmin, adminController.markAttendance);
-app.post('/api/admin/marks', auth, isAdmin, adminController.manageMarks);
-app.put('/api/admin/marks/publish', auth, isAdmin, adminController.publishMarks);
-app.post('/api/admin/downloads', auth, isAdmin, upload.single('file'), adminController.uploadStudyMaterial);
-app.get('/api/admin/downloads', auth, isAdmin, adminController.getAllDownloads);
-app.put('/api/admin/downloads/:id', auth, isAdmin, adminController.updateDownload);
-app.delete('/api/admin/downloads/:id', auth, isAdmin, adminController.deleteDownload);
+app.put('/api/admin/students/:id', auth, isAdmin, checkPermission('canManageStudents'), adminController.updateStudent);
+app.delete('/api/admin/students/:id', auth, isAdmin, checkPermission('canManageStudents'), adminController.deleteStudent);
+app.post('/api/admin/students/bulk-upload', auth, isAdmin, checkPermission('canManageStudents'), upload.single('file'), adminController.bulkUploadStudents);
+app.post('/api/admin/attendance', auth, isAdmin, checkPermission('canManageAttendance'), adminController.markAttendance);
+app.post('/api/admin/marks', auth, isAdmin, checkPermission('canManageMarks'), adminController.manageMarks);
+app.put('/api/admin/marks/publish', auth, isAdmin, checkPermission('canManageMarks'), adminController.publishMarks);
+app.post('/api/admin/downloads', auth, isAdmin, checkPermission('canManageDownloads'), upload.single('file'), adminController.uploadStudyMaterial);
+app.get('/api/admin/downloads', auth, isAdmin, checkPermission('canManageDownloads'), adminController.getAllDownloads);
+app.put('/api/admin/downloads/:id', auth, isAdmin, checkPermission('canManageDownloads'), adminController.updateDownload);
+app.delete('/api/admin/downloads/:id', auth, isAdmin, checkPermission('canManageDownloads'), adminController.deleteDownload);
+
 
 
+// ================
+// FACULTY PORTAL ROUTES
+// ================
+app.use('/api/faculty-portal', facultyRoutes);
+
+// Parent portal (OTP login, read-only views of linked students)
+app.use('/api/parent', parentRoutes);
 
 // ================
 // STUDENT ROUTES
@@ -555,13 +646,24 @@ app.get('/api/student/dashboard', auth, isStudent, studentController.getDashboar
 app.get('/api/student/profile', auth, isStudent, studentController.getProfile);
 app.put('/api/student/profile', auth, isStudent, studentController.updateProfile);
 app.get('/api/student/attendance', auth, isStudent, studentController.getAttendance);
+app.get('/api/student/attendance/eligibility', auth, isStudent, attendanceController.getMyEligibility);
+app.post('/api/student/attendance/check-in', auth, isStudent, studentController.checkIn);
 app.get('/api/student/marks', auth, isStudent, studentController.getMarks);
+app.get('/api/student/marks/download', auth, isStudent, studentController.downloadMarks);
+app.post('/api/student/marks/:id/revaluation', auth, isStudent, revaluationController.requestRevaluation);
+app.get('/api/student/revaluation', auth, isStudent, revaluationController.getMyRevaluations);
+app.get('/api/student/certificates/bonafide', auth, isStudent, documentController.getMyBonafideCertificate);
 app.get('/api/student/timetable', auth, isStudent, studentController.getTimetable);
 app.get('/api/student/clinical-schedule', auth, isStudent, studentController.getClinicalSchedule);
+app.get('/api/student/fees', auth, isStudent, feeController.getMyFees);
 app.get('/api/student/downloads', auth, isStudent, studentController.getDownloads);
 app.post('/api/student/downloads/:id/record', auth, isStudent, studentController.recordDownload);
 app.get('/api/student/notifications', auth, isStudent, studentController.getNotifications);
 app.put('/api/student/notifications/:id/read', auth, isStudent, studentController.markNotificationAsRead);
+app.post('/api/student/leave', auth, isStudent, upload.single('medicalCertificate'), leaveController.applyLeave);
+app.get('/api/student/leave', auth, isStudent, leaveController.getMyLeaves);
+app.put('/api/student/leave/:id/cancel', auth, isStudent, leaveController.cancelLeave);
+app.get('/api/student/leave/:id/certificate', auth, isStudent, leaveController.getCertificate);
 
 // ================
 // PUBLIC ROUTES
@@ -581,6 +683,12 @@ app.get('/api/public/faculty/:id', publicController.getFacultyDetails);
 app.post('/api/public/contact', publicController.submitContactForm);
 app.get('/api/public/about', publicController.getAboutInfo);
 app.get('/api/public/search', publicController.search);
+app.get('/api/public/verify/:code', verifyLimiter, publicController.verifyDocument);
+
+// ================
+// SMS DELIVERY REPORTS
+// ================
+app.post('/api/sms/dlr/:provider', smsController.handleDeliveryReport);
 
 // ================
 // COURSE ROUTES
@@ -593,7 +701,7 @@ app.get('/api/courses/:id/careers', courseController.getCourseCareers);
 app.get('/api/courses/:id/clinical', courseController.getCourseClinical);
 app.get('/api/courses/search', courseController.searchCourses);
 app.get('/api/courses/featured', courseController.getFeaturedCourses);
-app.get('/api/courses/stats', auth, isAdmin, courseController.getCourseStats);
+app.get('/api/courses/stats', auth, isAdmin, checkPermission('canViewReports'), courseController.getCourseStats);
 
 // ================
 // DOWNLOAD ROUTES
@@ -605,7 +713,7 @@ app.get('/api/downloads/categories', downloadController.getDownloadCategories);
 app.get('/api/downloads/recent', downloadController.getRecentDownloads);
 app.get('/api/downloads/popular', downloadController.getPopularDownloads);
 app.get('/api/downloads/category/:category', downloadController.getDownloadsByCategory);
-app.get('/api/downloads/stats', auth, isAdmin, downloadController.getDownloadStats);
+app.get('/api/downloads/stats', auth, isAdmin, checkPermission('canViewReports'), downloadController.getDownloadStats);
 app.get('/api/downloads/search', downloadController.searchDownloads);
 
 // ================
@@ -626,15 +734,15 @@ app.get('/api/faculty/search', facultyController.searchFaculty);
 app.get('/api/gallery', galleryController.getAllGallery);
 app.get('/api/gallery/featured', galleryController.getFeaturedGallery);
 app.get('/api/gallery/:id', galleryController.getGalleryItem);
-app.post('/api/gallery', auth, isAdmin, upload.single('image'), galleryController.createGalleryItem);
-app.put('/api/gallery/:id', auth, isAdmin, upload.single('image'), galleryController.updateGalleryItem);
-app.delete('/api/gallery/:id', auth, isAdmin, galleryController.deleteGalleryItem);
+app.post('/api/gallery', auth, isAdmin, checkPermission('canManageGallery'), upload.single('image'), galleryController.createGalleryItem);
+app.put('/api/gallery/:id', auth, isAdmin, checkPermission('canManageGallery'), upload.single('image'), galleryController.updateGalleryItem);
+app.delete('/api/gallery/:id', auth, isAdmin, checkPermission('canManageGallery'), galleryController.deleteGalleryItem);
 app.post('/api/gallery/:id/like', auth, galleryController.likeGalleryItem);
 app.post('/api/gallery/:id/comments', auth, galleryController.addComment);
 app.get('/api/gallery/albums', galleryController.getGalleryAlbums);
 app.get('/api/gallery/album/:album', galleryController.getGalleryByAlbum);
 app.get('/api/gallery/category/:category', galleryController.getGalleryByCategory);
-app.get('/api/gallery/stats', auth, isAdmin, galleryController.getGalleryStats);
+app.get('/api/gallery/stats', auth, isAdmin, checkPermission('canViewReports'), galleryController.getGalleryStats);
 app.get('/api/gallery/search', galleryController.searchGallery);
 
 // ================
@@ -642,14 +750,14 @@ app.get('/api/gallery/search', galleryController.searchGallery);
 // ================
 app.get('/api/news', newsController.getAllNews);
 app.get('/api/news/:slug', newsController.getNews);
-app.post('/api/news', auth, isAdmin, upload.array('attachments', 5), newsController.createNews);
-app.put('/api/news/:id', auth, isAdmin, upload.array('attachments', 5), newsController.updateNews);
-app.delete('/api/news/:id', auth, isAdmin, newsController.deleteNews);
+app.post('/api/news', auth, isAdmin, checkPermission('canManageNews'), upload.array('attachments', 5), newsController.createNews);
+app.put('/api/news/:id', auth, isAdmin, checkPermission('canManageNews'), upload.array('attachments', 5), newsController.updateNews);
+app.delete('/api/news/:id', auth, isAdmin, checkPermission('canManageNews'), newsController.deleteNews);
 app.get('/api/news/category/:category', newsController.getNewsByCategory);
 app.get('/api/news/recent', newsController.getRecentNews);
 app.get('/api/news/important', newsController.getImportantNews);
 app.get('/api/news/audience/:audience', auth, newsController.getNewsForAudience);
-app.get('/api/news/stats', auth, isAdmin, newsController.getNewsStats);
+app.get('/api/news/stats', auth, isAdmin, checkPermission('canViewReports'), newsController.getNewsStats);
 app.get('/api/news/search', newsController.searchNews);
 
 // ================
@@ -657,9 +765,9 @@ app.get('/api/news/search', newsController.searchNews);
 // ================
 app.get('/api/placements', placementController.getAllPlacements);
 app.get('/api/placements/:id', placementController.getPlacement);
-app.post('/api/placements', auth, isAdmin, placementController.createPlacement);
-app.put('/api/placements/:id', auth, isAdmin, placementController.updatePlacement);
-app.delete('/api/placements/:id', auth, isAdmin, placementController.deletePlacement);
+app.post('/api/placements', auth, isAdmin, checkPermission('canManagePlacements'), placementController.createPlacement);
+app.put('/api/placements/:id', auth, isAdmin, checkPermission('canManagePlacements'), placementController.updatePlacement);
+app.delete('/api/placements/:id', auth, isAdmin, checkPermission('canManagePlacements'), placementController.deletePlacement);
 app.get('/api/placements/stats', placementController.getPlacementStats);
 app.get('/api/placements/student/:studentId', auth, placementController.getStudentPlacements);
 app.get('/api/placements/company/:companyId', placementController.getCompanyPlacements);
@@ -822,6 +930,12 @@ const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, async () => {
   try {
     await connectDB();
+
+    // Deliver scheduled notifications and expire old ones
+    notificationScheduler.start(app);
+
+    // Warn students and parents about attendance shortages
+    attendanceAlerts.start();
     
     console.log(`
     ============================================
@@ -862,8 +976,6 @@ const io = new Server(server, {
 // Make io available via app so controllers can emit events
 app.set('io', io);
 
-const jwtSecret = process.env.JWT_SECRET || 'your-secret-key';
-
 io.on('connection', async (socket) => {
   try {
     const token = socket.handshake.auth?.token || (socket.handshake.headers && socket.handshake.headers.authorization && socket.handshake.headers.authorization.split(' ')[1]) || socket.handshake.query?.token;
@@ -872,10 +984,13 @@ io.on('connection', async (socket) => {
       return;
     }
 
-    const decoded = jwt.verify(token, jwtSecret);
-    const user = await User.findById(decoded.userId).select('-password');
+    const decoded = verifyAccessToken(token);
+    const [user, session] = await Promise.all([
+      User.findOne({ _id: decoded.userId, isActive: true }).select('-password'),
+      decoded.sid ? Session.findActive(decoded.sid, decoded.userId) : null
+    ]);
 
-    if (!user) {
+    if (!user || !session) {
       socket.disconnect(true);
       return;
     }
@@ -883,9 +998,12 @@ io.on('connection', async (socket) => {
     // Attach user to socket and join default rooms
     socket.user = user;
 
+    // Per-user and per-session rooms let logout and revocation disconnect sockets
+    socket.join(`user:${user._id}`);
+    socket.join(`session:${session._id}`);
+
     if (user.role === 'student') {
       socket.join('students');
-      socket.join(`user:${user._id}`);
 
       // Add course/year/semester rooms if available
       const student = await Student.findOne({ userId: user._id }).populate('courseEnrolled');
@@ -899,6 +1017,8 @@ io.on('connection', async (socket) => {
       socket.join(`admin:${user._id}`);
     } else if (user.role === 'faculty') {
       socket.join('faculty');
+    } else if (user.role === 'parent') {
+      socket.join('parents');
     }
 
     console.log(`Socket connected: ${user.username} (${user.role})`);
@@ -917,6 +1037,10 @@ io.on('connection', async (socket) => {
 // ====================
 const gracefulShutdown = (signal) => {
   console.log(`\n👋 ${signal} received. Shutting down gracefully...`);
+
+  notificationScheduler.stop();
+  attendanceAlerts.stop();
+  closeEmailTransporter();
   
   server.close(() => {
     console.log('💤 HTTP server closed');
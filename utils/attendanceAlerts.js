@@ -0,0 +1,221 @@
+const Course = require('../models/Course');
+const Student = require('../models/Student');
+const Parent = require('../models/Parent');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const AttendanceAlert = require('../models/AttendanceAlert');
+const { computeEligibility, findShortages } = require('./attendanceEligibility');
+const { sendSMS } = require('./sendSMS');
+const { getSettings } = require('./settings');
+
+const CHECK_INTERVAL = parseInt(process.env.ATTENDANCE_ALERT_INTERVAL, 10) || 24 * 60 * 60 * 1000;
+// Sessions held in a component before a shortage is reported
+const MIN_SESSIONS = parseInt(process.env.ATTENDANCE_ALERT_MIN_SESSIONS, 10) || 10;
+// Students still short are reminded this often
+const REPEAT_DAYS = parseInt(process.env.ATTENDANCE_ALERT_REPEAT_DAYS, 10) || 7;
+const SMS_MAX_LENGTH = 306;
+
+let timer = null;
+let running = false;
+
+const alertKey = (semester, subjectKey, component) => `${semester}:${subjectKey}:${component}`;
+
+const describe = (shortage) => `${shortage.subject} ${shortage.component} ${shortage.percentage}% (minimum ${shortage.required}%)`;
+
+// Notifications need a sender; alerts are sent in the name of the longest-standing admin
+const getSystemSender = async () => {
+  const admin = await User.findOne({ role: 'admin', isActive: true }).sort({ createdAt: 1 }).select('_id');
+  return admin ? admin._id : null;
+};
+
+// Parent mobile numbers on the student record, one per number
+const parentMobiles = (student) => {
+  const mobiles = [student.fatherMobile, student.motherMobile, student.guardianMobile]
+    .map(Parent.normaliseMobile)
+    .filter(Boolean);
+  return Array.from(new Set(mobiles));
+};
+
+/**
+ * Warn a student and their parents about attendance shortages
+ * @returns {Promise<{notification: Object, smsSentTo: Array<string>}>}
+ */
+const sendWarning = async (student, shortages, { sender, settings }) => {
+  const parents = await Parent.find({ 'students.student': student._id }).select('userId mobileNumber');
+  const receivers = [student.userId, ...parents.map(parent => parent.userId)].filter(Boolean);
+
+  let notification = null;
+  if (receivers.length > 0) {
+    notification = new Notification({
+      title: 'Attendance below the required minimum',
+      message: `${student.fullName} (${student.studentId}) is below the attendance required for exam eligibility in: ${shortages.map(describe).join('; ')}. Please attend regularly to stay eligible.`,
+      type: 'warning',
+      category: 'Academic',
+      priority: 'high',
+      sender,
+      targetType: 'individual',
+      targetIds: receivers,
+      targetModel: 'User',
+      sendMethod: ['dashboard', 'email', 'sms'],
+      actionUrl: '/student/attendance'
+    });
+    notification.queueDelivery();
+    await notification.save();
+  }
+
+  // Parents with a portal account get the notification; text the other numbers directly
+  const smsSentTo = [];
+  if (!settings.notification || settings.notification.smsNotifications !== false) {
+    const registered = new Set(parents.map(parent => parent.mobileNumber));
+    const subjects = Array.from(new Set(shortages.map(shortage => shortage.subject))).join(', ');
+    const message = `Dear Parent, attendance of your ward ${student.fullName} (${student.studentId}) is below the minimum required for exams in ${subjects}. Login to the parent portal for details. - Nursing Institute`;
+
+    for (const mobile of parentMobiles(student).filter(mobile => !registered.has(mobile))) {
+      const result = await sendSMS(mobile, message.slice(0, SMS_MAX_LENGTH), {
+        template: 'ATTENDANCE_SHORTAGE',
+        context: { type: 'attendance', student: student._id }
+      });
+      if (result.success) smsSentTo.push(mobile);
+    }
+  }
+
+  return { notification, smsSentTo };
+};
+
+/**
+ * Check attendance of active students and warn those below their course requirements.
+ * A shortage is warned about once, then again every REPEAT_DAYS while it lasts.
+ * @param {Object} [options]
+ * @param {string} [options.course] - Only this course
+ * @returns {Promise<Object>} - { checked, warned, resolved } or { skipped }
+ */
+const runOnce = async ({ course } = {}) => {
+  const settings = await getSettings();
+  if (settings.notification && settings.notification.attendanceAlerts === false) {
+    return { skipped: 'Attendance alerts are disabled in system settings' };
+  }
+
+  const sender = await getSystemSender();
+  if (!sender) {
+    return { skipped: 'No active admin account to send alerts from' };
+  }
+
+  const courses = await Course.find(course ? { _id: course } : { isActive: true })
+    .select('courseCode attendanceRequirements');
+  const repeatBefore = new Date(Date.now() - REPEAT_DAYS * 24 * 60 * 60 * 1000);
+  const summary = { checked: 0, warned: 0, resolved: 0 };
+
+  for (const courseDoc of courses) {
+    const students = await Student.find({ courseEnrolled: courseDoc._id, academicStatus: 'Active' })
+      .select('studentId firstName lastName semester userId fatherMobile motherMobile guardianMobile');
+    const semesters = Array.from(new Set(students.map(student => student.semester)));
+
+    for (const semester of semesters) {
+      const classStudents = students.filter(student => student.semester === semester);
+      const eligibility = await computeEligibility({
+        course: courseDoc,
+        semester,
+        studentIds: classStudents.map(student => student._id)
+      });
+      const openAlerts = await AttendanceAlert.find({
+        student: { $in: classStudents.map(student => student._id) },
+        semester
+      });
+
+      for (const student of classStudents) {
+        summary.checked++;
+        const shortages = findShortages(eligibility.get(student._id.toString()), { minSessions: MIN_SESSIONS });
+        const alerts = new Map(openAlerts
+          .filter(alert => alert.student.toString() === student._id.toString())
+          .map(alert => [alertKey(alert.semester, alert.subjectKey, alert.component), alert]));
+
+        // Shortages that have recovered are closed so a new drop is warned about again
+        const current = new Set(shortages.map(s => alertKey(semester, s.subjectKey, s.component)));
+        const recovered = Array.from(alerts.entries()).filter(([key]) => !current.has(key)).map(([, alert]) => alert._id);
+        if (recovered.length > 0) {
+          await AttendanceAlert.deleteMany({ _id: { $in: recovered } });
+          summary.resolved += recovered.length;
+        }
+
+        const due = shortages.filter(s => {
+          const alert = alerts.get(alertKey(semester, s.subjectKey, s.component));
+          return !alert || !alert.notifiedAt || alert.notifiedAt < repeatBefore;
+        });
+        if (due.length === 0) continue;
+
+        try {
+          // Remind about every current shortage, not only the new ones
+          const { notification, smsSentTo } = await sendWarning(student, shortages, { sender, settings });
+          const notifiedAt = new Date();
+
+          await AttendanceAlert.bulkWrite(shortages.map(s => ({
+            updateOne: {
+              filter: { student: student._id, semester, subjectKey: s.subjectKey, component: s.component },
+              update: {
+                $set: {
+                  course: courseDoc._id,
+                  subject: s.subject,
+                  percentage: s.percentage,
+                  required: s.required,
+                  notifiedAt,
+                  notification: notification ? notification._id : undefined,
+                  smsSentTo
+                }
+              },
+              upsert: true
+            }
+          })));
+          summary.warned++;
+        } catch (error) {
+          console.error(`Attendance alert error (${student.studentId}):`, error.message);
+        }
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Start the periodic check. Safe to call more than once.
+ */
+const start = () => {
+  if (timer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runOnce();
+      if (result.warned) {
+        console.log(`📉 Attendance alerts: ${result.warned} student(s) warned`);
+      }
+    } catch (error) {
+      console.error('Attendance alert job error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, CHECK_INTERVAL);
+  timer.unref();
+  tick();
+  console.log(`📉 Attendance alert job started (every ${Math.round(CHECK_INTERVAL / 60000)} min)`);
+};
+
+/**
+ * Stop the periodic check
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  MIN_SESSIONS
+};
@@ -0,0 +1,138 @@
+const Attendance = require('../models/Attendance');
+
+// Used when a course has no attendanceRequirements of its own
+const DEFAULT_REQUIREMENTS = { theory: 80, practical: 80, clinical: 90 };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Minimum attendance percentages for a course
+ * @param {Object} course - Course document
+ * @returns {{theory: number, practical: number, clinical: number}}
+ */
+const getRequirements = (course) => {
+  const configured = (course && course.attendanceRequirements) || {};
+  return Attendance.COMPONENTS.reduce((requirements, component) => {
+    const value = configured[component];
+    requirements[component] = typeof value === 'number' ? value : DEFAULT_REQUIREMENTS[component];
+    return requirements;
+  }, {});
+};
+
+/**
+ * Consecutive sessions a student must attend to reach the required percentage
+ * @returns {(number|null)} - 0 when already there, null when it can no longer be reached
+ */
+const sessionsNeeded = (attended, total, required) => {
+  if (total === 0 || (attended / total) * 100 >= required) return 0;
+  if (required >= 100) return null;
+  return Math.ceil((required * total - 100 * attended) / (100 - required));
+};
+
+/**
+ * Per-subject exam eligibility for students of one course and semester.
+ * Each subject is split into theory (Theory, Tutorial), practical (Practical, Lab)
+ * and clinical components, each checked against the course requirement.
+ * @param {Object} options
+ * @param {Object} options.course - Course document
+ * @param {number} options.semester
+ * @param {Array} [options.studentIds] - Limit to these students (Student _ids)
+ * @param {string} [options.subject] - Limit to one subject (case-insensitive)
+ * @returns {Promise<Map<string, Array>>} - Student _id => [{ subject, subjectKey, eligible, components }]
+ */
+const computeEligibility = async ({ course, semester, studentIds, subject }) => {
+  const requirements = getRequirements(course);
+  const match = { course: course._id, semester: parseInt(semester) };
+  if (studentIds) match.student = { $in: studentIds };
+
+  let rows = await Attendance.summarise(match);
+  if (subject) {
+    const key = subject.trim().toLowerCase();
+    rows = rows.filter(row => row.subjectKey === key);
+  }
+
+  // student => subjectKey => { subject, components }
+  const byStudent = new Map();
+  rows.forEach(row => {
+    const studentKey = row.student.toString();
+    if (!byStudent.has(studentKey)) byStudent.set(studentKey, new Map());
+    const subjects = byStudent.get(studentKey);
+    if (!subjects.has(row.subjectKey)) {
+      subjects.set(row.subjectKey, { subject: row.subject, subjectKey: row.subjectKey, components: {} });
+    }
+
+    const component = Attendance.COMPONENT_BY_TYPE[row.type] || 'theory';
+    const totals = subjects.get(row.subjectKey).components;
+    totals[component] = totals[component] || { total: 0, attended: 0, leave: 0 };
+    totals[component].total += row.total;
+    totals[component].attended += row.attended;
+    totals[component].leave += row.leave;
+  });
+
+  const result = new Map();
+  byStudent.forEach((subjects, studentKey) => {
+    result.set(studentKey, Array.from(subjects.values()).map(({ subject: name, subjectKey, components }) => {
+      const checked = {};
+      Object.keys(components).forEach(component => {
+        const { total, attended, leave } = components[component];
+        const required = requirements[component];
+        const percentage = total > 0 ? round((attended / total) * 100) : 100;
+        checked[component] = {
+          total,
+          attended,
+          leave,
+          percentage,
+          required,
+          eligible: percentage >= required,
+          sessionsNeeded: sessionsNeeded(attended, total, required)
+        };
+      });
+
+      return {
+        subject: name,
+        subjectKey,
+        eligible: Object.values(checked).every(component => component.eligible),
+        components: checked
+      };
+    }).sort((a, b) => a.subject.localeCompare(b.subject)));
+  });
+
+  return result;
+};
+
+/**
+ * Subject components below the requirement, skipping ones with too few sessions to judge
+ * @param {Array} subjects - One student's entry from computeEligibility
+ * @param {Object} [options]
+ * @param {number} [options.minSessions=0] - Sessions held before a shortage counts
+ * @param {string} [options.component] - Only this component
+ * @returns {Array<{subject, subjectKey, component, percentage, required, total, attended, sessionsNeeded}>}
+ */
+const findShortages = (subjects, { minSessions = 0, component } = {}) => {
+  const shortages = [];
+  (subjects || []).forEach(entry => {
+    Object.entries(entry.components).forEach(([name, stats]) => {
+      if (component && name !== component) return;
+      if (stats.eligible || stats.total < minSessions) return;
+      shortages.push({
+        subject: entry.subject,
+        subjectKey: entry.subjectKey,
+        component: name,
+        percentage: stats.percentage,
+        required: stats.required,
+        total: stats.total,
+        attended: stats.attended,
+        sessionsNeeded: stats.sessionsNeeded
+      });
+    });
+  });
+  return shortages;
+};
+
+module.exports = {
+  computeEligibility,
+  findShortages,
+  getRequirements,
+  sessionsNeeded,
+  DEFAULT_REQUIREMENTS
+};
@@ -0,0 +1,134 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never written to the audit trail
+const SENSITIVE_FIELDS = [
+  'password', 'resetPasswordToken', 'resetPasswordExpire',
+  'tokenHash', 'rotatedHashes', 'secret', 'pendingSecret', 'backupCodes'
+];
+const IGNORED_FIELDS = ['__v', '_id', 'id', 'createdAt', 'updatedAt'];
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value && value._bsontype);
+};
+
+const toPlain = (doc) => {
+  if (!doc) return null;
+  if (typeof doc.toObject === 'function') return doc.toObject({ depopulate: true });
+  return doc;
+};
+
+const normalise = (value) => {
+  if (value === undefined) return null;
+  if (value && value._bsontype) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+/**
+ * Remove sensitive fields from a record before it is stored
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|null}
+ */
+const sanitize = (doc) => {
+  const plain = toPlain(doc);
+  if (!isPlainObject(plain)) return plain;
+
+  return Object.keys(plain).reduce((result, key) => {
+    if (SENSITIVE_FIELDS.includes(key)) return result;
+    const value = plain[key];
+    if (isPlainObject(value)) {
+      result[key] = sanitize(value);
+    } else if (Array.isArray(value)) {
+      result[key] = value.map(item => (isPlainObject(item) ? sanitize(item) : normalise(item)));
+    } else {
+      result[key] = normalise(value);
+    }
+    return result;
+  }, {});
+};
+
+/**
+ * Field-level differences between two versions of a record
+ * @param {Object} before - Record before the change (document or plain object)
+ * @param {Object} after - Record after the change
+ * @param {string} [prefix] - Path prefix for nested objects
+ * @returns {Array<{path: string, from: *, to: *}>}
+ */
+const diff = (before, after, prefix = '') => {
+  const a = sanitize(before) || {};
+  const b = sanitize(after) || {};
+  const changes = [];
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  keys.forEach(key => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) return;
+    if (SENSITIVE_FIELDS.includes(key)) return;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = a[key] === undefined ? null : a[key];
+    const to = b[key] === undefined ? null : b[key];
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diff(from, to, path));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from, to });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Record an audit entry for a request. Never throws, so auditing cannot break the action itself.
+ * @param {Object} req - Express request (actor, IP and user agent are taken from it)
+ * @param {Object} entry
+ * @param {string} entry.action - create | update | delete | bulk-create | publish | reset | ...
+ * @param {string} entry.entity - Model name, e.g. 'Marks'
+ * @param {string|Object} [entry.entityId]
+ * @param {Object} [entry.before] - Record before the change; diffed against `after`
+ * @param {Object} [entry.after] - Record after the change
+ * @param {Array} [entry.changes] - Precomputed changes, used instead of diffing before/after
+ * @param {string} [entry.summary] - Human-readable description
+ * @param {Object} [entry.metadata] - Extra context (counts, filters, ...)
+ * @returns {Promise<Object|null>} - The saved AuditLog entry, or null on failure
+ */
+const recordAudit = async (req, { action, entity, entityId, before, after, changes: precomputed, summary, metadata }) => {
+  try {
+    const user = req.user || {};
+    const changes = precomputed || (before && after ? diff(before, after) : []);
+
+    // Updates that changed nothing are not worth an entry
+    if (action === 'update' && (precomputed || (before && after)) && changes.length === 0) return null;
+
+    let snapshot;
+    if (!before && after) snapshot = sanitize(after);
+    else if (before && !after) snapshot = sanitize(before);
+
+    return await AuditLog.create({
+      actor: user._id,
+      actorName: user.username || user.email,
+      actorRole: user.role,
+      action,
+      entity,
+      entityId: entityId ? String(entityId) : (after && after._id ? String(after._id) : (before && before._id ? String(before._id) : undefined)),
+      summary,
+      changes,
+      snapshot,
+      metadata,
+      ip: req.ip || (req.connection && req.connection.remoteAddress),
+      userAgent: req.headers ? req.headers['user-agent'] : undefined,
+      method: req.method,
+      path: req.originalUrl
+    });
+  } catch (error) {
+    console.error('Audit log error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit,
+  diff,
+  sanitize
+};
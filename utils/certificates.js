@@ -0,0 +1,120 @@
+const IssuedDocument = require('../models/IssuedDocument');
+const { getStudentResults } = require('./gradingEngine');
+const {
+  MARGIN,
+  CONTENT_WIDTH,
+  formatDate,
+  getInstituteHeader,
+  toBuffer,
+  drawHeader,
+  drawStudentDetails,
+  drawVerification,
+  newVerification
+} = require('./markSheets');
+
+const SIGNATORY = 'Principal';
+
+const certificateError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const courseName = (course) => (course && course.courseName) || 'the programme';
+
+const parentLine = (student) => {
+  const relation = { Male: 'son', Female: 'daughter' }[student.gender] || 'child';
+  if (student.fatherName) return `, ${relation} of ${student.fatherName}`;
+  if (student.guardianName) return `, ward of ${student.guardianName}`;
+  return '';
+};
+
+// Title, details and body text, then the verification footer
+const renderCertificate = (header, student, { title, paragraphs, verification }) => toBuffer(async doc => {
+  doc.addPage();
+  drawHeader(doc, header, title);
+  doc.font('Helvetica').fontSize(9)
+    .text(`Date: ${formatDate(verification.issuedAt)}`, MARGIN, doc.y, { width: CONTENT_WIDTH, align: 'right' });
+  doc.moveDown(0.5);
+  drawStudentDetails(doc, student, student.courseEnrolled);
+
+  doc.moveDown(1).font('Helvetica').fontSize(11);
+  paragraphs.forEach(paragraph => {
+    doc.text(paragraph, MARGIN, doc.y, { width: CONTENT_WIDTH, align: 'justify', lineGap: 4 });
+    doc.moveDown(0.8);
+  });
+
+  await drawVerification(doc, verification, SIGNATORY);
+});
+
+/**
+ * Bonafide certificate for a currently enrolled student, registered as an IssuedDocument
+ * @param {Object} student - Student document with courseEnrolled populated (courseName, courseCode)
+ * @param {Object} [options] - { purpose, issuedBy: User id }
+ * @returns {Promise<{buffer: Buffer, verification: Object}>}
+ */
+const generateBonafide = async (student, { purpose, issuedBy } = {}) => {
+  if (!student.isActive || student.academicStatus !== 'Active') {
+    throw certificateError('Bonafide certificates are only issued to currently enrolled students', 400);
+  }
+
+  const header = await getInstituteHeader();
+  const verification = newVerification();
+  const paragraphs = [
+    `This is to certify that ${student.fullName}${parentLine(student)}, bearing Student ID ${student.studentId}, ` +
+    `is a bonafide student of ${header.name}, enrolled in ${courseName(student.courseEnrolled)} since ${student.admissionYear} ` +
+    `and currently studying in semester ${student.semester}.`
+  ];
+  if (purpose) paragraphs.push(`This certificate is issued on request for the purpose of ${purpose}.`);
+
+  const buffer = await renderCertificate(header, student, { title: 'Bonafide Certificate', paragraphs, verification });
+  await IssuedDocument.record([{
+    student,
+    type: 'bonafide',
+    title: 'Bonafide Certificate',
+    verification,
+    issuedBy,
+    metadata: { purpose, semester: student.semester }
+  }]);
+  return { buffer, verification };
+};
+
+/**
+ * Course completion certificate for a student whose academic status is Completed,
+ * registered as an IssuedDocument
+ * @param {Object} student - Student document with courseEnrolled populated
+ * @param {Object} [options] - { issuedBy: User id }
+ * @returns {Promise<{buffer: Buffer, verification: Object}>}
+ */
+const generateCompletionCertificate = async (student, { issuedBy } = {}) => {
+  if (student.academicStatus !== 'Completed') {
+    throw certificateError('The student has not completed the course', 400);
+  }
+
+  const [header, results] = await Promise.all([getInstituteHeader(), getStudentResults(student)]);
+  const verification = newVerification();
+  const paragraphs = [
+    `This is to certify that ${student.fullName}${parentLine(student)}, bearing Student ID ${student.studentId}, ` +
+    `admitted in ${student.admissionYear}, has successfully completed ${courseName(student.courseEnrolled)} at ${header.name}.`
+  ];
+  if (results.semesters.length > 0) {
+    paragraphs.push(`The student secured a CGPA of ${results.cgpa.toFixed(2)}, earning ${results.creditsEarned} of ${results.totalCredits} credits.`);
+  }
+  paragraphs.push('We wish the student every success in their career.');
+
+  const buffer = await renderCertificate(header, student, { title: 'Course Completion Certificate', paragraphs, verification });
+  await IssuedDocument.record([{
+    student,
+    type: 'course-completion',
+    title: 'Course Completion Certificate',
+    verification,
+    issuedBy,
+    metadata: { cgpa: results.cgpa }
+  }]);
+  return { buffer, verification };
+};
+
+module.exports = {
+  generateBonafide,
+  generateCompletionCertificate
+};
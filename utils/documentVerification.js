@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Signs verification codes printed on issued documents
+const SIGNING_SECRET = process.env.DOCUMENT_SIGNING_SECRET || process.env.JWT_SECRET || 'nursing_institute_secret_key';
+// Unambiguous characters for codes read off paper (no 0/O, 1/I)
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const sign = (value) => crypto.createHmac('sha256', SIGNING_SECRET).update(value).digest('hex').slice(0, 8).toUpperCase();
+
+/**
+ * New verification code: 12 random characters and a signature, e.g. "K7QM-2XPA-9HDR-5F3C1A0B"
+ * @returns {string}
+ */
+const createVerificationCode = () => {
+  const bytes = crypto.randomBytes(12);
+  const body = Array.from(bytes, byte => ALPHABET[byte % ALPHABET.length]).join('');
+  const grouped = body.match(/.{4}/g).join('-');
+  return `${grouped}-${sign(body)}`;
+};
+
+/**
+ * Whether a code was signed by this institute; says nothing about whether it was issued or revoked
+ * @param {string} code
+ * @returns {boolean}
+ */
+const isSignedCode = (code) => {
+  const match = /^([A-Z2-9]{4})-([A-Z2-9]{4})-([A-Z2-9]{4})-([0-9A-F]{8})$/.exec(String(code || '').trim().toUpperCase());
+  if (!match) return false;
+  const expected = Buffer.from(sign(match[1] + match[2] + match[3]));
+  const given = Buffer.from(match[4]);
+  return crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Public page where a code can be checked; printed and encoded in the QR code
+ * @param {string} code
+ * @returns {string}
+ */
+const verificationUrl = (code) => {
+  const base = process.env.DOCUMENT_VERIFY_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify`;
+  return `${base.replace(/\/$/, '')}/${encodeURIComponent(code)}`;
+};
+
+module.exports = {
+  createVerificationCode,
+  isSignedCode,
+  verificationUrl
+};
@@ -0,0 +1,388 @@
+const { getSettings } = require('./settings');
+
+const LANGUAGES = ['en', 'ta'];
+// Settings.general.language stores the display name
+const LANGUAGE_NAMES = { English: 'en', Tamil: 'ta' };
+const LOCALES = { en: 'en-IN', ta: 'ta-IN' };
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Escape free text and keep its line breaks
+const paragraphs = (value) => escapeHtml(value).replace(/\r?\n/g, '<br>');
+
+const formatDate = (value, language) => (value
+  ? new Date(value).toLocaleDateString(LOCALES[language], { day: '2-digit', month: 'short', year: 'numeric' })
+  : '-');
+
+const formatAmount = (value, language, currency = 'INR') => new Intl.NumberFormat(LOCALES[language], {
+  style: 'currency',
+  currency
+}).format(Number(value) || 0);
+
+const button = (href, label, color) => `
+  <p style="margin: 24px 0;">
+    <a href="${escapeHtml(href)}" style="background-color: ${color}; color: #ffffff; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">${escapeHtml(label)}</a>
+  </p>`;
+
+const detailTable = (rows) => `
+  <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+    ${rows.map(([label, value]) => `<tr><td style="padding: 8px; border: 1px solid #e5e7eb; background: #f9fafb; width: 40%;"><strong>${escapeHtml(label)}</strong></td><td style="padding: 8px; border: 1px solid #e5e7eb;">${escapeHtml(value)}</td></tr>`).join('')}
+  </table>`;
+
+const detailText = (rows) => rows.map(([label, value]) => `${label}: ${value}`).join('\n');
+
+/**
+ * Wrap a template body in the branded layout
+ * @param {Object} brand - { name, color, address, email, phone }
+ * @param {string} language - en | ta
+ * @param {string} body - Inner HTML
+ * @returns {string}
+ */
+const layout = (brand, language, body) => `<!DOCTYPE html>
+<html lang="${language}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"></head>
+<body style="margin: 0; padding: 0; background-color: #f3f4f6;">
+  <div style="font-family: Arial, 'Noto Sans Tamil', sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
+    <div style="background-color: ${brand.color}; color: #ffffff; padding: 20px 24px;">
+      <h1 style="margin: 0; font-size: 20px;">${escapeHtml(brand.name)}</h1>
+    </div>
+    <div style="padding: 24px; color: #1f2937; line-height: 1.5;">
+      ${body}
+    </div>
+    <div style="padding: 16px 24px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280;">
+      ${brand.address ? `<p style="margin: 0 0 4px;">${escapeHtml(brand.address)}</p>` : ''}
+      ${brand.email || brand.phone ? `<p style="margin: 0 0 4px;">${escapeHtml([brand.email, brand.phone].filter(Boolean).join(' | '))}</p>` : ''}
+      <p style="margin: 0;">${language === 'ta'
+    ? 'இது தானியங்கி மின்னஞ்சல். இதற்கு பதில் அனுப்ப வேண்டாம்.'
+    : 'This is an automated email. Please do not reply to it.'}</p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+const textLayout = (brand, language, body) => [
+  brand.name,
+  '',
+  body.trim(),
+  '',
+  '--',
+  brand.name,
+  ...[brand.address, [brand.email, brand.phone].filter(Boolean).join(' | ')].filter(Boolean),
+  language === 'ta' ? 'இது தானியங்கி மின்னஞ்சல். இதற்கு பதில் அனுப்ப வேண்டாம்.' : 'This is an automated email. Please do not reply to it.'
+].join('\n');
+
+// Each template has sample data (used by the preview endpoint) and an en/ta variant.
+// Variants get (data, helpers) and return { subject, html, text } where html is the body inside the layout.
+const TEMPLATES = {
+  credentials: {
+    description: 'Login credentials for a new student account',
+    sample: {
+      name: 'Priya Raman',
+      studentId: 'GNM2025001',
+      username: 'gnm2025001@institute.edu',
+      password: 'Xk29pLmq',
+      courseName: 'GNM Nursing'
+    },
+    en: (data, { brand, color }) => {
+      const rows = [
+        ['Student ID', data.studentId],
+        ['Username', data.username],
+        ['Password', data.password],
+        ['Login URL', `${frontendUrl()}/login`]
+      ].filter(([, value]) => value);
+      return {
+        subject: `Welcome to ${brand.name} - Your Login Credentials`,
+        html: `
+          <h2>Welcome ${escapeHtml(data.name)}!</h2>
+          <p>Your ${data.courseName ? `admission to <strong>${escapeHtml(data.courseName)}</strong>` : 'student portal account'} has been processed successfully.</p>
+          ${detailTable(rows)}
+          ${button(`${frontendUrl()}/login`, 'Log in', color)}
+          <p><strong>Important:</strong> Change your password after first login and keep these credentials secure.</p>`,
+        text: `Welcome ${data.name}!\n\nYour ${data.courseName ? `admission to ${data.courseName}` : 'student portal account'} has been processed successfully.\n\n${detailText(rows)}\n\nImportant: Change your password after first login and keep these credentials secure.`
+      };
+    },
+    ta: (data, { brand, color }) => {
+      const rows = [
+        ['மாணவர் எண்', data.studentId],
+        ['பயனர் பெயர்', data.username],
+        ['கடவுச்சொல்', data.password],
+        ['உள்நுழைவு முகவரி', `${frontendUrl()}/login`]
+      ].filter(([, value]) => value);
+      return {
+        subject: `${brand.name} - உங்கள் உள்நுழைவு விவரங்கள்`,
+        html: `
+          <h2>வரவேற்கிறோம், ${escapeHtml(data.name)}!</h2>
+          <p>${data.courseName ? `<strong>${escapeHtml(data.courseName)}</strong> சேர்க்கை` : 'உங்கள் மாணவர் கணக்கு'} வெற்றிகரமாக பதிவு செய்யப்பட்டது.</p>
+          ${detailTable(rows)}
+          ${button(`${frontendUrl()}/login`, 'உள்நுழைக', color)}
+          <p><strong>முக்கியம்:</strong> முதல் உள்நுழைவுக்குப் பின் கடவுச்சொல்லை மாற்றி, இவ்விவரங்களைப் பாதுகாப்பாக வைத்திருக்கவும்.</p>`,
+        text: `வரவேற்கிறோம், ${data.name}!\n\n${data.courseName ? `${data.courseName} சேர்க்கை` : 'உங்கள் மாணவர் கணக்கு'} வெற்றிகரமாக பதிவு செய்யப்பட்டது.\n\n${detailText(rows)}\n\nமுக்கியம்: முதல் உள்நுழைவுக்குப் பின் கடவுச்சொல்லை மாற்றி, இவ்விவரங்களைப் பாதுகாப்பாக வைத்திருக்கவும்.`
+      };
+    }
+  },
+
+  credentialsReset: {
+    description: 'New password set by an administrator',
+    sample: {
+      name: 'Priya Raman',
+      username: 'gnm2025001@institute.edu',
+      password: 'Qw81zTnb'
+    },
+    en: (data, { brand }) => {
+      const rows = [['Username', data.username], ['New Password', data.password]].filter(([, value]) => value);
+      return {
+        subject: `Password Reset - ${brand.name}`,
+        html: `
+          <h2>Hello ${escapeHtml(data.name)},</h2>
+          <p>Your password has been reset by the administrator.</p>
+          ${rows.length ? detailTable(rows) : ''}
+          <p><strong>Important:</strong> Please change your password after you log in. If you did not expect this, contact the office.</p>`,
+        text: `Hello ${data.name},\n\nYour password has been reset by the administrator.\n\n${detailText(rows)}\n\nImportant: Please change your password after you log in. If you did not expect this, contact the office.`
+      };
+    },
+    ta: (data, { brand }) => {
+      const rows = [['பயனர் பெயர்', data.username], ['புதிய கடவுச்சொல்', data.password]].filter(([, value]) => value);
+      return {
+        subject: `கடவுச்சொல் மாற்றம் - ${brand.name}`,
+        html: `
+          <h2>வணக்கம் ${escapeHtml(data.name)},</h2>
+          <p>உங்கள் கடவுச்சொல் நிர்வாகியால் மாற்றப்பட்டது.</p>
+          ${rows.length ? detailTable(rows) : ''}
+          <p><strong>முக்கியம்:</strong> உள்நுழைந்த பின் கடவுச்சொல்லை மாற்றவும். இதை நீங்கள் எதிர்பார்க்கவில்லை என்றால் அலுவலகத்தைத் தொடர்பு கொள்ளவும்.</p>`,
+        text: `வணக்கம் ${data.name},\n\nஉங்கள் கடவுச்சொல் நிர்வாகியால் மாற்றப்பட்டது.\n\n${detailText(rows)}\n\nமுக்கியம்: உள்நுழைந்த பின் கடவுச்சொல்லை மாற்றவும். இதை நீங்கள் எதிர்பார்க்கவில்லை என்றால் அலுவலகத்தைத் தொடர்பு கொள்ளவும்.`
+      };
+    }
+  },
+
+  passwordReset: {
+    description: 'Password reset link requested by the user',
+    sample: {
+      name: 'Priya Raman',
+      resetUrl: 'http://localhost:5000/api/auth/reset-password/sample-token',
+      expiresInMinutes: 30
+    },
+    en: (data, { brand, color }) => ({
+      subject: `Password Reset Request - ${brand.name}`,
+      html: `
+        <h2>Password Reset Request</h2>
+        <p>You are receiving this email because you (or someone else) requested a password reset for your account.</p>
+        ${button(data.resetUrl, 'Reset Password', color)}
+        <p>This link will expire in ${escapeHtml(data.expiresInMinutes)} minutes.</p>
+        <p>If you did not request this, ignore this email and your password will remain unchanged. Do not share this link with anyone.</p>`,
+      text: `Password Reset Request\n\nYou are receiving this email because you (or someone else) requested a password reset for your account.\n\nReset your password: ${data.resetUrl}\n\nThis link will expire in ${data.expiresInMinutes} minutes.\n\nIf you did not request this, ignore this email and your password will remain unchanged. Do not share this link with anyone.`
+    }),
+    ta: (data, { brand, color }) => ({
+      subject: `கடவுச்சொல் மீட்டமைப்பு கோரிக்கை - ${brand.name}`,
+      html: `
+        <h2>கடவுச்சொல் மீட்டமைப்பு கோரிக்கை</h2>
+        <p>உங்கள் கணக்கின் கடவுச்சொல்லை மீட்டமைக்க நீங்களோ வேறொருவரோ கோரியதால் இந்த மின்னஞ்சல் அனுப்பப்பட்டது.</p>
+        ${button(data.resetUrl, 'கடவுச்சொல்லை மீட்டமைக்க', color)}
+        <p>இந்த இணைப்பு ${escapeHtml(data.expiresInMinutes)} நிமிடங்களில் காலாவதியாகும்.</p>
+        <p>நீங்கள் கோரவில்லை என்றால் இந்த மின்னஞ்சலைப் புறக்கணிக்கவும்; உங்கள் கடவுச்சொல் மாறாது. இந்த இணைப்பை யாருடனும் பகிர வேண்டாம்.</p>`,
+      text: `கடவுச்சொல் மீட்டமைப்பு கோரிக்கை\n\nஉங்கள் கணக்கின் கடவுச்சொல்லை மீட்டமைக்க நீங்களோ வேறொருவரோ கோரியதால் இந்த மின்னஞ்சல் அனுப்பப்பட்டது.\n\nகடவுச்சொல்லை மீட்டமைக்க: ${data.resetUrl}\n\nஇந்த இணைப்பு ${data.expiresInMinutes} நிமிடங்களில் காலாவதியாகும்.\n\nநீங்கள் கோரவில்லை என்றால் இந்த மின்னஞ்சலைப் புறக்கணிக்கவும்; உங்கள் கடவுச்சொல் மாறாது. இந்த இணைப்பை யாருடனும் பகிர வேண்டாம்.`
+    })
+  },
+
+  contactReply: {
+    description: 'Reply to a contact form enquiry',
+    sample: {
+      name: 'Karthik',
+      subject: 'Admission for B.Sc Nursing',
+      reply: 'Admissions for the 2025 batch open on 1 June.\nPlease bring your +2 mark sheet to the office.'
+    },
+    en: (data, { brand, color }) => ({
+      subject: `Re: ${data.subject}`,
+      html: `
+        <p>Dear ${escapeHtml(data.name)},</p>
+        <p>Thank you for contacting us. Here is our response to your enquiry <strong>"${escapeHtml(data.subject)}"</strong>:</p>
+        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid ${color};">
+          ${paragraphs(data.reply)}
+        </div>
+        <p>If you have any further questions, please contact us again through the website.</p>
+        <p>Best regards,<br>${escapeHtml(brand.name)} Support Team</p>`,
+      text: `Dear ${data.name},\n\nThank you for contacting us. Here is our response to your enquiry "${data.subject}":\n\n${data.reply}\n\nIf you have any further questions, please contact us again through the website.\n\nBest regards,\n${brand.name} Support Team`
+    }),
+    ta: (data, { brand, color }) => ({
+      subject: `Re: ${data.subject}`,
+      html: `
+        <p>அன்புள்ள ${escapeHtml(data.name)},</p>
+        <p>எங்களைத் தொடர்பு கொண்டதற்கு நன்றி. <strong>"${escapeHtml(data.subject)}"</strong> குறித்த உங்கள் கேள்விக்கான பதில்:</p>
+        <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid ${color};">
+          ${paragraphs(data.reply)}
+        </div>
+        <p>மேலும் கேள்விகள் இருந்தால் இணையதளம் வழியாக மீண்டும் தொடர்பு கொள்ளவும்.</p>
+        <p>நன்றி,<br>${escapeHtml(brand.name)} உதவிக் குழு</p>`,
+      text: `அன்புள்ள ${data.name},\n\nஎங்களைத் தொடர்பு கொண்டதற்கு நன்றி. "${data.subject}" குறித்த உங்கள் கேள்விக்கான பதில்:\n\n${data.reply}\n\nமேலும் கேள்விகள் இருந்தால் இணையதளம் வழியாக மீண்டும் தொடர்பு கொள்ளவும்.\n\nநன்றி,\n${brand.name} உதவிக் குழு`
+    })
+  },
+
+  marksPublished: {
+    description: 'Exam results published to the student portal',
+    sample: {
+      name: 'Priya Raman',
+      studentId: 'GNM2025001',
+      subject: 'Anatomy and Physiology',
+      examType: 'Internal 1',
+      semester: 1
+    },
+    en: (data, { color }) => {
+      const rows = [['Student ID', data.studentId], ['Subject', data.subject], ['Exam', data.examType], ['Semester', data.semester]]
+        .filter(([, value]) => value);
+      return {
+        subject: `Results Published: ${data.subject} - ${data.examType}`,
+        html: `
+          <h2>Hello ${escapeHtml(data.name)},</h2>
+          <p>Your results have been published.</p>
+          ${detailTable(rows)}
+          ${button(`${frontendUrl()}/student/marks`, 'View Results', color)}`,
+        text: `Hello ${data.name},\n\nYour results have been published.\n\n${detailText(rows)}\n\nView your results: ${frontendUrl()}/student/marks`
+      };
+    },
+    ta: (data, { color }) => {
+      const rows = [['மாணவர் எண்', data.studentId], ['பாடம்', data.subject], ['தேர்வு', data.examType], ['பருவம்', data.semester]]
+        .filter(([, value]) => value);
+      return {
+        subject: `தேர்வு முடிவுகள் வெளியீடு: ${data.subject} - ${data.examType}`,
+        html: `
+          <h2>வணக்கம் ${escapeHtml(data.name)},</h2>
+          <p>உங்கள் தேர்வு முடிவுகள் வெளியிடப்பட்டுள்ளன.</p>
+          ${detailTable(rows)}
+          ${button(`${frontendUrl()}/student/marks`, 'முடிவுகளைக் காண', color)}`,
+        text: `வணக்கம் ${data.name},\n\nஉங்கள் தேர்வு முடிவுகள் வெளியிடப்பட்டுள்ளன.\n\n${detailText(rows)}\n\nமுடிவுகளைக் காண: ${frontendUrl()}/student/marks`
+      };
+    }
+  },
+
+  feeReminder: {
+    description: 'Reminder of fee installments due or overdue',
+    sample: {
+      name: 'Priya Raman',
+      studentId: 'GNM2025001',
+      currency: 'INR',
+      balance: 45000,
+      overdue: 15000,
+      invoices: [
+        { label: 'Installment 2', dueDate: '2025-07-15', balance: 15000 },
+        { label: 'Installment 3', dueDate: '2025-12-15', balance: 30000 }
+      ]
+    },
+    en: (data, { color, language }) => {
+      const amount = value => formatAmount(value, language, data.currency);
+      const rows = (data.invoices || []).map(invoice => [`${invoice.label} (due ${formatDate(invoice.dueDate, language)})`, amount(invoice.balance)]);
+      return {
+        subject: `Fee Reminder - ${data.overdue > 0 ? `${amount(data.overdue)} overdue` : `${amount(data.balance)} due`}`,
+        html: `
+          <h2>Dear ${escapeHtml(data.name)},</h2>
+          <p>This is a reminder that fees of <strong>${escapeHtml(amount(data.balance))}</strong> are outstanding on your account (${escapeHtml(data.studentId)})${data.overdue > 0 ? `, of which <strong style="color: #b91c1c;">${escapeHtml(amount(data.overdue))}</strong> is past due` : ''}.</p>
+          ${rows.length ? detailTable(rows) : ''}
+          <p>Please pay at the accounts office or online at the earliest to avoid late fines.</p>
+          ${button(`${frontendUrl()}/student/fees`, 'View Fee Details', color)}
+          <p>Ignore this email if you have already paid.</p>`,
+        text: `Dear ${data.name},\n\nThis is a reminder that fees of ${amount(data.balance)} are outstanding on your account (${data.studentId})${data.overdue > 0 ? `, of which ${amount(data.overdue)} is past due` : ''}.\n\n${detailText(rows)}\n\nPlease pay at the accounts office or online at the earliest to avoid late fines.\nView fee details: ${frontendUrl()}/student/fees\n\nIgnore this email if you have already paid.`
+      };
+    },
+    ta: (data, { color, language }) => {
+      const amount = value => formatAmount(value, language, data.currency);
+      const rows = (data.invoices || []).map(invoice => [`${invoice.label} (கடைசி நாள் ${formatDate(invoice.dueDate, language)})`, amount(invoice.balance)]);
+      return {
+        subject: `கட்டண நினைவூட்டல் - ${data.overdue > 0 ? `${amount(data.overdue)} நிலுவை` : `${amount(data.balance)} செலுத்த வேண்டியது`}`,
+        html: `
+          <h2>அன்புள்ள ${escapeHtml(data.name)},</h2>
+          <p>உங்கள் கணக்கில் (${escapeHtml(data.studentId)}) <strong>${escapeHtml(amount(data.balance))}</strong> கட்டணம் செலுத்தப்பட வேண்டியுள்ளது${data.overdue > 0 ? `; இதில் <strong style="color: #b91c1c;">${escapeHtml(amount(data.overdue))}</strong> கடைசி தேதியைக் கடந்துவிட்டது` : ''}.</p>
+          ${rows.length ? detailTable(rows) : ''}
+          <p>தாமதக் கட்டணத்தைத் தவிர்க்க, கணக்கு அலுவலகத்தில் அல்லது இணையத்தில் விரைவில் செலுத்தவும்.</p>
+          ${button(`${frontendUrl()}/student/fees`, 'கட்டண விவரங்கள்', color)}
+          <p>ஏற்கனவே செலுத்தியிருந்தால் இந்த மின்னஞ்சலைப் புறக்கணிக்கவும்.</p>`,
+        text: `அன்புள்ள ${data.name},\n\nஉங்கள் கணக்கில் (${data.studentId}) ${amount(data.balance)} கட்டணம் செலுத்தப்பட வேண்டியுள்ளது${data.overdue > 0 ? `; இதில் ${amount(data.overdue)} கடைசி தேதியைக் கடந்துவிட்டது` : ''}.\n\n${detailText(rows)}\n\nதாமதக் கட்டணத்தைத் தவிர்க்க, கணக்கு அலுவலகத்தில் அல்லது இணையத்தில் விரைவில் செலுத்தவும்.\nகட்டண விவரங்கள்: ${frontendUrl()}/student/fees\n\nஏற்கனவே செலுத்தியிருந்தால் இந்த மின்னஞ்சலைப் புறக்கணிக்கவும்.`
+      };
+    }
+  }
+};
+
+/**
+ * Normalise a language code or Settings display name ('Tamil') to en | ta
+ * @param {string} [value]
+ * @returns {(string|null)}
+ */
+const normaliseLanguage = (value) => {
+  if (!value) return null;
+  if (LANGUAGES.includes(value)) return value;
+  return LANGUAGE_NAMES[value] || null;
+};
+
+/**
+ * Render a registered template inside the branded layout
+ * @param {string} name - Template name (see TEMPLATES)
+ * @param {Object} [data] - Template data
+ * @param {Object} [options]
+ * @param {string} [options.language] - en | ta; defaults to the institute language in system settings
+ * @returns {Promise<{subject: string, html: string, text: string, language: string}>}
+ */
+const renderTemplate = async (name, data = {}, { language } = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    const err = new Error(`Unknown email template: ${name}`);
+    err.statusCode = 404;
+    throw err;
+  }
+
+  let settings = {};
+  try {
+    settings = await getSettings();
+  } catch (error) {
+    console.error('Email template settings error:', error.message);
+  }
+  const general = settings.general || {};
+
+  const lang = normaliseLanguage(language) || normaliseLanguage(general.language) || 'en';
+  const brand = {
+    name: general.instituteName || 'Nursing Institute',
+    color: (settings.theme && settings.theme.primaryColor) || '#0d6efd',
+    address: general.instituteAddress,
+    email: general.contactEmail,
+    phone: general.contactPhone
+  };
+
+  const variant = template[lang] || template.en;
+  const { subject, html, text } = variant(data, { brand, color: brand.color, language: lang });
+
+  return {
+    subject,
+    html: layout(brand, lang, html),
+    text: textLayout(brand, lang, text),
+    language: lang
+  };
+};
+
+/**
+ * List registered templates
+ * @returns {Array<{name: string, description: string, languages: string[], sample: Object}>}
+ */
+const listTemplates = () => Object.entries(TEMPLATES).map(([name, template]) => ({
+  name,
+  description: template.description,
+  languages: LANGUAGES.filter(lang => template[lang]),
+  sample: template.sample
+}));
+
+/**
+ * Sample data for a template, for previews
+ * @param {string} name - Template name
+ * @returns {(Object|null)}
+ */
+const getSampleData = (name) => (TEMPLATES[name] ? TEMPLATES[name].sample : null);
+
+module.exports = {
+  renderTemplate,
+  listTemplates,
+  getSampleData,
+  normaliseLanguage,
+  LANGUAGES
+};
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const GradingScheme = require('../models/GradingScheme');
+
+// Credits assumed for a subject missing from Course.subjects
+const DEFAULT_CREDITS = parseFloat(process.env.DEFAULT_SUBJECT_CREDITS) || 4;
+
+// Used when neither the course nor the institute has a grading scheme
+const DEFAULT_SCHEME = {
+  name: 'Default',
+  passPercentage: 35,
+  componentMinimums: { theory: 0, practical: 0, viva: 0, assignment: 0 },
+  grades: [
+    { grade: 'O', minPercentage: 90, points: 10 },
+    { grade: 'A+', minPercentage: 80, points: 9 },
+    { grade: 'A', minPercentage: 70, points: 8 },
+    { grade: 'B+', minPercentage: 60, points: 7 },
+    { grade: 'B', minPercentage: 50, points: 6 },
+    { grade: 'C', minPercentage: 40, points: 5 },
+    { grade: 'D', minPercentage: 35, points: 4 },
+    { grade: 'F', minPercentage: 0, points: 0 }
+  ]
+};
+
+const COMPONENTS = ['theory', 'practical', 'viva', 'assignment'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Grade and grade points for a percentage
+ * @param {number} percentage
+ * @param {Object} [scheme]
+ * @returns {{grade: string, points: number}}
+ */
+const gradeFor = (percentage, scheme = DEFAULT_SCHEME) => {
+  const band = [...scheme.grades]
+    .sort((a, b) => b.minPercentage - a.minPercentage)
+    .find(entry => percentage >= entry.minPercentage);
+  return band ? { grade: band.grade, points: band.points } : { grade: 'F', points: 0 };
+};
+
+/**
+ * Total, percentage, grade and result for a set of component marks. The result is a
+ * fail below the scheme's pass percentage or below any component minimum, and a fail
+ * is always graded F with 0 points.
+ * @param {Object} marks - { theory: { max, obtained }, practical, viva, assignment }
+ * @param {Object} [scheme]
+ * @returns {{totalMarks: Object, percentage: number, grade: string, points: number, resultStatus: string, failedComponents: string[]}}
+ */
+const evaluate = (marks, scheme = DEFAULT_SCHEME) => {
+  const totalMax = COMPONENTS.reduce((sum, key) => sum + ((marks[key] && marks[key].max) || 0), 0);
+  const totalObtained = COMPONENTS.reduce((sum, key) => sum + ((marks[key] && marks[key].obtained) || 0), 0);
+  const percentage = totalMax > 0 ? (totalObtained / totalMax) * 100 : 0;
+
+  const minimums = scheme.componentMinimums || {};
+  const failedComponents = COMPONENTS.filter(key => {
+    const component = marks[key];
+    if (!minimums[key] || !component || !component.max) return false;
+    return ((component.obtained || 0) / component.max) * 100 < minimums[key];
+  });
+
+  const passed = percentage >= scheme.passPercentage && failedComponents.length === 0;
+  const { grade, points } = passed ? gradeFor(percentage, scheme) : { grade: 'F', points: 0 };
+
+  return {
+    totalMarks: { max: totalMax, obtained: totalObtained },
+    percentage,
+    grade,
+    points,
+    resultStatus: passed ? 'Pass' : 'Fail',
+    failedComponents
+  };
+};
+
+/**
+ * Grading scheme for a course: its own scheme, else the institute default scheme,
+ * else DEFAULT_SCHEME
+ * @param {Object} [course] - Course document with gradingScheme (an id or populated)
+ * @returns {Promise<Object>}
+ */
+const resolveScheme = async (course) => {
+  const ref = course && course.gradingScheme;
+  let scheme = null;
+
+  if (ref && ref.grades) {
+    scheme = ref;
+  } else if (ref) {
+    scheme = await GradingScheme.findOne({ _id: ref, isActive: true }).lean();
+  }
+  if (!scheme) {
+    scheme = await GradingScheme.findOne({ isDefault: true, isActive: true }).lean();
+  }
+  return scheme || DEFAULT_SCHEME;
+};
+
+const subjectKey = (subject) => String(subject || '').trim().toLowerCase();
+
+/**
+ * Credits of a subject, from Course.subjects by name or code (and semester, when set)
+ * @returns {number}
+ */
+const subjectCredits = (course, semester, subject) => {
+  const key = subjectKey(subject);
+  const entry = ((course && course.subjects) || []).find(item =>
+    (subjectKey(item.subjectName) === key || subjectKey(item.subjectCode) === key) &&
+    (!item.semester || item.semester === semester));
+  return entry && typeof entry.credits === 'number' ? entry.credits : DEFAULT_CREDITS;
+};
+
+/**
+ * Keep the latest attempt of each subject and exam type; a supplementary attempt
+ * replaces the failed one before it
+ * @param {Array} marks - Marks records
+ * @returns {Array}
+ */
+const latestAttempts = (marks) => {
+  const latest = new Map();
+  marks.forEach(mark => {
+    const key = `${mark.semester}:${subjectKey(mark.subject)}:${mark.examType}`;
+    const current = latest.get(key);
+    if (!current || (mark.attempt || 1) > (current.attempt || 1)) latest.set(key, mark);
+  });
+  return Array.from(latest.values());
+};
+
+/**
+ * Subject results, SGPA per semester and CGPA for one student's published marks.
+ * A subject's result combines the component marks of all its exam types; failed
+ * subjects count towards credits with 0 points until cleared.
+ * @param {Array} marks - Published Marks records of one student
+ * @param {Object} options
+ * @param {Object} options.course - Course document (for subject credits)
+ * @param {Object} [options.scheme] - Grading scheme (see resolveScheme; default: DEFAULT_SCHEME)
+ * @returns {{semesters: Array, cgpa: number, totalCredits: number, creditsEarned: number, backlogs: number}}
+ */
+const computeResults = (marks, { course, scheme } = {}) => {
+  scheme = scheme || DEFAULT_SCHEME;
+
+  // semester => subjectKey => { subject, records }
+  const bySemester = new Map();
+  latestAttempts(marks).forEach(mark => {
+    if (!bySemester.has(mark.semester)) bySemester.set(mark.semester, new Map());
+    const subjects = bySemester.get(mark.semester);
+    const key = subjectKey(mark.subject);
+    if (!subjects.has(key)) subjects.set(key, { subject: mark.subject, records: [] });
+    subjects.get(key).records.push(mark);
+  });
+
+  let totalCredits = 0;
+  let totalPoints = 0;
+  let creditsEarned = 0;
+  let backlogs = 0;
+
+  const semesters = Array.from(bySemester.keys()).sort((a, b) => a - b).map(semester => {
+    let semesterCredits = 0;
+    let semesterPoints = 0;
+    let semesterEarned = 0;
+
+    const subjects = Array.from(bySemester.get(semester).values()).map(({ subject, records }) => {
+      const combined = {};
+      COMPONENTS.forEach(key => {
+        combined[key] = {
+          max: records.reduce((sum, record) => sum + ((record.marks && record.marks[key] && record.marks[key].max) || 0), 0),
+          obtained: records.reduce((sum, record) => sum + ((record.marks && record.marks[key] && record.marks[key].obtained) || 0), 0)
+        };
+      });
+
+      const result = evaluate(combined, scheme);
+      const absent = records.some(record => record.resultStatus === 'Absent');
+      const passed = result.resultStatus === 'Pass' && !absent;
+      const credits = subjectCredits(course, semester, subject);
+      const points = passed ? result.points : 0;
+
+      semesterCredits += credits;
+      semesterPoints += points * credits;
+      if (passed) semesterEarned += credits;
+
+      return {
+        subject,
+        credits,
+        examTypes: records.map(record => record.examType),
+        attempt: Math.max(...records.map(record => record.attempt || 1)),
+        totalMarks: result.totalMarks,
+        percentage: round(result.percentage),
+        grade: absent ? 'Absent' : (passed ? result.grade : 'F'),
+        points,
+        resultStatus: absent ? 'Absent' : result.resultStatus,
+        failedComponents: result.failedComponents
+      };
+    });
+
+    const failed = subjects.filter(subject => subject.resultStatus !== 'Pass');
+    totalCredits += semesterCredits;
+    totalPoints += semesterPoints;
+    creditsEarned += semesterEarned;
+    backlogs += failed.length;
+
+    return {
+      semester,
+      subjects,
+      credits: semesterCredits,
+      creditsEarned: semesterEarned,
+      sgpa: semesterCredits > 0 ? round(semesterPoints / semesterCredits) : 0,
+      result: failed.length === 0 ? 'Pass' : 'Supplementary',
+      backlogs: failed.map(subject => subject.subject)
+    };
+  });
+
+  return {
+    scheme: scheme.name,
+    semesters,
+    cgpa: totalCredits > 0 ? round(totalPoints / totalCredits) : 0,
+    totalCredits,
+    creditsEarned,
+    backlogs
+  };
+};
+
+/**
+ * Results of one student from their published marks
+ * @param {Object} student - Student document (needs _id and courseEnrolled)
+ * @returns {Promise<Object>} - See computeResults
+ */
+const getStudentResults = async (student) => {
+  const Marks = mongoose.model('Marks');
+  const Course = mongoose.model('Course');
+
+  const [marks, course] = await Promise.all([
+    Marks.find({ student: student._id, isPublished: true })
+      .select('subject semester examType attempt marks resultStatus')
+      .lean(),
+    Course.findById(student.courseEnrolled && (student.courseEnrolled._id || student.courseEnrolled))
+      .select('subjects gradingScheme')
+  ]);
+
+  return computeResults(marks, { course, scheme: await resolveScheme(course) });
+};
+
+module.exports = {
+  DEFAULT_CREDITS,
+  DEFAULT_SCHEME,
+  gradeFor,
+  evaluate,
+  resolveScheme,
+  subjectCredits,
+  latestAttempts,
+  computeResults,
+  getStudentResults
+};
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { getSettings } = require('./settings');
+const { getStudentResults } = require('./gradingEngine');
+const { createVerificationCode, verificationUrl } = require('./documentVerification');
+const IssuedDocument = require('../models/IssuedDocument');
+
+const MARGIN = 40;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const SUBJECT_COLUMNS = [
+  { label: 'Subject', width: 175, key: 'subject', align: 'left' },
+  { label: 'Credits', width: 45, key: 'credits' },
+  { label: 'Max', width: 45, key: 'max' },
+  { label: 'Obtained', width: 55, key: 'obtained' },
+  { label: '%', width: 45, key: 'percentage' },
+  { label: 'Grade', width: 45, key: 'grade' },
+  { label: 'Points', width: 45, key: 'points' },
+  { label: 'Result', width: 60, key: 'resultStatus' }
+];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+/**
+ * Institute details for document headers, from system settings
+ * @returns {Promise<{name: string, address: string, contact: string, logoPath: (string|null)}>}
+ */
+const getInstituteHeader = async () => {
+  const settings = await getSettings();
+  const general = settings.general || {};
+  const logoUrl = settings.theme && settings.theme.logoUrl;
+
+  // Only logos uploaded to this server can be embedded
+  let logoPath = null;
+  if (logoUrl && logoUrl.startsWith('/uploads/')) {
+    const candidate = path.join(__dirname, '..', logoUrl);
+    if (/\.(png|jpe?g)$/i.test(candidate) && fs.existsSync(candidate)) logoPath = candidate;
+  }
+
+  return {
+    name: general.instituteName || 'Nursing Institute',
+    address: general.instituteAddress || '',
+    contact: [general.contactPhone, general.contactEmail, general.websiteUrl].filter(Boolean).join('  |  '),
+    logoPath
+  };
+};
+
+// Render into a buffer; render(doc) may be async
+const toBuffer = (render) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, autoFirstPage: false });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  Promise.resolve(render(doc))
+    .then(() => doc.end())
+    .catch(error => {
+      doc.end();
+      reject(error);
+    });
+});
+
+const drawHeader = (doc, header, title) => {
+  const top = MARGIN;
+  let textLeft = MARGIN;
+  if (header.logoPath) {
+    doc.image(header.logoPath, MARGIN, top, { fit: [55, 55] });
+    textLeft = MARGIN + 65;
+  }
+  const textWidth = CONTENT_WIDTH - (textLeft - MARGIN);
+
+  doc.font('Helvetica-Bold').fontSize(16).text(header.name, textLeft, top, { width: textWidth, align: 'center' });
+  doc.font('Helvetica').fontSize(9);
+  if (header.address) doc.text(header.address, textLeft, doc.y + 2, { width: textWidth, align: 'center' });
+  if (header.contact) doc.text(header.contact, textLeft, doc.y + 2, { width: textWidth, align: 'center' });
+
+  const lineY = Math.max(doc.y, top + 55) + 8;
+  doc.moveTo(MARGIN, lineY).lineTo(MARGIN + CONTENT_WIDTH, lineY).lineWidth(1).stroke();
+  doc.font('Helvetica-Bold').fontSize(13).text(title, MARGIN, lineY + 10, { width: CONTENT_WIDTH, align: 'center' });
+  doc.moveDown(0.8);
+};
+
+const drawStudentDetails = (doc, student, course, extra = []) => {
+  const rows = [
+    ['Name', student.fullName],
+    ['Student ID', student.studentId],
+    ['Roll Number', student.rollNumber || '-'],
+    ['Course', course ? `${course.courseName}${course.courseCode ? ` (${course.courseCode})` : ''}` : '-'],
+    ['Batch', student.batchYear || student.admissionYear || '-'],
+    ...extra
+  ];
+
+  const top = doc.y;
+  const half = CONTENT_WIDTH / 2;
+  doc.fontSize(10);
+  rows.forEach(([label, value], index) => {
+    const x = MARGIN + (index % 2) * half;
+    const y = top + Math.floor(index / 2) * 16;
+    doc.font('Helvetica-Bold').text(`${label}:`, x, y, { width: 80 });
+    doc.font('Helvetica').text(String(value), x + 80, y, { width: half - 85 });
+  });
+  doc.y = top + Math.ceil(rows.length / 2) * 16 + 8;
+  doc.x = MARGIN;
+};
+
+const drawSubjectsTable = (doc, subjects) => {
+  const rowHeight = 18;
+  const drawRow = (cells, { bold = false, fill = null } = {}) => {
+    if (doc.y + rowHeight > doc.page.height - MARGIN - 110) doc.addPage();
+    const y = doc.y;
+    if (fill) doc.rect(MARGIN, y, CONTENT_WIDTH, rowHeight).fill(fill).fillColor('black');
+    let x = MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    SUBJECT_COLUMNS.forEach((column, index) => {
+      doc.text(String(cells[index]), x + 4, y + 5, {
+        width: column.width - 8,
+        align: column.align || 'center',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += column.width;
+    });
+    doc.rect(MARGIN, y, CONTENT_WIDTH, rowHeight).lineWidth(0.5).stroke();
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(SUBJECT_COLUMNS.map(column => column.label), { bold: true, fill: '#e9ecef' });
+  subjects.forEach(subject => {
+    drawRow([
+      subject.attempt > 1 ? `${subject.subject} (attempt ${subject.attempt})` : subject.subject,
+      subject.credits,
+      subject.totalMarks.max,
+      subject.totalMarks.obtained,
+      subject.percentage.toFixed(2),
+      subject.grade,
+      subject.points,
+      subject.resultStatus
+    ]);
+  });
+  doc.x = MARGIN;
+};
+
+const drawVerification = async (doc, verification, signatory = 'Controller of Examinations') => {
+  const size = 80;
+  const y = doc.page.height - MARGIN - size;
+  const qr = await QRCode.toBuffer(verification.url, { margin: 1, width: size * 3 });
+
+  doc.image(qr, MARGIN, y, { width: size, height: size });
+  doc.font('Helvetica').fontSize(8)
+    .text(`Verification code: ${verification.code}`, MARGIN + size + 10, y + 12, { width: 260 })
+    .text(`Verify at: ${verification.url}`, MARGIN + size + 10, doc.y + 2, { width: 260 })
+    .text(`Issued on ${formatDate(verification.issuedAt)}`, MARGIN + size + 10, doc.y + 2, { width: 260 });
+  doc.font('Helvetica-Bold').fontSize(9)
+    .text(signatory, MARGIN + CONTENT_WIDTH - 160, y + size - 12, { width: 160, align: 'center' });
+};
+
+const newVerification = () => {
+  const code = createVerificationCode();
+  return { code, url: verificationUrl(code), issuedAt: new Date() };
+};
+
+/**
+ * Add a semester mark sheet as a new page
+ * @param {PDFDocument} doc
+ * @param {Object} data - { header, student, course, semesterResult, verification }
+ */
+const addMarkSheet = async (doc, { header, student, course, semesterResult, verification }) => {
+  doc.addPage();
+  drawHeader(doc, header, `Statement of Marks - Semester ${semesterResult.semester}`);
+  drawStudentDetails(doc, student, course, [['Semester', semesterResult.semester]]);
+  drawSubjectsTable(doc, semesterResult.subjects);
+
+  doc.moveDown(1).font('Helvetica-Bold').fontSize(10)
+    .text(`SGPA: ${semesterResult.sgpa.toFixed(2)}     Credits earned: ${semesterResult.creditsEarned} / ${semesterResult.credits}     Result: ${semesterResult.result}`, MARGIN);
+  if (semesterResult.backlogs.length > 0) {
+    doc.font('Helvetica').fontSize(9).text(`Subjects to clear: ${semesterResult.backlogs.join(', ')}`, MARGIN, doc.y + 4);
+  }
+
+  await drawVerification(doc, verification);
+};
+
+/**
+ * Add a consolidated transcript (all semesters, SGPA and CGPA) starting on a new page
+ * @param {PDFDocument} doc
+ * @param {Object} data - { header, student, course, results, verification }
+ */
+const addTranscript = async (doc, { header, student, course, results, verification }) => {
+  doc.addPage();
+  drawHeader(doc, header, 'Consolidated Transcript');
+  drawStudentDetails(doc, student, course);
+
+  results.semesters.forEach(semesterResult => {
+    if (doc.y > doc.page.height - MARGIN - 200) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(11).text(`Semester ${semesterResult.semester}`, MARGIN, doc.y + 6);
+    doc.moveDown(0.3);
+    drawSubjectsTable(doc, semesterResult.subjects);
+    doc.font('Helvetica').fontSize(9)
+      .text(`SGPA: ${semesterResult.sgpa.toFixed(2)}    Credits: ${semesterResult.creditsEarned} / ${semesterResult.credits}    Result: ${semesterResult.result}`, MARGIN, doc.y + 4);
+    doc.moveDown(0.5);
+  });
+
+  if (doc.y > doc.page.height - MARGIN - 150) doc.addPage();
+  const overall = results.backlogs === 0 ? 'Pass' : `${results.backlogs} subject(s) pending`;
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(11)
+    .text(`CGPA: ${results.cgpa.toFixed(2)}     Credits earned: ${results.creditsEarned} / ${results.totalCredits}     Result: ${overall}`, MARGIN);
+  doc.font('Helvetica').fontSize(8).text(`Grading scheme: ${results.scheme}`, MARGIN, doc.y + 4);
+
+  await drawVerification(doc, verification);
+};
+
+const noResults = (message) => {
+  const err = new Error(message);
+  err.statusCode = 404;
+  return err;
+};
+
+/**
+ * Mark sheet PDF for one semester of published results, registered as an IssuedDocument
+ * @param {Object} student - Student document with courseEnrolled populated (courseName, courseCode)
+ * @param {number} semester
+ * @param {Object} [options] - { issuedBy: User id }
+ * @returns {Promise<{buffer: Buffer, verification: Object}>}
+ */
+const generateMarkSheet = async (student, semester, { issuedBy } = {}) => {
+  const [header, results] = await Promise.all([getInstituteHeader(), getStudentResults(student)]);
+  const semesterResult = results.semesters.find(item => item.semester === parseInt(semester));
+  if (!semesterResult) throw noResults(`No published results for semester ${semester}`);
+
+  const verification = newVerification();
+  const buffer = await toBuffer(doc => addMarkSheet(doc, {
+    header, student, course: student.courseEnrolled, semesterResult, verification
+  }));
+  await IssuedDocument.record([{
+    student,
+    type: 'marksheet',
+    title: `Statement of Marks - Semester ${semesterResult.semester}`,
+    verification,
+    issuedBy,
+    metadata: { semester: semesterResult.semester, sgpa: semesterResult.sgpa }
+  }]);
+  return { buffer, verification };
+};
+
+/**
+ * Consolidated transcript PDF of all published results, registered as an IssuedDocument
+ * @param {Object} student - Student document with courseEnrolled populated
+ * @param {Object} [options] - { issuedBy: User id }
+ * @returns {Promise<{buffer: Buffer, verification: Object}>}
+ */
+const generateTranscript = async (student, { issuedBy } = {}) => {
+  const [header, results] = await Promise.all([getInstituteHeader(), getStudentResults(student)]);
+  if (results.semesters.length === 0) throw noResults('No published results yet');
+
+  const verification = newVerification();
+  const buffer = await toBuffer(doc => addTranscript(doc, {
+    header, student, course: student.courseEnrolled, results, verification
+  }));
+  await IssuedDocument.record([{
+    student,
+    type: 'transcript',
+    title: 'Consolidated Transcript',
+    verification,
+    issuedBy,
+    metadata: { cgpa: results.cgpa }
+  }]);
+  return { buffer, verification };
+};
+
+/**
+ * One PDF with a mark sheet (for a semester) or transcript per student, each on its own pages.
+ * Students without published results are skipped.
+ * @param {Array} students - Student documents with courseEnrolled populated
+ * @param {Object} options - { type: 'marksheet' | 'transcript', semester?, issuedBy? }
+ * @returns {Promise<{buffer: (Buffer|null), issued: Array, skipped: Array}>}
+ */
+const generateBatch = async (students, { type, semester, issuedBy }) => {
+  const header = await getInstituteHeader();
+  const issued = [];
+  const skipped = [];
+  const pages = [];
+
+  for (const student of students) {
+    const results = await getStudentResults(student);
+    const semesterResult = type === 'marksheet'
+      ? results.semesters.find(item => item.semester === parseInt(semester))
+      : null;
+
+    if ((type === 'marksheet' && !semesterResult) || results.semesters.length === 0) {
+      skipped.push(student.studentId);
+      continue;
+    }
+
+    const verification = newVerification();
+    pages.push({ student, results, semesterResult, verification });
+    issued.push({ student, verification });
+  }
+
+  if (pages.length === 0) return { buffer: null, issued, skipped };
+
+  const buffer = await toBuffer(async doc => {
+    for (const page of pages) {
+      const data = { header, student: page.student, course: page.student.courseEnrolled, verification: page.verification };
+      if (type === 'marksheet') await addMarkSheet(doc, { ...data, semesterResult: page.semesterResult });
+      else await addTranscript(doc, { ...data, results: page.results });
+    }
+  });
+  await IssuedDocument.record(pages.map(page => ({
+    student: page.student,
+    type,
+    title: type === 'marksheet' ? `Statement of Marks - Semester ${page.semesterResult.semester}` : 'Consolidated Transcript',
+    verification: page.verification,
+    issuedBy,
+    metadata: type === 'marksheet'
+      ? { semester: page.semesterResult.semester, sgpa: page.semesterResult.sgpa }
+      : { cgpa: page.results.cgpa }
+  })));
+  return { buffer, issued, skipped };
+};
+
+module.exports = {
+  MARGIN,
+  CONTENT_WIDTH,
+  formatDate,
+  getInstituteHeader,
+  toBuffer,
+  drawHeader,
+  drawStudentDetails,
+  drawVerification,
+  newVerification,
+  generateMarkSheet,
+  generateTranscript,
+  generateBatch
+};
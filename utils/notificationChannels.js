@@ -0,0 +1,162 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Faculty = require('../models/Faculty');
+const Admin = require('../models/Admin');
+const sendEmail = require('./sendEmail');
+const { sendSMS } = require('./sendSMS');
+const { getSettings } = require('./settings');
+
+// System setting that switches each channel off for everyone
+const CHANNEL_SETTINGS = {
+  email: 'emailNotifications',
+  sms: 'smsNotifications'
+};
+
+// Longest SMS sent (two concatenated parts)
+const SMS_MAX_LENGTH = 306;
+
+const escapeHtml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Mobile numbers for users without User.phoneNumber, taken from their profile
+const profilePhones = async (userIds) => {
+  const phones = new Map();
+  const lookups = [
+    { Model: Student, fields: ['mobileNumber', 'contactNumber'] },
+    { Model: Faculty, fields: ['contactNumber'] },
+    { Model: Admin, fields: ['contactNumber'] }
+  ];
+
+  for (const { Model, fields } of lookups) {
+    const profiles = await Model
+      .find({ userId: { $in: userIds } })
+      .select(['userId', ...fields].join(' '))
+      .lean();
+    profiles.forEach(profile => {
+      const phone = fields.map(field => profile[field]).find(Boolean);
+      if (phone && !phones.has(profile.userId.toString())) {
+        phones.set(profile.userId.toString(), phone);
+      }
+    });
+  }
+
+  return phones;
+};
+
+// Why a user should not get this notification on a channel, or null
+const skipReason = (notification, channel, user, settings) => {
+  if (settings.notification && settings.notification[CHANNEL_SETTINGS[channel]] === false) {
+    return `${channel} notifications are disabled in system settings`;
+  }
+  if (!user) {
+    return 'User not found';
+  }
+  const preferences = user.notificationPreferences || {};
+  if (preferences[channel] === false) {
+    return `User opted out of ${channel}`;
+  }
+  // Emergency notifications cannot be muted by category
+  if (notification.category !== 'Emergency' && (preferences.mutedCategories || []).includes(notification.category)) {
+    return `User muted ${notification.category} notifications`;
+  }
+  return null;
+};
+
+/**
+ * Build email/SMS delivery entries for a notification's receivers, honouring
+ * system switches and each user's preferences. Pairs already sent are not repeated.
+ * @param {Object} notification - Notification with receivers resolved
+ * @returns {Promise<Array>} - New entries for notification.deliveries
+ */
+const buildDeliveries = async (notification) => {
+  const channels = (notification.sendMethod || []).filter(channel => Notification.EXTERNAL_CHANNELS.includes(channel));
+  if (channels.length === 0 || notification.receivers.length === 0) return [];
+
+  const alreadySent = new Set(
+    (notification.deliveries || [])
+      .filter(delivery => delivery.status === 'sent')
+      .map(delivery => `${delivery.user}:${delivery.channel}`)
+  );
+
+  const userIds = notification.receivers.map(receiver => receiver.user);
+  const [settings, users, phones] = await Promise.all([
+    getSettings(),
+    User.find({ _id: { $in: userIds } }).select('email phoneNumber notificationPreferences').lean(),
+    channels.includes('sms') ? profilePhones(userIds) : new Map()
+  ]);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const now = new Date();
+  const entries = [];
+
+  userIds.forEach(userId => {
+    const key = userId.toString();
+    const user = usersById.get(key);
+
+    channels.forEach(channel => {
+      if (alreadySent.has(`${key}:${channel}`)) return;
+
+      const address = !user ? null
+        : channel === 'email' ? user.email : (user.phoneNumber || phones.get(key));
+      const reason = skipReason(notification, channel, user, settings)
+        || (!address ? `No ${channel === 'email' ? 'email address' : 'mobile number'} on file` : null);
+
+      entries.push({
+        user: userId,
+        channel,
+        address: address || undefined,
+        status: reason ? 'skipped' : 'pending',
+        nextAttemptAt: reason ? undefined : now,
+        error: reason || undefined
+      });
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Send one email/SMS delivery. Throws when the provider rejects it.
+ * @param {Object} notification - Notification being delivered
+ * @param {Object} delivery - Entry from notification.deliveries
+ * @returns {Promise<{providerMessageId: (string|undefined)}>}
+ */
+const sendDelivery = async (notification, delivery) => {
+  const link = notification.actionUrl
+    ? `${notification.actionUrl.startsWith('http') ? '' : (process.env.FRONTEND_URL || 'http://localhost:3000')}${notification.actionUrl}`
+    : null;
+
+  if (delivery.channel === 'email') {
+    await sendEmail({
+      email: delivery.address,
+      subject: `[${notification.category}] ${notification.title}`,
+      message: `${notification.message}${link ? `\n\n${notification.actionText || 'Open'}: ${link}` : ''}`,
+      html: `
+        <h2>${escapeHtml(notification.title)}</h2>
+        <p>${escapeHtml(notification.message).replace(/\n/g, '<br>')}</p>
+        ${link ? `<p><a href="${escapeHtml(link)}">${escapeHtml(notification.actionText || 'Open')}</a></p>` : ''}
+        <p>Nursing Institute</p>
+      `
+    });
+    return {};
+  }
+
+  const text = `${notification.title}: ${notification.message} - Nursing Institute`;
+  const result = await sendSMS(delivery.address, text.length > SMS_MAX_LENGTH ? `${text.slice(0, SMS_MAX_LENGTH - 3)}...` : text, {
+    template: 'NOTIFICATION',
+    context: { type: 'notification', notification: notification._id, user: delivery.user }
+  });
+  if (!result.success) {
+    throw new Error(result.error || 'SMS provider rejected the message');
+  }
+  return { providerMessageId: result.messageId };
+};
+
+module.exports = {
+  buildDeliveries,
+  sendDelivery
+};
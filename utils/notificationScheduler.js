@@ -0,0 +1,356 @@
+const Notification = require('../models/Notification');
+const { buildDeliveries, sendDelivery } = require('./notificationChannels');
+
+const POLL_INTERVAL = parseInt(process.env.NOTIFICATION_POLL_INTERVAL, 10) || 30 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const BATCH_SIZE = 50;
+// Email/SMS sends in flight at once for one notification
+const CHANNEL_CONCURRENCY = parseInt(process.env.NOTIFICATION_CHANNEL_CONCURRENCY, 10) || 5;
+const RETRY_BASE = 60 * 1000;
+const RETRY_MAX = 60 * 60 * 1000;
+// A claim older than this is assumed to belong to a crashed process
+const LOCK_DURATION = 5 * 60 * 1000;
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE * 2 ** (attempts - 1), RETRY_MAX);
+
+let timer = null;
+let running = false;
+
+const emit = (app, room, event, payload) => {
+  try {
+    const io = app && app.get('io');
+    if (io) io.to(room).emit(event, payload);
+  } catch (emitErr) {
+    console.error(`Socket emit error (${event}):`, emitErr);
+  }
+};
+
+/**
+ * Atomically claim one due notification so only one worker delivers it. The email/SMS
+ * lock is taken as well, since delivering rebuilds the deliveries list.
+ * @param {Object} [filter] - Extra conditions, e.g. { _id } to claim a specific notification
+ * @returns {Promise<Object|null>} - The claimed notification
+ */
+const claim = (filter = {}) => {
+  const now = new Date();
+  return Notification.findOneAndUpdate(
+    {
+      ...filter,
+      isActive: true,
+      $and: [
+        {
+          $or: [
+            { 'delivery.state': 'pending', 'delivery.nextAttemptAt': { $lte: now } },
+            { 'delivery.state': 'processing', 'delivery.lockedUntil': { $lte: now } }
+          ]
+        },
+        {
+          $or: [
+            { 'delivery.channelsLockedUntil': null },
+            { 'delivery.channelsLockedUntil': { $lte: now } }
+          ]
+        }
+      ]
+    },
+    {
+      $set: {
+        'delivery.state': 'processing',
+        'delivery.lockedUntil': new Date(now.getTime() + LOCK_DURATION),
+        'delivery.channelsLockedUntil': new Date(now.getTime() + LOCK_DURATION),
+        'delivery.lastAttemptAt': now
+      },
+      $inc: { 'delivery.attempts': 1 }
+    },
+    { new: true, sort: { 'delivery.nextAttemptAt': 1 } }
+  );
+};
+
+// Back off exponentially, or give up after MAX_ATTEMPTS
+const markFailed = async (app, notification, error) => {
+  const { attempts } = notification.delivery;
+  const finalAttempt = attempts >= MAX_ATTEMPTS;
+
+  notification.delivery.state = finalAttempt ? 'failed' : 'pending';
+  notification.delivery.lastError = error.message;
+  notification.delivery.lockedUntil = undefined;
+  notification.delivery.channelsLockedUntil = undefined;
+  notification.delivery.nextAttemptAt = finalAttempt
+    ? undefined
+    : new Date(Date.now() + retryDelay(attempts));
+  await notification.save();
+
+  if (finalAttempt) {
+    emit(app, 'admins', 'notification:failed', {
+      notificationId: notification._id,
+      title: notification.title,
+      attempts,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Deliver a claimed notification: resolve receivers and emit to their user rooms
+ * @param {Object} app - Express app (for the Socket.IO instance)
+ * @param {Object} notification - Notification claimed by claim()
+ * @returns {Promise<Object>} - The updated notification
+ */
+const deliver = async (app, notification) => {
+  try {
+    const now = new Date();
+
+    if (notification.expiresAt && notification.expiresAt <= now) {
+      notification.isActive = false;
+      notification.delivery.state = 'expired';
+      notification.delivery.lockedUntil = undefined;
+      notification.delivery.channelsLockedUntil = undefined;
+      notification.delivery.nextAttemptAt = undefined;
+      await notification.save();
+      return notification;
+    }
+
+    const targetIds = notification.targetType === 'batch' ? notification.targetBatches : notification.targetIds;
+    const resolved = await Notification.resolveReceivers(notification.targetType, targetIds);
+
+    // Keep read state when a notification is sent again
+    const previous = new Map(notification.receivers.map(({ user, read, readAt }) => [user.toString(), { user, read, readAt }]));
+    const receivers = resolved.map(receiver => previous.get(receiver.user.toString()) || receiver);
+
+    notification.receivers = receivers;
+    notification.metadata.sentCount = receivers.length;
+
+    // Queue email/SMS per receiver; failed or skipped pairs from an earlier send are rebuilt
+    const newDeliveries = await buildDeliveries(notification);
+    notification.deliveries = [
+      ...notification.deliveries.filter(delivery => delivery.status === 'sent').map(delivery => delivery.toObject()),
+      ...newDeliveries
+    ];
+    notification.sentAt = now;
+    notification.delivery.state = 'sent';
+    notification.delivery.lockedUntil = undefined;
+    notification.delivery.channelsLockedUntil = undefined;
+    notification.delivery.nextAttemptAt = undefined;
+    notification.delivery.lastError = undefined;
+    await notification.save();
+    await notification.populate('sender', 'username email');
+
+    receivers.forEach(receiver => {
+      emit(app, `user:${receiver.user}`, 'notification:created', {
+        notification: {
+          _id: notification._id,
+          title: notification.title,
+          message: notification.message,
+          type: notification.type,
+          category: notification.category,
+          priority: notification.priority,
+          createdAt: notification.createdAt,
+          sentAt: notification.sentAt,
+          sender: notification.sender
+        }
+      });
+    });
+
+    emit(app, 'admins', 'notification:sent', {
+      notificationId: notification._id,
+      title: notification.title,
+      totalReceivers: receivers.length,
+      sentAt: notification.sentAt
+    });
+
+    return notification;
+  } catch (error) {
+    console.error(`Notification delivery error (${notification._id}):`, error.message);
+    await markFailed(app, notification, error);
+    return notification;
+  }
+};
+
+// Claim a notification with email/SMS deliveries due
+const claimChannelWork = () => {
+  const now = new Date();
+  return Notification.findOneAndUpdate(
+    {
+      isActive: true,
+      deliveries: { $elemMatch: { status: 'pending', nextAttemptAt: { $lte: now } } },
+      $or: [
+        { 'delivery.channelsLockedUntil': null },
+        { 'delivery.channelsLockedUntil': { $lte: now } }
+      ]
+    },
+    { $set: { 'delivery.channelsLockedUntil': new Date(now.getTime() + LOCK_DURATION) } },
+    { new: true }
+  );
+};
+
+// Attempt one email/SMS delivery and record the outcome on the entry
+const attemptDelivery = async (notification, delivery) => {
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    const { providerMessageId } = await sendDelivery(notification, delivery);
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.providerMessageId = providerMessageId;
+    delivery.nextAttemptAt = undefined;
+    delivery.error = undefined;
+  } catch (error) {
+    delivery.error = error.message;
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+    }
+  }
+};
+
+/**
+ * Work through due email/SMS deliveries, a few at a time per notification
+ * @param {Object} app - Express app
+ * @returns {Promise<number>} - Number of delivery attempts made
+ */
+const processChannelDeliveries = async (app) => {
+  let attempted = 0;
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const notification = await claimChannelWork();
+    if (!notification) break;
+
+    const now = new Date();
+    const due = notification.deliveries.filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now);
+
+    for (let start = 0; start < due.length; start += CHANNEL_CONCURRENCY) {
+      await Promise.all(due.slice(start, start + CHANNEL_CONCURRENCY).map(delivery => attemptDelivery(notification, delivery)));
+    }
+    attempted += due.length;
+
+    notification.delivery.channelsLockedUntil = undefined;
+    await notification.save();
+
+    const failed = due.filter(delivery => delivery.status === 'failed').length;
+    if (failed > 0) {
+      emit(app, 'admins', 'notification:deliveryFailed', {
+        notificationId: notification._id,
+        title: notification.title,
+        failed,
+        summary: notification.deliverySummary()
+      });
+    }
+  }
+
+  return attempted;
+};
+
+/**
+ * Deactivate notifications past their expiresAt, including queued ones never sent
+ * @returns {Promise<number>} - Number of notifications deactivated
+ */
+const expireNotifications = async () => {
+  const now = new Date();
+
+  // Email/SMS still waiting is not worth sending once the notification expires
+  await Notification.updateMany(
+    { isActive: true, expiresAt: { $lte: now }, 'deliveries.status': 'pending' },
+    { $set: { 'deliveries.$[queued].status': 'skipped', 'deliveries.$[queued].error': 'Notification expired' } },
+    { arrayFilters: [{ 'queued.status': 'pending' }] }
+  );
+
+  await Notification.updateMany(
+    { isActive: true, expiresAt: { $lte: now }, 'delivery.state': { $in: ['pending', 'failed'] } },
+    { $set: { 'delivery.state': 'expired' }, $unset: { 'delivery.nextAttemptAt': '' } }
+  );
+
+  const result = await Notification.updateMany(
+    { isActive: true, expiresAt: { $lte: now } },
+    { $set: { isActive: false } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * One dispatcher pass: expire old notifications, deliver everything due, then send email/SMS
+ * @param {Object} app - Express app
+ * @returns {Promise<{expired: number, delivered: number, channelAttempts: number}>}
+ */
+const runOnce = async (app) => {
+  const expired = await expireNotifications();
+
+  let delivered = 0;
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const notification = await claim();
+    if (!notification) break;
+    await deliver(app, notification);
+    delivered++;
+  }
+
+  const channelAttempts = await processChannelDeliveries(app);
+
+  return { expired, delivered, channelAttempts };
+};
+
+/**
+ * Deliver one notification now if it is due, without waiting for the next poll
+ * @param {Object} app - Express app
+ * @param {string} id - Notification id
+ * @returns {Promise<Object|null>} - The notification, or null if it was not due or already claimed
+ */
+const dispatchNotification = async (app, id) => {
+  const notification = await claim({ _id: id });
+  if (!notification) return null;
+  await deliver(app, notification);
+
+  // Start on email/SMS now rather than at the next poll
+  if (notification.deliveries.some(delivery => delivery.status === 'pending')) {
+    processChannelDeliveries(app).catch(error => {
+      console.error('Notification channel delivery error:', error.message);
+    });
+  }
+
+  return notification;
+};
+
+/**
+ * Start polling. Safe to call more than once.
+ * @param {Object} app - Express app
+ */
+const start = (app) => {
+  if (timer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runOnce(app);
+    } catch (error) {
+      console.error('Notification scheduler error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, POLL_INTERVAL);
+  timer.unref();
+  tick();
+  console.log(`⏰ Notification scheduler started (every ${POLL_INTERVAL / 1000}s)`);
+};
+
+/**
+ * Stop polling
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  dispatchNotification,
+  processChannelDeliveries,
+  expireNotifications,
+  MAX_ATTEMPTS
+};
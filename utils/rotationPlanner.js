@@ -0,0 +1,105 @@
+const DAY = 24 * 60 * 60 * 1000;
+const GROUP_LABELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Split students into groups of near-equal size, keeping the given order
+ * @param {Array} students
+ * @param {number} count
+ * @returns {Array<Array>}
+ */
+const splitIntoGroups = (students, count) => {
+  const groups = Array.from({ length: count }, () => []);
+  const base = Math.floor(students.length / count);
+  const extra = students.length % count;
+  let index = 0;
+  groups.forEach((group, i) => {
+    const size = base + (i < extra ? 1 : 0);
+    group.push(...students.slice(index, index + size));
+    index += size;
+  });
+  return groups;
+};
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+const groupLabel = (index) => {
+  return index < GROUP_LABELS.length
+    ? GROUP_LABELS[index]
+    : `${GROUP_LABELS[Math.floor(index / GROUP_LABELS.length) - 1]}${GROUP_LABELS[index % GROUP_LABELS.length]}`;
+};
+
+/**
+ * Plan a clinical rotation: students are split into groups and each group moves to the
+ * next ward every period, so no two groups share a ward in the same period and no group
+ * is in two wards at once (group g is in ward (g + period) mod wards).
+ * @param {Object} options
+ * @param {Array} options.students - Students in the order they should be grouped
+ * @param {Array} options.wards - [{ hospital, ward, supervisor?, subject?, capacity? }]
+ * @param {Date|string} options.startDate - First day of the first period
+ * @param {number} options.daysPerPosting - Length of each period in days
+ * @param {number} [options.groups] - Number of groups (default and maximum: number of wards)
+ * @param {number} [options.periods] - Number of periods (default: number of wards, so every group visits every ward)
+ * @returns {Array<Object>} - Postings { hospital, ward, supervisor, subject, group, students, startDate, endDate }
+ */
+const planRotation = ({ students, wards, startDate, daysPerPosting, groups, periods }) => {
+  if (!Array.isArray(wards) || wards.length === 0) {
+    throw badRequest('At least one ward is required');
+  }
+  if (!Array.isArray(students) || students.length === 0) {
+    throw badRequest('No students to assign');
+  }
+
+  const groupCount = Math.min(parseInt(groups) || wards.length, wards.length, students.length);
+  if (groupCount < 1) {
+    throw badRequest('groups must be at least 1');
+  }
+  const periodCount = parseInt(periods) || wards.length;
+  const days = parseInt(daysPerPosting);
+  if (!(days > 0) || !(periodCount > 0)) {
+    throw badRequest('daysPerPosting and periods must be positive');
+  }
+
+  const start = new Date(startDate);
+  if (isNaN(start)) {
+    throw badRequest('Invalid startDate');
+  }
+
+  const studentGroups = splitIntoGroups(students, groupCount);
+  studentGroups.forEach((group, index) => {
+    const smallest = Math.min(...wards.map(ward => ward.capacity || Infinity));
+    if (group.length > smallest) {
+      throw badRequest(`Group ${groupLabel(index)} has ${group.length} students but a ward only takes ${smallest}; use more groups or wards`);
+    }
+  });
+
+  const postings = [];
+  for (let period = 0; period < periodCount; period++) {
+    const periodStart = new Date(start.getTime() + period * days * DAY);
+    const periodEnd = new Date(periodStart.getTime() + (days - 1) * DAY);
+
+    studentGroups.forEach((group, index) => {
+      const ward = wards[(index + period) % wards.length];
+      postings.push({
+        hospital: ward.hospital,
+        ward: ward.ward,
+        supervisor: ward.supervisor,
+        subject: ward.subject,
+        group: groupLabel(index),
+        students: group,
+        startDate: periodStart,
+        endDate: periodEnd
+      });
+    });
+  }
+
+  return postings;
+};
+
+module.exports = {
+  planRotation,
+  splitIntoGroups
+};
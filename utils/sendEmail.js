@@ -1,28 +1,75 @@
 const nodemailer = require('nodemailer');
+const { renderTemplate } = require('./emailTemplates');
 
+// One pooled transporter for the process; connections are reused across sends
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    // A local SMTP stub (e.g. MailHog on port 1025) needs no credentials
+    transporter = nodemailer.createTransport({
+      pool: true,
+      maxConnections: parseInt(process.env.EMAIL_POOL_SIZE, 10) || 5,
+      maxMessages: 100,
+      ...(process.env.EMAIL_SERVICE
+        ? { service: process.env.EMAIL_SERVICE }
+        : {
+          host: process.env.EMAIL_HOST,
+          port: process.env.EMAIL_PORT,
+          secure: process.env.EMAIL_PORT === '465'
+        }),
+      auth: process.env.EMAIL_USER ? {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      } : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send an email, either from a registered template or from a ready subject/body
+ * @param {Object} options
+ * @param {string} options.email - Recipient
+ * @param {string} [options.template] - Template name from utils/emailTemplates
+ * @param {Object} [options.data] - Template data
+ * @param {string} [options.language] - en | ta for templated emails
+ * @param {string} [options.subject] - Subject, when not using a template
+ * @param {string} [options.message] - Plain-text body, when not using a template
+ * @param {string} [options.html] - HTML body, when not using a template
+ * @param {string} [options.fromName] - Display name of the sender
+ * @param {string} [options.replyTo] - Reply-To address
+ */
 const sendEmail = async (options) => {
-  // Create transporter
-  const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: process.env.EMAIL_PORT === '465',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
+  let { subject, message: text, html } = options;
+
+  if (options.template) {
+    ({ subject, text, html } = await renderTemplate(options.template, options.data, { language: options.language }));
+  }
 
   // Email options
   const mailOptions = {
-    from: `"Nursing Institute" <${process.env.EMAIL_USER}>`,
+    from: `"${options.fromName || 'Nursing Institute'}" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
     to: options.email,
-    subject: options.subject,
-    text: options.message,
-    html: options.html || options.message
+    subject,
+    text,
+    html: html || text,
+    ...(options.replyTo && { replyTo: options.replyTo })
   };
 
   // Send email
-  await transporter.sendMail(mailOptions);
+  await getTransporter().sendMail(mailOptions);
+};
+
+/**
+ * Close pooled SMTP connections, e.g. on shutdown
+ */
+const closeTransporter = () => {
+  if (transporter) {
+    transporter.close();
+    transporter = null;
+  }
 };
 
-module.exports = sendEmail;
\ No newline at end of file
+module.exports = sendEmail;
+module.exports.closeTransporter = closeTransporter;
@@ -1,64 +1,90 @@
-const axios = require('axios');
+const SmsLog = require('../models/SmsLog');
+const { getProvider } = require('./smsProviders');
+
+// Sends in flight at once for bulk SMS
+const SMS_CONCURRENCY = parseInt(process.env.SMS_CONCURRENCY, 10) || 5;
+
+// DLT template IDs registered for Indian transactional SMS, keyed by template name
+const DLT_TEMPLATES = {
+  MARKS_UPDATE: process.env.DLT_TEMPLATE_MARKS_UPDATE,
+  NOTIFICATION: process.env.DLT_TEMPLATE_NOTIFICATION,
+  OTP: process.env.DLT_TEMPLATE_OTP,
+  ATTENDANCE_SHORTAGE: process.env.DLT_TEMPLATE_ATTENDANCE_SHORTAGE
+};
 
-// MSG91 SMS Configuration
-const MSG91_AUTH_KEY = process.env.MSG91_AUTH_KEY || 'your-msg91-auth-key';
-const MSG91_SENDER_ID = process.env.MSG91_SENDER_ID || 'NURINS'; // Nursing Institute
-const MSG91_ROUTE = process.env.MSG91_ROUTE || '4'; // Transactional route
-const MSG91_COUNTRY = process.env.MSG91_COUNTRY || '91'; // India
+/**
+ * Look up the DLT template ID for a template name
+ * @param {string} [template] - Template name, e.g. MARKS_UPDATE
+ * @returns {(string|undefined)} - Registered template ID
+ */
+const getTemplateId = (template) => {
+  if (!template) return undefined;
+  return DLT_TEMPLATES[template] || process.env[`DLT_TEMPLATE_${template}`];
+};
 
 /**
- * Send SMS using MSG91 API
+ * Send SMS through the configured provider and record it in the SMS log
  * @param {string} mobile - Mobile number (10 digits)
  * @param {string} message - SMS message content
- * @returns {Promise<Object>} - Response from MSG91 API
+ * @param {Object} [options]
+ * @param {string} [options.template] - DLT template name (see DLT_TEMPLATES)
+ * @param {string} [options.templateId] - DLT template ID, overriding the template name
+ * @param {Object} [options.context] - What the message is about, e.g. { type: 'marks', student }
+ * @param {string} [options.provider] - Provider name, overriding SMS_PROVIDER
+ * @param {string} [options.logMessage] - Text to keep in the SMS log instead of the message, e.g. with an OTP masked
+ * @returns {Promise<Object>} - { success, messageId, mobile, status, error }
  */
-const sendSMS = async (mobile, message) => {
+const sendSMS = async (mobile, message, options = {}) => {
+  let log = null;
+
   try {
     // Validate mobile number (should be 10 digits)
-    const cleanMobile = mobile.replace(/\D/g, '');
+    const cleanMobile = String(mobile || '').replace(/\D/g, '').slice(-10);
     if (cleanMobile.length !== 10) {
       throw new Error(`Invalid mobile number: ${mobile}. Must be 10 digits.`);
     }
 
-    // MSG91 API endpoint
-    const url = `https://api.msg91.com/api/sendhttp.php`;
-
-    // Prepare parameters
-    const params = {
-      authkey: MSG91_AUTH_KEY,
-      mobiles: `${MSG91_COUNTRY}${cleanMobile}`,
-      message: message,
-      sender: MSG91_SENDER_ID,
-      route: MSG91_ROUTE,
-      country: MSG91_COUNTRY,
-      response: 'json'
-    };
+    const provider = getProvider(options.provider);
+    const templateId = options.templateId || getTemplateId(options.template);
 
-    console.log('📱 Sending SMS to:', cleanMobile);
-    console.log('📱 Message:', message.substring(0, 50) + '...');
+    log = await SmsLog.create({
+      to: cleanMobile,
+      message: options.logMessage || message,
+      provider: provider.name,
+      template: options.template,
+      templateId,
+      context: options.context
+    });
 
-    // Send SMS
-    const response = await axios.get(url, { params });
+    if (!templateId && process.env.SMS_REQUIRE_DLT === 'true') {
+      throw new Error(`No DLT template ID configured${options.template ? ` for ${options.template}` : ''}`);
+    }
 
-    console.log('📱 SMS Response:', response.data);
+    const { messageId } = await provider.send({ to: cleanMobile, message, templateId });
 
-    // Check if SMS was sent successfully
-    if (response.data && response.data.type === 'success') {
-      return {
-        success: true,
-        messageId: response.data.message,
-        mobile: cleanMobile,
-        status: 'sent'
-      };
-    } else {
-      throw new Error(response.data?.message || 'Failed to send SMS');
-    }
+    log.status = 'sent';
+    log.providerMessageId = messageId;
+    log.sentAt = new Date();
+    await log.save();
 
+    return {
+      success: true,
+      messageId,
+      mobile: cleanMobile,
+      status: 'sent'
+    };
   } catch (error) {
     console.error('❌ SMS sending failed:', error.message);
+
+    if (log) {
+      log.status = 'failed';
+      log.error = error.message;
+      await log.save().catch(saveError => console.error('SMS log update error:', saveError.message));
+    }
+
     return {
       success: false,
-      mobile: mobile,
+      mobile,
       error: error.message,
       status: 'failed'
     };
@@ -76,41 +102,36 @@ const sendMarksNotificationSMS = async (student, marksData) => {
 
   try {
     // Prepare SMS message
-    const message = `Dear Parent, Your ward ${student.firstName} ${student.lastName || ''} (${student.studentId}) marks have been updated for ${marksData.subject} - ${marksData.examType}. Total: ${marksData.totalMarks || 'N/A'}. Login to student portal for details. - Nursing Institute`;
+    const message = `Dear Parent, Your ward ${student.firstName} ${student.lastName || ''} (${student.studentId}) marks have been updated for ${marksData.subject} - ${marksData.examType}. Total: ${marksData.totalMarks || 'N/A'}. Login to the parent portal for details. - Nursing Institute`;
+    const options = {
+      template: 'MARKS_UPDATE',
+      context: { type: 'marks', student: student._id }
+    };
 
-    // Send to father if mobile available
+    // Father, mother, then guardian if different from parents
+    const recipients = [];
     if (student.fatherMobile && student.fatherMobile.trim()) {
-      const fatherResult = await sendSMS(student.fatherMobile, message);
-      results.push({
-        recipient: 'father',
-        mobile: student.fatherMobile,
-        ...fatherResult
-      });
+      recipients.push({ recipient: 'father', mobile: student.fatherMobile });
     }
-
-    // Send to mother if mobile available
     if (student.motherMobile && student.motherMobile.trim()) {
-      const motherResult = await sendSMS(student.motherMobile, message);
-      results.push({
-        recipient: 'mother',
-        mobile: student.motherMobile,
-        ...motherResult
-      });
+      recipients.push({ recipient: 'mother', mobile: student.motherMobile });
     }
-
-    // Send to guardian if mobile available and different from parents
     if (student.guardianMobile && student.guardianMobile.trim()) {
       const parentMobiles = [student.fatherMobile, student.motherMobile].filter(Boolean);
       if (!parentMobiles.includes(student.guardianMobile)) {
-        const guardianResult = await sendSMS(student.guardianMobile, message);
-        results.push({
-          recipient: 'guardian',
-          mobile: student.guardianMobile,
-          ...guardianResult
-        });
+        recipients.push({ recipient: 'guardian', mobile: student.guardianMobile });
       }
     }
 
+    for (const { recipient, mobile } of recipients) {
+      const result = await sendSMS(mobile, message, options);
+      results.push({
+        recipient,
+        ...result,
+        mobile
+      });
+    }
+
     console.log(`📱 SMS notifications sent for student ${student.studentId}:`, results.length, 'messages');
 
   } catch (error) {
@@ -126,38 +147,64 @@ const sendMarksNotificationSMS = async (student, marksData) => {
 };
 
 /**
- * Send bulk SMS to multiple recipients
- * @param {Array} recipients - Array of {mobile, message} objects
- * @returns {Promise<Array>} - Array of send results
+ * Run a task over items with at most SMS_CONCURRENCY in flight, keeping results in order
+ * @param {Array} items
+ * @param {Function} task - async (item) => result
+ * @returns {Promise<Array>}
  */
-const sendBulkSMS = async (recipients) => {
-  const results = [];
-
-  for (const recipient of recipients) {
-    try {
-      const result = await sendSMS(recipient.mobile, recipient.message);
-      results.push({
-        ...recipient,
-        ...result
-      });
-    } catch (error) {
-      results.push({
-        ...recipient,
-        success: false,
-        error: error.message,
-        status: 'failed'
-      });
+const mapWithConcurrency = async (items, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
     }
+  };
 
-    // Small delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 100));
-  }
-
+  await Promise.all(Array.from({ length: Math.min(SMS_CONCURRENCY, items.length) }, worker));
   return results;
 };
 
+/**
+ * Send bulk SMS to multiple recipients
+ * @param {Array} recipients - Array of {mobile, message, template, templateId, context} objects
+ * @returns {Promise<Array>} - Array of send results, in the same order
+ */
+const sendBulkSMS = (recipients) => mapWithConcurrency(recipients, async (recipient) => {
+  const { template, templateId, context } = recipient;
+  const result = await sendSMS(recipient.mobile, recipient.message, { template, templateId, context });
+  return {
+    ...recipient,
+    ...result
+  };
+});
+
+/**
+ * Send marks notification SMS to the parents of several students
+ * @param {Array} items - Array of {student, marks} objects
+ * @param {string} examType - Exam type the marks were entered for
+ * @returns {Promise<Array>} - One result per message sent, tagged with the student ID
+ */
+const sendBulkMarksNotifications = async (items, examType) => {
+  const perStudent = await mapWithConcurrency(items, ({ student, marks }) => sendMarksNotificationSMS(student, {
+    subject: marks.subject,
+    examType: examType || marks.examType,
+    totalMarks: marks.totalMarks ? `${marks.totalMarks.obtained}/${marks.totalMarks.max}` : null
+  }));
+
+  return perStudent.flatMap((results, index) => results.map(result => ({
+    studentId: items[index].student.studentId,
+    ...result,
+    success: result.success === true
+  })));
+};
+
 module.exports = {
   sendSMS,
   sendMarksNotificationSMS,
-  sendBulkSMS
+  sendBulkSMS,
+  sendBulkMarksNotifications,
+  getTemplateId
 };
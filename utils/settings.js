@@ -0,0 +1,58 @@
+const Settings = require('../models/Settings');
+
+// Settings change rarely, so keep a short-lived in-memory copy
+const CACHE_TTL = 60 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+/**
+ * Get the current system settings as a plain object
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Bypass the cache and reload from the database
+ * @returns {Promise<Object>} - { general, theme, notification, security, backup, version }
+ */
+const getSettings = async ({ fresh = false } = {}) => {
+  if (!fresh && cached && Date.now() - cachedAt < CACHE_TTL) {
+    return cached;
+  }
+
+  const settings = await Settings.getSettings();
+  setCachedSettings(settings);
+  return cached;
+};
+
+/**
+ * Replace the cached copy, e.g. right after an update is saved
+ * @param {Object} settings - Settings document
+ */
+const setCachedSettings = (settings) => {
+  cached = settings.toSettingsObject();
+  cachedAt = Date.now();
+};
+
+/**
+ * Drop the cached copy so the next read goes to the database
+ */
+const clearSettingsCache = () => {
+  cached = null;
+  cachedAt = 0;
+};
+
+/**
+ * Whether the two-factor policy requires a role to enrol
+ * @param {Object} settings - Plain settings object from getSettings()
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = (settings, role) => {
+  const { twoFactorAuth, twoFactorRequiredRoles = [] } = settings.security || {};
+  return Boolean(twoFactorAuth) && twoFactorRequiredRoles.includes(role);
+};
+
+module.exports = {
+  getSettings,
+  isTwoFactorRequired,
+  setCachedSettings,
+  clearSettingsCache
+};
@@ -0,0 +1,153 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TIMEOUT = parseInt(process.env.SMS_TIMEOUT, 10) || 10000;
+
+// Normalise a delivery report status into an SmsLog status
+const reportStatus = (value) => {
+  const status = String(value || '').toLowerCase();
+  if (['delivered', 'delivrd', 'success', '1'].includes(status)) return 'delivered';
+  if (['failed', 'undelivered', 'undeliv', 'rejected', 'expired', 'dnd', '2', '9', '16', '17', '25'].includes(status)) return 'undelivered';
+  if (['sent', 'submitted', 'accepted', '8'].includes(status)) return 'sent';
+  return null;
+};
+
+// MSG91 HTTP API. DLT_TE_ID carries the registered template for Indian transactional SMS.
+const msg91Provider = {
+  name: 'msg91',
+
+  async send({ to, message, templateId }) {
+    const response = await axios.get(process.env.MSG91_API_URL || 'https://api.msg91.com/api/sendhttp.php', {
+      timeout: TIMEOUT,
+      params: {
+        authkey: process.env.MSG91_AUTH_KEY,
+        mobiles: `${process.env.MSG91_COUNTRY || '91'}${to}`,
+        message,
+        sender: process.env.MSG91_SENDER_ID || 'NURINS',
+        route: process.env.MSG91_ROUTE || '4',
+        country: process.env.MSG91_COUNTRY || '91',
+        response: 'json',
+        ...(templateId && { DLT_TE_ID: templateId })
+      }
+    });
+
+    if (!response.data || response.data.type !== 'success') {
+      throw new Error(response.data?.message || 'MSG91 rejected the message');
+    }
+    return { messageId: response.data.message };
+  },
+
+  // MSG91 posts `data` as a JSON array of { requestId, report: [{ status, desc, date }] }
+  parseDeliveryReport(body) {
+    let data = body.data || body;
+    if (typeof data === 'string') data = JSON.parse(data);
+
+    return [].concat(data).flatMap(entry => (entry.report || []).map(report => ({
+      messageId: entry.requestId,
+      status: reportStatus(report.status),
+      description: report.desc,
+      at: report.date ? new Date(report.date) : new Date()
+    })));
+  }
+};
+
+// Any gateway that accepts a JSON POST. The response should carry an id or messageId.
+const httpProvider = {
+  name: 'http',
+
+  async send({ to, message, templateId }) {
+    if (!process.env.SMS_HTTP_URL) {
+      throw new Error('SMS_HTTP_URL is not configured');
+    }
+
+    const response = await axios.post(process.env.SMS_HTTP_URL, {
+      to: `${process.env.SMS_COUNTRY_CODE || '91'}${to}`,
+      message,
+      sender: process.env.SMS_SENDER_ID || process.env.MSG91_SENDER_ID || 'NURINS',
+      templateId,
+      entityId: process.env.SMS_DLT_ENTITY_ID
+    }, {
+      timeout: TIMEOUT,
+      headers: process.env.SMS_HTTP_TOKEN ? { Authorization: `Bearer ${process.env.SMS_HTTP_TOKEN}` } : {}
+    });
+
+    const data = response.data || {};
+    if (data.success === false || data.status === 'failed') {
+      throw new Error(data.message || data.error || 'SMS gateway rejected the message');
+    }
+    return { messageId: data.messageId || data.id || data.message_id };
+  },
+
+  // Accepts one report or an array of { messageId, status, description, timestamp }
+  parseDeliveryReport(body) {
+    return [].concat(body.reports || body).map(report => ({
+      messageId: report.messageId || report.id || report.message_id,
+      status: reportStatus(report.status),
+      description: report.description || report.error,
+      at: report.timestamp ? new Date(report.timestamp) : new Date()
+    }));
+  }
+};
+
+// Development/test provider: prints the message and, if SMS_LOG_FILE is set, appends it as a JSON line
+const consoleProvider = {
+  name: 'console',
+
+  async send({ to, message, templateId }) {
+    const messageId = `console-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    console.log(`📱 [SMS:console] to ${to}${templateId ? ` (template ${templateId})` : ''}: ${message}`);
+
+    if (process.env.SMS_LOG_FILE) {
+      const file = path.resolve(process.env.SMS_LOG_FILE);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify({ messageId, to, message, templateId, at: new Date() }) + '\n');
+    }
+    return { messageId };
+  },
+
+  parseDeliveryReport(body) {
+    return httpProvider.parseDeliveryReport(body);
+  }
+};
+
+const PROVIDERS = {
+  msg91: msg91Provider,
+  http: httpProvider,
+  console: consoleProvider
+};
+
+const providerError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// The console provider sends nothing, so outside development and tests it must be chosen explicitly
+const consoleAllowed = () =>
+  ['development', 'test'].includes(process.env.NODE_ENV) || process.env.SMS_PROVIDER === 'console';
+
+/**
+ * Get an SMS provider by name
+ * @param {string} [name] - msg91 | http | console; defaults to SMS_PROVIDER, else msg91 when
+ *   MSG91_AUTH_KEY is set and console otherwise
+ * @returns {{name: string, send: Function, parseDeliveryReport: Function}}
+ * @throws {Error} - Unknown provider, or console outside development/test without SMS_PROVIDER=console
+ */
+const getProvider = (name) => {
+  const selected = name || process.env.SMS_PROVIDER || (process.env.MSG91_AUTH_KEY ? 'msg91' : 'console');
+  const provider = PROVIDERS[selected];
+  if (!provider) {
+    throw providerError(`Unknown SMS provider: ${selected}`, 400);
+  }
+  if (provider === consoleProvider && !consoleAllowed()) {
+    throw providerError('No SMS provider is configured; set SMS_PROVIDER or MSG91_AUTH_KEY', 503);
+  }
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+  PROVIDERS: Object.keys(PROVIDERS)
+};
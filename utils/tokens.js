@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Single secret for signing and verifying, shared by HTTP and Socket.IO auth
+const JWT_SECRET = process.env.JWT_SECRET || 'nursing_institute_secret_key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+/**
+ * SHA-256 hex digest of a token, used for storing refresh tokens
+ * @param {string} token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const signDeviceId = (id) => crypto.createHmac('sha256', JWT_SECRET).update(`device.${id}`).digest('hex').slice(0, 32);
+
+const DEVICE_COOKIE = 'deviceId';
+const DEVICE_COOKIE_DAYS = 365;
+
+/**
+ * The signed device id in the request's device cookie, or null if missing or forged
+ * @param {Object} [req] - Express request
+ * @returns {string|null}
+ */
+const readDeviceId = (req) => {
+  const given = String((req && req.cookies && req.cookies[DEVICE_COOKIE]) || '');
+  const [id, signature] = given.split('.');
+  if (!/^[a-f0-9]{32}$/.test(id || '') || !signature) return null;
+
+  const expected = Buffer.from(signDeviceId(id));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? given : null;
+};
+
+/**
+ * Device id for a new session: the one in the device cookie, else a new one. The cookie is
+ * httpOnly and set by the server, so the device keeps its id across logins and accounts.
+ * @param {Object} [req] - Express request
+ * @returns {string}
+ */
+const deviceIdFor = (req) => {
+  const existing = readDeviceId(req);
+  if (existing) return existing;
+
+  const newId = crypto.randomBytes(16).toString('hex');
+  return `${newId}.${signDeviceId(newId)}`;
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User document (or raw user record)
+ * @param {string|Object} sessionId - Session id carried as the `sid` claim
+ * @returns {string}
+ */
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      userId: user._id,
+      role: user.role,
+      username: user.username,
+      sid: String(sessionId)
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+/**
+ * Verify an access token
+ * @param {string} token
+ * @returns {Object} - Decoded payload; throws JsonWebTokenError/TokenExpiredError
+ */
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+/**
+ * Sign the short-lived token that links a password check to the second login step
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+const signChallengeToken = (user) => {
+  return jwt.sign({ userId: user._id, purpose: '2fa' }, JWT_SECRET, { expiresIn: '5m' });
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token
+ * @returns {Object} - Decoded payload; throws if invalid, expired or not a challenge token
+ */
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose !== '2fa') {
+    const err = new Error('Invalid challenge token');
+    err.name = 'JsonWebTokenError';
+    throw err;
+  }
+  return decoded;
+};
+
+/**
+ * Start a new session and issue an access/refresh token pair
+ * @param {Object} user - User document (or raw user record)
+ * @param {Object} req - Express request, for user agent and IP
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn, session }
+ */
+const issueTokens = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req && req.headers ? req.headers['user-agent'] : undefined,
+    ip: req ? req.ip : undefined,
+    deviceId: deviceIdFor(req),
+    expiresAt: refreshExpiry()
+  });
+
+  // (Re)set the device cookie on the login response
+  if (req && req.res) {
+    req.res.cookie(DEVICE_COOKIE, session.deviceId, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+      maxAge: DEVICE_COOKIE_DAYS * 24 * 60 * 60 * 1000
+    });
+  }
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new pair, rotating the refresh token.
+ * Presenting an already-rotated token revokes the whole session.
+ * @param {string} refreshToken
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn, session, user }
+ */
+const rotateTokens = async (refreshToken) => {
+  const User = require('../models/User');
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ tokenHash });
+
+  if (!session) {
+    // An old token from a rotated session means it was copied; shut that session down
+    const reused = await Session.findOne({ rotatedHashes: tokenHash });
+    if (reused) {
+      await reused.revoke('token-reuse');
+      console.warn(`⚠️ Refresh token reuse detected for session ${reused._id}`);
+    }
+    const err = new Error(reused ? 'Refresh token has already been used. Please log in again.' : 'Invalid refresh token');
+    err.statusCode = 401;
+    throw err;
+  }
+
+  if (!session.isActive) {
+    const err = new Error('Session has expired or been revoked. Please log in again.');
+    err.statusCode = 401;
+    throw err;
+  }
+
+  const user = await User.findOne({ _id: session.user, isActive: true });
+  if (!user) {
+    await session.revoke('deactivated');
+    const err = new Error('User not found or inactive');
+    err.statusCode = 401;
+    throw err;
+  }
+
+  const newRefreshToken = crypto.randomBytes(48).toString('hex');
+  const rotated = await Session.rotate(tokenHash, hashToken(newRefreshToken), refreshExpiry());
+  if (!rotated) {
+    // Another refresh with the same token got there first, so the token was copied
+    await session.revoke('token-reuse');
+    console.warn(`⚠️ Refresh token reuse detected for session ${session._id}`);
+    const err = new Error('Refresh token has already been used. Please log in again.');
+    err.statusCode = 401;
+    throw err;
+  }
+
+  return {
+    token: signAccessToken(user, rotated._id),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    session: rotated,
+    user
+  };
+};
+
+/**
+ * Disconnect Socket.IO connections in a room (e.g. `user:<id>` or `session:<id>`)
+ * @param {Object} req - Express request, for the io instance
+ * @param {string} room
+ */
+const disconnectSockets = (req, room) => {
+  try {
+    const io = req && req.app ? req.app.get('io') : null;
+    if (io) io.in(room).disconnectSockets(true);
+  } catch (error) {
+    console.error(`Socket disconnect error (${room}):`, error);
+  }
+};
+
+/**
+ * Revoke all of a user's sessions and disconnect their sockets
+ * @param {Object} req - Express request
+ * @param {string|Object} userId
+ * @param {string} reason - Session.revokedReason value
+ * @param {Object} [options]
+ * @param {string|Object} [options.exceptSessionId] - Session to keep (e.g. the current one)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (req, userId, reason, { exceptSessionId } = {}) => {
+  const ids = await Session.revokeAllForUser(userId, reason, { exceptSessionId });
+
+  if (exceptSessionId) {
+    ids.forEach(id => disconnectSockets(req, `session:${id}`));
+  } else {
+    disconnectSockets(req, `user:${userId}`);
+  }
+
+  return ids.length;
+};
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  readDeviceId,
+  signAccessToken,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  issueTokens,
+  rotateTokens,
+  disconnectSockets,
+  revokeUserSessions
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Microsoft Authenticator, Authy, etc.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30;
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random shared secret
+ * @param {number} [size=20] - Secret length in bytes (20 = 160 bits, as recommended by RFC 4226)
+ * @returns {string} - Base32 secret
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter
+ * @returns {string} - Zero-padded code
+ */
+const generateHOTP = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  buffer.writeUInt32BE(counter >>> 0, 4);
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(code % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * Time step for a timestamp
+ * @param {number} [time=Date.now()] - Milliseconds since epoch
+ * @returns {number}
+ */
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD);
+
+/**
+ * Current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {number} [time=Date.now()]
+ * @returns {string}
+ */
+const generateTOTP = (secret, time = Date.now()) => generateHOTP(secret, timeStep(time));
+
+/**
+ * Check a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} token - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Steps accepted either side of now
+ * @param {number} [options.time=Date.now()]
+ * @returns {number|null} - Matching time step (store it to block replays), or null
+ */
+const verifyTOTP = (secret, token, { window = 1, time = Date.now() } = {}) => {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(code) || code.length !== DIGITS) return null;
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateHOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for enrolling an authenticator app (usually shown as a QR code)
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.account - Account label, e.g. email or username
+ * @param {string} [options.issuer='Nursing Institute']
+ * @returns {string}
+ */
+const buildOtpauthUrl = ({ secret, account, issuer = 'Nursing Institute' }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  timeStep,
+  buildOtpauthUrl
+};